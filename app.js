@@ -19,13 +19,18 @@ if (fs.existsSync(envPath)) {
 }
 
 const config = require('./application/config-service')
+const ConfigManager = require('./application/config-manager')
 const debug = require('debug')('48hr-email:app')
+
+// Apply settings changed at runtime before the web server reads the ones it only reads on start
+const configManager = new ConfigManager(config, config.configFile)
+configManager.load()
 const Helper = require('./application/helper-service')
 const helper = new(Helper)
-const { app, io, server } = require('./infrastructure/web/web')
+const { app, io, server, liteServer } = require('./infrastructure/web/web')
 const ClientNotification = require('./infrastructure/web/client-notification')
-const ImapService = require('./application/imap-service')
-const MockMailService = require('./application/mocks/mock-mail-service')
+const MailSource = require('./application/mail-source')
+const { createMailSource } = require('./application/mail-source-factory')
 const MailProcessingService = require('./application/mail-processing-service')
 const SmtpService = require('./application/smtp-service')
 const AuthService = require('./application/auth-service')
@@ -38,10 +43,21 @@ const UserRepository = require('./domain/user-repository')
 const MockUserRepository = require('./application/mocks/mock-user-repository')
 const StatisticsStore = require('./domain/statistics-store')
 const ApiTokenRepository = require('./domain/api-token-repository')
+const MessageStore = require('./domain/message-store')
+const WebhookRepository = require('./domain/webhook-repository')
+const TwoFactorRepository = require('./domain/two-factor-repository')
+const TwoFactorService = require('./application/two-factor-service')
+const PasswordResetService = require('./application/password-reset-service')
+const LoginAttemptRepository = require('./domain/login-attempt-repository')
+const LoginThrottleService = require('./application/login-throttle-service')
+const WebhookService = require('./application/webhook-service')
+const AdminRepository = require('./domain/admin-repository')
+const AdminService = require('./application/admin-service')
 
 const clientNotification = new ClientNotification()
 debug('Client notification service initialized')
 clientNotification.use(io)
+app.set('clientNotification', clientNotification)
 
 // Initialize SMTP service only if not in UX debug mode
 const smtpService = config.uxDebugMode ? null : new SmtpService(config)
@@ -58,11 +74,14 @@ app.set('verificationStore', verificationStore)
 
 // Set config in app for route access
 app.set('config', config)
+app.set('configManager', configManager)
+configManager.watch()
 
 // Initialize user repository and auth service (if enabled)
 let inboxLock = null
 let statisticsStore = null
 let apiTokenRepository = null
+let webhookService = null
 
 if (config.user.authEnabled && !config.uxDebugMode) {
     // Migrate legacy database files for backwards compatibility
@@ -72,8 +91,8 @@ if (config.user.authEnabled && !config.uxDebugMode) {
     debug('User repository initialized')
     app.set('userRepository', userRepository)
 
-    // Initialize API token repository with same database connection
-    apiTokenRepository = new ApiTokenRepository(userRepository.db)
+    // Initialize API token repository with same database connection, tokens are hashed with the session secret
+    apiTokenRepository = new ApiTokenRepository(userRepository.db, config.http.sessionSecret)
     debug('API token repository initialized')
     app.set('apiTokenRepository', apiTokenRepository)
 
@@ -82,15 +101,54 @@ if (config.user.authEnabled && !config.uxDebugMode) {
     debug('Statistics store initialized with database persistence')
     app.set('statisticsStore', statisticsStore)
 
-    const authService = new AuthService(userRepository, config)
+    // TOTP secrets and recovery codes share the user database
+    const twoFactorService = new TwoFactorService(new TwoFactorRepository(userRepository.db), config)
+    app.set('twoFactorService', twoFactorService)
+
+    // Failed logins are kept in the user database, so lockouts survive restarts
+    const loginThrottle = new LoginThrottleService(new LoginAttemptRepository(userRepository.db))
+    app.set('loginThrottle', loginThrottle)
+
+    const authService = new AuthService(userRepository, config, twoFactorService, loginThrottle)
     debug('Auth service initialized')
     app.set('authService', authService)
 
-    // Initialize inbox locking with user repository
-    inboxLock = new InboxLock(userRepository)
+    // Reset links go to verified forwarding addresses, with a token store of their own
+    const passwordResetService = new PasswordResetService(userRepository, new VerificationStore(), smtpService, authService, config)
+    app.set('passwordResetService', passwordResetService)
+
+    // Initialize inbox locking with user repository, passphrase locks sign their access keys with the session secret
+    inboxLock = new InboxLock(userRepository, config)
     app.set('inboxLock', inboxLock)
     debug('Inbox lock service initialized (user-based)')
 
+    // Webhooks of locked inboxes share the user database
+    const webhookRepository = new WebhookRepository(userRepository.db)
+    app.set('webhookRepository', webhookRepository)
+    webhookService = new WebhookService(webhookRepository, inboxLock, config)
+    debug('Webhook service initialized')
+
+    // Admin dashboard, the users of USER_ADMINS get the admin role on every start
+    const adminService = new AdminService(
+        new AdminRepository(userRepository.db),
+        userRepository,
+        inboxLock,
+        apiTokenRepository,
+        verificationStore,
+        statisticsStore,
+        app.get('sessionStore'),
+        config,
+        configManager
+    )
+    adminService.grantConfiguredAdmins()
+    configManager.on(ConfigManager.EVENT_CHANGE, ({ changed }) => {
+        if (changed.includes('user.admins')) {
+            adminService.grantConfiguredAdmins()
+        }
+    })
+    app.set('adminService', adminService)
+    debug('Admin service initialized')
+
     // Check for inactive locked inboxes (users who haven't logged in for 7 days)
     setInterval(() => {
         const inactive = inboxLock.getInactive(config.user.lockReleaseHours)
@@ -105,7 +163,18 @@ if (config.user.authEnabled && !config.uxDebugMode) {
                 }
             })
         }
-    }, config.imap.refreshIntervalSeconds * 1000)
+
+        // Passphrase locks have no login to go by, they expire when nobody opens the inbox
+        const abandoned = inboxLock.getInactiveAnonymous(config.user.anonymousLockReleaseHours)
+        abandoned.forEach(lock => {
+            try {
+                inboxLock.release(null, lock.address)
+                debug(`Released passphrase lock on ${lock.address} after ${config.user.anonymousLockReleaseHours} hours without access`)
+            } catch (error) {
+                debug(`Failed to release lock on ${lock.address}: ${error.message}`)
+            }
+        })
+    }, config.cleanupIntervalSeconds * 1000)
 } else {
     // No auth enabled OR UX debug mode - initialize statistics store without persistence
     statisticsStore = new StatisticsStore()
@@ -130,6 +199,10 @@ if (config.user.authEnabled && !config.uxDebugMode) {
         debug('Statistics store initialized (in-memory only, no database)')
         app.set('userRepository', null)
         app.set('apiTokenRepository', null)
+        app.set('twoFactorService', null)
+        app.set('passwordResetService', null)
+        app.set('loginThrottle', null)
+        app.set('adminService', null)
         app.set('authService', null)
         app.set('inboxLock', null)
         debug('User authentication system disabled')
@@ -141,16 +214,18 @@ if (config.user.authEnabled && !config.uxDebugMode) {
     }
 }
 
-// Initialize IMAP or Mock service based on debug mode
-const imapService = config.uxDebugMode ?
-    new MockMailService(config) :
-    new ImapService(config, inboxLock)
+// Only owners may subscribe to notifications of locked inboxes
+clientNotification.useAccessControl(inboxLock, apiTokenRepository)
 
-if (config.uxDebugMode) {
-    debug('Mock Mail Service initialized (UX Debug Mode)')
-} else {
-    debug('IMAP service initialized')
+// Initialize persistent message store (not in UX debug mode, mock mails are regenerated on start)
+let messageStore = null
+if (config.mailStore.enabled && !config.uxDebugMode) {
+    messageStore = new MessageStore(config.mailStore.databasePath, config)
+    debug('Message store initialized')
 }
+
+// Initialize the mail source (IMAP, SMTP receiver, Maildir or Mock) based on config
+const imapService = createMailSource(config, inboxLock, messageStore)
 app.set('imapService', imapService)
 
 const mailProcessingService = new MailProcessingService(
@@ -160,12 +235,14 @@ const mailProcessingService = new MailProcessingService(
     config,
     smtpService,
     verificationStore,
-    statisticsStore
+    statisticsStore,
+    messageStore,
+    webhookService
 )
 debug('Mail processing service initialized')
 
 // Initialize statistics with current count
-imapService.on(ImapService.EVENT_INITIAL_LOAD_DONE, async() => {
+imapService.on(MailSource.EVENT_INITIAL_LOAD_DONE, async() => {
     // In UX debug mode, populate mock emails first
     if (config.uxDebugMode) {
         // Load mock emails into repository
@@ -192,7 +269,7 @@ imapService.on(ImapService.EVENT_INITIAL_LOAD_DONE, async() => {
 })
 
 // Set up timer sync broadcasting after IMAP is ready
-imapService.on(ImapService.EVENT_INITIAL_LOAD_DONE, () => {
+imapService.on(MailSource.EVENT_INITIAL_LOAD_DONE, () => {
     clientNotification.startTimerSync(imapService)
 })
 
@@ -206,7 +283,16 @@ function displayStartupBanner() {
     const mailCount = mailProcessingService.getCount()
     const domains = config.email.domains.join(', ')
     const purgeTime = `${config.email.purgeTime.time} ${config.email.purgeTime.unit}`
-    const refreshInterval = config.uxDebugMode ? 'N/A' : `${config.imap.refreshIntervalSeconds}s`
+    let refreshInterval = config.imap.refreshIntervalSeconds ? `${config.imap.refreshIntervalSeconds}s` : 'N/A'
+    if (config.uxDebugMode) {
+        refreshInterval = 'N/A'
+    } else if (config.mailSource === 'smtp') {
+        refreshInterval = `N/A (SMTP on port ${config.smtpReceiver.port})`
+    } else if (config.mailSource === 'maildir') {
+        refreshInterval = `N/A (watching ${config.maildir.path})`
+    } else if (imapService.getSecondsUntilNextRefresh() === null) {
+        refreshInterval = 'N/A (IDLE)'
+    }
     const branding = config.http.features.branding[0] || '48hr.email'
     const baseUrl = config.http.baseUrl
 
@@ -247,11 +333,17 @@ function displayStartupBanner() {
         console.log(`  Statistics:      Enabled`)
     }
 
+    if (config.http.lite.only) {
+        console.log(`  Lite mode:       Standalone (no JavaScript)`)
+    } else if (liteServer) {
+        console.log(`  Lite mode:       ${config.http.lite.host}:${config.http.lite.port}`)
+    }
+
     console.log('═'.repeat(70))
     console.log(`  Ready! Press Ctrl+C to stop\n`)
 }
 
-imapService.on(ImapService.EVENT_INITIAL_LOAD_DONE, () => {
+imapService.on(MailSource.EVENT_INITIAL_LOAD_DONE, () => {
     imapReady = true
     displayStartupBanner()
 })
@@ -266,17 +358,17 @@ let isImapReady = false
 app.set('isImapReady', false)
 
 // Put everything together:
-imapService.on(ImapService.EVENT_NEW_MAIL, mail =>
+imapService.on(MailSource.EVENT_NEW_MAIL, mail =>
     mailProcessingService.onNewMail(mail)
 )
 debug('Bound IMAP new mail event handler')
-imapService.on(ImapService.EVENT_INITIAL_LOAD_DONE, () => {
+imapService.on(MailSource.EVENT_INITIAL_LOAD_DONE, () => {
     mailProcessingService.onInitialLoadDone()
     isImapReady = true
     app.set('isImapReady', true)
 })
 debug('Bound IMAP initial load done event handler')
-imapService.on(ImapService.EVENT_DELETED_MAIL, mail =>
+imapService.on(MailSource.EVENT_DELETED_MAIL, mail =>
     mailProcessingService.onMailDeleted(mail)
 )
 debug('Bound IMAP deleted mail event handler')
@@ -289,13 +381,14 @@ mailProcessingService.on('error', err => {
     }
 })
 
-imapService.on(ImapService.EVENT_ERROR, error => {
-    debug('Fatal error from IMAP service:', error.message)
-    console.error('Fatal error from IMAP service', error)
-    if (!config.uxDebugMode) {
+// IMAP reconnects on its own, only the SMTP receiver gives up (e.g. when its port is taken)
+if (config.mailSource === 'smtp' && !config.uxDebugMode) {
+    imapService.on(MailSource.EVENT_ERROR, error => {
+        debug('Fatal error from SMTP receiver:', error.message)
+        console.error('Fatal error from SMTP receiver', error)
         process.exit(1)
-    }
-})
+    })
+}
 
 app.set('mailProcessingService', mailProcessingService)
 app.set('config', config)
@@ -305,12 +398,17 @@ app.locals.mailProcessingService = mailProcessingService
 
 if (config.uxDebugMode) {
     debug('Starting Mock Mail Service (UX Debug Mode)')
+} else if (config.mailSource === 'smtp') {
+    debug('Starting SMTP receiver and loading stored messages')
+} else if (config.mailSource === 'maildir') {
+    debug('Loading messages from maildir')
 } else {
     debug('Starting IMAP connection and message loading')
 }
 
+// IMAP never rejects here, it keeps retrying in the background while the stored mails are served
 imapService.connectAndLoadMessages().catch(error => {
-    debug('Failed to connect:', error.message)
+    debug('Failed to start mail source:', error.message)
     console.error('Fatal error from mail service', error)
     if (!config.uxDebugMode) {
         process.exit(1)
@@ -338,3 +436,10 @@ server.on('error', error => {
             process.exit(1)
     }
 })
+
+if (liteServer) {
+    liteServer.on('error', error => {
+        console.error(`Lite mode listener on port ${config.http.lite.port} failed`, error)
+        process.exit(1)
+    })
+}
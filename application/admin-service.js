@@ -0,0 +1,284 @@
+const debug = require('debug')('48hr-email:admin-service')
+const SubAddress = require('../domain/sub-address')
+
+const USERS_PER_PAGE = 50
+const AUDIT_ENTRIES_PER_PAGE = 50
+
+/**
+ * Admin Service - user, lock, token and settings management for admins
+ * Every change is written to the audit log with the admin who made it
+ * Admins can't delete themselves or change their own role here, so an instance can't lose its last admin by accident
+ */
+class AdminService {
+    constructor(adminRepository, userRepository, inboxLock, apiTokenRepository, verificationStore, statisticsStore, sessionStore, config, configManager = null) {
+        this.adminRepository = adminRepository
+        this.userRepository = userRepository
+        this.inboxLock = inboxLock
+        this.apiTokenRepository = apiTokenRepository
+        this.verificationStore = verificationStore
+        this.statisticsStore = statisticsStore
+        this.sessionStore = sessionStore
+        this.config = config
+        this.configManager = configManager
+    }
+
+    /**
+     * Give the admin role to the users listed in USER_ADMINS
+     * Only existing accounts are promoted, register them before listing them
+     */
+    grantConfiguredAdmins() {
+        for (const username of this.config.user.admins) {
+            const user = this.userRepository.getUserByUsername(String(username))
+            if (!user) {
+                console.warn(`USER_ADMINS: no account named "${username}", register it and restart to make it an admin`)
+                continue
+            }
+            if (!user.is_admin) {
+                this.userRepository.setAdmin(user.id, true)
+                debug(`Admin role granted to ${user.username} from USER_ADMINS`)
+            }
+        }
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {boolean}
+     */
+    isAdmin(userId) {
+        return this.userRepository.isAdmin(userId)
+    }
+
+    /**
+     * Counts, pending verifications and forwarding activity for the dashboard
+     * @returns {Object}
+     */
+    getOverview() {
+        const pendingVerifications = this.verificationStore ? this.verificationStore.getPending().map(verification => ({
+            destinationEmail: verification.destinationEmail,
+            // Account verifications carry the user, inbox forwards the inbox they forward from
+            userId: verification.metadata.userId || null,
+            sourceAddress: verification.metadata.sourceAddress || null,
+            createdAt: verification.createdAt,
+            expiresAt: verification.expiresAt
+        })) : []
+
+        return {
+            counts: this.adminRepository.getCounts(),
+            forwardsInPurgeWindow: this.statisticsStore ? this.statisticsStore.getStats().purgeWindow.forwards : 0,
+            pendingVerifications,
+            recentForwardEmails: this.adminRepository.getRecentForwardEmails()
+        }
+    }
+
+    /**
+     * @param {string} query - Part of the username
+     * @param {number} page - Starting at 1
+     * @returns {{users: Array<Object>, total: number, page: number, pages: number}}
+     */
+    searchUsers(query = '', page = 1) {
+        const { users, total } = this.adminRepository.searchUsers({
+            query,
+            limit: USERS_PER_PAGE,
+            offset: (page - 1) * USERS_PER_PAGE
+        })
+        return { users, total, page, pages: Math.max(1, Math.ceil(total / USERS_PER_PAGE)) }
+    }
+
+    /**
+     * Everything about one user an admin may act on
+     * @param {number} userId
+     * @returns {Object|null} - {user, forwardEmails, lockedInboxes, apiTokens, sessions}
+     */
+    getUserDetails(userId) {
+        const user = this.adminRepository.getUser(userId)
+        if (!user) {
+            return null
+        }
+        return {
+            user,
+            forwardEmails: this.userRepository.getForwardEmails(userId),
+            lockedInboxes: this.inboxLock ? this.inboxLock.getUserLockedInboxes(userId) : [],
+            apiTokens: this.apiTokenRepository ? this.apiTokenRepository.getByUserId(userId) : [],
+            sessions: this.sessionStore ? this.sessionStore.listByUser(userId) : []
+        }
+    }
+
+    /**
+     * @param {string} query - Part of the inbox address or username
+     * @returns {Array<Object>}
+     */
+    getLocks(query = '') {
+        return this.adminRepository.getLocks(query)
+    }
+
+    /**
+     * @param {number} page - Starting at 1
+     * @returns {{entries: Array<Object>, total: number, page: number, pages: number}}
+     */
+    getAuditLog(page = 1) {
+        const { entries, total } = this.adminRepository.getAuditLog({
+            limit: AUDIT_ENTRIES_PER_PAGE,
+            offset: (page - 1) * AUDIT_ENTRIES_PER_PAGE
+        })
+        return { entries, total, page, pages: Math.max(1, Math.ceil(total / AUDIT_ENTRIES_PER_PAGE)) }
+    }
+
+    /**
+     * Free an inbox lock, whoever holds it
+     * @param {Object} admin - {id, username}
+     * @param {string} address
+     * @param {string} [ip]
+     * @returns {{success: boolean, error?: string, code?: string}} - code is the API error code
+     */
+    releaseLock(admin, address, ip = null) {
+        const lock = this.inboxLock ? this.inboxLock.getLock(address) : null
+        if (!lock) {
+            return { success: false, error: 'Inbox is not locked', code: 'NOT_FOUND' }
+        }
+
+        // Passphrase locks have no owner to name
+        const owner = lock.anonymous ? null : this.userRepository.getUserById(lock.userId)
+        this.inboxLock.release(lock.userId, address)
+        this._audit(admin, 'lock.release', SubAddress.inbox(address), {
+            owner: lock.anonymous ? 'passphrase' : (owner ? owner.username : lock.userId)
+        }, ip)
+        return { success: true }
+    }
+
+    /**
+     * @param {Object} admin - {id, username}
+     * @param {number} userId - Owner of the token
+     * @param {number} tokenId
+     * @param {string} [ip]
+     * @returns {{success: boolean, error?: string, code?: string}}
+     */
+    revokeToken(admin, userId, tokenId, ip = null) {
+        const user = this.userRepository.getUserById(userId)
+        const token = user && this.apiTokenRepository ?
+            this.apiTokenRepository.getByUserId(userId).find(t => t.id === tokenId) : null
+        if (!token || !this.apiTokenRepository.revoke(userId, tokenId)) {
+            return { success: false, error: 'Token not found', code: 'NOT_FOUND' }
+        }
+
+        this._audit(admin, 'token.revoke', user.username, { tokenId, name: token.name, prefix: token.prefix }, ip)
+        return { success: true }
+    }
+
+    /**
+     * Delete an account with its locks, tokens and forwarding addresses, and sign it out everywhere
+     * @param {Object} admin - {id, username}
+     * @param {number} userId
+     * @param {string} [ip]
+     * @returns {{success: boolean, error?: string, code?: string}}
+     */
+    deleteUser(admin, userId, ip = null) {
+        if (userId === admin.id) {
+            return { success: false, error: 'Delete your own account on the account page', code: 'SELF_ACTION' }
+        }
+
+        const user = this.adminRepository.getUser(userId)
+        if (!user || !this.userRepository.deleteUser(userId)) {
+            return { success: false, error: 'User not found', code: 'NOT_FOUND' }
+        }
+        if (this.sessionStore) {
+            this.sessionStore.revokeAll(userId)
+        }
+
+        this._audit(admin, 'user.delete', user.username, {
+            userId,
+            lockedInboxes: user.lockedInboxes,
+            forwardEmails: user.forwardEmails,
+            apiTokens: user.apiTokens
+        }, ip)
+        return { success: true }
+    }
+
+    /**
+     * @param {Object} admin - {id, username}
+     * @param {number} userId
+     * @param {boolean} isAdmin
+     * @param {string} [ip]
+     * @returns {{success: boolean, error?: string, code?: string}}
+     */
+    setAdmin(admin, userId, isAdmin, ip = null) {
+        if (userId === admin.id) {
+            return { success: false, error: 'Admins can\'t change their own role', code: 'SELF_ACTION' }
+        }
+
+        const user = this.userRepository.getUserById(userId)
+        if (!user) {
+            return { success: false, error: 'User not found', code: 'NOT_FOUND' }
+        }
+        if (Boolean(user.is_admin) === isAdmin) {
+            return { success: true }
+        }
+
+        this.userRepository.setAdmin(userId, isAdmin)
+        this._audit(admin, isAdmin ? 'user.grant_admin' : 'user.revoke_admin', user.username, { userId }, ip)
+        return { success: true }
+    }
+
+    /**
+     * Editable settings with their running, saved and .env values
+     * @returns {Array<Object>}
+     */
+    getSettings() {
+        return this.configManager ? this.configManager.getSettings() : []
+    }
+
+    /**
+     * Change settings of the running instance, saved to the config file
+     * @param {Object} admin - {id, username}
+     * @param {Object} changes - Setting keys and new values
+     * @param {string} [ip]
+     * @returns {Object} - {success, error, code} or ConfigManager#update result
+     */
+    updateSettings(admin, changes, ip = null) {
+        if (!this.configManager) {
+            return { success: false, error: 'Settings can\'t be changed on this instance', code: 'CONFIG_UNAVAILABLE' }
+        }
+
+        const result = this.configManager.update(changes, admin.username)
+        if (result.success && result.updated.length) {
+            const values = {}
+            for (const setting of this.configManager.getSettings()) {
+                if (result.updated.includes(setting.key)) {
+                    values[setting.key] = setting.saved
+                }
+            }
+            const restartRequired = result.restartRequired.filter(key => result.updated.includes(key))
+            this._audit(admin, 'config.update', result.updated.join(', '), { values, restartRequired }, ip)
+        }
+        return result
+    }
+
+    /**
+     * Go back to the .env value of a setting
+     * @param {Object} admin - {id, username}
+     * @param {string} key
+     * @param {string} [ip]
+     * @returns {Object} - {success, error, code} or ConfigManager#update result
+     */
+    resetSetting(admin, key, ip = null) {
+        if (!this.configManager) {
+            return { success: false, error: 'Settings can\'t be changed on this instance', code: 'CONFIG_UNAVAILABLE' }
+        }
+
+        const result = this.configManager.reset(key, admin.username)
+        if (result.success && result.updated.length) {
+            this._audit(admin, 'config.reset', key, { restartRequired: result.restartRequired.includes(key) }, ip)
+        }
+        return result
+    }
+
+    _audit(admin, action, target, details, ip) {
+        try {
+            this.adminRepository.recordAction({ admin, action, target, details, ip })
+        } catch (error) {
+            // The action already happened, losing its entry must not hide that from the admin
+            console.error(`Failed to write audit log entry for ${action} on ${target}:`, error)
+        }
+    }
+}
+
+module.exports = AdminService
@@ -6,9 +6,11 @@ const debug = require('debug')('48hr-email:auth-service')
  * Handles registration, login, validation, and password management
  */
 class AuthService {
-    constructor(userRepository, config) {
+    constructor(userRepository, config, twoFactorService = null, loginThrottle = null) {
         this.userRepository = userRepository
         this.config = config
+        this.twoFactorService = twoFactorService
+        this.loginThrottle = loginThrottle
         this.BCRYPT_ROUNDS = 12
     }
 
@@ -63,22 +65,41 @@ class AuthService {
 
     /**
      * Login user with username and password
+     * Users with 2FA get twoFactorRequired instead, finish with completeTwoFactorLogin()
+     * Too many failures for the username or IP get locked and retryAfter (seconds) instead
      * @param {string} username
      * @param {string} password
-     * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+     * @param {string} [ip] - Address of the client, for brute-force protection
+     * @returns {Promise<{success: boolean, user?: Object, twoFactorRequired?: boolean, locked?: boolean, retryAfter?: number, error?: string}>}
      */
-    async login(username, password) {
+    async login(username, password, ip = null) {
         if (!username || !password) {
             debug('Login failed: Missing username or password')
             return { success: false, error: 'Username and password are required' }
         }
 
+        // Parallel attempts would all pass the throttle before the first failure is recorded
+        const attempt = () => this._attemptLogin(username, password, ip)
+        return this.loginThrottle ? this.loginThrottle.serialize(username, ip, attempt) : attempt()
+    }
+
+    /**
+     * Check the throttle and the password, see login()
+     * @private
+     */
+    async _attemptLogin(username, password, ip) {
         try {
+            const throttled = this._checkThrottle(username, ip)
+            if (throttled) {
+                return throttled
+            }
+
             // Get user from database
             const user = this.userRepository.getUserByUsername(username)
 
             if (!user) {
                 debug(`Login failed: User not found: ${username}`)
+                this._recordFailure(username, ip, null)
                     // Use generic error to prevent username enumeration
                 return { success: false, error: 'Invalid username or password' }
             }
@@ -88,11 +109,28 @@ class AuthService {
 
             if (!isValid) {
                 debug(`Login failed: Invalid password for user: ${username}`)
+                this._recordFailure(username, ip, user.id)
                 return { success: false, error: 'Invalid username or password' }
             }
 
-            // Update last login
+            if (this.twoFactorService && this.twoFactorService.isEnabled(user.id)) {
+                debug(`Password accepted, waiting for the second factor: ${username} (ID: ${user.id})`)
+                return {
+                    success: true,
+                    twoFactorRequired: true,
+                    user: {
+                        id: user.id,
+                        username: user.username,
+                        created_at: user.created_at
+                    }
+                }
+            }
+
+            // Update last login, failures of the IP are kept (see LoginThrottleService.recordSuccess)
             this.userRepository.updateLastLogin(user.id)
+            if (this.loginThrottle) {
+                this.loginThrottle.recordSuccess(username)
+            }
 
             debug(`User logged in successfully: ${username} (ID: ${user.id})`)
 
@@ -111,6 +149,67 @@ class AuthService {
         }
     }
 
+    /**
+     * Second step of a login with 2FA, wrong codes count as failed logins
+     * @param {Object} user - {id, username} of the user whose password was accepted by login()
+     * @param {string} code - Code of the authenticator app or a recovery code
+     * @param {string} [ip] - Address of the client, for brute-force protection
+     * @returns {{success: boolean, locked?: boolean, retryAfter?: number, error?: string}}
+     */
+    completeTwoFactorLogin(user, code, ip = null) {
+        const throttled = this._checkThrottle(user.username, ip)
+        if (throttled) {
+            return throttled
+        }
+
+        if (!this.twoFactorService || !this.twoFactorService.verify(user.id, code)) {
+            debug(`Login failed: Invalid 2FA code for user ID ${user.id}`)
+            this._recordFailure(user.username, ip, user.id)
+            return { success: false, error: 'Invalid authentication code' }
+        }
+
+        this.userRepository.updateLastLogin(user.id)
+        if (this.loginThrottle) {
+            this.loginThrottle.recordSuccess(user.username)
+        }
+        debug(`User logged in with 2FA (ID: ${user.id})`)
+        return { success: true }
+    }
+
+    /**
+     * @returns {Object|null} - Failed login result if the username or IP has to wait
+     * @private
+     */
+    _checkThrottle(username, ip) {
+        if (!this.loginThrottle) {
+            return null
+        }
+
+        const throttle = this.loginThrottle.check(username, ip)
+        if (throttle.allowed) {
+            return null
+        }
+
+        const [amount, unit] = throttle.retryAfter < 60 ?
+            [throttle.retryAfter, 'second'] : [Math.ceil(throttle.retryAfter / 60), 'minute']
+        const wait = `${amount} ${unit}${amount === 1 ? '' : 's'}`
+        return {
+            success: false,
+            locked: true,
+            retryAfter: throttle.retryAfter,
+            error: `Too many failed login attempts. Please try again in ${wait}.`
+        }
+    }
+
+    /**
+     * @private
+     */
+    _recordFailure(username, ip, userId) {
+        if (this.loginThrottle) {
+            this.loginThrottle.recordFailure(username, ip, userId)
+        }
+    }
+
     /**
      * Validate username format
      * @param {string} username
@@ -0,0 +1,133 @@
+const sanitizeHtml = require('sanitize-html')
+const debug = require('debug')('48hr-email:code-extraction-service')
+
+const MAX_RESULTS = 5
+// How far a keyword may be from a code on the same line
+const KEYWORD_DISTANCE = 60
+
+/**
+ * Extracts likely one-time codes and verification links from an email
+ */
+class CodeExtractionService {
+    constructor() {
+        // Words that usually introduce (or follow) a one-time code
+        this.codeKeywords = /\b(code|codes|otp|pin|passcode|password|verification|verify|confirm|confirmation|security|one[- ]time|2fa|two[- ]factor|token|login|sign[- ]in|authentication)\b/i
+
+        // Numeric codes (123456, 123-456, 123 456) or mixed letters and digits (A1B2C3),
+        // but not parts of prices, dates, phone numbers, URLs or longer words
+        this.codePattern = /(?<![\w.,/:#$€£-]|\d )(\d{4,8}|\d{3}[- ]\d{3}|(?=[A-Z]*\d)(?=\d*[A-Z])[A-Z0-9]{5,10})(?![\w/@-]|[.,:]\d| \d)/g
+
+        // Years are the most common false positive among 4 digit numbers
+        this.yearPattern = /^(19|20)\d{2}$/
+
+        this.linkKeywords = /(verif|confirm|activat|validat|magic|log-?in|sign-?in|sign_in|auth|reset|token=|code=|otp)/i
+        this.linkExclusions = /(unsubscribe|preferences|privacy|terms|opt-?out)/i
+    }
+
+    /**
+     * Extract codes and links from the subject, text and HTML of a mail
+     * @param {Object} mail - Parsed mail
+     * @returns {{codes: Array<string>, links: Array<{url: string, text: string}>}}
+     */
+    extract(mail) {
+        if (!mail) return { codes: [], links: [] }
+
+        const text = mail.text || this._htmlToText(mail.html || '')
+        const codes = this.extractCodes(`${mail.subject || ''}\n${text}`)
+        const links = this.extractLinks(mail.html || '', mail.text || '')
+
+        debug(`Extracted ${codes.length} codes and ${links.length} links`)
+        return { codes, links }
+    }
+
+    /**
+     * Find codes that stand next to a keyword, either on the same line or alone below it
+     * @param {string} text
+     * @returns {Array<string>}
+     */
+    extractCodes(text) {
+        const codes = []
+        const lines = text.split(/\r?\n/).map(line => line.trim())
+        let previousLine = ''
+
+        for (const line of lines) {
+            if (!line) continue
+
+            for (const match of line.matchAll(this.codePattern)) {
+                const code = match[1].replace(/ /g, '')
+                if (this.yearPattern.test(code) || codes.includes(code)) continue
+
+                const before = line.slice(Math.max(0, match.index - KEYWORD_DISTANCE), match.index)
+                const after = line.slice(match.index + match[0].length, match.index + match[0].length + KEYWORD_DISTANCE)
+                const standsAlone = line.length <= match[0].length + 2
+
+                if (this.codeKeywords.test(before) || this.codeKeywords.test(after) ||
+                    (standsAlone && this.codeKeywords.test(previousLine))) {
+                    codes.push(code)
+                }
+            }
+
+            if (codes.length >= MAX_RESULTS) break
+            previousLine = line
+        }
+
+        return codes.slice(0, MAX_RESULTS)
+    }
+
+    /**
+     * Find links whose URL or label looks like a verification, login or reset link
+     * @param {string} html
+     * @param {string} text
+     * @returns {Array<{url: string, text: string}>}
+     */
+    extractLinks(html, text) {
+        const candidates = []
+
+        for (const match of html.matchAll(/<a\s[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a>/gi)) {
+            candidates.push({
+                url: this._decodeEntities(match[2].trim()),
+                text: this._htmlToText(match[3]).replace(/\s+/g, ' ').trim()
+            })
+        }
+        for (const match of text.matchAll(/https?:\/\/[^\s<>"')\]]+/g)) {
+            candidates.push({ url: match[0], text: '' })
+        }
+
+        const links = []
+        for (const candidate of candidates) {
+            if (!/^https?:\/\//i.test(candidate.url)) continue
+            if (links.some(link => link.url === candidate.url)) continue
+
+            const label = `${candidate.url} ${candidate.text}`
+            if (this.linkKeywords.test(label) && !this.linkExclusions.test(label)) {
+                links.push(candidate)
+            }
+            if (links.length >= MAX_RESULTS) break
+        }
+
+        return links
+    }
+
+    _htmlToText(html) {
+        // Keep block elements on their own lines so codes stay next to their labels
+        const withBreaks = html.replace(/<(br|\/p|\/div|\/tr|\/td|\/li|\/h[1-6])\b[^>]*>/gi, '$&\n')
+        const text = sanitizeHtml(withBreaks, {
+            allowedTags: [],
+            allowedAttributes: {},
+            nonTextTags: ['style', 'script', 'textarea', 'option', 'noscript', 'head', 'title']
+        })
+        return this._decodeEntities(text)
+    }
+
+    _decodeEntities(text) {
+        return text
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&#0?39;/g, "'")
+            .replace(/&amp;/g, '&')
+    }
+}
+
+module.exports = CodeExtractionService
@@ -0,0 +1,531 @@
+const EventEmitter = require('events')
+const fs = require('fs')
+const path = require('path')
+const debug = require('debug')('48hr-email:config-manager')
+
+const WATCH_INTERVAL_MS = 2000
+
+/**
+ * Settings that can be changed without editing .env
+ * - key: path in the config object
+ * - type: string | number | boolean | list | numberList | enum
+ * - restart: the value is only read on start, a change is saved and applied by the next start
+ * - validate: returns an error message for an invalid value
+ * Passwords and secrets are left out on purpose, they stay in .env
+ */
+const SETTINGS = [{
+    key: 'email.domains',
+    env: 'EMAIL_DOMAINS',
+    label: 'Domains',
+    type: 'list',
+    validate: value => value.length ? null : 'At least one domain is required'
+}, {
+    key: 'email.purgeTime.time',
+    env: 'EMAIL_PURGE_TIME',
+    label: 'Purge time',
+    type: 'number',
+    min: 1
+}, {
+    key: 'email.purgeTime.unit',
+    env: 'EMAIL_PURGE_UNIT',
+    label: 'Purge time unit',
+    type: 'enum',
+    options: ['minutes', 'hours', 'days']
+}, {
+    key: 'email.purgeTime.convert',
+    env: 'EMAIL_PURGE_CONVERT',
+    label: 'Show the purge time in the largest fitting unit',
+    type: 'boolean'
+}, {
+    key: 'email.blacklistedSenders',
+    env: 'EMAIL_BLACKLISTED_SENDERS',
+    label: 'Blacklisted senders',
+    type: 'list'
+}, {
+    key: 'email.examples.account',
+    env: 'EMAIL_EXAMPLE_ACCOUNT',
+    label: 'Example inbox',
+    type: 'string'
+}, {
+    key: 'email.examples.uids',
+    env: 'EMAIL_EXAMPLE_UIDS',
+    label: 'Example mail UIDs',
+    type: 'numberList'
+}, {
+    key: 'http.baseUrl',
+    env: 'HTTP_BASE_URL',
+    label: 'Base URL',
+    type: 'string',
+    validate: value => /^https?:\/\/[^\s]+$/.test(value) ? null : 'Must start with http:// or https://'
+}, {
+    key: 'http.features.branding',
+    env: 'HTTP_BRANDING',
+    label: 'Branding (name, company, URL)',
+    type: 'list',
+    validate: value => value.length === 3 ? null : 'Name, company and URL are required'
+}, {
+    key: 'http.features.displaySort',
+    env: 'HTTP_DISPLAY_SORT',
+    label: 'Domain order (0 as configured, 1 sorted, 2 sorted with random first, 3 shuffled)',
+    type: 'number',
+    min: 0,
+    max: 3
+}, {
+    key: 'http.features.hideOther',
+    env: 'HTTP_HIDE_OTHER',
+    label: 'Only show the first domain',
+    type: 'boolean'
+}, {
+    key: 'http.features.statistics',
+    env: 'HTTP_STATISTICS_ENABLED',
+    label: 'Statistics page',
+    type: 'boolean'
+}, {
+    key: 'http.features.infoSection',
+    env: 'HTTP_SHOW_INFO_SECTION',
+    label: 'Info section on the home page',
+    type: 'boolean'
+}, {
+    key: 'http.lite.refreshSeconds',
+    env: 'HTTP_LITE_REFRESH_SECONDS',
+    label: 'Lite mode inbox reload in seconds',
+    type: 'number',
+    min: 5
+}, {
+    key: 'apiEnabled',
+    env: 'HTTP_API_ENABLED',
+    label: 'Public config API',
+    type: 'boolean'
+}, {
+    key: 'user.maxForwardEmails',
+    env: 'USER_MAX_FORWARD_EMAILS',
+    label: 'Forwarding addresses per user',
+    type: 'number',
+    min: 0
+}, {
+    key: 'user.maxLockedInboxes',
+    env: 'USER_MAX_LOCKED_INBOXES',
+    label: 'Locked inboxes per user',
+    type: 'number',
+    min: 0
+}, {
+    key: 'user.lockReleaseHours',
+    env: 'LOCK_RELEASE_HOURS',
+    label: 'Release locks after hours without login',
+    type: 'number',
+    min: 1
+}, {
+    key: 'user.anonymousLocks',
+    env: 'LOCK_ANONYMOUS_ENABLED',
+    label: 'Passphrase locks without an account',
+    type: 'boolean'
+}, {
+    key: 'user.anonymousLockReleaseHours',
+    env: 'LOCK_ANONYMOUS_RELEASE_HOURS',
+    label: 'Release passphrase locks after hours without access',
+    type: 'number',
+    min: 1
+}, {
+    key: 'user.maxAnonymousLocks',
+    env: 'LOCK_ANONYMOUS_MAX',
+    label: 'Passphrase locks in total',
+    type: 'number',
+    min: 1
+}, {
+    key: 'user.admins',
+    env: 'USER_ADMINS',
+    label: 'Admins',
+    type: 'list'
+}, {
+    key: 'cleanupIntervalSeconds',
+    env: 'CLEANUP_INTERVAL_SECONDS',
+    label: 'Purge and lock release interval in seconds',
+    type: 'number',
+    min: 1,
+    restart: true
+}, {
+    key: 'imap.refreshIntervalSeconds',
+    env: 'IMAP_REFRESH_INTERVAL_SECONDS',
+    label: 'Refresh interval in seconds',
+    type: 'number',
+    min: 1,
+    restart: true
+}, {
+    key: 'http.port',
+    env: 'HTTP_PORT',
+    label: 'HTTP port',
+    type: 'number',
+    min: 1,
+    max: 65535,
+    restart: true
+}, {
+    key: 'http.lite.port',
+    env: 'HTTP_LITE_PORT',
+    label: 'Lite mode port (0 = off)',
+    type: 'number',
+    min: 0,
+    max: 65535,
+    restart: true
+}, {
+    key: 'user.authEnabled',
+    env: 'USER_AUTH_ENABLED',
+    label: 'User accounts',
+    type: 'boolean',
+    restart: true
+}, {
+    key: 'email.features.subAddressing',
+    env: 'EMAIL_SUBADDRESSING',
+    label: 'Deliver name+tag@ to the inbox name@',
+    type: 'boolean',
+    restart: true
+}, {
+    key: 'mailStore.enabled',
+    env: 'MAIL_STORE_ENABLED',
+    label: 'Keep mails in the message store across restarts',
+    type: 'boolean',
+    restart: true
+}]
+
+const SETTINGS_BY_KEY = new Map(SETTINGS.map(setting => [setting.key, setting]))
+
+/**
+ * Config Manager - changes settings of the running instance
+ *
+ * Overrides of the .env values are kept in a JSON file (CONFIG_FILE), a flat object of
+ * setting keys and values. The file is written by the admin dashboard and can be edited by hand,
+ * it is watched and applied without a restart. Removing a key goes back to the .env value.
+ *
+ * The shared config object is updated in place, so every module that reads config.x.y when
+ * it needs the value sees the change. Settings marked `restart` are saved but only applied on start.
+ *
+ * Events:
+ * - EVENT_CHANGE ({ changed, restartRequired, source })   settings of the running instance changed
+ */
+class ConfigManager extends EventEmitter {
+    constructor(config, filePath) {
+        super()
+        this.config = config
+        this.filePath = path.resolve(filePath)
+        this.overrides = {}
+        this.watching = false
+
+        // Values from .env, what a setting goes back to when its override is removed
+        this.defaults = {}
+        for (const setting of SETTINGS) {
+            this.defaults[setting.key] = clone(getPath(config, setting.key))
+        }
+    }
+
+    /**
+     * Apply the saved overrides, including those that need a restart. Call once on start,
+     * before the modules reading the restart-only settings are loaded.
+     */
+    load() {
+        const overrides = this._readFile()
+        if (!overrides) {
+            return
+        }
+        this._apply(overrides, 'start', true)
+        debug(`Loaded ${Object.keys(overrides).length} config override(s) from ${this.filePath}`)
+    }
+
+    /**
+     * Apply the config file whenever it changes
+     */
+    watch() {
+        if (this.watching) {
+            return
+        }
+        this.watching = true
+        fs.watchFile(this.filePath, { interval: WATCH_INTERVAL_MS, persistent: false }, () => {
+            const overrides = this._readFile()
+            if (overrides) {
+                this._apply(overrides, 'file')
+            }
+        })
+        debug(`Watching ${this.filePath} for config changes`)
+    }
+
+    unwatch() {
+        if (this.watching) {
+            fs.unwatchFile(this.filePath)
+            this.watching = false
+        }
+    }
+
+    /**
+     * All editable settings with their running, saved and .env values
+     * @returns {Array<Object>}
+     */
+    getSettings() {
+        return SETTINGS.map(setting => {
+            const value = getPath(this.config, setting.key)
+            const saved = this._saved(setting.key)
+            return {
+                key: setting.key,
+                env: setting.env,
+                label: setting.label,
+                type: setting.type,
+                options: setting.options || null,
+                min: setting.min !== undefined ? setting.min : null,
+                max: setting.max !== undefined ? setting.max : null,
+                restart: Boolean(setting.restart),
+                value,
+                saved,
+                default: this.defaults[setting.key],
+                overridden: Object.prototype.hasOwnProperty.call(this.overrides, setting.key),
+                pendingRestart: Boolean(setting.restart) && !isEqual(saved, value)
+            }
+        })
+    }
+
+    /**
+     * Change settings and save them to the config file
+     * Values may be typed (API, file) or strings (forms), lists also as comma or line separated text
+     * @param {Object} changes - Setting keys and new values
+     * @param {string} source - Who made the change, for the log
+     * @returns {Object} { success, error, code, updated, changed, restartRequired }
+     *   updated: saved values that changed, changed: applied to the running instance,
+     *   restartRequired: saved values that differ from the running ones
+     */
+    update(changes, source) {
+        const next = { ...this.overrides }
+        const updated = []
+        for (const [key, raw] of Object.entries(changes || {})) {
+            const setting = SETTINGS_BY_KEY.get(key)
+            if (!setting) {
+                return { success: false, error: `Unknown setting ${key}`, code: 'UNKNOWN_SETTING' }
+            }
+            // An empty form field of a setting .env leaves unset
+            if (isBlank(raw) && isBlank(this._saved(key))) {
+                continue
+            }
+
+            const { value, error } = coerce(setting, raw)
+            if (error) {
+                return { success: false, error: `${setting.label}: ${error}`, code: 'VALIDATION_ERROR' }
+            }
+
+            if (!isSameValue(setting, value, this._saved(key))) {
+                updated.push(key)
+            }
+            // Keep the file short, the .env value needs no override
+            if (isSameValue(setting, value, this.defaults[key])) {
+                delete next[key]
+            } else {
+                next[key] = value
+            }
+        }
+
+        this._save(next)
+        return { success: true, updated, ...this._apply(next, source) }
+    }
+
+    /**
+     * Go back to the .env value of a setting
+     * @returns {Object} { success, error, code, updated, changed, restartRequired }
+     */
+    reset(key, source) {
+        if (!SETTINGS_BY_KEY.has(key)) {
+            return { success: false, error: `Unknown setting ${key}`, code: 'UNKNOWN_SETTING' }
+        }
+
+        const updated = isEqual(this._saved(key), this.defaults[key]) ? [] : [key]
+        const next = { ...this.overrides }
+        delete next[key]
+        this._save(next)
+        return { success: true, updated, ...this._apply(next, source) }
+    }
+
+    /**
+     * Value a setting has after the next start
+     * @private
+     */
+    _saved(key) {
+        return Object.prototype.hasOwnProperty.call(this.overrides, key) ? this.overrides[key] : this.defaults[key]
+    }
+
+    /**
+     * Bring the config object in line with the overrides, settings without one get their .env value
+     * @private
+     */
+    _apply(overrides, source, startup = false) {
+        const changed = []
+        const restartRequired = []
+
+        for (const setting of SETTINGS) {
+            const target = Object.prototype.hasOwnProperty.call(overrides, setting.key) ?
+                overrides[setting.key] : this.defaults[setting.key]
+            if (isEqual(target, getPath(this.config, setting.key))) {
+                continue
+            }
+
+            if (setting.restart && !startup) {
+                restartRequired.push(setting.key)
+                continue
+            }
+
+            setPath(this.config, setting.key, clone(target))
+            changed.push(setting.key)
+        }
+
+        this.overrides = overrides
+
+        if (changed.length && !startup) {
+            debug(`Config changed by ${source}: ${changed.join(', ')}`)
+            this.emit(ConfigManager.EVENT_CHANGE, { changed, restartRequired, source })
+        }
+        if (restartRequired.length) {
+            console.warn(`Config: ${restartRequired.join(', ')} changed by ${source}, restart to apply`)
+        }
+
+        return { changed, restartRequired }
+    }
+
+    /**
+     * Read and check the config file, invalid entries are skipped with a warning
+     * @returns {Object|null} Overrides, or null if the file is missing or not valid JSON
+     * @private
+     */
+    _readFile() {
+        let content
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8')
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Config: could not read ${this.filePath}:`, error.message)
+            }
+            return error.code === 'ENOENT' ? {} : null
+        }
+
+        let parsed
+        try {
+            parsed = content.trim() ? JSON.parse(content) : {}
+        } catch (error) {
+            console.error(`Config: ${this.filePath} is not valid JSON, keeping the current settings:`, error.message)
+            return null
+        }
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            console.error(`Config: ${this.filePath} must contain an object of settings, keeping the current settings`)
+            return null
+        }
+
+        const overrides = {}
+        for (const [key, raw] of Object.entries(parsed)) {
+            const setting = SETTINGS_BY_KEY.get(key)
+            if (!setting) {
+                console.warn(`Config: unknown setting "${key}" in ${this.filePath} ignored`)
+                continue
+            }
+            const { value, error } = coerce(setting, raw)
+            if (error) {
+                console.warn(`Config: ${key} in ${this.filePath} ignored, ${error}`)
+                continue
+            }
+            overrides[key] = value
+        }
+        return overrides
+    }
+
+    /**
+     * Write the overrides through a temporary file, so the watcher never reads half a file
+     * @private
+     */
+    _save(overrides) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+        const tempPath = `${this.filePath}.tmp`
+        fs.writeFileSync(tempPath, JSON.stringify(overrides, null, 4) + '\n')
+        fs.renameSync(tempPath, this.filePath)
+    }
+}
+
+ConfigManager.EVENT_CHANGE = 'change'
+ConfigManager.SETTINGS = SETTINGS
+
+/**
+ * Turn a typed or text value into the type of the setting
+ * @returns {Object} { value } or { error }
+ */
+function coerce(setting, raw) {
+    let value
+    switch (setting.type) {
+        case 'list':
+        case 'numberList':
+            value = (Array.isArray(raw) ? raw : String(raw === undefined || raw === null ? '' : raw).split(/[\n,]/))
+                .map(item => String(item).trim())
+                .filter(Boolean)
+            if (setting.type === 'numberList') {
+                value = value.map(Number)
+                if (value.some(item => !Number.isInteger(item))) {
+                    return { error: 'only whole numbers are allowed' }
+                }
+            }
+            break
+        case 'number':
+            value = typeof raw === 'string' && raw.trim() === '' ? NaN : Number(raw)
+            if (!Number.isFinite(value)) {
+                return { error: 'must be a number' }
+            }
+            if (setting.min !== undefined && value < setting.min) {
+                return { error: `must be at least ${setting.min}` }
+            }
+            if (setting.max !== undefined && value > setting.max) {
+                return { error: `must be at most ${setting.max}` }
+            }
+            break
+        case 'boolean':
+            if (raw === true || raw === 'true' || raw === '1' || raw === 'on') {
+                value = true
+            } else if (raw === false || raw === 'false' || raw === '0' || raw === 'off') {
+                value = false
+            } else {
+                return { error: 'must be true or false' }
+            }
+            break
+        case 'enum':
+            if (!setting.options.includes(raw)) {
+                return { error: `must be one of ${setting.options.join(', ')}` }
+            }
+            value = raw
+            break
+        default:
+            if (typeof raw !== 'string' && typeof raw !== 'number') {
+                return { error: 'must be text' }
+            }
+            value = String(raw).trim()
+    }
+
+    const error = setting.validate ? setting.validate(value) : null
+    return error ? { error } : { value }
+}
+
+function getPath(object, key) {
+    return key.split('.').reduce((current, part) => (current ? current[part] : undefined), object)
+}
+
+function setPath(object, key, value) {
+    const parts = key.split('.')
+    const last = parts.pop()
+    const parent = parts.reduce((current, part) => current[part], object)
+    parent[last] = value
+}
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '' || Number.isNaN(value) ||
+        (Array.isArray(value) && !value.length)
+}
+
+// An unset boolean in .env means off
+function isSameValue(setting, a, b) {
+    return setting.type === 'boolean' ? Boolean(a) === Boolean(b) : isEqual(a, b)
+}
+
+function isEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
+
+module.exports = ConfigManager
@@ -39,6 +39,10 @@ function parseBool(v) {
 const config = {
     apiEnabled: parseBool(process.env.HTTP_API_ENABLED) || false,
     uxDebugMode: parseBool(process.env.UX_DEBUG_MODE) || false,
+    mailSource: parseValue(process.env.MAIL_SOURCE) || 'imap', // imap | smtp | maildir
+    // How often old mails are purged and inactive locks released, for every mail source
+    cleanupIntervalSeconds: Number(process.env.CLEANUP_INTERVAL_SECONDS) || Number(process.env.IMAP_REFRESH_INTERVAL_SECONDS) || 60,
+    configFile: parseValue(process.env.CONFIG_FILE) || './db/config.json', // runtime overrides, see ConfigManager
 
     email: {
         domains: parseValue(process.env.EMAIL_DOMAINS) || [],
@@ -53,7 +57,8 @@ const config = {
         },
         blacklistedSenders: parseValue(process.env.EMAIL_BLACKLISTED_SENDERS) || [],
         features: {
-            smtp: parseBool(process.env.SMTP_ENABLED) || false
+            smtp: parseBool(process.env.SMTP_ENABLED) || false,
+            subAddressing: parseBool(process.env.EMAIL_SUBADDRESSING) || false // name+tag@domain lands in name@domain
         }
     },
 
@@ -69,6 +74,24 @@ const config = {
         fetchConcurrency: Number(process.env.IMAP_CONCURRENCY) || 6
     },
 
+    smtpReceiver: {
+        host: parseValue(process.env.SMTP_RECEIVER_HOST) || '0.0.0.0',
+        port: Number(process.env.SMTP_RECEIVER_PORT) || 2525,
+        storagePath: parseValue(process.env.SMTP_RECEIVER_STORAGE_PATH) || './db/mail',
+        maxSize: Number(process.env.SMTP_RECEIVER_MAX_SIZE) || 25 * 1024 * 1024 // 25 MB
+    },
+
+    maildir: {
+        path: parseValue(process.env.MAILDIR_PATH),
+        statePath: parseValue(process.env.MAILDIR_STATE_PATH) || './db/maildir-state.json',
+        scanIntervalSeconds: Number(process.env.MAILDIR_SCAN_INTERVAL_SECONDS) || 30
+    },
+
+    mailStore: {
+        enabled: parseBool(process.env.MAIL_STORE_ENABLED) !== false, // enabled unless explicitly disabled
+        databasePath: parseValue(process.env.MAIL_STORE_PATH) || './db/messages.db'
+    },
+
     smtp: {
         enabled: parseBool(process.env.SMTP_ENABLED) || false,
         user: parseValue(process.env.SMTP_USER),
@@ -88,6 +111,13 @@ const config = {
             hideOther: parseBool(process.env.HTTP_HIDE_OTHER),
             statistics: parseBool(process.env.HTTP_STATISTICS_ENABLED) || false,
             infoSection: parseBool(process.env.HTTP_SHOW_INFO_SECTION) || false
+        },
+        // JavaScript-free pages for Tor and minimal clients, on a second listener or instead of the normal pages
+        lite: {
+            port: Number(process.env.HTTP_LITE_PORT) || null,
+            host: parseValue(process.env.HTTP_LITE_HOST) || '127.0.0.1',
+            only: parseBool(process.env.HTTP_LITE_ONLY) || false,
+            refreshSeconds: Number(process.env.HTTP_LITE_REFRESH_SECONDS) || 30
         }
     },
 
@@ -96,19 +126,33 @@ const config = {
         databasePath: parseValue(process.env.USER_DATABASE_PATH) || './db/data.db',
         maxForwardEmails: Number(process.env.USER_MAX_FORWARD_EMAILS) || 3,
         maxLockedInboxes: Number(process.env.USER_MAX_LOCKED_INBOXES) || 5,
-        lockReleaseHours: Number(process.env.LOCK_RELEASE_HOURS) || 168 // 7 days default
+        lockReleaseHours: Number(process.env.LOCK_RELEASE_HOURS) || 168, // 7 days default
+        anonymousLocks: parseBool(process.env.LOCK_ANONYMOUS_ENABLED) || false, // passphrase locks without an account
+        anonymousLockReleaseHours: Number(process.env.LOCK_ANONYMOUS_RELEASE_HOURS) || 24, // hours without access
+        maxAnonymousLocks: Number(process.env.LOCK_ANONYMOUS_MAX) || 100, // for the whole instance
+        admins: [].concat(parseValue(process.env.USER_ADMINS) || []) // usernames, promoted to admin on start
     }
 };
 
 // validation
 debug('Validating configuration...')
 
-// Skip IMAP validation in UX debug mode
+// Skip mail source validation in UX debug mode
 if (!config.uxDebugMode) {
-    if (!config.imap.user || !config.imap.password || !config.imap.host) {
+    if (!['imap', 'smtp', 'maildir'].includes(config.mailSource)) {
+        debug(`Mail source validation failed: unknown source '${config.mailSource}'`)
+        throw new Error(`Unknown MAIL_SOURCE '${config.mailSource}'. Use imap, smtp or maildir.`);
+    }
+
+    if (config.mailSource === 'imap' && (!config.imap.user || !config.imap.password || !config.imap.host)) {
         debug('IMAP configuration validation failed: missing user, password, or host')
         throw new Error("IMAP is not configured. Check IMAP_* env vars.");
     }
+
+    if (config.mailSource === 'maildir' && !config.maildir.path) {
+        debug('Maildir configuration validation failed: missing path')
+        throw new Error("Maildir is not configured. Check MAILDIR_PATH env var.");
+    }
 }
 
 // In UX debug mode, provide default domain if none configured
@@ -131,4 +175,5 @@ if (!config.email.domains.length) {
 
 debug(`Configuration validated successfully: ${config.email.domains.length} domains${config.uxDebugMode ? ' (UX DEBUG MODE)' : ''}`)
 
+// ConfigManager changes this object in place at runtime, read values when they are needed instead of copying them
 module.exports = config;
@@ -1,14 +1,18 @@
-const EventEmitter = require('events')
 const imaps = require('imap-simple')
 const { simpleParser } = require('mailparser')
 const addressparser = require('nodemailer/lib/addressparser')
 const retry = require('async-retry')
 const debug = require('debug')('48hr-email:imap-manager')
 const Mail = require('../domain/mail')
+const SubAddress = require('../domain/sub-address')
+const MailSource = require('./mail-source')
 const Helper = require('./helper-service')
 const helper = new(Helper)
 const config = require('./config-service')
 
+// Backoff between connection attempts, on start and after the connection was lost
+const RECONNECT_BASE_DELAY_MS = 1000
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000
 
 // Just adding some missing functions to imap-simple... :-)
 
@@ -83,26 +87,40 @@ imaps.ImapSimple.prototype.closeBox = function(autoExpunge = true, callback) {
  * Fetches emails from the imap server. It is a facade against the more complicated imap-simple api. It keeps the connection
  * as a member field.
  *
- * With this abstraction it would be easy to replace this with any inbound mail service like mailgun.com.
+ * It implements the MailSource contract, so it can be swapped for any other inbound mail backend.
  */
-class ImapService extends EventEmitter {
-    constructor(config, inboxLock = null) {
+class ImapService extends MailSource {
+    constructor(config, inboxLock = null, messageStore = null) {
         super()
         if (!config || !config.imap) {
             throw new Error("ImapService requires a valid config with 'imap' object");
         }
         this.config = config
         this.inboxLock = inboxLock
+        this.messageStore = messageStore
         this.loadedUids = new Set()
         this.connection = null
+        this.imapConfig = null
+        this.online = false
+        this.offlineSince = null
+        this.reconnectAttempts = 0
         this.initialLoadDone = false
         this.loadingInProgress = false
+        this.reloadRequested = false
         this.lastRefreshTime = null
+
+        // UIDVALIDITY / UIDNEXT / HIGHESTMODSEQ of the last sync, persisted in the message store
+        this.syncState = null
+        // Summaries from the message store, emitted instead of fetching their headers again
+        this.storedSummaries = new Map()
+        // Set when another client expunged mails, which only a full UID comparison can detect
+        this.fullSyncNeeded = false
+        this.modseqSearchFailed = false
     }
 
     async connectAndLoadMessages() {
         // Map config.imap.secure to config.imap.tls for imap-simple library compatibility
-        const imapConfig = {
+        this.imapConfig = {
             imap: {
                 user: this.config.imap.user,
                 password: this.config.imap.password,
@@ -120,34 +138,108 @@ class ImapService extends EventEmitter {
             this._doAfterInitialLoad()
         )
 
-        await this._connectWithRetry(imapConfig)
+        try {
+            await this._connectWithRetry(this.imapConfig, 0)
+        } catch (error) {
+            // Same backoff as after a lost connection, the initial load runs once we are connected
+            console.error('Cant connect to imap server, serving stored mails until it is reachable.', error.message)
+            this.offlineSince = new Date()
+            this._scheduleReconnect()
+            return
+        }
 
         // Load all messages in the background. (ASYNC)
         this._loadMailSummariesAndEmitAsEvents()
     }
 
-    async _connectWithRetry(configWithListener) {
+    async _connectWithRetry(configWithListener, retries = 5) {
+        await retry(
+            async _bail => {
+                // If anything throws, we retry
+                const connection = await imaps.connect(configWithListener)
+                this.connection = connection
+
+                connection.on('error', err => this._onConnectionLost(connection, err))
+                connection.on('close', () => this._onConnectionLost(connection))
+
+                await connection.openBox('INBOX')
+                debug('Connected to imap Server at ' + this.config.imap.host)
+
+                // Changes made by other clients (or by our own deletes)
+                connection.imap.on('expunge', () => this._onMailboxChanged())
+                connection.imap.on('uidvalidity', () => this._onMailboxChanged())
+
+                this.online = true
+                this.offlineSince = null
+            }, {
+                retries
+            }
+        )
+    }
+
+    _onConnectionLost(connection, error = null) {
+        // Errors of connections we already gave up on, or a close following the error
+        if (connection !== this.connection || !this.online) {
+            return
+        }
+
+        console.error('Lost connection to imap server, serving stored mails until it is back.', error || '')
+        this.online = false
+        this.offlineSince = new Date()
+        // Requests of the dead connection never complete, don't let them block the next sync
+        this.loadingInProgress = false
+        this.reloadRequested = false
         try {
-            await retry(
-                async _bail => {
-                    // If anything throws, we retry
-                    this.connection = await imaps.connect(configWithListener)
-
-                    this.connection.on('error', err => {
-                        // We assume that the app will be restarted after a crash.
-                        console.error('Got fatal error during imap operation, stop app.', err)
-                        this.emit('error', err)
-                    })
-
-                    await this.connection.openBox('INBOX')
-                    debug('Connected to imap Server at ' + this.config.imap.host)
-                }, {
-                    retries: 5
-                }
-            )
+            connection.end()
+        } catch (endError) {
+            debug('Error closing lost connection:', endError.message)
+        }
+
+        this._scheduleReconnect()
+    }
+
+    _scheduleReconnect() {
+        const delay = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** this.reconnectAttempts)
+        this.reconnectAttempts++
+        debug(`Reconnecting in ${delay / 1000}s (attempt ${this.reconnectAttempts})`)
+        setTimeout(() => this._reconnect(), delay)
+    }
+
+    async _reconnect() {
+        try {
+            await this._connectWithRetry(this.imapConfig, 0)
         } catch (error) {
-            console.error('Cant connect, even after retrying, stopping app', error)
-            throw error
+            debug('Reconnect failed:', error.message)
+            this._scheduleReconnect()
+            return
+        }
+
+        console.log(`Connected to imap server after ${this.reconnectAttempts} attempt(s)`)
+        this.reconnectAttempts = 0
+
+        // Expunges made while we were away are only found by comparing UIDs
+        this.fullSyncNeeded = true
+        this._loadMailSummariesAndEmitAsEvents()
+    }
+
+    /**
+     * @returns {boolean} Whether the imap connection is up
+     */
+    isOnline() {
+        return this.online
+    }
+
+    /**
+     * @returns {Date|null} When the connection was lost, null while online
+     */
+    getOfflineSince() {
+        return this.offlineSince
+    }
+
+    _assertOnline() {
+        if (!this.connection || !this.online) {
+            // Here we 'fail fast' instead of waiting for the connection.
+            throw new Error('IMAP connection not ready')
         }
     }
 
@@ -158,11 +250,24 @@ class ImapService extends EventEmitter {
         }
     }
 
+    _onMailboxChanged() {
+        this.fullSyncNeeded = true
+        if (this.initialLoadDone) {
+            this._loadMailSummariesAndEmitAsEvents()
+        }
+    }
+
     _doAfterInitialLoad() {
         // During initial load we ignored new incoming emails. In order to catch up with those, we have to refresh
         // the mails once after the initial load. (async)
         this._loadMailSummariesAndEmitAsEvents()
 
+        // With IDLE the server tells us about new mails (see 'onmail'), polling would only add load.
+        if (this.connection.imap.serverSupports('IDLE')) {
+            debug('Server supports IDLE, not polling for new mails')
+            return
+        }
+
         // If the above trigger on new mails does not work reliable, we have to regularly check
         // for new mails on the server. This is done only after all the mails have been loaded for the
         // first time. (Note: set the refresh higher than the time it takes to download the mails).
@@ -181,9 +286,17 @@ class ImapService extends EventEmitter {
     }
 
     async _loadMailSummariesAndEmitAsEvents() {
-        // Prevent overlapping loads which can inflate counts
+        // Prevent overlapping loads which can inflate counts, but remember to run again afterwards,
+        // with IDLE there might not be another trigger for a while.
         if (this.loadingInProgress) {
-            debug('Load skipped: another load already in progress')
+            debug('Load deferred: another load already in progress')
+            this.reloadRequested = true
+            return
+        }
+
+        // Picked up again once reconnected
+        if (!this.online) {
+            debug('Load skipped: imap server offline')
             return
         }
 
@@ -194,18 +307,110 @@ class ImapService extends EventEmitter {
             debug('Fetching mail summaries from server...')
         }
 
-        const uids = await this._getAllUids()
-        const newUids = uids.filter(uid => !this.loadedUids.has(uid))
-        debug(`UIDs on server: ${uids.length}, new UIDs to fetch: ${newUids.length}, already loaded: ${this.loadedUids.size}`)
+        try {
+            await this._syncMailbox()
+        } catch (error) {
+            // Don't finish the initial load with a partial list, the next load starts over
+            debug('Failed to sync mailbox:', error.message)
+            return
+        } finally {
+            this.loadingInProgress = false
+        }
+
+        // Mark initial load done only after all chunks complete to avoid double-runs
+        if (!this.initialLoadDone) {
+            this.initialLoadDone = true
+            this.emit(ImapService.EVENT_INITIAL_LOAD_DONE)
+            debug('Emitted initial load done')
+        }
+
+        debug('Finished updating mail summary list')
+
+        if (this.reloadRequested) {
+            this.reloadRequested = false
+            await this._loadMailSummariesAndEmitAsEvents()
+        }
+    }
 
+    /**
+     * Bring loadedUids in line with the server and emit the differences. Only headers of mails
+     * we have never seen are fetched. With CONDSTORE a refresh only asks for messages changed since
+     * the last known MODSEQ, otherwise (and after expunges) the UID lists are compared.
+     * @private
+     */
+    async _syncMailbox() {
+        const box = this.connection.imap._box
+        const uidValidity = String(box.uidvalidity)
+
+        if (!this.syncState) {
+            this._restoreSyncState(uidValidity)
+        } else if (this.syncState.uidValidity !== uidValidity) {
+            // The mailbox was recreated, every UID we know now points to a different message (or none)
+            debug(`UIDVALIDITY changed from ${this.syncState.uidValidity} to ${uidValidity}, reloading all mails`)
+            this.loadedUids.forEach(uid => this.emit(ImapService.EVENT_DELETED_MAIL, uid))
+            this.loadedUids.clear()
+            this.syncState = { uidValidity, uidNext: null, highestModseq: null }
+        }
+
+        const useModseq = this.initialLoadDone && !this.fullSyncNeeded &&
+            this.syncState.highestModseq && this._supportsCondstore()
+        this.fullSyncNeeded = false
+
+        let changes = null
+        if (useModseq) {
+            try {
+                changes = await this._getChangesSinceModseq(this.syncState.highestModseq)
+            } catch (error) {
+                // Some servers announce CONDSTORE but reject SEARCH MODSEQ
+                debug('MODSEQ search failed, comparing UIDs from now on:', error.message)
+                this.modseqSearchFailed = true
+            }
+        }
+        if (!changes) {
+            changes = await this._getChangesByUidComparison()
+        }
+
+        changes.removedUids.forEach(uid => {
+            debug(`UID ${uid} was removed from the server`)
+            this.loadedUids.delete(uid)
+            this.emit(ImapService.EVENT_DELETED_MAIL, uid)
+        })
+
+        const uidsToFetch = []
+        changes.newUids.forEach(uid => {
+            const stored = this.storedSummaries.get(uid)
+            if (stored) {
+                this.loadedUids.add(uid)
+                this.emit(ImapService.EVENT_NEW_MAIL, stored)
+            } else {
+                uidsToFetch.push(uid)
+            }
+        })
+        debug(`New UIDs: ${changes.newUids.length} (${changes.newUids.length - uidsToFetch.length} from message store), removed: ${changes.removedUids.length}, already loaded: ${this.loadedUids.size}`)
+        this.storedSummaries.clear()
+
+        await this._fetchHeadersInChunks(uidsToFetch)
+
+        // The SELECT response is only current before the first sync, later we track it ourselves
+        const largestLoaded = [...this.loadedUids].reduce((max, uid) => Math.max(max, uid), 0)
+        this.syncState.uidNext = Math.max(this.syncState.uidNext || 1, box.uidnext || 1, largestLoaded + 1)
+        if (changes.highestModseq) {
+            this.syncState.highestModseq = changes.highestModseq
+        } else if (!this.initialLoadDone && box.highestmodseq) {
+            this.syncState.highestModseq = box.highestmodseq
+        }
+        this._saveSyncState()
+    }
+
+    async _fetchHeadersInChunks(uids) {
         // Tuneable chunk size & concurrency for faster initial loads
         const chunkSize = this.config.imap.fetchChunkSize
         const concurrency = this.config.imap.fetchConcurrency
 
         // Chunk newest-first UIDs to balance speed and first-paint
         const uidChunks = []
-        for (let i = 0; i < newUids.length; i += chunkSize) {
-            uidChunks.push(newUids.slice(i, i + chunkSize))
+        for (let i = 0; i < uids.length; i += chunkSize) {
+            uidChunks.push(uids.slice(i, i + chunkSize))
         }
         debug(`Chunk size: ${chunkSize}, concurrency: ${concurrency}, chunks to process: ${uidChunks.length}`)
 
@@ -232,16 +437,71 @@ class ImapService extends EventEmitter {
         }
         await Promise.all(pool)
         debug(`All chunks processed. Final loadedUids size: ${this.loadedUids.size}`)
+    }
 
-        // Mark initial load done only after all chunks complete to avoid double-runs
-        if (!this.initialLoadDone) {
-            this.initialLoadDone = true
-            this.emit(ImapService.EVENT_INITIAL_LOAD_DONE)
-            debug('Emitted initial load done')
+    async _getChangesByUidComparison() {
+        const uids = await this._getAllUids()
+        const serverUids = new Set(uids)
+        return {
+            newUids: uids.filter(uid => !this.loadedUids.has(uid)),
+            removedUids: [...this.loadedUids].filter(uid => !serverUids.has(uid)),
+            highestModseq: null
         }
+    }
 
-        this.loadingInProgress = false
-        debug('Finished updating mail summary list')
+    /**
+     * Messages added or flagged since `modseq`. Expunges are not reported here,
+     * those arrive as 'expunge' events and trigger a full comparison.
+     * @param {string} modseq - Last known HIGHESTMODSEQ
+     * @private
+     */
+    async _getChangesSinceModseq(modseq) {
+        const { uids: changed, modseq: highestModseq } = await this._searchWithModseq([
+            ['MODSEQ', (BigInt(modseq) + 1n).toString()]
+        ])
+        if (changed.length === 0) {
+            return { newUids: [], removedUids: [], highestModseq: null }
+        }
+
+        const deleted = new Set(await this._searchWithoutFetch([
+            ['UID', changed], 'DELETED'
+        ]))
+        return {
+            newUids: changed.filter(uid => !deleted.has(uid) && !this.loadedUids.has(uid)),
+            removedUids: changed.filter(uid => deleted.has(uid) && this.loadedUids.has(uid)),
+            highestModseq: highestModseq ? String(highestModseq) : null
+        }
+    }
+
+    _supportsCondstore() {
+        return !this.modseqSearchFailed &&
+            this.connection.imap.serverSupports('CONDSTORE') && !this.connection.imap._box.nomodseq
+    }
+
+    _restoreSyncState(uidValidity) {
+        const saved = this.messageStore ? this.messageStore.getMeta('imap_sync_state') : null
+
+        if (saved && saved.uidValidity === uidValidity) {
+            this.syncState = saved
+            this.storedSummaries = new Map(this.messageStore.getAllSummaries().map(mail => [mail.uid, mail]))
+            debug(`Resuming sync at UIDNEXT ${saved.uidNext}, ${this.storedSummaries.size} summaries in message store`)
+            return
+        }
+
+        if (saved) {
+            debug(`UIDVALIDITY changed from ${saved.uidValidity} to ${uidValidity} since last run, dropping stored mails`)
+            this.messageStore.getAllSummaries().forEach(mail => this.emit(ImapService.EVENT_DELETED_MAIL, mail.uid))
+        }
+        this.syncState = { uidValidity, uidNext: null, highestModseq: null }
+    }
+
+    _saveSyncState() {
+        if (!this.messageStore) return
+        try {
+            this.messageStore.setMeta('imap_sync_state', this.syncState)
+        } catch (error) {
+            debug('Failed to save sync state:', error.message)
+        }
     }
 
     /**
@@ -251,6 +511,9 @@ class ImapService extends EventEmitter {
     async deleteOldMails(deleteMailsBefore) {
         let uids;
 
+        // Purging waits until we are connected again
+        this._assertOnline();
+
         // IMAP date filters are unreliable - some servers search internal date, not Date header
         // Always fetch all UIDs and filter by date header in JavaScript instead
         const deleteOlderThan = helper.purgeTimeStamp();
@@ -317,8 +580,7 @@ class ImapService extends EventEmitter {
 
         // Exclude locked inboxes
         filtered = filtered.filter(mail => {
-            const toAddresses = Array.isArray(mail.parts[0].body.to) ?
-                mail.parts[0].body.to.map(a => a.toLowerCase()) : [String(mail.parts[0].body.to).toLowerCase()];
+            const toAddresses = this._resolveRecipients(mail.parts[0].body);
             return !toAddresses.some(addr => lockedAddresses.includes(addr));
         });
 
@@ -338,6 +600,7 @@ class ImapService extends EventEmitter {
             const batch = toDelete.slice(i, i + BATCH_SIZE);
             await this.connection.deleteMessage(batch);
             batch.forEach(uid => {
+                this.loadedUids.delete(uid);
                 this.emit(ImapService.EVENT_DELETED_MAIL, uid);
             });
         }
@@ -349,9 +612,11 @@ class ImapService extends EventEmitter {
      * @param uid delete specific mail per UID
      */
     async deleteSpecificEmail(uid) {
+        this._assertOnline()
         if (!this.config.email.examples.uids.includes(parseInt(uid))) {
             await this.connection.deleteMessage(uid)
             debug(`Deleted UID ${uid}`)
+            this.loadedUids.delete(parseInt(uid))
             this.emit(ImapService.EVENT_DELETED_MAIL, uid)
         }
     }
@@ -413,12 +678,36 @@ class ImapService extends EventEmitter {
         }
     }
 
+    /**
+     * Search with a MODSEQ criterion (CONDSTORE), which also reports the highest MODSEQ of the results.
+     *
+     * @param {Object} searchCriteria (see ImapSimple#search)
+     * @returns {Promise<{uids: Array<Int>, modseq: string|undefined}>}
+     * @private
+     */
+    _searchWithModseq(searchCriteria) {
+        return new Promise((resolve, reject) => {
+            this.connection.imap.search(searchCriteria, (err, uids, modseq) => {
+                if (err) {
+                    reject(err);
+                } else {
+                    resolve({ uids: uids || [], modseq });
+                }
+            });
+        });
+    }
+
+    /**
+     * The IMAP account collects the mail of all inboxes
+     * @protected
+     */
+    _getCatchAllAddresses() {
+        return this.config.imap.user ? [SubAddress.inbox(this.config.imap.user)] : []
+    }
+
     _createMailSummary(message) {
         const headerPart = message.parts[0].body
-        const to = headerPart.to
-            .flatMap(to => addressparser(to))
-            // The address also contains the name, just keep the email
-            .map(addressObj => addressObj.address)
+        const to = this._resolveRecipients(headerPart)
 
         const from = headerPart.from.flatMap(from => addressparser(from))
 
@@ -443,21 +732,16 @@ class ImapService extends EventEmitter {
         }
         const { uid } = message.attributes
 
-        return Mail.create(to, from, date, subject, uid)
+        return Mail.create(to, from, date, subject, uid, this._resolveSubAddresses(headerPart))
     }
 
     async fetchOneFullMail(to, uid, raw = false) {
-        if (!this.connection) {
-            // Here we 'fail fast' instead of waiting for the connection.
-            throw new Error('IMAP connection not ready')
-        }
+        this._assertOnline()
 
         debug(`Fetching full message ${uid}`)
 
-        // For security we also filter TO, so it is harder to just enumerate all messages.
         const searchCriteria = [
-            ['UID', uid],
-            ['TO', to]
+            ['UID', uid]
         ]
         const fetchOptions = {
             bodies: ['HEADER', ''], // Empty string means full body
@@ -465,7 +749,10 @@ class ImapService extends EventEmitter {
         }
 
         const messages = await this.connection.search(searchCriteria, fetchOptions)
-        if (messages.length === 0) {
+        // For security we also check the recipient, so it is harder to just enumerate all messages.
+        // Done here rather than with a TO search, Cc and Bcc recipients are not in that header
+        const headerPart = messages.length > 0 && messages[0].parts.find(part => part.which === 'HEADER')
+        if (!headerPart || !this._resolveRecipients(headerPart.body).includes(SubAddress.inbox(to))) {
             return false
         } else if (!raw) {
             const fullBody = messages[0].parts.find(part => part.which === '')
@@ -494,6 +781,20 @@ class ImapService extends EventEmitter {
     }
 
 
+    async listMailSummaries() {
+        this._assertOnline()
+        const uids = await this._getAllUids()
+        const summaries = []
+        for (let i = 0; i < uids.length; i += this.config.imap.fetchChunkSize) {
+            const mails = await this._getMailHeaders(uids.slice(i, i + this.config.imap.fetchChunkSize))
+            mails
+                .map(mail => this._createMailSummary(mail))
+                .filter(mail => mail.to.length > 0)
+                .forEach(mail => summaries.push(mail))
+        }
+        return summaries
+    }
+
     async _getAllUids() {
         // We ignore mails that are flagged as DELETED, but have not been removed (expunged) yet.
         const uids = await this._searchWithoutFetch([
@@ -509,9 +810,10 @@ class ImapService extends EventEmitter {
             debug(`Fetched headers for ${uids.length} UIDs; server returned ${mails.length} messages`)
             mails.forEach(mail => {
                 this.loadedUids.add(mail.attributes.uid)
-                    // Some broadcast messages have no TO field. We have to ignore those messages.
-                if (mail.parts[0].body.to) {
-                    this.emit(ImapService.EVENT_NEW_MAIL, this._createMailSummary(mail))
+                    // Messages without a recipient in our domains (e.g. broadcasts) have no inbox to go to
+                const summary = this._createMailSummary(mail)
+                if (summary.to.length > 0) {
+                    this.emit(ImapService.EVENT_NEW_MAIL, summary)
                 }
             })
         } catch (error) {
@@ -523,7 +825,7 @@ class ImapService extends EventEmitter {
     async _getMailHeaders(uids) {
         const fetchOptions = {
             envelope: true,
-            bodies: ['HEADER.FIELDS (FROM TO SUBJECT DATE)'],
+            bodies: ['HEADER.FIELDS (FROM TO CC SUBJECT DATE DELIVERED-TO X-ORIGINAL-TO ENVELOPE-TO)'],
             struct: false
         }
         const searchCriteria = [
@@ -536,6 +838,11 @@ class ImapService extends EventEmitter {
      * Get the largest UID from all messages in the mailbox.
      */
     async getLargestUid() {
+        // UIDNEXT also counts mails that were deleted in the meantime
+        if (this.syncState && this.syncState.uidNext) {
+            return this.syncState.uidNext - 1
+        }
+        this._assertOnline();
         const uids = await this._getAllUids();
         return uids.length > 0 ? Math.max(...uids) : null;
     }
@@ -543,10 +850,4 @@ class ImapService extends EventEmitter {
 }
 
 
-// Consumers should use these constants:
-ImapService.EVENT_NEW_MAIL = 'mail'
-ImapService.EVENT_DELETED_MAIL = 'mailDeleted'
-ImapService.EVENT_INITIAL_LOAD_DONE = 'initial load done'
-ImapService.EVENT_ERROR = 'error'
-
 module.exports = ImapService
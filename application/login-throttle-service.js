@@ -0,0 +1,157 @@
+const debug = require('debug')('48hr-email:login-throttle-service')
+
+// Failures allowed before the backoff starts, and before a lockout
+const POLICIES = {
+    user: { freeAttempts: 3, lockoutAfter: 10 },
+    ip: { freeAttempts: 10, lockoutAfter: 30 }
+}
+const BASE_DELAY_MS = 1000
+const MAX_DELAY_MS = 60 * 1000
+const LOCKOUT_MS = 15 * 60 * 1000
+// Failures in a row are forgotten after this long without one
+const RESET_AFTER_MS = 60 * 60 * 1000
+// Failed logins shown on the account page
+const HISTORY_MS = 30 * 24 * 60 * 60 * 1000
+const RECENT_FAILURES = 10
+
+/**
+ * Login Throttle Service - brute-force protection for logins
+ * Tracks failures per username and per IP; after a few, every failure doubles the wait
+ * before the next attempt, until the username or IP is locked out for a while
+ */
+class LoginThrottleService {
+    constructor(loginAttemptRepository) {
+        this.loginAttemptRepository = loginAttemptRepository
+        // Last attempt in progress per throttle key, see serialize()
+        this.pending = new Map()
+
+        // Drop old failures and throttles every hour
+        this.cleanupInterval = setInterval(() => {
+            this.cleanup()
+        }, 60 * 60 * 1000)
+    }
+
+    /**
+     * Check if a login attempt may be made now
+     * @param {string} username - As entered
+     * @param {string} [ip]
+     * @returns {{allowed: boolean, retryAfter?: number}} - retryAfter in seconds
+     */
+    check(username, ip, now = Date.now()) {
+        let lockedUntil = 0
+        for (const [, key] of this._keys(username, ip)) {
+            const throttle = this.loginAttemptRepository.getThrottle(key)
+            if (throttle && throttle.lockedUntil > lockedUntil) {
+                lockedUntil = throttle.lockedUntil
+            }
+        }
+
+        if (lockedUntil > now) {
+            debug(`Login attempt for ${username} from ${ip} throttled until ${new Date(lockedUntil).toISOString()}`)
+            return { allowed: false, retryAfter: Math.ceil((lockedUntil - now) / 1000) }
+        }
+        return { allowed: true }
+    }
+
+    /**
+     * Run login attempts for the same username or IP one after another, each one checks
+     * the throttle only after the failure of the one before was recorded
+     * @param {string} username - As entered
+     * @param {string} [ip]
+     * @param {Function} attempt - Checks the throttle and the password, returns a promise
+     * @returns {Promise<*>} - Result of the attempt
+     */
+    async serialize(username, ip, attempt) {
+        const keys = this._keys(username, ip).map(([, key]) => key)
+        const previous = keys.map(key => this.pending.get(key)).filter(Boolean)
+        const result = Promise.allSettled(previous).then(attempt)
+        const done = result.catch(() => {})
+        keys.forEach(key => this.pending.set(key, done))
+
+        try {
+            return await result
+        } finally {
+            keys.filter(key => this.pending.get(key) === done).forEach(key => this.pending.delete(key))
+        }
+    }
+
+    /**
+     * @param {string} username - As entered
+     * @param {string} [ip]
+     * @param {number|null} [userId] - Shows the failure to the user, null for unknown users
+     */
+    recordFailure(username, ip, userId = null, now = Date.now()) {
+        this.loginAttemptRepository.recordFailure(this._normalize(username), userId, ip || null, now)
+
+        for (const [kind, key] of this._keys(username, ip)) {
+            const throttle = this.loginAttemptRepository.getThrottle(key)
+            const failures = throttle && now - throttle.lastFailureAt < RESET_AFTER_MS ? throttle.failures + 1 : 1
+            const delay = LoginThrottleService.delayFor(kind, failures)
+            this.loginAttemptRepository.saveThrottle(key, failures, now + delay, now)
+
+            if (failures === POLICIES[kind].lockoutAfter) {
+                debug(`Locked out ${key} for ${LOCKOUT_MS / 60000} minutes after ${failures} failed logins`)
+            }
+        }
+    }
+
+    /**
+     * A successful login clears the username, the IP keeps its failures until they expire
+     * Otherwise an attacker could reset their IP with a login of their own
+     * @param {string} username
+     */
+    recordSuccess(username) {
+        this.loginAttemptRepository.clearThrottle(`user:${this._normalize(username)}`)
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Array<{ip: string|null, attemptedAt: number, attemptedAgo: string}>} - Newest first
+     */
+    getRecentFailures(userId) {
+        return this.loginAttemptRepository.getFailures(userId, Date.now() - HISTORY_MS, RECENT_FAILURES)
+    }
+
+    cleanup() {
+        const now = Date.now()
+        try {
+            this.loginAttemptRepository.cleanup(now - HISTORY_MS, now - RESET_AFTER_MS)
+        } catch (error) {
+            debug(`Cleanup failed: ${error.message}`)
+        }
+    }
+
+    /**
+     * Wait before the next attempt after a number of failures in a row
+     * @param {string} kind - 'user' or 'ip'
+     * @param {number} failures
+     * @returns {number} - Milliseconds
+     */
+    static delayFor(kind, failures) {
+        const policy = POLICIES[kind]
+        if (failures >= policy.lockoutAfter) {
+            return LOCKOUT_MS
+        }
+        if (failures <= policy.freeAttempts) {
+            return 0
+        }
+        return Math.min(BASE_DELAY_MS * 2 ** (failures - policy.freeAttempts - 1), MAX_DELAY_MS)
+    }
+
+    _keys(username, ip) {
+        const keys = [
+            ['user', `user:${this._normalize(username)}`]
+        ]
+        if (ip) {
+            keys.push(['ip', `ip:${ip}`])
+        }
+        return keys
+    }
+
+    // Usernames are case-insensitive, unknown ones can be anything
+    _normalize(username) {
+        return String(username).trim().toLowerCase().slice(0, 100)
+    }
+}
+
+module.exports = LoginThrottleService
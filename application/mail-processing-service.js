@@ -1,13 +1,14 @@
 const EventEmitter = require('events')
 const debug = require('debug')('48hr-email:imap-processor')
-const ImapService = require('./imap-service')
+const MailSource = require('./mail-source')
+const SubAddress = require('../domain/sub-address')
 const Helper = require('./helper-service')
 const config = require('./config-service')
 const helper = new(Helper)
 
 
 class MailProcessingService extends EventEmitter {
-    constructor(mailRepository, imapService, clientNotification, config, smtpService = null, verificationStore = null, statisticsStore = null) {
+    constructor(mailRepository, imapService, clientNotification, config, smtpService = null, verificationStore = null, statisticsStore = null, messageStore = null, webhookService = null) {
         super()
         this.mailRepository = mailRepository
         this.clientNotification = clientNotification
@@ -16,21 +17,29 @@ class MailProcessingService extends EventEmitter {
         this.smtpService = smtpService
         this.verificationStore = verificationStore
         this.statisticsStore = statisticsStore
+        this.messageStore = messageStore
+        this.webhookService = webhookService
         this.helper = new(Helper)
 
         // Cached methods:
         this._initCache()
 
         this.initialLoadDone = false
+        this.uidsSeenDuringLoad = new Set()
+
+        // Serve inboxes from the local store while the mail source is still loading
+        if (this.messageStore) {
+            this._loadStoredMessages()
+        }
 
         // Delete old messages now and every few hours
-        this.imapService.once(ImapService.EVENT_INITIAL_LOAD_DONE, () =>
+        this.imapService.once(MailSource.EVENT_INITIAL_LOAD_DONE, () =>
             this._deleteOldMails()
         )
 
         setInterval(() => {
             this._deleteOldMails()
-        }, this.config.imap.refreshIntervalSeconds * 1000)
+        }, this.config.cleanupIntervalSeconds * 1000)
 
         // Periodically ground largestUid to IMAP state every 5 minutes
         setInterval(async() => {
@@ -52,6 +61,7 @@ class MailProcessingService extends EventEmitter {
     _initCache() {
         // Create a cache storage to track entries by UID
         this.cacheStorage = new Map() // Map of "address:uid:raw" -> cached result
+        this.searchTextCache = new Map() // Map of uid -> lowercased body text and attachment names
 
         // Wrapper that maintains our own cache with selective deletion
         this.cachedFetchFullMail = async(address, uid, raw) => {
@@ -68,7 +78,7 @@ class MailProcessingService extends EventEmitter {
             }
 
             // Fetch and cache
-            const result = await this.imapService.fetchOneFullMail(address, uid, raw)
+            const result = await this._fetchFullMail(address, uid, raw)
             this.cacheStorage.set(cacheKey, {
                 value: result,
                 timestamp: Date.now(),
@@ -84,6 +94,43 @@ class MailProcessingService extends EventEmitter {
         }
     }
 
+    /**
+     * Fetch a full mail, from the local store if we already have its source
+     * @param {string} address
+     * @param {number} uid
+     * @param {boolean} raw
+     * @returns {Promise<Object|string|false>}
+     * @private
+     */
+    async _fetchFullMail(address, uid, raw) {
+        if (!this.messageStore) {
+            return this.imapService.fetchOneFullMail(address, uid, raw)
+        }
+
+        let source = this.messageStore.getRaw(uid)
+        if (source) {
+            debug(`Serving UID ${uid} from message store`)
+        } else {
+            source = await this.imapService.fetchOneFullMail(address, uid, true)
+            if (!source) {
+                return source
+            }
+            this.messageStore.saveRaw(uid, source)
+        }
+
+        return raw ? source.toString() : MailSource.parseFullMail(source, address)
+    }
+
+    _loadStoredMessages() {
+        try {
+            const mails = this.messageStore.getAllSummaries()
+            mails.forEach(mail => mail.to.forEach(to => this.mailRepository.add(to, mail)))
+            debug(`Loaded ${mails.length} mails from message store`)
+        } catch (error) {
+            debug('Failed to load stored mails:', error.message)
+        }
+    }
+
     _clearCache() {
         // Clear entire cache
         debug('Clearing entire email cache')
@@ -103,6 +150,7 @@ class MailProcessingService extends EventEmitter {
                 cleared++
             }
         }
+        this.searchTextCache.delete(normalizedUid)
 
         if (cleared > 0) {
             debug(`Cleared ${cleared} cache entries for UID ${uid}`)
@@ -116,18 +164,103 @@ class MailProcessingService extends EventEmitter {
         return this.mailRepository.getForRecipient(address)
     }
 
+    /**
+     * Filter, sort and page the mails of an inbox
+     * @param {string} address
+     * @param {MailQuery} query
+     * @returns {Promise<{mails: Array<Object>, total: number, matched: number, offset: number, limit: number|null, nextCursor: string|null, tags: Array<string>}>}
+     *          total counts every mail of the inbox, matched those left after filtering.
+     *          Mails come with the tags they were delivered to this inbox with, tags lists those of all its mails
+     */
+    async queryMailSummaries(address, query) {
+        const inbox = SubAddress.inbox(address)
+        const all = this.getMailSummaries(inbox)
+        let mails = query.filter(all, inbox)
+        if (query.q) {
+            mails = await this._searchMails(inbox, mails, query.q)
+        }
+        const page = query.page(mails)
+        return {
+            ...page,
+            mails: page.mails.map(mail => ({ ...mail, tags: SubAddress.tagsOf(mail, inbox) })),
+            total: all.length,
+            tags: [...new Set(all.flatMap(mail => SubAddress.tagsOf(mail, inbox)))].sort()
+        }
+    }
+
+    /**
+     * Mails matching every word of the query in subject, sender, body text or attachment names.
+     * Bodies are fetched once per mail (from the message store where possible) and their text is kept.
+     * @param {string} address
+     * @param {Array<Mail>} mails - Mails of that inbox to search
+     * @param {string} query
+     * @returns {Promise<Array<Mail>>}
+     * @private
+     */
+    async _searchMails(address, mails, query) {
+        const terms = String(query).toLowerCase().split(/\s+/).filter(Boolean)
+        if (terms.length === 0) {
+            return mails
+        }
+
+        const matches = []
+        const SEARCH_CONCURRENCY = 5
+        for (let i = 0; i < mails.length; i += SEARCH_CONCURRENCY) {
+            const batch = mails.slice(i, i + SEARCH_CONCURRENCY)
+            const texts = await Promise.all(batch.map(mail => this._getSearchText(address, mail)))
+            batch.forEach((mail, index) => {
+                if (terms.every(term => texts[index].includes(term))) {
+                    matches.push(mail)
+                }
+            })
+        }
+        debug(`Search for "${query}" in ${address}: ${matches.length} of ${mails.length} mails match`)
+        return matches
+    }
+
+    /**
+     * Lowercased searchable text of a mail. Falls back to the summary alone if the body can't be fetched.
+     * @private
+     */
+    async _getSearchText(address, mail) {
+        const from = (mail.from || []).map(sender => `${sender.name || ''} ${sender.address || ''}`).join(' ')
+        const headerText = `${mail.subject || ''} ${from}`.toLowerCase()
+
+        const uid = parseInt(mail.uid)
+        if (!this.searchTextCache.has(uid)) {
+            try {
+                const fullMail = await this._fetchFullMail(address, uid, false)
+                if (!fullMail) {
+                    return headerText
+                }
+                const attachmentNames = (fullMail.attachments || []).map(att => att.filename || '').join(' ')
+                this.searchTextCache.set(uid, `${fullMail.text || ''} ${attachmentNames}`.toLowerCase())
+            } catch (error) {
+                debug(`Could not fetch UID ${uid} for search:`, error.message)
+                return headerText
+            }
+        }
+        return `${headerText} ${this.searchTextCache.get(uid)}`
+    }
+
     deleteSpecificEmail(adress, uid) {
         if (this.mailRepository.removeUid(uid, adress) == true) {
             // Clear cache immediately for this UID
             debug('Clearing cache for uid', uid)
             this._clearCacheForUid(uid)
+            if (this.messageStore) {
+                this.messageStore.remove(uid)
+            }
+            // The mail source may be offline, the purge removes it from there later
             this.imapService.deleteSpecificEmail(uid)
+                .catch(error => debug(`Failed to delete UID ${uid} from mail source:`, error.message))
         } else {
             debug('Repository removeUid returned false for', uid)
         }
     }
 
     getOneFullMail(address, uid, raw = false) {
+        address = SubAddress.inbox(address)
         debug('Cache lookup for', address + ':' + uid, raw ? '(raw)' : '(parsed)')
 
         // Check if this UID exists in repository before fetching
@@ -155,6 +288,14 @@ class MailProcessingService extends EventEmitter {
 
     onInitialLoadDone() {
         this.initialLoadDone = true
+
+        // Drop stored mails that were deleted from the source while we were offline
+        if (this.messageStore) {
+            const removed = this.messageStore.removeAllExcept(this.uidsSeenDuringLoad)
+            removed.forEach(uid => this.mailRepository.removeUid(uid))
+        }
+        this.uidsSeenDuringLoad.clear()
+
         debug('Initial load completed, total mails:', this.mailRepository.mailCount())
 
         // Don't print old-style logs here, app.js will handle the startup banner
@@ -172,10 +313,23 @@ class MailProcessingService extends EventEmitter {
             if (isBlacklisted) {
                 debug(`Blacklisted sender detected: ${senderAddress}, deleting UID ${mail.uid}`)
                 this.imapService.deleteSpecificEmail(mail.uid)
+                    .catch(error => debug(`Failed to delete UID ${mail.uid}:`, error.message))
                 return
             }
         }
 
+        if (!this.initialLoadDone) {
+            this.uidsSeenDuringLoad.add(mail.uid)
+        }
+
+        if (this.messageStore) {
+            try {
+                this.messageStore.saveSummary(mail)
+            } catch (error) {
+                debug('Failed to store mail summary:', error.message)
+            }
+        }
+
         if (this.initialLoadDone) {
             // For now, only log messages if they arrive after the initial load
             debug('New mail for', mail.to[0])
@@ -189,11 +343,20 @@ class MailProcessingService extends EventEmitter {
         }
 
         mail.to.forEach(to => {
+            // Already loaded from the message store
+            if (this.mailRepository.has(to, mail.uid)) {
+                return
+            }
             debug('Adding mail to repository for recipient:', to)
             this.mailRepository.add(to, mail)
             debug('Emitting notification for:', to)
             const emitResult = this.clientNotification.emit(to)
             debug('clientNotification.emit result:', emitResult)
+
+            // Only for mail arriving while we run, not for everything the initial load finds
+            if (this.webhookService && this.initialLoadDone) {
+                this.webhookService.notifyNewMail(to, mail)
+            }
             return emitResult
         })
     }
@@ -213,6 +376,10 @@ class MailProcessingService extends EventEmitter {
             debug('Failed to clear email cache:', err.message)
         }
 
+        if (this.messageStore) {
+            this.messageStore.remove(uid)
+        }
+
         // Find which addresses have this UID before removing it
         const affectedAddresses = []
         this.mailRepository.mailSummaries.forEachAssociation((mails, address) => {
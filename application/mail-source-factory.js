@@ -0,0 +1,35 @@
+const debug = require('debug')('48hr-email:mail-source')
+const ImapService = require('./imap-service')
+const SmtpReceiverService = require('./smtp-receiver-service')
+const MaildirService = require('./maildir-service')
+const MockMailService = require('./mocks/mock-mail-service')
+
+/**
+ * Create the inbound mail source selected by MAIL_SOURCE (mock in UX debug mode)
+ * @param {Object} config - Application config
+ * @param {Object} inboxLock - InboxLock, used to keep locked inboxes out of the purge
+ * @param {Object} messageStore - MessageStore, lets IMAP resume its sync after a restart
+ * @returns {MailSource}
+ */
+function createMailSource(config, inboxLock = null, messageStore = null) {
+    if (config.uxDebugMode) {
+        debug('Mock Mail Service initialized (UX Debug Mode)')
+        return new MockMailService(config)
+    }
+
+    switch (config.mailSource) {
+        case 'smtp':
+            debug('SMTP receiver service initialized')
+            return new SmtpReceiverService(config, inboxLock)
+        case 'maildir':
+            debug(`Maildir service initialized (${config.maildir.path})`)
+            return new MaildirService(config, inboxLock)
+        case 'imap':
+            debug('IMAP service initialized')
+            return new ImapService(config, inboxLock, messageStore)
+        default:
+            throw new Error(`Unknown mail source: ${config.mailSource}`)
+    }
+}
+
+module.exports = { createMailSource }
@@ -0,0 +1,232 @@
+const EventEmitter = require('events')
+const { simpleParser } = require('mailparser')
+const addressparser = require('nodemailer/lib/addressparser')
+const Mail = require('../domain/mail')
+const SubAddress = require('../domain/sub-address')
+const EmailAddress = require('../domain/email-address')
+
+// Recipients recorded by the receiving server, the only place Bcc recipients show up
+const ENVELOPE_HEADERS = ['x-original-to', 'envelope-to', 'delivered-to']
+const RECIPIENT_HEADERS = ['to', 'cc']
+
+// Header values by lowercase name, the shape IMAP header fetches come in
+function headersFromLines(headerLines) {
+    const headers = {}
+    for (const { key, line } of headerLines || []) {
+        headers[key] = (headers[key] || []).concat(line.slice(line.indexOf(':') + 1))
+    }
+    return headers
+}
+
+/**
+ * MailSource - Contract for every inbound mail backend (IMAP, SMTP receiver, Maildir, mock)
+ *
+ * A source owns the messages and announces them through events, MailProcessingService only ever
+ * talks to this interface. Subclasses must implement every method that throws here.
+ *
+ * Events:
+ * - EVENT_NEW_MAIL (Mail)          a message was found, emitted once per message and start
+ * - EVENT_DELETED_MAIL (uid)       a message is gone from the source
+ * - EVENT_INITIAL_LOAD_DONE ()     all messages present at startup have been emitted
+ * - EVENT_ERROR (Error)            the source can not continue
+ */
+class MailSource extends EventEmitter {
+    /**
+     * Connect to the backend and emit all existing messages as EVENT_NEW_MAIL,
+     * followed by EVENT_INITIAL_LOAD_DONE.
+     * @returns {Promise<void>}
+     */
+    async connectAndLoadMessages() {
+        throw new Error(`${this.constructor.name} does not implement connectAndLoadMessages()`)
+    }
+
+    /**
+     * List the summaries of all messages currently held by the source.
+     * @returns {Promise<Array<Mail>>}
+     */
+    async listMailSummaries() {
+        throw new Error(`${this.constructor.name} does not implement listMailSummaries()`)
+    }
+
+    /**
+     * Fetch a single message. Implementations must only return it if `to` is one of its recipients.
+     * @param {string} to - Recipient address the message is requested for
+     * @param {number} uid - Message UID
+     * @param {boolean} raw - Return the raw source instead of the parsed mail
+     * @returns {Promise<Object|string|false>} Parsed mail (mailparser), raw source, or false if not found
+     */
+    async fetchOneFullMail(_to, _uid, _raw = false) {
+        throw new Error(`${this.constructor.name} does not implement fetchOneFullMail()`)
+    }
+
+    /**
+     * Delete a single message and emit EVENT_DELETED_MAIL. Example UIDs must be kept.
+     * @param {number} uid
+     * @returns {Promise<void>}
+     */
+    async deleteSpecificEmail(_uid) {
+        throw new Error(`${this.constructor.name} does not implement deleteSpecificEmail()`)
+    }
+
+    /**
+     * Delete all messages older than the purge time, except example UIDs and locked inboxes.
+     * @param {Date} deleteMailsBefore
+     * @returns {Promise<void>}
+     */
+    async deleteOldMails(_deleteMailsBefore) {
+        throw new Error(`${this.constructor.name} does not implement deleteOldMails()`)
+    }
+
+    /**
+     * Largest UID ever handed out, used for the all-time total.
+     * @returns {Promise<number|null>}
+     */
+    async getLargestUid() {
+        throw new Error(`${this.constructor.name} does not implement getLargestUid()`)
+    }
+
+    /**
+     * Seconds until the source looks for new mail again.
+     * @returns {number|null} null if the source does not poll (mail is pushed or watched)
+     */
+    getSecondsUntilNextRefresh() {
+        return null
+    }
+
+    /**
+     * Whether the backend is reachable. While offline, stored mails are still served.
+     * @returns {boolean}
+     */
+    isOnline() {
+        return true
+    }
+
+    /**
+     * @returns {Date|null} When the backend became unreachable, null while online
+     */
+    getOfflineSince() {
+        return null
+    }
+
+    /**
+     * Build a summary from a message parsed by mailparser, see _resolveRecipients() for `to`.
+     * @param {Object} parsed - simpleParser result
+     * @param {number} uid
+     * @returns {Mail}
+     * @protected
+     */
+    _createMailSummaryFromParsed(parsed, uid) {
+        const headers = headersFromLines(parsed.headerLines)
+        const from = parsed.from ? parsed.from.value : []
+        const subject = parsed.subject || "No Subject"
+        const date = parsed.date && !isNaN(parsed.date.getTime()) ? parsed.date : new Date()
+
+        return Mail.create(this._resolveRecipients(headers), from, date, subject, uid, this._resolveSubAddresses(headers))
+    }
+
+    /**
+     * Inboxes a message was delivered to, name+tag@domain counts as name@domain with sub-addressing.
+     * @param {Object<string, Array<string>>} headers - Header values by lowercase name
+     * @returns {Array<string>} Canonical addresses, without duplicates
+     * @protected
+     */
+    _resolveRecipients(headers) {
+        return [...new Set(this._deliveredTo(headers).map(address => SubAddress.inbox(address)))]
+    }
+
+    /**
+     * Recipients with a tag, kept on the summary so inboxes can be filtered by it
+     * @param {Object<string, Array<string>>} headers - Header values by lowercase name
+     * @returns {Array<string>}
+     * @protected
+     */
+    _resolveSubAddresses(headers) {
+        return this._deliveredTo(headers).filter(address => SubAddress.parse(address).tag)
+    }
+
+    /**
+     * Addresses a message was delivered to, only those of the configured domains.
+     * The envelope recipients (X-Original-To, Envelope-To, Delivered-To) win over To and Cc:
+     * they include Bcc recipients, and when the server delivers a copy per recipient each copy
+     * only lands in its own inbox. Without them, every To and Cc recipient gets the message.
+     * @param {Object<string, Array<string>>} headers - Header values by lowercase name
+     * @returns {Array<string>} Canonical addresses, without duplicates
+     * @private
+     */
+    _deliveredTo(headers) {
+        const domains = this.config.email.domains
+        const catchAll = this._getCatchAllAddresses()
+        const addressesIn = names => [...new Set(names
+            .flatMap(name => headers[name] || [])
+            .flatMap(value => addressparser(String(value), { flatten: true }))
+            .map(addressObj => EmailAddress.normalize(addressObj.address))
+            .filter(address => address && EmailAddress.hasDomain(address, domains) && !catchAll.includes(SubAddress.inbox(address))))]
+
+        const envelope = addressesIn(ENVELOPE_HEADERS)
+        return envelope.length > 0 ? envelope : addressesIn(RECIPIENT_HEADERS)
+    }
+
+    /**
+     * Addresses of the account all mail is delivered to. It is on every message,
+     * so it never counts as a recipient (it would be an inbox with everyone's mail).
+     * @returns {Array<string>} Canonical addresses
+     * @protected
+     */
+    _getCatchAllAddresses() {
+        return []
+    }
+
+    /**
+     * Parse a raw message for display, falling back to showing the source if it is malformed.
+     * @param {Buffer|string} source
+     * @param {string} to - Recipient, used for the fallback
+     * @returns {Promise<Object>}
+     */
+    static async parseFullMail(source, to) {
+        try {
+            return await simpleParser(source)
+        } catch (parseError) {
+            return {
+                subject: 'Unable to parse email',
+                text: source.toString(),
+                html: `<pre>${source.toString()}</pre>`,
+                from: { text: 'Unknown' },
+                to: { text: to },
+                date: new Date()
+            }
+        }
+    }
+
+    /**
+     * Addresses of locked inboxes, which are excluded from purging.
+     * @returns {Array<string>}
+     * @protected
+     */
+    _getLockedAddresses() {
+        if (!this.inboxLock || typeof this.inboxLock.getAllLocked !== 'function') {
+            return []
+        }
+        return this.inboxLock.getAllLocked().map(addr => addr.toLowerCase())
+    }
+
+    /**
+     * Example UIDs, which are never deleted.
+     * @returns {Array<number>}
+     * @protected
+     */
+    _getExampleUids() {
+        return this.config.email.examples && this.config.email.examples.uids ?
+            this.config.email.examples.uids.map(x => parseInt(x)) : []
+    }
+}
+
+// Consumers should use these constants:
+MailSource.EVENT_NEW_MAIL = 'mail'
+MailSource.EVENT_DELETED_MAIL = 'mailDeleted'
+MailSource.EVENT_INITIAL_LOAD_DONE = 'initial load done'
+MailSource.EVENT_ERROR = 'error'
+
+// Headers only the receiving server may write, see SmtpReceiverService.stripEnvelopeHeaders()
+MailSource.ENVELOPE_HEADERS = ENVELOPE_HEADERS
+
+module.exports = MailSource
@@ -0,0 +1,295 @@
+const fs = require('fs')
+const path = require('path')
+const { simpleParser } = require('mailparser')
+const debug = require('debug')('48hr-email:maildir')
+const SubAddress = require('../domain/sub-address')
+const MailSource = require('./mail-source')
+const Helper = require('./helper-service')
+const helper = new(Helper)
+
+/**
+ * Reads mail from a local Maildir (`new/` + `cur/`) or a plain directory of `.eml` files,
+ * e.g. one that Postfix, Dovecot or fetchmail delivers into.
+ *
+ * File names are mapped to UIDs in a small JSON state file, so a message keeps its UID across
+ * restarts and when the MDA moves it from `new/` to `cur/`. The directory is watched for changes
+ * and rescanned periodically, since fs.watch is not reliable on every filesystem.
+ */
+class MaildirService extends MailSource {
+    constructor(config, inboxLock = null) {
+        super()
+        if (!config || !config.maildir || !config.maildir.path) {
+            throw new Error("MaildirService requires a valid config with 'maildir.path'");
+        }
+        this.config = config
+        this.inboxLock = inboxLock
+        this.rootPath = path.resolve(config.maildir.path)
+        this.statePath = path.resolve(config.maildir.statePath)
+        this.messages = new Map() // uid -> {mail, file, key, receivedAt}
+        this.uidsByKey = new Map() // file key -> uid, persisted
+        this.nextUid = 1
+        this.watchers = []
+        this.scanTimer = null
+        this.scanInProgress = false
+        this.rescanRequested = false
+        this.initialLoadDone = false
+    }
+
+    async connectAndLoadMessages() {
+        if (!fs.existsSync(this.rootPath)) {
+            throw new Error(`Maildir not found: ${this.rootPath}`)
+        }
+
+        this._loadState()
+        await this._scan()
+
+        this.initialLoadDone = true
+        this.emit(MaildirService.EVENT_INITIAL_LOAD_DONE)
+        debug('Emitted initial load done')
+
+        this._watch()
+        this.scanTimer = setInterval(() => this._scan(), this.config.maildir.scanIntervalSeconds * 1000)
+    }
+
+    _isMaildir() {
+        return fs.existsSync(path.join(this.rootPath, 'new')) && fs.existsSync(path.join(this.rootPath, 'cur'))
+    }
+
+    /**
+     * List message files. In a Maildir the part before `:2,` identifies the message,
+     * the flags after it change when the message is read or moved.
+     * @returns {Array<{key: string, file: string}>}
+     * @private
+     */
+    _listFiles() {
+        if (!this._isMaildir()) {
+            return fs.readdirSync(this.rootPath)
+                .filter(name => name.toLowerCase().endsWith('.eml'))
+                .map(name => ({ key: name, file: path.join(this.rootPath, name) }))
+        }
+
+        return ['new', 'cur'].flatMap(dir => fs.readdirSync(path.join(this.rootPath, dir))
+            .filter(name => !name.startsWith('.'))
+            .map(name => ({ key: name.split(':')[0], file: path.join(this.rootPath, dir, name) })))
+    }
+
+    /**
+     * Compare the directory with what we know: announce new files, forget removed ones.
+     * @private
+     */
+    async _scan() {
+        if (this.scanInProgress) {
+            this.rescanRequested = true
+            return
+        }
+        this.scanInProgress = true
+
+        try {
+            const files = this._listFiles()
+            const seenKeys = new Set()
+            let stateChanged = false
+
+            for (const { key, file } of files) {
+                seenKeys.add(key)
+                let uid = this.uidsByKey.get(key)
+
+                if (uid && this.messages.has(uid)) {
+                    // Known message, it may have been moved from new/ to cur/
+                    this.messages.get(uid).file = file
+                    continue
+                }
+
+                try {
+                    const source = await fs.promises.readFile(file)
+                    const receivedAt = (await fs.promises.stat(file)).mtime
+                    const parsed = await simpleParser(source)
+
+                    if (!uid) {
+                        uid = this.nextUid++
+                        this.uidsByKey.set(key, uid)
+                        stateChanged = true
+                    }
+                    this._registerAndEmit(uid, key, file, parsed, receivedAt)
+                } catch (error) {
+                    // The MDA may still be writing, or the file vanished in between. Retry on the next scan.
+                    debug(`Failed to load ${file}: ${error.message}`)
+                    seenKeys.delete(key)
+                }
+            }
+
+            for (const [uid, message] of this.messages) {
+                if (!seenKeys.has(message.key)) {
+                    debug(`Message ${uid} was removed from the maildir`)
+                    this.messages.delete(uid)
+                    this.uidsByKey.delete(message.key)
+                    stateChanged = true
+                    this.emit(MaildirService.EVENT_DELETED_MAIL, uid)
+                }
+            }
+
+            // Files removed while we were not running
+            const fileKeys = new Set(files.map(f => f.key))
+            for (const key of this.uidsByKey.keys()) {
+                if (!fileKeys.has(key)) {
+                    this.uidsByKey.delete(key)
+                    stateChanged = true
+                }
+            }
+
+            if (stateChanged) {
+                this._saveState()
+            }
+        } catch (error) {
+            debug('Maildir scan failed:', error.message)
+        } finally {
+            this.scanInProgress = false
+        }
+
+        if (this.rescanRequested) {
+            this.rescanRequested = false
+            await this._scan()
+        }
+    }
+
+    _registerAndEmit(uid, key, file, parsed, receivedAt) {
+        const mail = this._createMailSummaryFromParsed(parsed, uid)
+        this.messages.set(uid, { mail, file, key, receivedAt })
+
+        // Same rule as IMAP: without a recipient there is no inbox to show it in.
+        if (mail.to.length > 0) {
+            this.emit(MaildirService.EVENT_NEW_MAIL, mail)
+        }
+    }
+
+    _watch() {
+        const dirs = this._isMaildir() ? ['new', 'cur'].map(dir => path.join(this.rootPath, dir)) : [this.rootPath]
+        let debounce = null
+
+        for (const dir of dirs) {
+            try {
+                const watcher = fs.watch(dir, () => {
+                    clearTimeout(debounce)
+                    debounce = setTimeout(() => this._scan(), 500)
+                })
+                watcher.on('error', err => debug(`Watcher for ${dir} failed: ${err.message}`))
+                this.watchers.push(watcher)
+            } catch (error) {
+                debug(`Cannot watch ${dir}, relying on periodic rescans: ${error.message}`)
+            }
+        }
+    }
+
+    /**
+     *
+     * @param {Date} deleteMailsBefore delete mails received before this date instance
+     */
+    async deleteOldMails(deleteMailsBefore) {
+        const cutoff = deleteMailsBefore || helper.purgeTimeStamp()
+
+        let lockedAddresses = []
+        try {
+            lockedAddresses = this._getLockedAddresses()
+        } catch (err) {
+            debug('Could not get locked inboxes for purge:', err.message)
+        }
+        const exampleUids = this._getExampleUids()
+
+        const toDelete = [...this.messages.entries()]
+            .filter(([uid]) => !exampleUids.includes(uid))
+            .filter(([, message]) => !message.mail.to.some(addr => lockedAddresses.includes(addr.toLowerCase())))
+            .filter(([, message]) => message.receivedAt.getTime() <= cutoff.getTime())
+            .map(([uid]) => uid)
+
+        if (toDelete.length === 0) {
+            debug('No mails to delete. (after locked inbox exclusion)')
+            return
+        }
+
+        debug(`Deleting mails ${toDelete}`)
+        for (const uid of toDelete) {
+            await this._deleteMessage(uid)
+        }
+        this._saveState()
+    }
+
+    /**
+     *
+     * @param uid delete specific mail per UID
+     */
+    async deleteSpecificEmail(uid) {
+        if (!this.config.email.examples.uids.includes(parseInt(uid))) {
+            await this._deleteMessage(parseInt(uid))
+            this._saveState()
+            debug(`Deleted UID ${uid}`)
+        }
+    }
+
+    async _deleteMessage(uid) {
+        const message = this.messages.get(uid)
+        if (!message) return
+
+        try {
+            await fs.promises.unlink(message.file)
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+        }
+        this.messages.delete(uid)
+        this.uidsByKey.delete(message.key)
+        this.emit(MaildirService.EVENT_DELETED_MAIL, uid)
+    }
+
+    async listMailSummaries() {
+        return [...this.messages.values()].map(message => message.mail)
+    }
+
+    async fetchOneFullMail(to, uid, raw = false) {
+        const message = this.messages.get(parseInt(uid))
+
+        // For security we also filter TO, so it is harder to just enumerate all messages.
+        if (!message || !message.mail.to.includes(SubAddress.inbox(to))) {
+            return false
+        }
+
+        debug(`Fetching full message ${uid}`)
+        let source
+        try {
+            source = await fs.promises.readFile(message.file)
+        } catch (error) {
+            if (error.code === 'ENOENT') return false
+            throw error
+        }
+        if (raw) {
+            return source.toString()
+        }
+
+        return MailSource.parseFullMail(source, to)
+    }
+
+    async getLargestUid() {
+        return this.nextUid > 1 ? this.nextUid - 1 : null
+    }
+
+    _loadState() {
+        try {
+            const state = JSON.parse(fs.readFileSync(this.statePath, 'utf8'))
+            this.nextUid = parseInt(state.nextUid) || 1
+            this.uidsByKey = new Map(Object.entries(state.uids || {}))
+            debug(`Loaded maildir state: ${this.uidsByKey.size} known files, next UID ${this.nextUid}`)
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                debug(`Could not read maildir state, starting fresh: ${error.message}`)
+            }
+        }
+    }
+
+    _saveState() {
+        const state = {
+            nextUid: this.nextUid,
+            uids: Object.fromEntries(this.uidsByKey)
+        }
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true })
+        fs.writeFileSync(this.statePath, JSON.stringify(state))
+    }
+}
+
+module.exports = MaildirService
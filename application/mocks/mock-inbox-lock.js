@@ -4,11 +4,14 @@
  */
 
 const debug = require('debug')('48hr-email:mock-inbox-lock')
+const SubAddress = require('../../domain/sub-address')
+const InboxLock = require('../../domain/inbox-lock')
 
 class MockInboxLock {
     constructor(mockUserRepository) {
         this.mockUserRepository = mockUserRepository
         this.locks = new Map()
+        this.nextId = 1
 
         // Initialize locks from repository
         this._initializeLocks()
@@ -19,9 +22,11 @@ class MockInboxLock {
     _initializeLocks() {
         // Add the mock locked inboxes from the repository
         for (const address of this.mockUserRepository.lockedInboxes) {
-            this.locks.set(address.toLowerCase(), {
+            this.locks.set(SubAddress.inbox(address), {
+                id: this.nextId++,
                 userId: 1,
-                address: address.toLowerCase(),
+                passphrase: '',
+                address: SubAddress.inbox(address),
                 lockedAt: Date.now(),
                 lastAccess: Date.now()
             })
@@ -36,29 +41,31 @@ class MockInboxLock {
     }
 
     isLocked(address) {
-        return this.locks.has(address.toLowerCase())
+        return this.locks.has(SubAddress.inbox(address))
     }
 
     hasAccess(userId, address) {
-        const lock = this.locks.get(address.toLowerCase())
+        const lock = this.locks.get(SubAddress.inbox(address))
         if (!lock) return true // Not locked
         return lock.userId === userId
     }
 
     isLockedByUser(address, userId) {
-        const lock = this.locks.get(address.toLowerCase())
+        const lock = this.locks.get(SubAddress.inbox(address))
         if (!lock) return false
         return lock.userId === userId
     }
 
-    lock(userId, address) {
-        const normalizedAddress = address.toLowerCase()
+    lock(userId, address, passphrase = '') {
+        const normalizedAddress = SubAddress.inbox(address)
         if (this.locks.has(normalizedAddress)) {
             throw new Error('Inbox is already locked')
         }
 
         this.locks.set(normalizedAddress, {
+            id: this.nextId++,
             userId,
+            passphrase,
             address: normalizedAddress,
             lockedAt: Date.now(),
             lastAccess: Date.now()
@@ -69,8 +76,64 @@ class MockInboxLock {
         return true
     }
 
+    // Passphrases are kept in plain text, there is nothing to protect in UX debug mode
+    lockAnonymous(address, passphrase) {
+        const invalid = InboxLock.validatePassphrase(passphrase)
+        if (invalid) {
+            throw new Error(invalid)
+        }
+        this.lock(null, address, passphrase)
+        return this.getLock(address)
+    }
+
+    verifyPassphrase(address, passphrase) {
+        const lock = this.locks.get(SubAddress.inbox(address))
+        if (!lock || !lock.passphrase || lock.passphrase !== passphrase) return null
+        lock.lastAccess = Date.now()
+        return this.getLock(address)
+    }
+
+    getLock(address) {
+        const lock = this.locks.get(SubAddress.inbox(address))
+        if (!lock) return null
+        return {
+            id: lock.id,
+            userId: lock.userId,
+            address: lock.address,
+            anonymous: lock.userId === null,
+            hasPassphrase: Boolean(lock.passphrase),
+            lockedAt: lock.lockedAt,
+            lastAccess: lock.lastAccess,
+            expiresAt: null
+        }
+    }
+
+    getLockOwner(address) {
+        const lock = this.locks.get(SubAddress.inbox(address))
+        return lock ? lock.userId : null
+    }
+
+    isUnlocked(address, unlocked) {
+        const inbox = SubAddress.inbox(address)
+        const lock = this.locks.get(inbox)
+        return Boolean(lock && unlocked && unlocked[inbox] === lock.id)
+    }
+
+    createAccessKey(address) {
+        const lock = this.locks.get(SubAddress.inbox(address))
+        return lock && lock.passphrase ? `mock-key-${lock.id}` : null
+    }
+
+    hasAccessKey(address, key) {
+        return Boolean(key) && this.createAccessKey(address) === key
+    }
+
+    canLockAnonymous() {
+        return true
+    }
+
     release(userId, address) {
-        const normalizedAddress = address.toLowerCase()
+        const normalizedAddress = SubAddress.inbox(address)
         const lock = this.locks.get(normalizedAddress)
 
         if (!lock) {
@@ -88,7 +151,7 @@ class MockInboxLock {
     }
 
     updateAccess(userId, address) {
-        const lock = this.locks.get(address.toLowerCase())
+        const lock = this.locks.get(SubAddress.inbox(address))
         if (lock && lock.userId === userId) {
             lock.lastAccess = Date.now()
         }
@@ -113,6 +176,13 @@ class MockInboxLock {
         return []
     }
 
+    getInactiveAnonymous(hours) {
+        const cutoff = Date.now() - hours * 60 * 60 * 1000
+        return [...this.locks.values()]
+            .filter(lock => lock.userId === null && lock.lastAccess < cutoff)
+            .map(lock => ({ userId: null, address: lock.address }))
+    }
+
     getUserLockCount(userId) {
         let count = 0
         for (const lock of this.locks.values()) {
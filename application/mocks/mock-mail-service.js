@@ -4,7 +4,7 @@
  */
 
 const Mail = require('../../domain/mail')
-const EventEmitter = require('events')
+const MailSource = require('../mail-source')
 const path = require('path')
 const fs = require('fs')
 
@@ -40,7 +40,7 @@ ggOCb56KkepgTvU3Xdv5opRZAg==
 =HEe7
 -----END PGP PUBLIC KEY BLOCK-----`
 
-class MockMailService extends EventEmitter {
+class MockMailService extends MailSource {
     constructor(config) {
         super()
         this.config = config
@@ -293,7 +293,7 @@ Clara's PGP Key is attached to this email.`,
         await new Promise(resolve => setTimeout(resolve, 500))
 
         // Emit initial load event
-        this.emit('initial load done')
+        this.emit(MockMailService.EVENT_INITIAL_LOAD_DONE)
 
         return Promise.resolve()
     }
@@ -302,6 +302,10 @@ Clara's PGP Key is attached to this email.`,
         return this.mockEmails
     }
 
+    async listMailSummaries() {
+        return this.mockEmails.map(e => e.mail)
+    }
+
     async fetchOneFullMail(to, uid, raw = false) {
         const email = this.mockEmails.find(e => e.mail.uid === parseInt(uid))
         if (!email) {
@@ -335,6 +339,10 @@ Clara's PGP Key is attached to this email.`,
         return Promise.resolve()
     }
 
+    deleteSpecificEmail() {
+        return Promise.resolve()
+    }
+
     closeBox() {
         return Promise.resolve()
     }
@@ -356,9 +364,4 @@ Clara's PGP Key is attached to this email.`,
     }
 }
 
-MockMailService.EVENT_INITIAL_LOAD_DONE = 'initial load done'
-MockMailService.EVENT_NEW_MAIL = 'mail'
-MockMailService.EVENT_DELETED_MAIL = 'mailDeleted'
-MockMailService.EVENT_ERROR = 'error'
-
 module.exports = MockMailService
@@ -0,0 +1,104 @@
+const crypto = require('crypto')
+const debug = require('debug')('48hr-email:password-reset-service')
+
+// One reset mail per forwarding address in this time
+const RESET_COOLDOWN_MS = 5 * 60 * 1000
+
+/**
+ * Password Reset Service - "forgot password" links sent to a verified forwarding address
+ * Tokens are kept in their own VerificationStore, so they expire after 15 minutes and work once
+ */
+class PasswordResetService {
+    constructor(userRepository, resetStore, smtpService, authService, config) {
+        this.userRepository = userRepository
+        this.resetStore = resetStore
+        this.smtpService = smtpService
+        this.authService = authService
+        this.config = config
+    }
+
+    /**
+     * Resets need a way to send mail
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.smtpService && this.config.email.features.smtp)
+    }
+
+    /**
+     * Send a reset link if the address is a verified forwarding address of the user
+     * Answers the same whether or not they match, so it can't be used to probe accounts
+     * @param {string} username
+     * @param {string} email - Forwarding address to send the link to
+     * @returns {{success: boolean, error?: string}} - Only fails if resets are unavailable
+     */
+    requestReset(username, email) {
+        if (!this.isAvailable()) {
+            return { success: false, error: 'Password reset is not available' }
+        }
+
+        const user = this.userRepository.getUserByUsername(username)
+        if (!user || !this.userRepository.hasForwardEmail(user.id, email)) {
+            debug(`Password reset requested for unknown user or address: ${username}`)
+            return { success: true }
+        }
+
+        if (!this.resetStore.canRequestVerification(email, RESET_COOLDOWN_MS)) {
+            debug(`Password reset cooldown active for user ${user.id}`)
+            return { success: true }
+        }
+
+        const token = crypto.randomBytes(32).toString('hex')
+        this.resetStore.createVerification(token, email, { userId: user.id })
+
+        // Not awaited, the response time would tell whether a mail was sent
+        const branding = (this.config.http.features.branding || ['48hr.email'])[0]
+        this.smtpService.sendPasswordResetEmail(email, user.username, token, this.config.http.baseUrl, branding)
+            .then(result => {
+                if (!result.success) {
+                    debug(`Password reset mail for user ${user.id} failed: ${result.error}`)
+                }
+            })
+
+        debug(`Password reset link created for user ${user.id}`)
+        return { success: true }
+    }
+
+    /**
+     * Check a reset link without using it up
+     * @param {string} token
+     * @returns {boolean}
+     */
+    isValidToken(token) {
+        return Boolean(token && this.resetStore.getVerification(token))
+    }
+
+    /**
+     * Set a new password with a reset token, the token is used up on success
+     * @param {string} token
+     * @param {string} newPassword
+     * @returns {Promise<{success: boolean, userId?: number, error?: string, code?: string}>} - code is the API error code
+     */
+    async resetPassword(token, newPassword) {
+        // Check the password first, a typo shouldn't cost the link
+        const validation = this.authService.validatePassword(newPassword)
+        if (!validation.valid) {
+            return { success: false, error: validation.error, code: 'WEAK_PASSWORD' }
+        }
+
+        const reset = token ? this.resetStore.verifyToken(token) : null
+        if (!reset) {
+            return { success: false, error: 'Reset link expired or invalid', code: 'INVALID_TOKEN' }
+        }
+
+        const updated = await this.userRepository.updatePassword(reset.metadata.userId, newPassword)
+        if (!updated) {
+            return { success: false, error: 'Reset link expired or invalid', code: 'INVALID_TOKEN' }
+        }
+
+        debug(`Password reset for user ${reset.metadata.userId}`)
+        return { success: true, userId: reset.metadata.userId }
+    }
+}
+
+module.exports = PasswordResetService
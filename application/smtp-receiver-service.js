@@ -0,0 +1,302 @@
+const fs = require('fs')
+const path = require('path')
+const { SMTPServer } = require('smtp-server')
+const { simpleParser } = require('mailparser')
+const debug = require('debug')('48hr-email:smtp-receiver')
+const SubAddress = require('../domain/sub-address')
+const EmailAddress = require('../domain/email-address')
+const MailSource = require('./mail-source')
+const Helper = require('./helper-service')
+const helper = new(Helper)
+
+/**
+ * Receives mail directly over SMTP instead of polling an IMAP catch-all account.
+ *
+ * Accepted messages are stored as `<uid>.eml` files in the storage directory and announced through
+ * the MailSource events, so MailProcessingService works without knowing where mail comes from.
+ * The envelope recipients are prepended as `Delivered-To` headers, so mail sent via Bcc still ends
+ * up in the right inbox after a restart. Envelope headers the sender put in the message are dropped.
+ */
+class SmtpReceiverService extends MailSource {
+    constructor(config, inboxLock = null) {
+        super()
+        if (!config || !config.smtpReceiver) {
+            throw new Error("SmtpReceiverService requires a valid config with 'smtpReceiver' object");
+        }
+        this.config = config
+        this.inboxLock = inboxLock
+        this.storagePath = path.resolve(config.smtpReceiver.storagePath)
+        this.messages = new Map() // uid -> {mail, receivedAt}
+        this.nextUid = 1
+        this.server = null
+        this.initialLoadDone = false
+    }
+
+    async connectAndLoadMessages() {
+        if (!fs.existsSync(this.storagePath)) {
+            fs.mkdirSync(this.storagePath, { recursive: true })
+            debug(`Created mail storage directory: ${this.storagePath}`)
+        }
+
+        await this._loadStoredMessages()
+        await this._startServer()
+
+        this.initialLoadDone = true
+        this.emit(SmtpReceiverService.EVENT_INITIAL_LOAD_DONE)
+        debug('Emitted initial load done')
+    }
+
+    /**
+     * Re-emit every message that is still on disk, oldest first.
+     * @private
+     */
+    async _loadStoredMessages() {
+        const uids = fs.readdirSync(this.storagePath)
+            .filter(file => /^\d+\.eml$/.test(file))
+            .map(file => parseInt(file))
+            .sort((a, b) => a - b)
+
+        debug(`Found ${uids.length} stored messages in ${this.storagePath}`)
+
+        for (const uid of uids) {
+            try {
+                const file = this._filePath(uid)
+                const source = await fs.promises.readFile(file)
+                const receivedAt = (await fs.promises.stat(file)).mtime
+                this._registerAndEmit(uid, await simpleParser(source), receivedAt)
+            } catch (error) {
+                debug(`Failed to load stored message ${uid}: ${error.message}`)
+            }
+        }
+
+        // Never hand out a UID twice, even if the newest messages were already purged
+        const largestStored = uids.length > 0 ? uids[uids.length - 1] : 0
+        this.nextUid = Math.max(largestStored, this._readUidCounter()) + 1
+        debug(`Next UID: ${this.nextUid}`)
+    }
+
+    _startServer() {
+        this.server = new SMTPServer({
+            name: (this.config.http.features.branding || ['48hr.email'])[0],
+            banner: 'ESMTP ready',
+            authOptional: true,
+            disabledCommands: ['AUTH'],
+            hideSTARTTLS: true,
+            size: this.config.smtpReceiver.maxSize,
+            logger: false,
+            onRcptTo: (address, session, callback) => this._onRcptTo(address, session, callback),
+            onData: (stream, session, callback) => this._onData(stream, session, callback)
+        })
+
+        this.server.on('error', err => {
+            console.error('Got fatal error in smtp receiver, stop app.', err)
+            this.emit(SmtpReceiverService.EVENT_ERROR, err)
+        })
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject)
+            this.server.listen(this.config.smtpReceiver.port, this.config.smtpReceiver.host, () => {
+                this.server.removeListener('error', reject)
+                debug(`SMTP receiver listening on ${this.config.smtpReceiver.host}:${this.config.smtpReceiver.port}`)
+                resolve()
+            })
+        })
+    }
+
+    _onRcptTo(address, session, callback) {
+        // Punycode and Unicode forms of a configured domain are both accepted
+        if (!EmailAddress.hasDomain(address.address, this.config.email.domains)) {
+            debug(`Rejected recipient ${address.address}: domain not handled`)
+            const err = new Error(`Relay access denied for ${address.address}`)
+            err.responseCode = 550
+            return callback(err)
+        }
+
+        callback()
+    }
+
+    _onData(stream, session, callback) {
+        // A stream error can follow 'end', the client must only get one reply per message
+        let replied = false
+        const reply = (...args) => {
+            if (!replied) {
+                replied = true
+                callback(...args)
+            }
+        }
+
+        const chunks = []
+        stream.on('data', chunk => chunks.push(chunk))
+        stream.on('error', reply)
+        stream.on('end', async() => {
+            if (stream.sizeExceeded) {
+                debug(`Rejected message from ${session.remoteAddress}: size limit exceeded`)
+                const err = new Error('Message exceeds fixed maximum message size')
+                err.responseCode = 552
+                return reply(err)
+            }
+
+            try {
+                const recipients = session.envelope.rcptTo.map(rcpt => rcpt.address.toLowerCase())
+                const uid = await this._store(recipients, Buffer.concat(chunks))
+                reply(null, `Message queued as ${uid}`)
+            } catch (error) {
+                debug('Failed to store incoming message:', error.message)
+                reply(error)
+            }
+        })
+    }
+
+    /**
+     * Write a received message to disk and announce it.
+     * @param {Array<string>} recipients - Envelope recipients accepted for this message
+     * @param {Buffer} source - Raw message as received
+     * @returns {Promise<number>} The UID assigned to the message
+     * @private
+     */
+    async _store(recipients, source) {
+        const uid = this.nextUid++
+        this._writeUidCounter(uid)
+
+        const deliveredTo = recipients.map(address => `Delivered-To: ${address}\r\n`).join('')
+        const content = Buffer.concat([Buffer.from(deliveredTo), SmtpReceiverService.stripEnvelopeHeaders(source)])
+        await fs.promises.writeFile(this._filePath(uid), content)
+        debug(`Stored message ${uid} for ${recipients.join(', ')}`)
+
+        this._registerAndEmit(uid, await simpleParser(content), new Date())
+        return uid
+    }
+
+    /**
+     * Remove the envelope headers a sender wrote into the message, only the ones we add can be trusted.
+     * Otherwise a Delivered-To of another inbox would route the mail there.
+     * @param {Buffer} source - Raw message
+     * @returns {Buffer} The message without X-Original-To, Envelope-To and Delivered-To headers
+     */
+    static stripEnvelopeHeaders(source) {
+        // latin1 maps every byte to one character, so the body comes back unchanged
+        const message = source.toString('latin1')
+        const match = /^\r?\n|\r?\n\r?\n/.exec(message)
+        const headerEnd = match ? match.index : message.length
+
+        const lines = message.slice(0, headerEnd).split(/(?<=\n)/)
+        let skipping = false
+        const kept = lines.filter(line => {
+            // Folded lines continue the header before them
+            if (/^[ \t]/.test(line)) {
+                return !skipping
+            }
+            const name = line.slice(0, line.indexOf(':')).trim().toLowerCase()
+            skipping = line.includes(':') && MailSource.ENVELOPE_HEADERS.includes(name)
+            return !skipping
+        })
+
+        return Buffer.from(kept.join('') + message.slice(headerEnd), 'latin1')
+    }
+
+    _registerAndEmit(uid, parsed, receivedAt) {
+        const mail = this._createMailSummaryFromParsed(parsed, uid)
+        this.messages.set(uid, { mail, receivedAt })
+
+        // Same rule as IMAP: without a recipient there is no inbox to show it in.
+        if (mail.to.length > 0) {
+            this.emit(SmtpReceiverService.EVENT_NEW_MAIL, mail)
+        }
+    }
+
+    /**
+     *
+     * @param {Date} deleteMailsBefore delete mails received before this date instance
+     */
+    async deleteOldMails(deleteMailsBefore) {
+        const cutoff = deleteMailsBefore || helper.purgeTimeStamp()
+
+        let lockedAddresses = []
+        try {
+            lockedAddresses = this._getLockedAddresses()
+        } catch (err) {
+            debug('Could not get locked inboxes for purge:', err.message)
+        }
+        const exampleUids = this._getExampleUids()
+
+        const toDelete = [...this.messages.entries()]
+            .filter(([uid]) => !exampleUids.includes(uid))
+            .filter(([, message]) => !message.mail.to.some(addr => lockedAddresses.includes(addr.toLowerCase())))
+            .filter(([, message]) => message.receivedAt.getTime() <= cutoff.getTime())
+            .map(([uid]) => uid)
+
+        if (toDelete.length === 0) {
+            debug('No mails to delete. (after locked inbox exclusion)')
+            return
+        }
+
+        debug(`Deleting mails ${toDelete}`)
+        for (const uid of toDelete) {
+            await this._deleteMessage(uid)
+        }
+    }
+
+    /**
+     *
+     * @param uid delete specific mail per UID
+     */
+    async deleteSpecificEmail(uid) {
+        if (!this.config.email.examples.uids.includes(parseInt(uid))) {
+            await this._deleteMessage(parseInt(uid))
+            debug(`Deleted UID ${uid}`)
+        }
+    }
+
+    async _deleteMessage(uid) {
+        try {
+            await fs.promises.unlink(this._filePath(uid))
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error
+        }
+        this.messages.delete(uid)
+        this.emit(SmtpReceiverService.EVENT_DELETED_MAIL, uid)
+    }
+
+    async listMailSummaries() {
+        return [...this.messages.values()].map(message => message.mail)
+    }
+
+    async fetchOneFullMail(to, uid, raw = false) {
+        const message = this.messages.get(parseInt(uid))
+
+        // For security we also filter TO, so it is harder to just enumerate all messages.
+        if (!message || !message.mail.to.includes(SubAddress.inbox(to))) {
+            return false
+        }
+
+        debug(`Fetching full message ${uid}`)
+        const source = await fs.promises.readFile(this._filePath(uid))
+        if (raw) {
+            return source.toString()
+        }
+
+        return MailSource.parseFullMail(source, to)
+    }
+
+    async getLargestUid() {
+        return this.nextUid > 1 ? this.nextUid - 1 : null
+    }
+
+    _filePath(uid) {
+        return path.join(this.storagePath, `${uid}.eml`)
+    }
+
+    _readUidCounter() {
+        try {
+            return parseInt(fs.readFileSync(path.join(this.storagePath, '.uid'), 'utf8')) || 0
+        } catch {
+            return 0
+        }
+    }
+
+    _writeUidCounter(uid) {
+        fs.writeFileSync(path.join(this.storagePath, '.uid'), String(uid))
+    }
+}
+
+module.exports = SmtpReceiverService
@@ -324,6 +324,112 @@ This is an automated message from ${branding}
             }
         }
     }
+
+    /**
+     * Send a password reset link to a verified forwarding address of the account
+     * @param {string} destinationEmail - Verified forwarding address
+     * @param {string} username - Account the link resets
+     * @param {string} token - Reset token
+     * @param {string} baseUrl - Base URL for the reset link
+     * @param {string} branding - Service branding name
+     * @returns {Promise<{success: boolean, error?: string, messageId?: string}>}
+     */
+    async sendPasswordResetEmail(destinationEmail, username, token, baseUrl, branding = '48hr.email') {
+        if (!this.transporter) {
+            return {
+                success: false,
+                error: 'SMTP is not configured. Please configure SMTP settings to enable password resets.'
+            }
+        }
+
+        const resetLink = `${baseUrl}/reset-password?token=${token}`
+
+        const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2c3e50; color: white; padding: 20px; text-align: center; border-radius: 5px 5px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border: 1px solid #ddd; border-top: none; border-radius: 0 0 5px 5px; }
+        .button { display: inline-block; background: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; font-weight: bold; }
+        .button:hover { background: #2980b9; }
+        .warning { background: #fff3cd; border-left: 4px solid #ffc107; padding: 12px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 0.9em; }
+        code { background: #e8e8e8; padding: 2px 6px; border-radius: 3px; font-family: monospace; }
+    </style>
+</head>
+<body>
+    <div class="header">
+        <h2>🔑 Reset Your Password</h2>
+    </div>
+    <div class="content">
+        <p>Hello,</p>
+        
+        <p>Someone asked to reset the password of the account <strong>${this._escapeHtml(username)}</strong> on <strong>${this._escapeHtml(branding)}</strong>, which has this address as a verified forwarding email.</p>
+        
+        <p>To choose a new password, click the button below:</p>
+        
+        <div style="text-align: center;">
+            <a href="${resetLink}" class="button">Reset Password</a>
+        </div>
+        
+        <p>Or copy and paste this link into your browser:</p>
+        <p><code>${resetLink}</code></p>
+        
+        <div class="warning">
+            <strong>Important:</strong> This link expires in <strong>15 minutes</strong> and works only once.
+        </div>
+        
+        <p>If you didn't ask for a reset, you can safely ignore this email. Your password stays the same.</p>
+    </div>
+    <div class="footer">
+        <p>This is an automated message from ${this._escapeHtml(branding)}</p>
+    </div>
+</body>
+</html>
+`
+
+        const textContent = `
+Reset Your Password
+
+Someone asked to reset the password of the account ${username} on ${branding}, which has this address as a verified forwarding email.
+
+To choose a new password, visit:
+
+${resetLink}
+
+IMPORTANT: This link expires in 15 minutes and works only once.
+
+If you didn't ask for a reset, you can safely ignore this email. Your password stays the same.
+
+---
+This is an automated message from ${branding}
+`
+
+        try {
+            const info = await this.transporter.sendMail({
+                from: `"${branding}" <${this.config.smtp.user}>`,
+                to: destinationEmail,
+                subject: `${branding} - Reset your password`,
+                text: textContent,
+                html: htmlContent
+            })
+
+            debug(`Password reset email sent to ${destinationEmail}, messageId: ${info.messageId}`)
+            return {
+                success: true,
+                messageId: info.messageId
+            }
+        } catch (error) {
+            debug(`Failed to send password reset email: ${error.message}`)
+            return {
+                success: false,
+                error: `Failed to send password reset email: ${error.message}`
+            }
+        }
+    }
 }
 
 module.exports = SmtpService
@@ -0,0 +1,228 @@
+const crypto = require('crypto')
+const debug = require('debug')('48hr-email:two-factor-service')
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+const SECRET_BYTES = 20
+const STEP_SECONDS = 30
+const DIGITS = 6
+// Time steps accepted before and after the current one, for clock drift
+const WINDOW = 1
+const RECOVERY_CODE_COUNT = 10
+const RECOVERY_CODE_LENGTH = 8
+
+/**
+ * Two-Factor Service - TOTP (RFC 6238) codes and recovery codes
+ * Works with any authenticator app: SHA-1, 6 digits, 30 second steps
+ */
+class TwoFactorService {
+    constructor(twoFactorRepository, config) {
+        this.twoFactorRepository = twoFactorRepository
+        this.config = config
+    }
+
+    /**
+     * @returns {string} - New random Base32 secret
+     */
+    generateSecret() {
+        return TwoFactorService._base32Encode(crypto.randomBytes(SECRET_BYTES))
+    }
+
+    /**
+     * URL for the QR code of authenticator apps
+     * @param {string} username
+     * @param {string} secret - Base32 secret
+     * @returns {string}
+     */
+    getOtpauthUrl(username, secret) {
+        const issuer = (this.config.http.features.branding || ['48hr.email'])[0]
+        const label = encodeURIComponent(`${issuer}:${username}`)
+        return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {{enabled: boolean, recoveryCodesLeft: number}}
+     */
+    getStatus(userId) {
+        const enabled = this.twoFactorRepository.isEnabled(userId)
+        return {
+            enabled,
+            recoveryCodesLeft: enabled ? this.twoFactorRepository.countRecoveryCodes(userId) : 0
+        }
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {boolean}
+     */
+    isEnabled(userId) {
+        return this.twoFactorRepository.isEnabled(userId)
+    }
+
+    /**
+     * Turn on 2FA once the user proved their app has the secret
+     * @param {number} userId
+     * @param {string} secret - Secret shown during setup
+     * @param {string} code - Current code of the app
+     * @returns {{success: boolean, recoveryCodes?: Array<string>, error?: string}}
+     */
+    enable(userId, secret, code) {
+        const step = this.matchCode(secret, code)
+        if (step === null) {
+            debug(`Enabling 2FA failed for user ${userId}: invalid code`)
+            return { success: false, error: 'Invalid authentication code. Check the time on your device and try again.' }
+        }
+
+        const recoveryCodes = this._generateRecoveryCodes()
+        this.twoFactorRepository.enable(userId, secret, step, recoveryCodes.map(TwoFactorService._normalize))
+        return { success: true, recoveryCodes }
+    }
+
+    /**
+     * @param {number} userId
+     * @param {string} code - Code of the app or a recovery code
+     * @returns {{success: boolean, error?: string}}
+     */
+    disable(userId, code) {
+        if (!this.verify(userId, code)) {
+            return { success: false, error: 'Invalid authentication code' }
+        }
+        this.twoFactorRepository.disable(userId)
+        return { success: true }
+    }
+
+    /**
+     * Replace all recovery codes with new ones
+     * @param {number} userId
+     * @param {string} code - Code of the app or a recovery code
+     * @returns {{success: boolean, recoveryCodes?: Array<string>, error?: string}}
+     */
+    regenerateRecoveryCodes(userId, code) {
+        if (!this.verify(userId, code)) {
+            return { success: false, error: 'Invalid authentication code' }
+        }
+        const recoveryCodes = this._generateRecoveryCodes()
+        this.twoFactorRepository.replaceRecoveryCodes(userId, recoveryCodes.map(TwoFactorService._normalize))
+        return { success: true, recoveryCodes }
+    }
+
+    /**
+     * Check a code of the app or use up a recovery code
+     * App codes are accepted once, a later request with the same code fails
+     * @param {number} userId
+     * @param {string} code
+     * @returns {boolean}
+     */
+    verify(userId, code) {
+        const twoFactor = this.twoFactorRepository.get(userId)
+        if (!twoFactor || typeof code !== 'string') {
+            return false
+        }
+
+        const normalized = TwoFactorService._normalize(code)
+        if (normalized.length === RECOVERY_CODE_LENGTH) {
+            return this.twoFactorRepository.useRecoveryCode(userId, normalized)
+        }
+
+        const step = this.matchCode(twoFactor.secret, normalized, twoFactor.lastUsedStep)
+        if (step === null || !this.twoFactorRepository.useStep(userId, step)) {
+            debug(`Invalid or reused 2FA code for user ${userId}`)
+            return false
+        }
+        return true
+    }
+
+    /**
+     * Second factor for sensitive actions, only asked from users who enabled 2FA
+     * @param {number} userId
+     * @param {string} [code]
+     * @returns {{valid: boolean, error?: string, code?: string}} - code is the API error code
+     */
+    verifyIfEnabled(userId, code) {
+        if (!this.isEnabled(userId)) {
+            return { valid: true }
+        }
+        if (!code) {
+            return { valid: false, error: 'Enter the code of your authenticator app', code: 'TWO_FACTOR_REQUIRED' }
+        }
+        if (!this.verify(userId, code)) {
+            return { valid: false, error: 'Invalid authentication code', code: 'INVALID_TWO_FACTOR_CODE' }
+        }
+        return { valid: true }
+    }
+
+    /**
+     * Find the time step a code belongs to
+     * @param {string} secret - Base32 secret
+     * @param {string} code
+     * @param {number} afterStep - Only accept steps after this one
+     * @param {number} now - Time in ms, for tests
+     * @returns {number|null} - Matching step or null
+     */
+    matchCode(secret, code, afterStep = -1, now = Date.now()) {
+        const normalized = TwoFactorService._normalize(code || '')
+        if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+            return null
+        }
+
+        const key = TwoFactorService._base32Decode(secret)
+        const current = Math.floor(now / 1000 / STEP_SECONDS)
+        for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+            const expected = TwoFactorService._hotp(key, step)
+            if (step > afterStep && crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+                return step
+            }
+        }
+        return null
+    }
+
+    _generateRecoveryCodes() {
+        return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+            const code = TwoFactorService._base32Encode(crypto.randomBytes(5)).toLowerCase()
+            return `${code.slice(0, 4)}-${code.slice(4)}`
+        })
+    }
+
+    static _hotp(key, counter) {
+        const message = Buffer.alloc(8)
+        message.writeBigUInt64BE(BigInt(counter))
+        const hmac = crypto.createHmac('sha1', key).update(message).digest()
+        const offset = hmac[hmac.length - 1] & 0xf
+        const value = hmac.readUInt32BE(offset) & 0x7fffffff
+        return String(value % 10 ** DIGITS).padStart(DIGITS, '0')
+    }
+
+    static _normalize(code) {
+        return String(code).replace(/[\s-]/g, '').toLowerCase()
+    }
+
+    static _base32Encode(buffer) {
+        let bits = ''
+        for (const byte of buffer) {
+            bits += byte.toString(2).padStart(8, '0')
+        }
+        let result = ''
+        for (let i = 0; i < bits.length; i += 5) {
+            result += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)]
+        }
+        return result
+    }
+
+    static _base32Decode(string) {
+        let bits = ''
+        for (const char of string.toUpperCase().replace(/=+$/, '')) {
+            const value = BASE32_ALPHABET.indexOf(char)
+            if (value === -1) {
+                throw new Error('Invalid Base32 secret')
+            }
+            bits += value.toString(2).padStart(5, '0')
+        }
+        const bytes = []
+        for (let i = 0; i + 8 <= bits.length; i += 8) {
+            bytes.push(parseInt(bits.slice(i, i + 8), 2))
+        }
+        return Buffer.from(bytes)
+    }
+}
+
+module.exports = TwoFactorService
@@ -0,0 +1,232 @@
+const crypto = require('crypto')
+const dns = require('dns')
+const http = require('http')
+const https = require('https')
+const net = require('net')
+const debug = require('debug')('48hr-email:webhook-service')
+const SubAddress = require('../domain/sub-address')
+const EmailAddress = require('../domain/email-address')
+
+// Delay before each attempt, a delivery fails after the last one
+const RETRY_DELAYS_MS = [0, 30 * 1000, 5 * 60 * 1000, 30 * 60 * 1000]
+const REQUEST_TIMEOUT_MS = 10 * 1000
+
+// Webhooks must not reach this host or its network: loopback, private, link-local, ULA, unspecified,
+// shared, multicast and reserved ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList()
+;[
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'))
+;[
+    ['::', 96],
+    ['fc00::', 7],
+    ['fe80::', 10],
+    ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'))
+
+function isBlockedAddress(address) {
+    const family = net.isIP(address)
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4')
+}
+
+// dns.lookup that refuses internal addresses, so the address connected to is the one that was checked
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error)
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }]
+        if (addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(new Error(`${hostname} resolves to an internal address`))
+        }
+        callback(null, address, family)
+    })
+}
+
+/**
+ * Webhook Service - Posts new mail of locked inboxes to the webhooks their owners registered
+ *
+ * Each request carries a JSON body and these headers:
+ * - X-Webhook-Event: mail.received
+ * - X-Webhook-Delivery: ID of the delivery, the same on every retry
+ * - X-Webhook-Timestamp: Unix time in seconds of this attempt
+ * - X-Webhook-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`) as hex
+ */
+class WebhookService {
+    constructor(webhookRepository, inboxLock, config) {
+        this.webhookRepository = webhookRepository
+        this.inboxLock = inboxLock
+        this.config = config
+    }
+
+    /**
+     * Queue deliveries for every webhook of the inbox. Webhooks only fire while their owner holds the lock.
+     * @param {string} address - Inbox the mail was added to
+     * @param {Mail} mail - Summary of the new mail
+     */
+    notifyNewMail(address, mail) {
+        address = SubAddress.inbox(address)
+        let webhooks
+        try {
+            webhooks = this.webhookRepository.getForAddress(address)
+        } catch (error) {
+            debug('Failed to load webhooks:', error.message)
+            return
+        }
+
+        webhooks
+            .filter(webhook => this.inboxLock && this.inboxLock.isLockedByUser(address, webhook.user_id))
+            .forEach(webhook => {
+                const deliveryId = this.webhookRepository.createDelivery(webhook.id, mail.uid)
+                const body = JSON.stringify(this._buildPayload(address, mail))
+                debug(`Delivering UID ${mail.uid} to webhook ${webhook.id} (delivery ${deliveryId})`)
+                this._scheduleAttempt(webhook, deliveryId, body, 1)
+            })
+    }
+
+    /**
+     * Signature of a request, for receivers to compare against X-Webhook-Signature
+     * @param {string} secret
+     * @param {number|string} timestamp - X-Webhook-Timestamp
+     * @param {string} body - Raw request body
+     * @returns {string}
+     */
+    static sign(secret, timestamp, body) {
+        return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+    }
+
+    /**
+     * Check that a webhook URL points to the internet, not to this host or its network.
+     * Runs when a webhook is added and before every delivery, the host may resolve differently by then.
+     * @param {string} url
+     * @returns {Promise<string|null>} Error message, null if the URL can be used
+     */
+    static async checkUrl(url) {
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch {
+            return 'Webhook URL is invalid'
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'Webhook URL must be an http(s) URL'
+        }
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '')
+        let addresses = [hostname]
+        if (!net.isIP(hostname)) {
+            try {
+                addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address)
+            } catch (error) {
+                debug(`Failed to resolve webhook host ${hostname}:`, error.message)
+                return 'Webhook host could not be resolved'
+            }
+        }
+
+        return addresses.some(isBlockedAddress) ? 'Webhook URL must not point to a local or private network' : null
+    }
+
+    _buildPayload(address, mail) {
+        return {
+            event: 'mail.received',
+            inbox: address,
+            mail: {
+                uid: mail.uid,
+                to: mail.to,
+                from: mail.from,
+                subject: mail.subject,
+                date: mail.date
+            },
+            url: `${this.config.http.baseUrl}/inbox/${EmailAddress.toPathSegment(address)}/${mail.uid}`
+        }
+    }
+
+    _scheduleAttempt(webhook, deliveryId, body, attempt) {
+        setTimeout(() => this._attempt(webhook, deliveryId, body, attempt), RETRY_DELAYS_MS[attempt - 1])
+    }
+
+    async _attempt(webhook, deliveryId, body, attempt) {
+        // Don't retry webhooks that were removed in the meantime
+        if (attempt > 1 && !this.webhookRepository.getForAddress(webhook.inbox_address).some(w => w.id === webhook.id)) {
+            debug(`Webhook ${webhook.id} was removed, dropping delivery ${deliveryId}`)
+            return
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000)
+        let responseStatus = null
+        let error = null
+
+        // The log is shown to the owner, it only tells whether the request went through, not why it did not
+        const urlError = await WebhookService.checkUrl(webhook.url)
+        if (urlError) {
+            error = urlError
+        } else {
+            try {
+                responseStatus = await this._post(webhook.url, {
+                    'Content-Type': 'application/json',
+                    'User-Agent': `${(this.config.http.features.branding || ['48hr.email'])[0]} Webhook`,
+                    'X-Webhook-Event': 'mail.received',
+                    'X-Webhook-Delivery': String(deliveryId),
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': WebhookService.sign(webhook.secret, timestamp, body)
+                }, body)
+                if (responseStatus < 200 || responseStatus > 299) {
+                    error = `HTTP ${responseStatus}`
+                }
+            } catch (requestError) {
+                debug(`Webhook ${webhook.id} request failed:`, requestError.message)
+                error = 'Request failed'
+            }
+        }
+
+        const lastAttempt = attempt >= RETRY_DELAYS_MS.length
+        let status = 'delivered'
+        if (error) {
+            status = lastAttempt ? 'failed' : 'pending'
+        }
+        debug(`Webhook ${webhook.id} delivery ${deliveryId} attempt ${attempt}: ${error || 'delivered'}`)
+
+        try {
+            this.webhookRepository.updateDelivery(deliveryId, { status, attempts: attempt, responseStatus, error })
+        } catch (dbError) {
+            debug('Failed to log webhook delivery:', dbError.message)
+        }
+
+        if (status === 'pending') {
+            this._scheduleAttempt(webhook, deliveryId, body, attempt + 1)
+        }
+    }
+
+    /**
+     * POST the body without following redirects, connecting only to addresses publicLookup allows
+     * @returns {Promise<number>} Response status
+     * @private
+     */
+    _post(url, headers, body) {
+        const client = url.startsWith('https:') ? https : http
+        return new Promise((resolve, reject) => {
+            const request = client.request(url, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                lookup: publicLookup,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            }, response => {
+                response.resume()
+                resolve(response.statusCode)
+            })
+            request.on('error', reject)
+            request.end(body)
+        })
+    }
+}
+
+module.exports = WebhookService
@@ -0,0 +1,192 @@
+const debug = require('debug')('48hr-email:admin-repository')
+
+/**
+ * Admin Repository - instance-wide queries for the admin dashboard, and the audit log
+ * Reads across the tables of the users database; changes to users, locks and tokens go through their own repositories
+ */
+class AdminRepository {
+    constructor(db) {
+        if (!db) {
+            throw new Error('AdminRepository requires a database connection')
+        }
+        this.db = db
+    }
+
+    /**
+     * @returns {{users: number, admins: number, lockedInboxes: number, apiTokens: number, forwardEmails: number}}
+     */
+    getCounts() {
+        const count = sql => this.db.prepare(sql).get().count
+        return {
+            users: count('SELECT COUNT(*) as count FROM users'),
+            admins: count('SELECT COUNT(*) as count FROM users WHERE is_admin = 1'),
+            lockedInboxes: count('SELECT COUNT(*) as count FROM user_locked_inboxes'),
+            apiTokens: count('SELECT COUNT(*) as count FROM api_tokens'),
+            forwardEmails: count('SELECT COUNT(*) as count FROM user_forward_emails')
+        }
+    }
+
+    /**
+     * Users whose name contains the query, newest first
+     * @param {Object} options
+     * @param {string} [options.query] - Part of the username
+     * @param {number} [options.limit]
+     * @param {number} [options.offset]
+     * @returns {{users: Array<Object>, total: number}}
+     */
+    searchUsers({ query = '', limit = 50, offset = 0 } = {}) {
+        const pattern = `%${this._escapeLike(query)}%`
+        const total = this.db.prepare(`
+            SELECT COUNT(*) as count FROM users WHERE username LIKE ? ESCAPE '\\'
+        `).get(pattern).count
+
+        const users = this.db.prepare(`
+            SELECT
+                u.id, u.username, u.created_at, u.last_login, u.is_admin,
+                (SELECT COUNT(*) FROM user_locked_inboxes WHERE user_id = u.id) as locked_inboxes,
+                (SELECT COUNT(*) FROM user_forward_emails WHERE user_id = u.id) as forward_emails,
+                (SELECT COUNT(*) FROM api_tokens WHERE user_id = u.id) as api_tokens
+            FROM users u
+            WHERE u.username LIKE ? ESCAPE '\\'
+            ORDER BY u.created_at DESC
+            LIMIT ? OFFSET ?
+        `).all(pattern, limit, offset).map(row => this._formatUser(row))
+
+        debug(`User search "${query}": ${users.length} of ${total}`)
+        return { users, total }
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Object|null} - Same fields as searchUsers()
+     */
+    getUser(userId) {
+        const row = this.db.prepare(`
+            SELECT
+                u.id, u.username, u.created_at, u.last_login, u.is_admin,
+                (SELECT COUNT(*) FROM user_locked_inboxes WHERE user_id = u.id) as locked_inboxes,
+                (SELECT COUNT(*) FROM user_forward_emails WHERE user_id = u.id) as forward_emails,
+                (SELECT COUNT(*) FROM api_tokens WHERE user_id = u.id) as api_tokens
+            FROM users u
+            WHERE u.id = ?
+        `).get(userId)
+        return row ? this._formatUser(row) : null
+    }
+
+    /**
+     * Locked inboxes of all users and passphrase locks, most recently locked first
+     * @param {string} [query] - Part of the inbox address or username
+     * @returns {Array<Object>} - {address, userId, username, anonymous, lockedAt, lastAccess, lastAccessedAgo}
+     */
+    getLocks(query = '') {
+        const pattern = `%${this._escapeLike(query)}%`
+        return this.db.prepare(`
+            SELECT l.inbox_address, l.user_id, u.username, l.locked_at, l.last_accessed
+            FROM user_locked_inboxes l
+            LEFT JOIN users u ON u.id = l.user_id
+            WHERE l.inbox_address LIKE ? ESCAPE '\\' OR u.username LIKE ? ESCAPE '\\'
+            ORDER BY l.locked_at DESC
+        `).all(pattern, pattern).map(row => ({
+            address: row.inbox_address,
+            userId: row.user_id,
+            username: row.username,
+            anonymous: row.user_id === null,
+            lockedAt: row.locked_at,
+            lastAccess: row.last_accessed,
+            lastAccessedAgo: this._formatTimeAgo(row.last_accessed)
+        }))
+    }
+
+    /**
+     * Forwarding addresses verified most recently, by any user
+     * @param {number} limit
+     * @returns {Array<Object>} - {email, userId, username, verifiedAt, verifiedAgo}
+     */
+    getRecentForwardEmails(limit = 20) {
+        return this.db.prepare(`
+            SELECT f.email, f.user_id, u.username, f.verified_at
+            FROM user_forward_emails f
+            LEFT JOIN users u ON u.id = f.user_id
+            ORDER BY f.verified_at DESC
+            LIMIT ?
+        `).all(limit).map(row => ({
+            email: row.email,
+            userId: row.user_id,
+            username: row.username,
+            verifiedAt: row.verified_at,
+            verifiedAgo: this._formatTimeAgo(row.verified_at)
+        }))
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {Object} entry.admin - {id, username} of the admin
+     * @param {string} entry.action - e.g. 'user.delete'
+     * @param {string} entry.target - Username or inbox address
+     * @param {Object} [entry.details]
+     * @param {string} [entry.ip]
+     */
+    recordAction({ admin, action, target, details = null, ip = null }) {
+        this.db.prepare(`
+            INSERT INTO admin_audit_log (admin_id, admin_username, action, target, details, ip, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(admin.id, admin.username, action, target, details ? JSON.stringify(details) : null, ip, Date.now())
+        debug(`Audit: ${admin.username} ${action} ${target}`)
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} [options.limit]
+     * @param {number} [options.offset]
+     * @returns {{entries: Array<Object>, total: number}} - Newest first
+     */
+    getAuditLog({ limit = 50, offset = 0 } = {}) {
+        const total = this.db.prepare('SELECT COUNT(*) as count FROM admin_audit_log').get().count
+        const entries = this.db.prepare(`
+            SELECT id, admin_id, admin_username, action, target, details, ip, created_at
+            FROM admin_audit_log
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).all(limit, offset).map(row => ({
+            id: row.id,
+            adminId: row.admin_id,
+            adminUsername: row.admin_username,
+            action: row.action,
+            target: row.target,
+            details: row.details ? JSON.parse(row.details) : null,
+            ip: row.ip,
+            createdAt: row.created_at,
+            createdAgo: this._formatTimeAgo(row.created_at)
+        }))
+        return { entries, total }
+    }
+
+    _formatUser(row) {
+        return {
+            id: row.id,
+            username: row.username,
+            createdAt: row.created_at,
+            lastLogin: row.last_login,
+            lastLoginAgo: row.last_login ? this._formatTimeAgo(row.last_login) : null,
+            isAdmin: Boolean(row.is_admin),
+            lockedInboxes: row.locked_inboxes,
+            forwardEmails: row.forward_emails,
+            apiTokens: row.api_tokens
+        }
+    }
+
+    _escapeLike(value) {
+        return String(value).replace(/[\\%_]/g, char => `\\${char}`)
+    }
+
+    _formatTimeAgo(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000)
+
+        if (seconds < 60) return 'just now'
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`
+        return `${Math.floor(seconds / 86400)} days ago`
+    }
+}
+
+module.exports = AdminRepository
@@ -1,107 +1,248 @@
+const crypto = require('crypto')
+const debug = require('debug')('48hr-email:api-token-repository')
 const Helper = require('../application/helper-service')
 const helper = new Helper()
 
+/**
+ * Scopes an API token can be granted
+ * - read: list inboxes, read mails and attachments
+ * - delete: delete mails
+ * - forward: forward mails to verified addresses
+ * - locks: lock, release and list locked inboxes
+ * - account: account details, forwarding addresses and API tokens
+ * - admin: admin endpoints, only works for admins and is never granted by default
+ */
+const SCOPES = ['read', 'delete', 'forward', 'locks', 'account', 'admin']
+const DEFAULT_SCOPES = SCOPES.filter(scope => scope !== 'admin')
+const MAX_TOKENS_PER_USER = 20
+// Characters of a token kept in plaintext, to look it up and to tell tokens apart in the UI
+const PREFIX_LENGTH = 8
+
+/**
+ * API Token Repository - Named, scoped and optionally expiring API tokens
+ * Users can hold any number of tokens, each revocable on its own
+ * Only an HMAC of each token is stored, keyed with the session secret, so a copy of the database holds no usable tokens
+ */
 class ApiTokenRepository {
-    constructor(db) {
+    constructor(db, secret) {
         if (!db) {
             throw new Error('ApiTokenRepository requires a database connection')
         }
+        if (!secret) {
+            throw new Error('ApiTokenRepository requires a secret to hash tokens')
+        }
         this.db = db
+        this.secret = secret
+        this._autoMigrateTable()
+        this.db.prepare('CREATE INDEX IF NOT EXISTS idx_api_tokens_prefix ON api_tokens(token_prefix)').run()
+    }
+
+    static get SCOPES() {
+        return SCOPES
+    }
+
+    static get DEFAULT_SCOPES() {
+        return DEFAULT_SCOPES
+    }
+
+    static get MAX_TOKENS_PER_USER() {
+        return MAX_TOKENS_PER_USER
     }
 
     /**
      * Generate and store a new API token for a user
-     * If user already has a token, it will be replaced
-     * @param {number} userId 
-     * @returns {string} The generated token
+     * @param {number} userId
+     * @param {Object} options
+     * @param {string} options.name - Label shown in the token list, e.g. "CI"
+     * @param {Array<string>} options.scopes - Subset of ApiTokenRepository.SCOPES
+     * @param {number|null} options.expiresAt - Timestamp in ms, null for no expiry
+     * @returns {{id: number, token: string}} The token is only returned here
      */
-    create(userId) {
+    create(userId, { name, scopes = DEFAULT_SCOPES, expiresAt = null }) {
         const token = helper.generateVerificationToken() // 64 chars hex
         const now = Date.now()
 
-        // Delete existing token if any (one token per user)
-        this.db.prepare('DELETE FROM api_tokens WHERE user_id = ?').run(userId)
-
-        // Insert new token
-        this.db.prepare(`
-            INSERT INTO api_tokens (user_id, token, created_at)
-            VALUES (?, ?, ?)
-        `).run(userId, token, now)
+        const result = this.db.prepare(`
+            INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes, created_at, expires_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(userId, name, this._hash(token), token.slice(0, PREFIX_LENGTH), scopes.join(','), now, expiresAt)
 
-        return token
+        debug(`API token ${result.lastInsertRowid} "${name}" created for user ${userId}`)
+        return { id: result.lastInsertRowid, token }
     }
 
     /**
-     * Get token information by token string
-     * @param {string} token 
+     * Get token information by token string, including expired tokens
+     * @param {string} token
      * @returns {object|null} Token info with user data
      */
     getByToken(token) {
-        return this.db.prepare(`
-            SELECT 
-                t.id, 
-                t.user_id, 
-                t.token, 
-                t.created_at, 
+        if (typeof token !== 'string' || token.length <= PREFIX_LENGTH) {
+            return null
+        }
+
+        const hash = Buffer.from(this._hash(token), 'hex')
+        const candidates = this.db.prepare(`
+            SELECT
+                t.id,
+                t.user_id,
+                t.name,
+                t.token_hash,
+                t.scopes,
+                t.created_at,
+                t.expires_at,
                 t.last_used,
                 u.username
             FROM api_tokens t
             JOIN users u ON t.user_id = u.id
-            WHERE t.token = ?
-        `).get(token)
+            WHERE t.token_prefix = ?
+        `).all(token.slice(0, PREFIX_LENGTH))
+
+        // Compare in constant time, the prefix alone says nothing about the rest of the token
+        const row = candidates.find(candidate => {
+            const candidateHash = Buffer.from(candidate.token_hash, 'hex')
+            return candidateHash.length === hash.length && crypto.timingSafeEqual(candidateHash, hash)
+        })
+        if (!row) {
+            return null
+        }
+
+        // The hash stays in the database
+        const tokenData = { ...row, scopes: this._parseScopes(row.scopes) }
+        delete tokenData.token_hash
+        return tokenData
     }
 
     /**
-     * Get token information by user ID
-     * @param {number} userId 
-     * @returns {object|null} Token info (without sensitive data in some contexts)
+     * Get all tokens of a user, without the token strings
+     * @param {number} userId
+     * @returns {Array<Object>} - Tokens {id, name, prefix, scopes, createdAt, expiresAt, lastUsed, expired, expiresOn, lastUsedAgo}
      */
     getByUserId(userId) {
+        const now = Date.now()
         return this.db.prepare(`
-            SELECT id, user_id, token, created_at, last_used
+            SELECT id, name, token_prefix, scopes, created_at, expires_at, last_used
             FROM api_tokens
             WHERE user_id = ?
-        `).get(userId)
+            ORDER BY created_at DESC
+        `).all(userId).map(row => ({
+            id: row.id,
+            name: row.name,
+            prefix: row.token_prefix,
+            scopes: this._parseScopes(row.scopes),
+            createdAt: row.created_at,
+            expiresAt: row.expires_at,
+            lastUsed: row.last_used,
+            expired: Boolean(row.expires_at && row.expires_at <= now),
+            expiresOn: row.expires_at ? new Date(row.expires_at).toISOString().slice(0, 10) : null,
+            lastUsedAgo: row.last_used ? this._formatTimeAgo(row.last_used) : null
+        }))
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {number}
+     */
+    getCountForUser(userId) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM api_tokens WHERE user_id = ?').get(userId).count
     }
 
     /**
      * Check if user has an API token
-     * @param {number} userId 
+     * @param {number} userId
      * @returns {boolean}
      */
     hasToken(userId) {
-        const result = this.db.prepare(`
-            SELECT COUNT(*) as count
-            FROM api_tokens
-            WHERE user_id = ?
-        `).get(userId)
-        return result.count > 0
+        return this.getCountForUser(userId) > 0
     }
 
     /**
-     * Revoke (delete) user's API token
-     * @param {number} userId 
+     * Revoke (delete) one of the user's API tokens
+     * @param {number} userId
+     * @param {number} tokenId
      * @returns {boolean} True if token was deleted
      */
-    revoke(userId) {
+    revoke(userId, tokenId) {
         const result = this.db.prepare(`
             DELETE FROM api_tokens
-            WHERE user_id = ?
-        `).run(userId)
+            WHERE id = ? AND user_id = ?
+        `).run(tokenId, userId)
         return result.changes > 0
     }
 
     /**
      * Update the last_used timestamp for a token
-     * @param {string} token 
+     * @param {number} tokenId
      */
-    updateLastUsed(token) {
+    updateLastUsed(tokenId) {
         const now = Date.now()
         this.db.prepare(`
             UPDATE api_tokens
             SET last_used = ?
-            WHERE token = ?
-        `).run(now, token)
+            WHERE id = ?
+        `).run(now, tokenId)
+    }
+
+    _parseScopes(scopes) {
+        return (scopes || '').split(',').filter(scope => SCOPES.includes(scope))
+    }
+
+    _hash(token) {
+        return crypto.createHmac('sha256', this.secret).update(token).digest('hex')
+    }
+
+    _autoMigrateTable() {
+        // Older databases stored tokens in plaintext, the oldest also allowed one unnamed token per user.
+        // Rebuild the table with hashes, so existing tokens keep working, and give unnamed tokens all scopes.
+        try {
+            const columns = this.db.prepare('PRAGMA table_info(api_tokens)').all().map(col => col.name)
+            if (!columns.includes('token')) {
+                return
+            }
+
+            debug('Migrating api_tokens to hashed tokens...')
+            const rows = this.db.prepare('SELECT * FROM api_tokens').all()
+            this.db.transaction(() => {
+                this.db.prepare('DROP TABLE api_tokens').run()
+                this.db.prepare(`CREATE TABLE api_tokens (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    instance_id TEXT NOT NULL,
+                    user_id INTEGER NOT NULL,
+                    name TEXT NOT NULL,
+                    token_hash TEXT NOT NULL UNIQUE,
+                    token_prefix TEXT NOT NULL,
+                    scopes TEXT NOT NULL,
+                    created_at INTEGER NOT NULL,
+                    expires_at INTEGER,
+                    last_used INTEGER,
+                    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+                )`).run()
+                const insert = this.db.prepare(`
+                    INSERT INTO api_tokens (id, instance_id, user_id, name, token_hash, token_prefix, scopes, created_at, expires_at, last_used)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                `)
+                rows.forEach(row => {
+                    insert.run(
+                        row.id, row.instance_id, row.user_id, row.name || 'Default',
+                        this._hash(row.token), row.token.slice(0, PREFIX_LENGTH),
+                        row.scopes || SCOPES.join(','), row.created_at, row.expires_at || null, row.last_used
+                    )
+                })
+                this.db.prepare('CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id)').run()
+            })()
+            debug(`Migration complete: ${rows.length} API tokens hashed`)
+        } catch (e) {
+            debug('Auto-migration for api_tokens failed:', e.message)
+        }
+    }
+
+    _formatTimeAgo(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000)
+
+        if (seconds < 60) return 'just now'
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`
+        return `${Math.floor(seconds / 86400)} days ago`
     }
 }
 
@@ -0,0 +1,129 @@
+const { domainToASCII, domainToUnicode } = require('url')
+
+// atext of RFC 5322 plus the UTF-8 characters RFC 6531 (SMTPUTF8) allows, lowercase
+const ATOM = /^[a-z0-9!#$%&'*+/=?^_`{|}~\-\u0080-\u{10FFFF}]+$/u
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/
+const MAX_LOCAL_LENGTH = 64
+const MAX_ADDRESS_LENGTH = 254
+
+/**
+ * Email Address - parses addresses the way RFC 5321/5322 and RFC 6531 allow them and gives every
+ * mailbox one canonical form: lowercase and NFC normalized, the local part quoted only when it has to be,
+ * the domain in Unicode so bücher.de and xn--bcher-kva.de are the same inbox.
+ * Inboxes, locks, webhooks and sign-ins are all keyed by this form.
+ */
+class EmailAddress {
+    /**
+     * @param {string} address - Quoted or Unicode local parts, Unicode or punycode domains.
+     *        Mail parsers hand out quoted local parts without their quotes, those are taken as they are
+     * @returns {{local: string, domain: string}|null} Canonical parts, null if it is no valid address
+     */
+    static parse(address) {
+        if (typeof address !== 'string') {
+            return null
+        }
+        const trimmed = address.trim()
+        const at = trimmed.lastIndexOf('@')
+        if (at < 1) {
+            return null
+        }
+
+        const value = EmailAddress._localValue(trimmed.slice(0, at))
+        const domain = EmailAddress.normalizeDomain(trimmed.slice(at + 1))
+        if (!value || !domain) {
+            return null
+        }
+
+        const local = EmailAddress._formatLocal(value.toLowerCase().normalize('NFC'))
+        const length = Buffer.byteLength(`${local}@${domainToASCII(domain)}`)
+        if (Buffer.byteLength(local) > MAX_LOCAL_LENGTH || length > MAX_ADDRESS_LENGTH) {
+            return null
+        }
+        return { local, domain }
+    }
+
+    /**
+     * @param {string} address
+     * @returns {string|null} Canonical address, null if it is no valid address
+     */
+    static normalize(address) {
+        const parts = EmailAddress.parse(address)
+        return parts ? `${parts.local}@${parts.domain}` : null
+    }
+
+    /**
+     * @param {string} address
+     * @returns {boolean}
+     */
+    static isValid(address) {
+        return EmailAddress.parse(address) !== null
+    }
+
+    /**
+     * @param {string} domain - Unicode or punycode, a trailing dot is ignored
+     * @returns {string|null} Lowercase Unicode domain, null if it is no valid domain
+     */
+    static normalizeDomain(domain) {
+        const ascii = domainToASCII(String(domain || '').trim().replace(/\.$/, ''))
+        return ascii ? domainToUnicode(ascii) : null
+    }
+
+    /**
+     * Whether an address belongs to one of the given domains, whichever form either is written in
+     * @param {string} address
+     * @param {Array<string>} domains - e.g. the configured domains
+     * @returns {boolean}
+     */
+    static hasDomain(address, domains) {
+        const parts = EmailAddress.parse(address)
+        return Boolean(parts) && domains.some(domain => EmailAddress.normalizeDomain(domain) === parts.domain)
+    }
+
+    /**
+     * An address as one URL path segment: '#', '?', '/' and quotes in the local part are escaped,
+     * the '@' between local part and domain is kept readable
+     * @param {string} address
+     * @returns {string}
+     */
+    static toPathSegment(address) {
+        const value = String(address || '')
+        const at = value.lastIndexOf('@')
+        if (at < 0) {
+            return encodeURIComponent(value)
+        }
+        return `${encodeURIComponent(value.slice(0, at))}@${encodeURIComponent(value.slice(at + 1))}`
+    }
+
+    /**
+     * Value of a local part: quoted strings lose their quotes and escapes
+     * @param {string} local
+     * @returns {string|null}
+     * @private
+     */
+    static _localValue(local) {
+        let value = local
+        if (local.length > 1 && local.startsWith('"') && local.endsWith('"')) {
+            value = local.slice(1, -1)
+            // Quotes and backslashes inside have to be escaped
+            if (/(^|[^\\])(\\\\)*"/.test(value) || /(^|[^\\])(\\\\)*\\$/.test(value)) {
+                return null
+            }
+            value = value.replace(/\\(.)/g, '$1')
+        }
+        return value && !CONTROL_CHARACTERS.test(value) ? value : null
+    }
+
+    /**
+     * @param {string} value - Lowercase local part value
+     * @returns {string} The dot-atom if the value is one, the quoted string otherwise
+     * @private
+     */
+    static _formatLocal(value) {
+        if (value.split('.').every(atom => ATOM.test(atom))) {
+            return value
+        }
+        return `"${value.replace(/["\\]/g, '\\$&')}"`
+    }
+}
+
+module.exports = EmailAddress
@@ -1,52 +1,123 @@
+const crypto = require('crypto')
 const bcrypt = require('bcrypt')
 const debug = require('debug')('48hr-email:inbox-lock')
+const SubAddress = require('./sub-address')
+
+const BCRYPT_ROUNDS = 12
+// bcrypt only reads the first 72 bytes of a passphrase
+const PASSPHRASE_MIN_LENGTH = 8
+const PASSPHRASE_MAX_BYTES = 72
 
 /**
- * InboxLock - Manages inbox locking for registered users
- * Uses user_locked_inboxes table from the users database
+ * InboxLock - Manages inbox locking for registered users and passphrase locks without an account
+ * Uses user_locked_inboxes table from the users database, passphrase locks have no user_id
+ * Addresses are reduced to their inbox, so a lock on name@domain also covers name+tag@domain
  */
 class InboxLock {
-    constructor(userRepository) {
+    /**
+     * @param {UserRepository} userRepository
+     * @param {Object} config - Limits of passphrase locks, the session secret signs their access keys
+     */
+    constructor(userRepository, config) {
         this.userRepository = userRepository
         this.db = userRepository.db
+        this.config = config
         debug('InboxLock initialized with user database')
     }
 
     /**
-     * Lock an inbox for a user (no separate password needed - uses account ownership)
+     * Check a passphrase against the length limits
+     * @param {string} passphrase
+     * @returns {string|null} - Error message, null if the passphrase can be used
+     */
+    static validatePassphrase(passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < PASSPHRASE_MIN_LENGTH) {
+            return `Passphrase must be at least ${PASSPHRASE_MIN_LENGTH} characters`
+        }
+        if (Buffer.byteLength(passphrase) > PASSPHRASE_MAX_BYTES) {
+            return `Passphrase must be at most ${PASSPHRASE_MAX_BYTES} bytes`
+        }
+        return null
+    }
+
+    /**
+     * Lock an inbox for a user, account ownership is enough to access it
      * @param {number} userId - User ID
      * @param {string} address - Inbox address to lock
+     * @param {string} [passphrase] - Lets others in without the account too
      * @returns {Promise<boolean>} - Success status
      */
-    async lock(userId, address) {
+    async lock(userId, address, passphrase = '') {
         try {
-            // Check if user can lock more inboxes (5 max)
-            if (!this.canLockMore(userId)) {
-                throw new Error('You have reached the maximum of 5 locked inboxes')
+            this._checkCanLock(userId, address)
+            let passwordHash = ''
+            if (passphrase) {
+                passwordHash = await this._hashPassphrase(passphrase)
+                // Hashing takes a while, other requests may have locked inboxes meanwhile
+                this._checkCanLock(userId, address)
             }
+            this._insert(userId, address, passwordHash)
+            debug(`Inbox ${address} locked by user ${userId}`)
+            return true
+        } catch (error) {
+            debug(`Failed to lock inbox ${address}:`, error.message)
+            throw error
+        }
+    }
 
-            // Check if inbox is already locked
+    /**
+     * Lock an inbox with a passphrase, without an account
+     * Released after config.user.anonymousLockReleaseHours without access
+     * @param {string} address - Inbox address to lock
+     * @param {string} passphrase - See validatePassphrase()
+     * @returns {Promise<Object>} - The lock, see getLock()
+     */
+    async lockAnonymous(address, passphrase) {
+        try {
+            const invalid = InboxLock.validatePassphrase(passphrase)
+            if (invalid) {
+                throw new Error(invalid)
+            }
+            if (!this.canLockAnonymous()) {
+                throw new Error(`The maximum of ${this.config.user.maxAnonymousLocks} passphrase locks is reached`)
+            }
             if (this.isLocked(address)) {
                 throw new Error('This inbox is already locked')
             }
 
-            const now = Date.now()
-
-            const stmt = this.db.prepare(`
-                INSERT INTO user_locked_inboxes (user_id, inbox_address, password_hash, locked_at, last_accessed)
-                VALUES (?, ?, ?, ?, ?)
-            `)
-
-            // Use empty password hash since we rely on user authentication
-            stmt.run(userId, address.toLowerCase(), '', now, now)
-            debug(`Inbox ${address} locked by user ${userId}`)
-            return true
+            const passwordHash = await this._hashPassphrase(passphrase)
+            // Hashing takes a while, someone else may have locked the inbox meanwhile
+            if (this.isLocked(address)) {
+                throw new Error('This inbox is already locked')
+            }
+            this._insert(null, address, passwordHash)
+            debug(`Inbox ${address} locked with a passphrase`)
+            return this.getLock(address)
         } catch (error) {
-            debug(`Failed to lock inbox ${address}:`, error.message)
+            debug(`Failed to lock inbox ${address} with a passphrase:`, error.message)
             throw error
         }
     }
 
+    /**
+     * Check the passphrase of a lock, a correct one counts as access
+     * @param {string} address - Inbox address
+     * @param {string} passphrase
+     * @returns {Promise<Object|null>} - The lock if the passphrase is right, see getLock()
+     */
+    async verifyPassphrase(address, passphrase) {
+        const row = this._getRow(address)
+        if (!row || !row.password_hash || typeof passphrase !== 'string') {
+            return null
+        }
+        if (!await bcrypt.compare(passphrase, row.password_hash)) {
+            debug(`Wrong passphrase for inbox ${address}`)
+            return null
+        }
+        this.updateAccess(row.user_id, address)
+        return this._formatLock(row)
+    }
+
     /**
      * Unlock an inbox (verify user owns the lock)
      * @param {number} userId - User ID attempting to unlock
@@ -59,7 +130,7 @@ class InboxLock {
                 SELECT * FROM user_locked_inboxes 
                 WHERE user_id = ? AND inbox_address = ?
             `)
-            const lock = stmt.get(userId, address.toLowerCase())
+            const lock = stmt.get(userId, SubAddress.inbox(address))
 
             if (!lock) {
                 debug(`No lock found for user ${userId} on inbox ${address}`)
@@ -86,10 +157,35 @@ class InboxLock {
             SELECT inbox_address FROM user_locked_inboxes 
             WHERE inbox_address = ?
         `)
-        const result = stmt.get(address.toLowerCase())
+        const result = stmt.get(SubAddress.inbox(address))
         return result !== undefined
     }
 
+    /**
+     * Get the lock of an inbox
+     * @param {string} address - Inbox address
+     * @returns {Object|null} - {id, userId, address, anonymous, hasPassphrase, lockedAt, lastAccess, expiresAt}
+     *          userId is null and expiresAt set for passphrase locks
+     */
+    getLock(address) {
+        const row = this._getRow(address)
+        return row ? this._formatLock(row) : null
+    }
+
+    /**
+     * Get the user who locked an inbox
+     * @param {string} address - Inbox address
+     * @returns {number|null} - User ID or null if not locked
+     */
+    getLockOwner(address) {
+        const stmt = this.db.prepare(`
+            SELECT user_id FROM user_locked_inboxes
+            WHERE inbox_address = ?
+        `)
+        const result = stmt.get(SubAddress.inbox(address))
+        return result ? result.user_id : null
+    }
+
     /**
      * Check if an inbox is locked by a specific user
      * @param {string} address - Inbox address
@@ -101,22 +197,64 @@ class InboxLock {
             SELECT inbox_address FROM user_locked_inboxes 
             WHERE inbox_address = ? AND user_id = ?
         `)
-        const result = stmt.get(address.toLowerCase(), userId)
+        const result = stmt.get(SubAddress.inbox(address), userId)
         return result !== undefined
     }
 
+    /**
+     * Whether a session unlocked an inbox with its passphrase
+     * Unlocks are kept per lock id, so they end with the lock they were made for
+     * @param {string} address - Inbox address
+     * @param {Object} [unlocked] - Inbox address -> lock id, from the session
+     * @returns {boolean}
+     */
+    isUnlocked(address, unlocked) {
+        const inbox = SubAddress.inbox(address)
+        if (!unlocked || !unlocked[inbox]) {
+            return false
+        }
+        const row = this._getRow(inbox)
+        return Boolean(row && row.id === unlocked[inbox])
+    }
+
+    /**
+     * Access key of a passphrase lock, what API clients and sockets send instead of a session
+     * Derived from the lock, so it stops working once the lock is released
+     * @param {string} address - Inbox address
+     * @returns {string|null} - null if the inbox has no passphrase lock
+     */
+    createAccessKey(address) {
+        const row = this._getRow(address)
+        return row && row.password_hash ? this._accessKey(row) : null
+    }
+
+    /**
+     * @param {string} address - Inbox address
+     * @param {string} key - From createAccessKey()
+     * @returns {boolean}
+     */
+    hasAccessKey(address, key) {
+        const row = this._getRow(address)
+        if (!row || !row.password_hash || typeof key !== 'string') {
+            return false
+        }
+        const expected = Buffer.from(this._accessKey(row))
+        const candidate = Buffer.from(key)
+        return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected)
+    }
+
     /**
      * Update last access timestamp for a locked inbox
-     * @param {number} userId - User ID
+     * @param {number|null} userId - User ID, null for passphrase locks
      * @param {string} address - Inbox address
      */
     updateAccess(userId, address) {
         const stmt = this.db.prepare(`
             UPDATE user_locked_inboxes 
             SET last_accessed = ? 
-            WHERE user_id = ? AND inbox_address = ?
+            WHERE user_id IS ? AND inbox_address = ?
         `)
-        stmt.run(Date.now(), userId, address.toLowerCase())
+        stmt.run(Date.now(), userId, SubAddress.inbox(address))
         debug(`Updated last access for inbox ${address} by user ${userId}`)
     }
 
@@ -139,17 +277,34 @@ class InboxLock {
         }))
     }
 
+    /**
+     * Get passphrase locks nobody accessed for X hours
+     * @param {number} hoursThreshold - Hours since the last access
+     * @returns {Array<Object>} - Array of {userId: null, address} for inactive locks
+     */
+    getInactiveAnonymous(hoursThreshold) {
+        const cutoff = Date.now() - (hoursThreshold * 60 * 60 * 1000)
+        const stmt = this.db.prepare(`
+            SELECT inbox_address FROM user_locked_inboxes
+            WHERE user_id IS NULL AND last_accessed < ?
+        `)
+        return stmt.all(cutoff).map(row => ({
+            userId: null,
+            address: row.inbox_address
+        }))
+    }
+
     /**
      * Release (unlock) an inbox
-     * @param {number} userId - User ID
+     * @param {number|null} userId - User ID, null for passphrase locks
      * @param {string} address - Inbox address to release
      */
     release(userId, address) {
         const stmt = this.db.prepare(`
             DELETE FROM user_locked_inboxes 
-            WHERE user_id = ? AND inbox_address = ?
+            WHERE user_id IS ? AND inbox_address = ?
         `)
-        stmt.run(userId, address.toLowerCase())
+        stmt.run(userId, SubAddress.inbox(address))
         debug(`Released lock on inbox ${address} by user ${userId}`)
     }
 
@@ -185,7 +340,7 @@ class InboxLock {
     }
 
     /**
-     * Check if user can lock more inboxes (5 max)
+     * Check if user can lock more inboxes (config.user.maxLockedInboxes)
      * @param {number} userId - User ID
      * @returns {boolean} - True if user can lock more
      */
@@ -196,7 +351,7 @@ class InboxLock {
             WHERE user_id = ?
         `)
         const result = stmt.get(userId)
-        return result.count < 5
+        return result.count < this.config.user.maxLockedInboxes
     }
 
     /**
@@ -214,6 +369,73 @@ class InboxLock {
         return result.count
     }
 
+    /**
+     * Check if another passphrase lock fits in config.user.maxAnonymousLocks
+     * @returns {boolean}
+     */
+    canLockAnonymous() {
+        const stmt = this.db.prepare(`
+            SELECT COUNT(*) as count 
+            FROM user_locked_inboxes 
+            WHERE user_id IS NULL
+        `)
+        return stmt.get().count < this.config.user.maxAnonymousLocks
+    }
+
+    _checkCanLock(userId, address) {
+        if (!this.canLockMore(userId)) {
+            throw new Error(`You have reached the maximum of ${this.config.user.maxLockedInboxes} locked inboxes`)
+        }
+        if (this.isLocked(address)) {
+            throw new Error('This inbox is already locked')
+        }
+    }
+
+    _insert(userId, address, passwordHash) {
+        const now = Date.now()
+        const stmt = this.db.prepare(`
+            INSERT INTO user_locked_inboxes (user_id, inbox_address, password_hash, locked_at, last_accessed)
+            VALUES (?, ?, ?, ?, ?)
+        `)
+        stmt.run(userId, SubAddress.inbox(address), passwordHash, now, now)
+    }
+
+    _getRow(address) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM user_locked_inboxes
+            WHERE inbox_address = ?
+        `)
+        return stmt.get(SubAddress.inbox(address))
+    }
+
+    _formatLock(row) {
+        const anonymous = row.user_id === null
+        return {
+            id: row.id,
+            userId: row.user_id,
+            address: row.inbox_address,
+            anonymous,
+            hasPassphrase: Boolean(row.password_hash),
+            lockedAt: row.locked_at,
+            lastAccess: row.last_accessed,
+            expiresAt: anonymous ? row.last_accessed + this.config.user.anonymousLockReleaseHours * 60 * 60 * 1000 : null
+        }
+    }
+
+    _hashPassphrase(passphrase) {
+        const invalid = InboxLock.validatePassphrase(passphrase)
+        if (invalid) {
+            throw new Error(invalid)
+        }
+        return bcrypt.hash(passphrase, BCRYPT_ROUNDS)
+    }
+
+    _accessKey(row) {
+        return crypto.createHmac('sha256', this.config.http.sessionSecret)
+            .update(`inbox-key:${row.id}:${row.inbox_address}:${row.password_hash}`)
+            .digest('base64url')
+    }
+
     _formatTimeAgo(timestamp) {
         const seconds = Math.floor((Date.now() - timestamp) / 1000)
 
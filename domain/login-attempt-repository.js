@@ -0,0 +1,107 @@
+const debug = require('debug')('48hr-email:login-attempt-repository')
+
+/**
+ * Login Attempt Repository - failed logins and the throttles built from them
+ * Uses the login_failures and login_throttles tables of the users database, so lockouts survive restarts
+ */
+class LoginAttemptRepository {
+    constructor(db) {
+        if (!db) {
+            throw new Error('LoginAttemptRepository requires a database connection')
+        }
+        this.db = db
+    }
+
+    /**
+     * @param {string} key - 'user:<username>' or 'ip:<address>'
+     * @returns {Object|null} - {failures, lockedUntil, lastFailureAt}
+     */
+    getThrottle(key) {
+        const row = this.db.prepare(`
+            SELECT failures, locked_until, last_failure_at
+            FROM login_throttles
+            WHERE throttle_key = ?
+        `).get(key)
+        return row ? { failures: row.failures, lockedUntil: row.locked_until, lastFailureAt: row.last_failure_at } : null
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} failures - Failures in a row
+     * @param {number} lockedUntil - Timestamp in ms
+     * @param {number} now - Time of the failure
+     */
+    saveThrottle(key, failures, lockedUntil, now) {
+        this.db.prepare(`
+            INSERT OR REPLACE INTO login_throttles (throttle_key, failures, locked_until, last_failure_at)
+            VALUES (?, ?, ?, ?)
+        `).run(key, failures, lockedUntil, now)
+    }
+
+    /**
+     * @param {string} key
+     */
+    clearThrottle(key) {
+        this.db.prepare('DELETE FROM login_throttles WHERE throttle_key = ?').run(key)
+    }
+
+    /**
+     * @param {string} username - As entered
+     * @param {number|null} userId - Null for unknown users
+     * @param {string|null} ip
+     * @param {number} now
+     */
+    recordFailure(username, userId, ip, now) {
+        this.db.prepare(`
+            INSERT INTO login_failures (username, user_id, ip, attempted_at)
+            VALUES (?, ?, ?, ?)
+        `).run(username, userId, ip, now)
+    }
+
+    /**
+     * @param {number} userId
+     * @param {number} since - Timestamp in ms
+     * @param {number} limit
+     * @returns {Array<{ip: string|null, attemptedAt: number, attemptedAgo: string}>} - Newest first
+     */
+    getFailures(userId, since, limit) {
+        return this.db.prepare(`
+            SELECT ip, attempted_at
+            FROM login_failures
+            WHERE user_id = ? AND attempted_at >= ?
+            ORDER BY attempted_at DESC
+            LIMIT ?
+        `).all(userId, since, limit).map(row => ({
+            ip: row.ip,
+            attemptedAt: row.attempted_at,
+            attemptedAgo: this._formatTimeAgo(row.attempted_at)
+        }))
+    }
+
+    /**
+     * Drop failures and throttles nobody needs anymore
+     * @param {number} failuresBefore - Failures before this time are deleted
+     * @param {number} throttlesBefore - Unlocked throttles whose last failure is before this time are deleted
+     */
+    cleanup(failuresBefore, throttlesBefore) {
+        const failures = this.db.prepare('DELETE FROM login_failures WHERE attempted_at < ?').run(failuresBefore)
+        const throttles = this.db.prepare(`
+            DELETE FROM login_throttles
+            WHERE last_failure_at < ? AND locked_until < ?
+        `).run(throttlesBefore, Date.now())
+        if (failures.changes > 0 || throttles.changes > 0) {
+            debug(`Cleanup: removed ${failures.changes} old failed logins, ${throttles.changes} throttles`)
+        }
+    }
+
+    _formatTimeAgo(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000)
+
+        if (seconds < 60) return 'just now'
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`
+        return `${Math.floor(seconds / 86400)} days ago`
+    }
+}
+
+module.exports = LoginAttemptRepository
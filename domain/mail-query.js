@@ -0,0 +1,187 @@
+const SubAddress = require('./sub-address')
+
+const SORT_FIELDS = ['date', 'subject', 'from']
+const MAX_LIMIT = 500
+
+/**
+ * Mail Query - Filters, sorts and pages the mail summaries of an inbox
+ * Built from request parameters, so the API and the web inbox accept the same ones:
+ * q, from, subject, tag, since, until, sort (date|subject|from), order (asc|desc), limit, and either offset or cursor
+ */
+class MailQuery {
+    constructor({ q = '', from = '', subject = '', tag = '', since = null, until = null, sort = 'date', order = null, limit = null, offset = 0, cursor = null } = {}) {
+        this.q = q
+        this.from = from
+        this.subject = subject
+        this.tag = tag
+        this.since = since
+        this.until = until
+        this.sort = sort
+        // Newest first for dates, alphabetical otherwise
+        this.order = order || (sort === 'date' ? 'desc' : 'asc')
+        this.limit = limit
+        this.offset = offset
+        this.cursor = cursor
+    }
+
+    static get SORT_FIELDS() {
+        return SORT_FIELDS
+    }
+
+    static get MAX_LIMIT() {
+        return MAX_LIMIT
+    }
+
+    /**
+     * @param {Object} params - Query string parameters
+     * @param {Object} defaults - Values used when a parameter is missing, e.g. a page size
+     * @returns {{query: MailQuery|null, error: string|null}}
+     */
+    static parse(params = {}, defaults = {}) {
+        const value = name => {
+            const raw = params[name]
+            return typeof raw === 'string' && raw.trim() !== '' ? raw.trim() : null
+        }
+        const options = { ...defaults }
+
+        if (value('q')) options.q = value('q')
+        if (value('from')) options.from = value('from').toLowerCase()
+        if (value('subject')) options.subject = value('subject').toLowerCase()
+        if (value('tag')) options.tag = value('tag').toLowerCase()
+
+        for (const name of ['since', 'until']) {
+            if (value(name)) {
+                const date = new Date(value(name))
+                if (isNaN(date.getTime())) {
+                    return { query: null, error: `Invalid '${name}' date` }
+                }
+                options[name] = date
+            }
+        }
+
+        if (value('sort')) {
+            if (!SORT_FIELDS.includes(value('sort'))) {
+                return { query: null, error: `'sort' must be one of ${SORT_FIELDS.join(', ')}` }
+            }
+            options.sort = value('sort')
+        }
+        if (value('order')) {
+            if (!['asc', 'desc'].includes(value('order'))) {
+                return { query: null, error: `'order' must be asc or desc` }
+            }
+            options.order = value('order')
+        }
+
+        if (value('limit')) {
+            const limit = Number(value('limit'))
+            if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+                return { query: null, error: `'limit' must be between 1 and ${MAX_LIMIT}` }
+            }
+            options.limit = limit
+        }
+        if (value('offset')) {
+            const offset = Number(value('offset'))
+            if (!Number.isInteger(offset) || offset < 0) {
+                return { query: null, error: `'offset' must be a positive number` }
+            }
+            options.offset = offset
+        }
+        if (value('cursor')) {
+            if (value('offset')) {
+                return { query: null, error: `Use either 'offset' or 'cursor'` }
+            }
+            const cursor = MailQuery._decodeCursor(value('cursor'))
+            if (!cursor) {
+                return { query: null, error: `Invalid 'cursor'` }
+            }
+            options.cursor = cursor
+        }
+
+        return { query: new MailQuery(options), error: null }
+    }
+
+    /**
+     * Apply the date, sender, subject and tag filters
+     * @param {Array<Mail>} mails
+     * @param {string|null} inbox - Inbox of the mails, tags are per inbox
+     * @returns {Array<Mail>}
+     */
+    filter(mails, inbox = null) {
+        return mails.filter(mail => {
+            const date = new Date(mail.date)
+            if (this.since && date < this.since) return false
+            if (this.until && date > this.until) return false
+            if (this.from) {
+                const senders = (mail.from || []).map(sender => `${sender.name || ''} ${sender.address || ''}`.toLowerCase())
+                if (!senders.some(sender => sender.includes(this.from))) return false
+            }
+            if (this.subject && !(mail.subject || '').toLowerCase().includes(this.subject)) return false
+            if (this.tag && !SubAddress.tagsOf(mail, inbox).includes(this.tag)) return false
+            return true
+        })
+    }
+
+    /**
+     * Sort the filtered mails and cut out the requested page
+     * @param {Array<Mail>} mails - Filtered mails
+     * @returns {{mails: Array<Mail>, matched: number, offset: number, limit: number|null, nextCursor: string|null}}
+     */
+    page(mails) {
+        const direction = this.order === 'asc' ? 1 : -1
+        const sorted = [...mails].sort((a, b) => direction * MailQuery._compareKeys(this._key(a), this._key(b)))
+
+        let start = this.offset
+        if (this.cursor) {
+            // Keyset pagination: continue after the last mail of the previous page, even if mails were added or purged since
+            start = sorted.findIndex(mail => direction * MailQuery._compareKeys(this._key(mail), this.cursor) > 0)
+            if (start === -1) start = sorted.length
+        }
+        const end = this.limit ? start + this.limit : sorted.length
+        const pageMails = sorted.slice(start, end)
+
+        return {
+            mails: pageMails,
+            matched: sorted.length,
+            offset: start,
+            limit: this.limit,
+            nextCursor: end < sorted.length && pageMails.length > 0 ?
+                MailQuery._encodeCursor(this._key(pageMails[pageMails.length - 1])) : null
+        }
+    }
+
+    _key(mail) {
+        let value
+        switch (this.sort) {
+            case 'subject':
+                value = (mail.subject || '').toLowerCase()
+                break
+            case 'from':
+                value = (mail.from && mail.from[0] && mail.from[0].address || '').toLowerCase()
+                break
+            default:
+                value = Date.parse(mail.date) || 0
+        }
+        return [value, parseInt(mail.uid)]
+    }
+
+    static _compareKeys([valueA, uidA], [valueB, uidB]) {
+        if (valueA < valueB) return -1
+        if (valueA > valueB) return 1
+        return uidA - uidB
+    }
+
+    static _encodeCursor(key) {
+        return Buffer.from(JSON.stringify(key)).toString('base64url')
+    }
+
+    static _decodeCursor(cursor) {
+        try {
+            const key = JSON.parse(Buffer.from(cursor, 'base64url').toString())
+            return Array.isArray(key) && key.length === 2 && Number.isInteger(key[1]) ? key : null
+        } catch (error) {
+            return null
+        }
+    }
+}
+
+module.exports = MailQuery
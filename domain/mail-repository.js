@@ -1,6 +1,7 @@
 const debug = require('debug')('48hr-email:mail-summary-store')
 const MultiMap = require('mnemonist/multi-map')
 const config = require('../application/config-service')
+const SubAddress = require('./sub-address')
 
 class MailRepository {
     constructor() {
@@ -9,7 +10,9 @@ class MailRepository {
         this.config = config
     }
 
+    // Every address is looked up by its inbox, name+tag@domain finds the mails of name@domain
     getForRecipient(address) {
+        address = SubAddress.inbox(address)
         let mails = this.mailSummaries.get(address) || []
         const mailsToDelete = []
 
@@ -47,17 +50,23 @@ class MailRepository {
 
     add(to, mailSummary) {
         if (to !== undefined) {
-            this.mailSummaries.set(to.toLowerCase(), mailSummary)
+            this.mailSummaries.set(SubAddress.inbox(to), mailSummary)
         } else {
             debug('IMAP reported no recipient for mail, ignoring', mailSummary)
         }
     }
 
+    has(to, uid) {
+        const mails = this.mailSummaries.get(SubAddress.inbox(to)) || []
+        return mails.some(mail => mail.uid === parseInt(uid))
+    }
+
     removeUid(uid, address) {
         if (!this.config.email.examples.uids.includes(parseInt(uid))) {
             var deleted = false
 
             if (address) {
+                address = SubAddress.inbox(address)
                 // Efficient path: only search the specific address's emails
                 const mails = this.mailSummaries.get(address) || []
                 const mailToDelete = mails.find(mail => mail.uid === parseInt(uid))
@@ -1,14 +1,16 @@
 class Mail {
-	constructor(to, from, date, subject, uid) {
+	// subAddresses: addresses with a tag (name+tag@domain) the mail was delivered to, see SubAddress
+	constructor(to, from, date, subject, uid, subAddresses = []) {
 		this.to = to
 		this.from = from
 		this.date = date
 		this.subject = subject
 		this.uid = uid
+		this.subAddresses = subAddresses
 	}
 
-	static create(to, from, date, subject, uid) {
-		return new Mail(to, from, date, subject, uid)
+	static create(to, from, date, subject, uid, subAddresses = []) {
+		return new Mail(to, from, date, subject, uid, subAddresses)
 	}
 }
 
@@ -0,0 +1,209 @@
+const Database = require('better-sqlite3')
+const debug = require('debug')('48hr-email:message-store')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const Mail = require('./mail')
+
+/**
+ * Message Store - Persistent copy of every message until it is purged
+ * Keeps the summary of each message and, once it has been opened, its raw source,
+ * so inboxes are available right after a restart and bodies are fetched from the source only once
+ */
+class MessageStore {
+    /**
+     * @param {string} dbPath - SQLite database file
+     * @param {Object} config - Application config, used to detect a change of mail source
+     */
+    constructor(dbPath, config) {
+        this.dbPath = dbPath
+        this.config = config
+        this.db = null
+        this._initialize()
+    }
+
+    /**
+     * Open the database, create the schema and drop messages of a previous mail source
+     * @private
+     */
+    _initialize() {
+        const dbDir = path.dirname(this.dbPath)
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true })
+            debug(`Created database directory: ${dbDir}`)
+        }
+
+        this.db = new Database(this.dbPath)
+        this.db.pragma('journal_mode = WAL')
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS messages (
+                uid INTEGER PRIMARY KEY,
+                recipients TEXT NOT NULL, -- JSON array
+                sub_addresses TEXT, -- JSON array of tagged recipients (name+tag@domain)
+                sender TEXT NOT NULL, -- JSON array of {address, name}
+                subject TEXT,
+                date INTEGER NOT NULL,
+                raw BLOB,
+                stored_at INTEGER NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS store_meta (
+                key TEXT PRIMARY KEY,
+                value TEXT
+            );
+        `)
+        debug(`Connected to message store: ${this.dbPath}`)
+        this._autoMigrateTable()
+
+        // UIDs are only meaningful within one mailbox, so a different source starts from scratch
+        const sourceHash = this._computeSourceHash()
+        const stored = this.db.prepare(`SELECT value FROM store_meta WHERE key = 'source_hash'`).get()
+        if (stored && stored.value !== sourceHash) {
+            const { changes } = this.db.prepare('DELETE FROM messages').run()
+            this.db.prepare('DELETE FROM store_meta').run()
+            debug(`Mail source changed, dropped ${changes} stored messages`)
+        }
+        this.db.prepare(`INSERT OR REPLACE INTO store_meta (key, value) VALUES ('source_hash', ?)`).run(sourceHash)
+    }
+
+    /**
+     * Add columns that stores created by older versions are missing
+     * @private
+     */
+    _autoMigrateTable() {
+        const columns = this.db.prepare('PRAGMA table_info(messages)').all().map(col => col.name)
+        if (!columns.includes('sub_addresses')) {
+            this.db.prepare('ALTER TABLE messages ADD COLUMN sub_addresses TEXT').run()
+            debug('Migrated messages table: added sub_addresses column')
+        }
+    }
+
+    _computeSourceHash() {
+        let identity
+        switch (this.config.mailSource) {
+            case 'smtp':
+                identity = `smtp:${path.resolve(this.config.smtpReceiver.storagePath)}`
+                break
+            case 'maildir':
+                identity = `maildir:${path.resolve(this.config.maildir.path)}`
+                break
+            default:
+                identity = `imap:${this.config.imap.user || ''}:${this.config.imap.host || ''}:${this.config.imap.port || ''}`
+        }
+        return crypto.createHash('sha256').update(identity).digest('hex')
+    }
+
+    /**
+     * Store or update the summary of a message, keeping its raw source if already stored
+     * @param {Mail} mail
+     */
+    saveSummary(mail) {
+        this.db.prepare(`
+            INSERT INTO messages (uid, recipients, sub_addresses, sender, subject, date, stored_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(uid) DO UPDATE SET
+                recipients = excluded.recipients,
+                sub_addresses = excluded.sub_addresses,
+                sender = excluded.sender,
+                subject = excluded.subject,
+                date = excluded.date
+        `).run(
+            mail.uid,
+            JSON.stringify(mail.to),
+            JSON.stringify(mail.subAddresses || []),
+            JSON.stringify(mail.from || []),
+            mail.subject,
+            new Date(mail.date).getTime() || Date.now(),
+            Date.now()
+        )
+    }
+
+    /**
+     * Store the raw source of a message whose summary is already stored
+     * @param {number} uid
+     * @param {Buffer|string} source
+     * @returns {boolean} - False if the message is unknown
+     */
+    saveRaw(uid, source) {
+        const result = this.db.prepare('UPDATE messages SET raw = ? WHERE uid = ?')
+            .run(Buffer.from(source), parseInt(uid))
+        return result.changes > 0
+    }
+
+    /**
+     * @param {number} uid
+     * @returns {Buffer|null} - Raw source, or null if not stored (yet)
+     */
+    getRaw(uid) {
+        const row = this.db.prepare('SELECT raw FROM messages WHERE uid = ?').get(parseInt(uid))
+        return row && row.raw ? row.raw : null
+    }
+
+    /**
+     * @returns {Array<Mail>} - All stored summaries
+     */
+    getAllSummaries() {
+        return this.db.prepare('SELECT uid, recipients, sub_addresses, sender, subject, date FROM messages').all()
+            .map(row => Mail.create(
+                JSON.parse(row.recipients),
+                JSON.parse(row.sender),
+                new Date(row.date),
+                row.subject,
+                row.uid,
+                row.sub_addresses ? JSON.parse(row.sub_addresses) : []
+            ))
+    }
+
+    /**
+     * @param {number} uid
+     */
+    remove(uid) {
+        this.db.prepare('DELETE FROM messages WHERE uid = ?').run(parseInt(uid))
+    }
+
+    /**
+     * Remove every message that is not in the given set, e.g. mails deleted while we were offline
+     * @param {Set<number>} uids - UIDs to keep
+     * @returns {Array<number>} - Removed UIDs
+     */
+    removeAllExcept(uids) {
+        const removed = this.db.prepare('SELECT uid FROM messages').all()
+            .map(row => row.uid)
+            .filter(uid => !uids.has(uid))
+
+        const remove = this.db.prepare('DELETE FROM messages WHERE uid = ?')
+        this.db.transaction(() => removed.forEach(uid => remove.run(uid)))()
+
+        if (removed.length > 0) {
+            debug(`Removed ${removed.length} messages that are gone from the mail source`)
+        }
+        return removed
+    }
+
+    /**
+     * Read a value stored for the mail source, e.g. its sync position
+     * @param {string} key
+     * @returns {*} - Parsed JSON value, or null
+     */
+    getMeta(key) {
+        const row = this.db.prepare('SELECT value FROM store_meta WHERE key = ?').get(key)
+        return row ? JSON.parse(row.value) : null
+    }
+
+    /**
+     * @param {string} key
+     * @param {*} value - Stored as JSON
+     */
+    setMeta(key, value) {
+        this.db.prepare('INSERT OR REPLACE INTO store_meta (key, value) VALUES (?, ?)').run(key, JSON.stringify(value))
+    }
+
+    close() {
+        if (this.db) {
+            this.db.close()
+            debug('Message store connection closed')
+        }
+    }
+}
+
+module.exports = MessageStore
@@ -0,0 +1,60 @@
+const config = require('../application/config-service')
+const EmailAddress = require('./email-address')
+
+const SEPARATOR = '+'
+
+/**
+ * Sub-addressing (plus-addressing) - with EMAIL_SUBADDRESSING, mail for name+tag@domain
+ * lands in the inbox name@domain, tagged "tag". Without it every address is an inbox of its own.
+ */
+class SubAddress {
+    static get enabled() {
+        return Boolean(config.email.features.subAddressing)
+    }
+
+    /**
+     * Split an address into the inbox it belongs to and its tag. Quoted local parts are never split.
+     * @param {string} address
+     * @returns {{inbox: string, tag: string|null}} Canonical inbox (see EmailAddress), tag is null for plain addresses.
+     *          Invalid addresses are only trimmed and lowercased, for the callers to reject
+     */
+    static parse(address) {
+        const parts = EmailAddress.parse(address)
+        if (!parts) {
+            return { inbox: String(address || '').trim().toLowerCase(), tag: null }
+        }
+        const { local, domain } = parts
+        const separator = local.indexOf(SEPARATOR)
+        if (!SubAddress.enabled || separator < 1 || local.startsWith('"')) {
+            return { inbox: `${local}@${domain}`, tag: null }
+        }
+        return {
+            inbox: EmailAddress.normalize(`${local.slice(0, separator)}@${domain}`),
+            tag: local.slice(separator + 1) || null
+        }
+    }
+
+    /**
+     * @param {string} address
+     * @returns {string} Canonical inbox the address belongs to
+     */
+    static inbox(address) {
+        return SubAddress.parse(address).inbox
+    }
+
+    /**
+     * Tags a mail was delivered to an inbox with
+     * @param {Mail} mail
+     * @param {string} inbox
+     * @returns {Array<string>}
+     */
+    static tagsOf(mail, inbox) {
+        const tags = (mail.subAddresses || [])
+            .map(address => SubAddress.parse(address))
+            .filter(parsed => parsed.tag && parsed.inbox === inbox)
+            .map(parsed => parsed.tag)
+        return [...new Set(tags)]
+    }
+}
+
+module.exports = SubAddress
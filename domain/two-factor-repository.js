@@ -0,0 +1,135 @@
+const crypto = require('crypto')
+const debug = require('debug')('48hr-email:two-factor-repository')
+
+/**
+ * Two-Factor Repository - TOTP secrets and recovery codes of users
+ * Uses the user_two_factor and user_recovery_codes tables of the users database
+ * Recovery codes are stored as hashes, they are only shown once
+ */
+class TwoFactorRepository {
+    constructor(db) {
+        if (!db) {
+            throw new Error('TwoFactorRepository requires a database connection')
+        }
+        this.db = db
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Object|null} - {secret, lastUsedStep, enabledAt}, null if 2FA is off
+     */
+    get(userId) {
+        const row = this.db.prepare(`
+            SELECT secret, last_used_step, enabled_at
+            FROM user_two_factor
+            WHERE user_id = ?
+        `).get(userId)
+        return row ? { secret: row.secret, lastUsedStep: row.last_used_step, enabledAt: row.enabled_at } : null
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {boolean}
+     */
+    isEnabled(userId) {
+        return Boolean(this.db.prepare('SELECT 1 FROM user_two_factor WHERE user_id = ?').get(userId))
+    }
+
+    /**
+     * Turn on 2FA with a confirmed secret, replacing any recovery codes
+     * @param {number} userId
+     * @param {string} secret - Base32 TOTP secret
+     * @param {number} step - Time step of the code that confirmed the secret
+     * @param {Array<string>} recoveryCodes - Normalized recovery codes
+     */
+    enable(userId, secret, step, recoveryCodes) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO user_two_factor (user_id, secret, last_used_step, enabled_at)
+                VALUES (?, ?, ?, ?)
+            `).run(userId, secret, step, Date.now())
+            this._replaceRecoveryCodes(userId, recoveryCodes)
+        })()
+        debug(`Two-factor authentication enabled for user ${userId}`)
+    }
+
+    /**
+     * Turn off 2FA and drop the recovery codes
+     * @param {number} userId
+     * @returns {boolean} - True if it was enabled
+     */
+    disable(userId) {
+        const result = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId)
+            return this.db.prepare('DELETE FROM user_two_factor WHERE user_id = ?').run(userId)
+        })()
+        debug(`Two-factor authentication disabled for user ${userId}`)
+        return result.changes > 0
+    }
+
+    /**
+     * Remember the time step of an accepted code, so it can't be used again
+     * Only moves forward, a concurrent request with an older code loses
+     * @param {number} userId
+     * @param {number} step
+     * @returns {boolean} - False if the step was already used
+     */
+    useStep(userId, step) {
+        const result = this.db.prepare(`
+            UPDATE user_two_factor
+            SET last_used_step = ?
+            WHERE user_id = ? AND last_used_step < ?
+        `).run(step, userId, step)
+        return result.changes > 0
+    }
+
+    /**
+     * @param {number} userId
+     * @param {Array<string>} recoveryCodes - Normalized recovery codes
+     */
+    replaceRecoveryCodes(userId, recoveryCodes) {
+        this.db.transaction(() => this._replaceRecoveryCodes(userId, recoveryCodes))()
+        debug(`Recovery codes replaced for user ${userId}`)
+    }
+
+    /**
+     * Use up a recovery code
+     * @param {number} userId
+     * @param {string} code - Normalized recovery code
+     * @returns {boolean} - True if the code was valid and unused
+     */
+    useRecoveryCode(userId, code) {
+        const result = this.db.prepare(`
+            UPDATE user_recovery_codes
+            SET used_at = ?
+            WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+        `).run(Date.now(), userId, this._hash(code))
+        if (result.changes > 0) {
+            debug(`Recovery code used by user ${userId}`)
+        }
+        return result.changes > 0
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {number} - Unused recovery codes
+     */
+    countRecoveryCodes(userId) {
+        return this.db.prepare(`
+            SELECT COUNT(*) as count FROM user_recovery_codes
+            WHERE user_id = ? AND used_at IS NULL
+        `).get(userId).count
+    }
+
+    _replaceRecoveryCodes(userId, recoveryCodes) {
+        this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?').run(userId)
+        const insert = this.db.prepare('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)')
+        recoveryCodes.forEach(code => insert.run(userId, this._hash(code)))
+    }
+
+    _hash(code) {
+        return crypto.createHash('sha256').update(code).digest('hex')
+    }
+}
+
+module.exports = TwoFactorRepository
@@ -36,6 +36,7 @@ class UserRepository {
             const schemaPath = path.join(__dirname, '../schema.sql')
             const schema = fs.readFileSync(schemaPath, 'utf8')
             this.db.exec(schema)
+            this._autoMigrateTable(schema)
             debug('Database schema initialized')
         } catch (error) {
             console.error('Failed to initialize user database:', error)
@@ -83,7 +84,7 @@ class UserRepository {
     getUserByUsername(username) {
         try {
             const stmt = this.db.prepare(`
-                SELECT id, username, password_hash, created_at, last_login
+                SELECT id, username, password_hash, created_at, last_login, is_admin
                 FROM users
                 WHERE username = ?
             `)
@@ -110,7 +111,7 @@ class UserRepository {
     getUserById(userId) {
         try {
             const stmt = this.db.prepare(`
-                SELECT id, username, password_hash, created_at, last_login
+                SELECT id, username, password_hash, created_at, last_login, is_admin
                 FROM users
                 WHERE id = ?
             `)
@@ -129,6 +130,39 @@ class UserRepository {
         }
     }
 
+    /**
+     * @param {number} userId
+     * @returns {boolean} - True if the user has the admin role
+     */
+    isAdmin(userId) {
+        try {
+            const row = this.db.prepare('SELECT is_admin FROM users WHERE id = ?').get(userId)
+            return Boolean(row && row.is_admin)
+        } catch (error) {
+            debug(`Error checking admin role: ${error.message}`)
+            throw error
+        }
+    }
+
+    /**
+     * Grant or take away the admin role
+     * @param {number} userId
+     * @param {boolean} isAdmin
+     * @returns {boolean} - True if the user exists
+     */
+    setAdmin(userId, isAdmin) {
+        try {
+            const result = this.db.prepare('UPDATE users SET is_admin = ? WHERE id = ?').run(isAdmin ? 1 : 0, userId)
+            if (result.changes > 0) {
+                debug(`Admin role ${isAdmin ? 'granted to' : 'removed from'} user ${userId}`)
+            }
+            return result.changes > 0
+        } catch (error) {
+            debug(`Error setting admin role: ${error.message}`)
+            throw error
+        }
+    }
+
     /**
      * Update user's last login timestamp
      * @param {number} userId
@@ -329,7 +363,7 @@ class UserRepository {
                 accountAge,
                 createdAt: user.created_at,
                 lastLogin: user.last_login,
-                maxLockedInboxes: config.maxLockedInboxes || 5,
+                maxLockedInboxes: config.maxLockedInboxes !== undefined ? config.maxLockedInboxes : 5, // 0 turns locking off
                 maxForwardEmails: config.maxForwardEmails || 5,
                 lockReleaseHours: config.lockReleaseHours || 720
             }
@@ -420,15 +454,36 @@ class UserRepository {
     deleteUser(userId) {
         try {
             // Delete in order due to foreign key constraints:
-            // 1. forward_emails (references users.id)
-            // 2. users
-
-            const deleteForwardEmails = this.db.prepare('DELETE FROM forward_emails WHERE user_id = ?')
+            // 1. user_forward_emails, user_locked_inboxes and api_tokens (references users.id)
+            // 2. webhook_deliveries and inbox_webhooks (references users.id)
+            // 3. two-factor secret and recovery codes (references users.id)
+            // 4. failed logins (references users.id)
+            // 5. users
+            // SQLite doesn't enforce ON DELETE CASCADE unless foreign keys are turned on, so nothing is left to it
+
+            const deleteForwardEmails = this.db.prepare('DELETE FROM user_forward_emails WHERE user_id = ?')
+            const deleteLockedInboxes = this.db.prepare('DELETE FROM user_locked_inboxes WHERE user_id = ?')
+            const deleteApiTokens = this.db.prepare('DELETE FROM api_tokens WHERE user_id = ?')
+            const deleteWebhookDeliveries = this.db.prepare(`
+                DELETE FROM webhook_deliveries
+                WHERE webhook_id IN (SELECT id FROM inbox_webhooks WHERE user_id = ?)
+            `)
+            const deleteWebhooks = this.db.prepare('DELETE FROM inbox_webhooks WHERE user_id = ?')
+            const deleteTwoFactor = this.db.prepare('DELETE FROM user_two_factor WHERE user_id = ?')
+            const deleteRecoveryCodes = this.db.prepare('DELETE FROM user_recovery_codes WHERE user_id = ?')
+            const deleteLoginFailures = this.db.prepare('DELETE FROM login_failures WHERE user_id = ?')
             const deleteUser = this.db.prepare('DELETE FROM users WHERE id = ?')
 
             // Use transaction for atomicity
             const deleteTransaction = this.db.transaction((uid) => {
                 deleteForwardEmails.run(uid)
+                deleteLockedInboxes.run(uid)
+                deleteApiTokens.run(uid)
+                deleteWebhookDeliveries.run(uid)
+                deleteWebhooks.run(uid)
+                deleteTwoFactor.run(uid)
+                deleteRecoveryCodes.run(uid)
+                deleteLoginFailures.run(uid)
                 const result = deleteUser.run(uid)
                 return result.changes > 0
             })
@@ -448,6 +503,44 @@ class UserRepository {
         }
     }
 
+    /**
+     * Bring tables of databases created by older versions up to date
+     * @param {string} schema - schema.sql, to create rebuilt tables from
+     * @private
+     */
+    _autoMigrateTable(schema) {
+        const columns = this.db.prepare('PRAGMA table_info(users)').all().map(col => col.name)
+        if (!columns.includes('is_admin')) {
+            this.db.prepare('ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0').run()
+            debug('Migrated users table: added is_admin column')
+        }
+
+        // Passphrase locks have no user, SQLite can't drop NOT NULL so the table is created anew
+        const userIdColumn = this.db.prepare('PRAGMA table_info(user_locked_inboxes)').all().find(col => col.name === 'user_id')
+        if (userIdColumn && userIdColumn.notnull) {
+            const rows = this.db.prepare('SELECT * FROM user_locked_inboxes').all()
+            this.db.transaction(() => {
+                this.db.prepare('DROP TABLE user_locked_inboxes').run()
+                this.db.exec(schema)
+                const insert = this.db.prepare(`
+                    INSERT INTO user_locked_inboxes (id, instance_id, user_id, inbox_address, password_hash, locked_at, last_accessed)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)
+                `)
+                rows.forEach(row => {
+                    insert.run(row.id, row.instance_id, row.user_id, row.inbox_address, row.password_hash, row.locked_at, row.last_accessed)
+                })
+            })()
+            debug(`Migrated user_locked_inboxes table: user_id is optional (${rows.length} locks kept)`)
+        }
+
+        // Older databases limited locks to 5 per user, the limit is config.user.maxLockedInboxes now
+        const limitTrigger = this.db.prepare(`SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = 'check_locked_inbox_limit'`).get()
+        if (limitTrigger) {
+            this.db.prepare('DROP TRIGGER check_locked_inbox_limit').run()
+            debug('Migrated user_locked_inboxes table: dropped fixed lock limit trigger')
+        }
+    }
+
     /**
      * Close database connection
      */
@@ -71,6 +71,31 @@ class VerificationStore {
         return verification
     }
 
+    /**
+     * Look up a token without using it up, e.g. before showing a form
+     * @param {string} token - Token to look up
+     * @returns {Object|null} - Verification data or null if invalid/expired
+     */
+    getVerification(token) {
+        const verification = this.verifications.get(token)
+        if (!verification || Date.now() > verification.expiresAt) {
+            return null
+        }
+        return verification
+    }
+
+    /**
+     * List unexpired verifications, newest first, without their tokens (for the admin dashboard)
+     * @returns {Array<Object>} - {destinationEmail, createdAt, expiresAt, metadata}
+     */
+    getPending() {
+        const now = Date.now()
+        return [...this.verifications.values()]
+            .filter(verification => now <= verification.expiresAt)
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .map(({ destinationEmail, createdAt, expiresAt, metadata }) => ({ destinationEmail, createdAt, expiresAt, metadata }))
+    }
+
     /**
      * Get the last verification request time for an email
      * @param {string} destinationEmail - Email address to check
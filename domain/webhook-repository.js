@@ -0,0 +1,167 @@
+const crypto = require('crypto')
+const debug = require('debug')('48hr-email:webhook-repository')
+const SubAddress = require('./sub-address')
+
+// Deliveries kept per webhook for the account page
+const MAX_DELIVERIES_PER_WEBHOOK = 50
+
+/**
+ * Webhook Repository - Webhooks of locked inboxes and their delivery log
+ * Uses the inbox_webhooks and webhook_deliveries tables of the users database
+ */
+class WebhookRepository {
+    constructor(db) {
+        if (!db) {
+            throw new Error('WebhookRepository requires a database connection')
+        }
+        this.db = db
+    }
+
+    /**
+     * Register a webhook for an inbox, with a new signing secret
+     * @param {number} userId
+     * @param {string} address - Locked inbox address
+     * @param {string} url - http(s) URL receiving the POST requests
+     * @returns {Object} - Created webhook {id, address, url, secret}
+     */
+    create(userId, address, url) {
+        const secret = crypto.randomBytes(32).toString('hex')
+        try {
+            const result = this.db.prepare(`
+                INSERT INTO inbox_webhooks (user_id, inbox_address, url, secret, created_at)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(userId, SubAddress.inbox(address), url, secret, Date.now())
+
+            debug(`Webhook ${result.lastInsertRowid} added for ${address} by user ${userId}`)
+            return { id: result.lastInsertRowid, address: SubAddress.inbox(address), url, secret }
+        } catch (error) {
+            if (error.message.includes('UNIQUE constraint failed')) {
+                throw new Error('This webhook is already registered for the inbox')
+            }
+            throw error
+        }
+    }
+
+    /**
+     * @param {string} address
+     * @returns {Array<Object>} - Webhooks of the inbox, including owner and secret
+     */
+    getForAddress(address) {
+        return this.db.prepare(`
+            SELECT id, user_id, inbox_address, url, secret
+            FROM inbox_webhooks
+            WHERE inbox_address = ?
+        `).all(SubAddress.inbox(address))
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {Array<Object>} - Webhooks of the user with their latest deliveries
+     */
+    getByUserId(userId) {
+        const webhooks = this.db.prepare(`
+            SELECT id, inbox_address, url, secret, created_at
+            FROM inbox_webhooks
+            WHERE user_id = ?
+            ORDER BY created_at DESC
+        `).all(userId)
+
+        const getDeliveries = this.db.prepare(`
+            SELECT mail_uid, status, attempts, response_status, error, updated_at
+            FROM webhook_deliveries
+            WHERE webhook_id = ?
+            ORDER BY id DESC
+            LIMIT 10
+        `)
+
+        return webhooks.map(webhook => ({
+            id: webhook.id,
+            address: webhook.inbox_address,
+            url: webhook.url,
+            secret: webhook.secret,
+            createdAt: webhook.created_at,
+            deliveries: getDeliveries.all(webhook.id).map(delivery => ({
+                uid: delivery.mail_uid,
+                status: delivery.status,
+                attempts: delivery.attempts,
+                responseStatus: delivery.response_status,
+                error: delivery.error,
+                updatedAt: delivery.updated_at,
+                updatedAgo: this._formatTimeAgo(delivery.updated_at)
+            }))
+        }))
+    }
+
+    /**
+     * @param {number} userId
+     * @returns {number}
+     */
+    getCountForUser(userId) {
+        return this.db.prepare('SELECT COUNT(*) as count FROM inbox_webhooks WHERE user_id = ?').get(userId).count
+    }
+
+    /**
+     * Remove a webhook of the user, with its delivery log
+     * @param {number} userId
+     * @param {number} webhookId
+     * @returns {boolean} - True if it existed
+     */
+    remove(userId, webhookId) {
+        const removeTransaction = this.db.transaction(() => {
+            const result = this.db.prepare('DELETE FROM inbox_webhooks WHERE id = ? AND user_id = ?').run(webhookId, userId)
+            if (result.changes > 0) {
+                this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(webhookId)
+            }
+            return result.changes > 0
+        })
+        return removeTransaction()
+    }
+
+    /**
+     * Start a delivery log entry
+     * @param {number} webhookId
+     * @param {number} uid - UID of the mail being delivered
+     * @returns {number} - Delivery ID
+     */
+    createDelivery(webhookId, uid) {
+        const now = Date.now()
+        const result = this.db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, mail_uid, status, attempts, created_at, updated_at)
+            VALUES (?, ?, 'pending', 0, ?, ?)
+        `).run(webhookId, uid, now, now)
+
+        // Keep the log short
+        this.db.prepare(`
+            DELETE FROM webhook_deliveries
+            WHERE webhook_id = ? AND id NOT IN (
+                SELECT id FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+            )
+        `).run(webhookId, webhookId, MAX_DELIVERIES_PER_WEBHOOK)
+
+        return result.lastInsertRowid
+    }
+
+    /**
+     * Record the outcome of a delivery attempt
+     * @param {number} deliveryId
+     * @param {Object} attempt - {status, attempts, responseStatus, error}
+     */
+    updateDelivery(deliveryId, { status, attempts, responseStatus = null, error = null }) {
+        this.db.prepare(`
+            UPDATE webhook_deliveries
+            SET status = ?, attempts = ?, response_status = ?, error = ?, updated_at = ?
+            WHERE id = ?
+        `).run(status, attempts, responseStatus, error, Date.now(), deliveryId)
+    }
+
+    _formatTimeAgo(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000)
+
+        if (seconds < 60) return 'just now'
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`
+        return `${Math.floor(seconds / 86400)} days ago`
+    }
+}
+
+module.exports = WebhookRepository
@@ -0,0 +1,19 @@
+/**
+ * API Address Parameter
+ * Brings :address into its canonical form, so every spelling of an inbox (quoted, Unicode, punycode,
+ * upper case) reaches the same one. Answers 400 for addresses that are not valid.
+ * Use with router.param('address', addressParam)
+ */
+
+const EmailAddress = require('../../../../domain/email-address')
+
+function addressParam(req, res, next, value) {
+    const address = EmailAddress.normalize(value)
+    if (!address) {
+        return res.apiError('Invalid email address', 'VALIDATION_ERROR', 400)
+    }
+    req.params.address = address
+    next()
+}
+
+module.exports = addressParam
@@ -0,0 +1,85 @@
+/**
+ * API Documentation Middleware
+ * Describes a route for the OpenAPI document and validates requests and responses against that description
+ * Use first in the route, so every response of the route is checked
+ */
+
+const debug = require('debug')('48hr-email:api-doc')
+const { validate, coerce, parameterSchema } = require('../openapi')
+
+// Response mismatches already reported, each is logged once
+const reported = new Set()
+
+/**
+ * @param {Object} doc - Route description
+ * @param {string} doc.summary - One line summary
+ * @param {string} [doc.description] - Longer description
+ * @param {Object} [doc.params] - Path parameter schemas by name, path parameters are strings by default
+ * @param {Object} [doc.query] - Query parameter schemas by name, with optional description and required
+ * @param {Object} [doc.response] - Schema of the response data, or of each item for lists
+ * @param {boolean} [doc.list] - The response is a list (res.apiList)
+ * @param {Object} [doc.pagination] - Schema of the pagination info of lists
+ * @param {number} [doc.status] - Status of successful responses, 200 by default
+ * @param {string} [doc.produces] - Content type of non-JSON responses, which are not validated
+ * @param {Object} [doc.errors] - Error codes by status, e.g. {404: ['NOT_FOUND']}
+ */
+function apiDoc(doc) {
+    const params = Object.entries(doc.params || {}).map(([name, param]) => [name, parameterSchema(param)])
+    const query = Object.entries(doc.query || {}).map(([name, param]) => [name, parameterSchema(param), param.required])
+    const responseSchema = doc.list ? { type: 'array', items: doc.response } : doc.response
+
+    function middleware(req, res, next) {
+        const errors = []
+        for (const [name, schema] of params) {
+            errors.push(...validate(schema, coerce(schema, req.params[name]), name))
+        }
+        for (const [name, schema, required] of query) {
+            const value = req.query[name]
+            if (value === undefined || value === '') {
+                if (required) errors.push(`${name} is required`)
+                continue
+            }
+            errors.push(...validate(schema, coerce(schema, value), name))
+        }
+        if (errors.length > 0) {
+            return res.apiError(`Invalid parameters: ${errors.join('; ')}`, 'VALIDATION_ERROR', 400)
+        }
+
+        if (responseSchema && !doc.produces) {
+            checkResponses(req, res, responseSchema)
+        }
+        next()
+    }
+
+    middleware.openapi = {
+        ...doc,
+        errors: params.length > 0 || query.length > 0 ?
+            { ...doc.errors, 400: [...new Set([...((doc.errors || {})[400] || []), 'VALIDATION_ERROR'])] } : doc.errors
+    }
+    return middleware
+}
+
+/**
+ * Check the data of successful responses against the schema
+ * Mismatches are logged, the response goes out unchanged
+ */
+function checkResponses(req, res, schema) {
+    const json = res.json.bind(res)
+    res.json = function(body) {
+        if (body && body.success === true) {
+            const route = `${req.method} ${req.baseUrl}${req.route ? req.route.path : ''}`
+            for (const error of validate(schema, body.data, 'data')) {
+                // One report per field, not per list item
+                const message = `${route}: ${error.replace(/\[\d+\]/g, '[]')}`
+                debug('Response does not match the API description:', message)
+                if (!reported.has(message)) {
+                    reported.add(message)
+                    console.warn('API response does not match the OpenAPI document:', message)
+                }
+            }
+        }
+        return json(body)
+    }
+}
+
+module.exports = apiDoc
@@ -1,97 +1,129 @@
 /**
  * API Authentication Middleware
  * Supports both session-based auth and Bearer token auth
+ * Sessions have every scope, tokens only the scopes they were created with
  */
 
+const ApiTokenRepository = require('../../../../domain/api-token-repository')
+
 function createAuthenticator(apiTokenRepository) {
     /**
-     * Require authentication - returns 401 if not authenticated
+     * Resolve the session or Bearer token of a request
+     * @returns {Object|null} {user, method, scopes}, {expired: true} for expired tokens, or null
      */
-    function requireAuth(req, res, next) {
+    function authenticate(req) {
         // Check session first (existing web auth)
         if (req.session && req.session.isAuthenticated && req.session.userId) {
-            req.user = {
-                id: req.session.userId,
-                username: req.session.username
+            return {
+                user: {
+                    id: req.session.userId,
+                    username: req.session.username
+                },
+                method: 'session',
+                scopes: ApiTokenRepository.SCOPES
             }
-            req.authMethod = 'session'
-            return next()
         }
 
         // Check Bearer token
         const authHeader = req.headers.authorization
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-            const token = authHeader.substring(7) // Remove 'Bearer ' prefix
-
-            const tokenData = apiTokenRepository.getByToken(token)
-            if (tokenData) {
-                req.user = {
-                    id: tokenData.user_id,
-                    username: tokenData.username
-                }
-                req.authMethod = 'token'
-
-                // Update last_used timestamp asynchronously
-                setImmediate(() => {
-                    try {
-                        apiTokenRepository.updateLastUsed(token)
-                    } catch (err) {
-                        // Log but don't fail the request
-                        console.error('Failed to update token last_used:', err)
-                    }
-                })
-
-                return next()
+        if (!apiTokenRepository || !authHeader || !authHeader.startsWith('Bearer ')) {
+            return null
+        }
+
+        const token = authHeader.substring(7) // Remove 'Bearer ' prefix
+        const tokenData = apiTokenRepository.getByToken(token)
+        if (!tokenData) {
+            return null
+        }
+        if (tokenData.expires_at && tokenData.expires_at <= Date.now()) {
+            return { expired: true }
+        }
+
+        // Update last_used timestamp asynchronously
+        setImmediate(() => {
+            try {
+                apiTokenRepository.updateLastUsed(tokenData.id)
+            } catch (err) {
+                // Log but don't fail the request
+                console.error('Failed to update token last_used:', err)
             }
+        })
+
+        return {
+            user: {
+                id: tokenData.user_id,
+                username: tokenData.username
+            },
+            method: 'token',
+            tokenId: tokenData.id,
+            scopes: tokenData.scopes
         }
+    }
 
-        // No valid authentication found
-        return res.apiError('Authentication required', 'UNAUTHORIZED', 401)
+    function applyAuth(req, auth) {
+        req.user = auth.user
+        req.authMethod = auth.method
+        req.tokenId = auth.tokenId || null
+        req.scopes = auth.scopes
+    }
+
+    /**
+     * Require authentication - returns 401 if not authenticated
+     */
+    function requireAuth(req, res, next) {
+        const auth = authenticate(req)
+
+        if (auth && auth.expired) {
+            return res.apiError('API token expired', 'TOKEN_EXPIRED', 401)
+        }
+        if (!auth) {
+            // No valid authentication found
+            return res.apiError('Authentication required', 'UNAUTHORIZED', 401)
+        }
+
+        applyAuth(req, auth)
+        next()
     }
 
     /**
      * Optional authentication - sets req.user if authenticated, but doesn't require it
+     * An expired token is still rejected, so callers notice instead of silently losing access
      */
     function optionalAuth(req, res, next) {
-        // Check session first
-        if (req.session && req.session.isAuthenticated && req.session.userId) {
-            req.user = {
-                id: req.session.userId,
-                username: req.session.username
-            }
-            req.authMethod = 'session'
-            return next()
-        }
+        const auth = authenticate(req)
 
-        // Check Bearer token
-        const authHeader = req.headers.authorization
-        if (authHeader && authHeader.startsWith('Bearer ')) {
-            const token = authHeader.substring(7)
-
-            const tokenData = apiTokenRepository.getByToken(token)
-            if (tokenData) {
-                req.user = {
-                    id: tokenData.user_id,
-                    username: tokenData.username
-                }
-                req.authMethod = 'token'
-
-                // Update last_used timestamp asynchronously
-                setImmediate(() => {
-                    try {
-                        apiTokenRepository.updateLastUsed(token)
-                    } catch (err) {
-                        console.error('Failed to update token last_used:', err)
-                    }
-                })
-            }
+        if (auth && auth.expired) {
+            return res.apiError('API token expired', 'TOKEN_EXPIRED', 401)
+        }
+        if (auth) {
+            applyAuth(req, auth)
         }
 
         // Continue regardless of auth status
         next()
     }
 
-    return { requireAuth, optionalAuth }
+    /**
+     * Require a scope from token requests - returns 403 if the token lacks it
+     * Use after requireAuth or optionalAuth, anonymous requests pass through
+     * @param {string} scope - One of ApiTokenRepository.SCOPES
+     */
+    function requireScope(scope) {
+        function checkScope(req, res, next) {
+            if (req.authMethod === 'token' && !req.scopes.includes(scope)) {
+                return res.apiError(`API token lacks the '${scope}' scope`, 'INSUFFICIENT_SCOPE', 403)
+            }
+            next()
+        }
+        checkScope.openapi = { scope, errors: { 403: ['INSUFFICIENT_SCOPE'] } }
+        return checkScope
+    }
+
+    // Described in the OpenAPI document, see ../openapi.js
+    requireAuth.openapi = { security: 'required', errors: { 401: ['UNAUTHORIZED', 'TOKEN_EXPIRED'] } }
+    optionalAuth.openapi = { security: 'optional', errors: { 401: ['TOKEN_EXPIRED'] } }
+
+    return { requireAuth, optionalAuth, requireScope }
 }
 
 module.exports = createAuthenticator
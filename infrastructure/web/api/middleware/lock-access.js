@@ -0,0 +1,45 @@
+/**
+ * API Lock Access Middleware
+ * Keeps locked inboxes to their owners, whether they use a session or a Bearer token,
+ * and to callers with the access key of a passphrase lock in the X-Inbox-Key header
+ * Use after requireAuth or optionalAuth so req.user is set
+ */
+
+const { hasLockAccess } = require('../../middleware/lock')
+
+const INBOX_KEY_HEADER = 'x-inbox-key'
+
+function createLockAccess(inboxLock) {
+    /**
+     * Require access to the inbox of the request - returns 403 if another user locked it
+     * @param {Function} getAddress - Reads the inbox address from the request, the :address param by default
+     */
+    function requireLockAccess(getAddress = req => req.params.address) {
+        function checkLockAccess(req, res, next) {
+            const address = getAddress(req)
+            if (!inboxLock || !address) {
+                return next()
+            }
+
+            const userId = req.user ? req.user.id : null
+            const key = req.get(INBOX_KEY_HEADER) || null
+            if (!hasLockAccess(inboxLock, address, { userId, session: req.session, key })) {
+                return res.apiError('This inbox is locked by another user', 'INBOX_LOCKED', 403)
+            }
+
+            // Keep the owner's lock from being released as inactive, passphrase locks by anyone who has it
+            const lock = inboxLock.isLocked(address) ? inboxLock.getLock(address) : null
+            if (lock && (lock.anonymous || lock.userId === userId)) {
+                inboxLock.updateAccess(lock.userId, address)
+            }
+
+            next()
+        }
+        checkLockAccess.openapi = { inboxKey: true, errors: { 403: ['INBOX_LOCKED'] } }
+        return checkLockAccess
+    }
+
+    return { requireLockAccess }
+}
+
+module.exports = createLockAccess
@@ -70,8 +70,9 @@ const rateLimiter = new RateLimiter()
  * Create rate limiting middleware
  * @param {number} maxRequests - Maximum requests allowed (default: 100)
  * @param {number} windowMs - Time window in milliseconds (default: 60000 = 1 minute)
+ * @param {string} scope - Counts requests apart from other limiters (optional)
  */
-function createRateLimiter(maxRequests = 100, windowMs = 60000) {
+function createRateLimiter(maxRequests = 100, windowMs = 60000, scope = null) {
     return function(req, res, next) {
         // Determine key: use token if authenticated via Bearer, otherwise IP
         let key
@@ -81,6 +82,9 @@ function createRateLimiter(maxRequests = 100, windowMs = 60000) {
             // Get IP address (consider proxy headers)
             key = `ip:${req.ip || req.connection.remoteAddress}`
         }
+        if (scope) {
+            key = `${scope}:${key}`
+        }
 
         const result = rateLimiter.checkLimit(key, maxRequests, windowMs)
 
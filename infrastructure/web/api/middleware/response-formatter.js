@@ -54,8 +54,9 @@ function responseFormatter(req, res, next) {
      * @param {array} items - Array of items
      * @param {number} total - Total count (optional, defaults to items.length)
      * @param {number} statusCode - HTTP status code (default: 200)
+     * @param {Object} pagination - Paging details, e.g. offset and next cursor (optional)
      */
-    res.apiList = function(items, total = null, statusCode = 200, templateContext = null) {
+    res.apiList = function(items, total = null, statusCode = 200, templateContext = null, pagination = null) {
         if (!Array.isArray(items)) {
             items = [];
         }
@@ -66,6 +67,7 @@ function responseFormatter(req, res, next) {
             count: items.length,
             total: total !== null ? total : items.length
         };
+        if (pagination) response.pagination = pagination;
         if (templateContext) response.templateContext = templateContext;
         res.status(statusCode).json(response);
     }
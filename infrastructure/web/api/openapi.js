@@ -0,0 +1,679 @@
+/**
+ * OpenAPI Document
+ * Builds the OpenAPI 3 description of /api/v1 from the mounted routers:
+ * - paths and path parameters from the Express route paths
+ * - request bodies from the express-validator chains of each route
+ * - security, scopes and error responses from the auth and lock middlewares
+ * - summaries, query parameters and response data from apiDoc() (see middleware/api-doc.js)
+ * Also checks values against the schemas, for the request and response validation of apiDoc()
+ */
+
+const ApiTokenRepository = require('../../../domain/api-token-repository')
+const EmailAddress = require('../../../domain/email-address')
+
+const OPENAPI_VERSION = '3.0.3'
+
+const string = { type: 'string' }
+const integer = { type: 'integer' }
+const boolean = { type: 'boolean' }
+const timestamp = { type: 'integer', description: 'Milliseconds since epoch' }
+const nullableTimestamp = { ...timestamp, nullable: true }
+
+/**
+ * Shared schemas, referenced as {$ref: '#/components/schemas/<name>'}
+ */
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        required: ['success', 'error', 'code'],
+        properties: {
+            success: { type: 'boolean', enum: [false] },
+            mode: string,
+            error: string,
+            code: string
+        }
+    },
+    Address: {
+        type: 'object',
+        properties: {
+            address: string,
+            name: string
+        }
+    },
+    MailSummary: {
+        type: 'object',
+        required: ['uid', 'to', 'from', 'date', 'subject'],
+        properties: {
+            uid: integer,
+            to: { type: 'array', items: string, description: 'Inboxes of this instance the mail was delivered to' },
+            from: { type: 'array', items: { $ref: '#/components/schemas/Address' } },
+            date: { type: 'string', format: 'date-time' },
+            subject: string,
+            subAddresses: { type: 'array', items: string, description: 'Addresses the mail was delivered to, including name+tag@ forms' },
+            tags: { type: 'array', items: string, description: 'Tags the mail was delivered to this inbox with' }
+        }
+    },
+    Attachment: {
+        type: 'object',
+        properties: {
+            filename: string,
+            contentType: string,
+            size: integer,
+            checksum: string
+        }
+    },
+    Verification: {
+        type: 'object',
+        description: 'One-time codes and verification links found in the mail',
+        properties: {
+            codes: { type: 'array', items: string },
+            links: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: { url: string, text: string }
+                }
+            }
+        }
+    },
+    Mail: {
+        type: 'object',
+        required: ['uid', 'subject'],
+        properties: {
+            uid: integer,
+            to: { description: 'Parsed To header' },
+            from: { description: 'Parsed From header' },
+            date: { type: 'string', format: 'date-time', nullable: true },
+            subject: { type: 'string', nullable: true },
+            text: { type: 'string', nullable: true },
+            html: { type: 'string', nullable: true },
+            attachments: { type: 'array', items: { $ref: '#/components/schemas/Attachment' } },
+            verification: { $ref: '#/components/schemas/Verification' }
+        }
+    },
+    ApiToken: {
+        type: 'object',
+        properties: {
+            id: integer,
+            name: string,
+            prefix: { type: 'string', description: 'First characters of the token' },
+            scopes: { type: 'array', items: { type: 'string', enum: ApiTokenRepository.SCOPES } },
+            createdAt: timestamp,
+            expiresAt: nullableTimestamp,
+            lastUsed: nullableTimestamp,
+            expired: boolean
+        }
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            id: integer,
+            device: { type: 'string', description: 'Browser and system, from the User-Agent' },
+            ip: { type: 'string', nullable: true },
+            createdAt: timestamp,
+            lastSeen: timestamp,
+            current: { type: 'boolean', description: 'Session of this request' }
+        }
+    },
+    AdminUser: {
+        type: 'object',
+        properties: {
+            id: integer,
+            username: string,
+            createdAt: timestamp,
+            lastLogin: nullableTimestamp,
+            isAdmin: boolean,
+            lockedInboxes: { type: 'integer', description: 'Number of locked inboxes' },
+            forwardEmails: { type: 'integer', description: 'Number of forwarding addresses' },
+            apiTokens: { type: 'integer', description: 'Number of API tokens' }
+        }
+    },
+    AuditEntry: {
+        type: 'object',
+        properties: {
+            id: integer,
+            adminId: { type: 'integer', nullable: true },
+            adminUsername: string,
+            action: { type: 'string', enum: ['user.delete', 'user.grant_admin', 'user.revoke_admin', 'lock.release', 'token.revoke', 'config.update', 'config.reset'] },
+            target: { type: 'string', description: 'Username, inbox address or setting keys' },
+            details: { type: 'object', nullable: true },
+            ip: { type: 'string', nullable: true },
+            createdAt: timestamp
+        }
+    },
+    Setting: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: 'Path in the config, e.g. email.domains' },
+            env: { type: 'string', description: 'Variable in .env' },
+            label: string,
+            type: { type: 'string', enum: ['string', 'number', 'boolean', 'list', 'numberList', 'enum'] },
+            options: { type: 'array', items: string, nullable: true },
+            min: { type: 'number', nullable: true },
+            max: { type: 'number', nullable: true },
+            restart: { type: 'boolean', description: 'Only applied on start' },
+            value: { description: 'Running value' },
+            saved: { description: 'Value after the next start' },
+            default: { description: 'Value from .env' },
+            overridden: { type: 'boolean', description: 'Set in the config file' },
+            pendingRestart: { type: 'boolean', description: 'Saved but not running yet' }
+        }
+    },
+    LockedInbox: {
+        type: 'object',
+        properties: {
+            address: string,
+            lockedAt: timestamp,
+            lastAccess: nullableTimestamp,
+            lastAccessedAgo: { type: 'string', nullable: true }
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            message: string
+        }
+    }
+}
+
+const SECURITY_SCHEMES = {
+    bearerAuth: {
+        type: 'http',
+        scheme: 'bearer',
+        description: `API token from the account page or POST /account/token. Scopes: ${ApiTokenRepository.SCOPES.join(', ')}`
+    },
+    sessionCookie: {
+        type: 'apiKey',
+        in: 'cookie',
+        name: 'connect.sid',
+        description: 'Session of the web interface or POST /auth/login, has every scope'
+    },
+    inboxKey: {
+        type: 'apiKey',
+        in: 'header',
+        name: 'X-Inbox-Key',
+        description: 'Access key of an inbox locked with a passphrase, from POST /locks/anonymous or POST /locks/{address}/key'
+    }
+}
+
+const METHODS = ['get', 'post', 'put', 'delete']
+
+/**
+ * Check a value against a schema, for the subset of OpenAPI used in this file:
+ * type, nullable, enum, format (email, date-time), pattern, lengths, bounds, properties, required, items and $ref
+ * Dates pass as date-time strings, undefined properties are left out of JSON anyway
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} name - Name of the value, for the messages
+ * @returns {Array<string>} - Mismatches, empty when the value matches
+ */
+function validate(schema, value, name = 'value') {
+    if (!schema || value === undefined) {
+        return []
+    }
+    if (schema.$ref) {
+        return validate(SCHEMAS[schema.$ref.split('/').pop()], value, name)
+    }
+    if (value === null) {
+        return schema.nullable || !schema.type ? [] : [`${name} must not be null`]
+    }
+    if (value instanceof Date && schema.format === 'date-time') {
+        return []
+    }
+
+    const errors = []
+    switch (schema.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                return [`${name} must be a string`]
+            }
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${name} must be at least ${schema.minLength} characters`)
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${name} must be at most ${schema.maxLength} characters`)
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${name} must match ${schema.pattern}`)
+            }
+            if (schema.format === 'email' && !EmailAddress.isValid(value)) {
+                errors.push(`${name} must be an email address`)
+            }
+            if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+                errors.push(`${name} must be a date`)
+            }
+            break
+        case 'integer':
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (schema.type === 'integer' && !Number.isInteger(value))) {
+                return [`${name} must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`]
+            }
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${name} must be at least ${schema.minimum}`)
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${name} must be at most ${schema.maximum}`)
+            }
+            break
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                return [`${name} must be a boolean`]
+            }
+            break
+        case 'array':
+            if (!Array.isArray(value)) {
+                return [`${name} must be an array`]
+            }
+            value.forEach((item, i) => errors.push(...validate(schema.items, item, `${name}[${i}]`)))
+            break
+        case 'object':
+            if (typeof value !== 'object' || Array.isArray(value)) {
+                return [`${name} must be an object`]
+            }
+            for (const key of schema.required || []) {
+                if (value[key] === undefined) {
+                    errors.push(`${name}.${key} is required`)
+                }
+            }
+            for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+                errors.push(...validate(propertySchema, value[key], `${name}.${key}`))
+            }
+            break
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${name} must be one of ${schema.enum.join(', ')}`)
+    }
+    return errors
+}
+
+/**
+ * Convert a path or query string value to the type of its schema, before validating it
+ * Values that don't convert are returned as they are, so validate() reports them
+ */
+function coerce(schema, value) {
+    if (typeof value !== 'string' || !schema) {
+        return value
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value)
+    }
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true'
+    }
+    return value
+}
+
+/**
+ * Schema of one field, from the validators of its express-validator chain
+ * @param {Array} stack - Context items of the chain
+ */
+function schemaFromValidators(stack) {
+    const schema = {}
+    for (const item of stack) {
+        if (!item.validator) {
+            continue
+        }
+        const name = item.validator.name
+        const [options] = item.options || []
+
+        if (!name) {
+            // isString(), isArray() and friends are custom validations
+            const source = String(item.validator)
+            if (source.includes('typeof value === \'object\'')) schema.type = 'object'
+            else if (source.includes('Array.isArray')) schema.type = 'array'
+            else if (source.includes('typeof value === \'string\'')) schema.type = 'string'
+            continue
+        }
+
+        if (name === 'isEmail' || item.validator === EmailAddress.isValid) {
+            Object.assign(schema, { type: 'string', format: 'email' })
+        } else if (name === 'isInt') {
+            schema.type = 'integer'
+            if (options && options.min !== undefined) schema.minimum = options.min
+            if (options && options.max !== undefined) schema.maximum = options.max
+        } else if (name === 'isLength') {
+            schema.type = schema.type || 'string'
+            if (options && options.min !== undefined) schema.minLength = options.min
+            if (options && options.max !== undefined) schema.maxLength = options.max
+        } else if (name === 'matches') {
+            schema.type = schema.type || 'string'
+            schema.pattern = String(options)
+        } else if (name === 'isIn') {
+            schema.type = schema.type || 'string'
+            schema.enum = options
+        } else if (name === 'isEmpty' && item.negated) {
+            schema.type = schema.type || 'string'
+            schema.minLength = Math.max(schema.minLength || 0, 1)
+        } else if (name === 'isBoolean') {
+            schema.type = 'boolean'
+        }
+    }
+    return schema
+}
+
+/**
+ * Request body and query parameters of a route, from its express-validator chains
+ * @param {Array<Object>} contexts - Built chain contexts
+ * @returns {{body: Object|null, query: Array<Object>}}
+ */
+function describeChains(contexts) {
+    const body = { type: 'object', properties: {}, required: [] }
+    const query = []
+
+    for (const context of contexts) {
+        const schema = schemaFromValidators(context.stack)
+        if (context.optional === 'null') {
+            schema.nullable = true
+        }
+        const required = context.optional === false
+
+        for (const field of context.fields) {
+            if (context.locations.includes('query')) {
+                query.push({ name: field, in: 'query', required, schema })
+            }
+            if (!context.locations.includes('body')) {
+                continue
+            }
+
+            // 'scopes.*' describes the items of 'scopes'
+            if (field.endsWith('.*')) {
+                const parent = field.slice(0, -2)
+                body.properties[parent] = { type: 'array', ...body.properties[parent], items: schema }
+                continue
+            }
+            body.properties[field] = { ...body.properties[field], ...schema }
+            if (required) {
+                body.required.push(field)
+            }
+        }
+    }
+
+    if (body.required.length === 0) {
+        delete body.required
+    }
+    return { body: Object.keys(body.properties).length > 0 ? body : null, query }
+}
+
+/**
+ * Gather the OpenAPI metadata of the middlewares of a route
+ * Middlewares describe themselves with an `openapi` property:
+ * {security: 'required'|'optional', scope, inboxKey, errors: {status: [codes]}} and the apiDoc() options
+ */
+function collectMetadata(route) {
+    const metadata = { errors: {} }
+    const contexts = []
+
+    for (const layer of route.stack) {
+        const handle = layer.handle
+        if (handle.builder) {
+            contexts.push(handle.builder.build())
+            continue
+        }
+        if (!handle.openapi) {
+            continue
+        }
+        const { errors = {}, ...rest } = handle.openapi
+        Object.assign(metadata, rest)
+        for (const [status, codes] of Object.entries(errors)) {
+            metadata.errors[status] = [...new Set([...(metadata.errors[status] || []), ...codes])]
+        }
+    }
+
+    if (contexts.length > 0) {
+        metadata.errors[400] = [...new Set([...(metadata.errors[400] || []), 'VALIDATION_ERROR'])]
+    }
+    return { metadata, contexts }
+}
+
+/**
+ * Success response of an operation, the response envelope around the documented data
+ */
+function describeSuccess(metadata) {
+    if (metadata.produces) {
+        return {
+            description: metadata.responseDescription || 'Success',
+            content: { [metadata.produces]: { schema: { type: 'string', format: 'binary' } } }
+        }
+    }
+
+    const data = metadata.list ? { type: 'array', items: metadata.response || {} } : (metadata.response || {})
+    const properties = { success: { type: 'boolean', enum: [true] }, mode: string, data }
+    if (metadata.list) {
+        Object.assign(properties, { count: integer, total: integer })
+        if (metadata.pagination) {
+            properties.pagination = metadata.pagination
+        }
+    }
+    return {
+        description: metadata.responseDescription || 'Success',
+        content: { 'application/json': { schema: { type: 'object', required: ['success', 'data'], properties } } }
+    }
+}
+
+/**
+ * Build the operation object of a route
+ * @param {Object} route - Express route
+ * @returns {Object} - OpenAPI operation
+ */
+function buildOperation(route, tag) {
+    const { metadata, contexts } = collectMetadata(route)
+    const { body, query } = describeChains(contexts)
+
+    const operation = {
+        tags: [tag],
+        summary: metadata.summary || ''
+    }
+    const description = [metadata.description]
+    if (metadata.scope) {
+        description.push(`API tokens need the \`${metadata.scope}\` scope.`)
+        operation['x-required-scope'] = metadata.scope
+    }
+    if (description.some(Boolean)) {
+        operation.description = description.filter(Boolean).join('\n\n')
+    }
+
+    // Path parameters are strings unless apiDoc() describes them
+    const pathParams = (route.path.match(/:\w+/g) || []).map(param => param.slice(1))
+    const parameters = pathParams.map(name => ({
+        name,
+        in: 'path',
+        required: true,
+        ...describeParameter((metadata.params || {})[name])
+    }))
+    for (const [name, param] of Object.entries(metadata.query || {})) {
+        parameters.push({ name, in: 'query', required: Boolean(param.required), ...describeParameter(param) })
+    }
+    parameters.push(...query.filter(param => !parameters.some(p => p.in === 'query' && p.name === param.name)))
+    if (parameters.length > 0) {
+        operation.parameters = parameters
+    }
+
+    if (body) {
+        operation.requestBody = {
+            required: Boolean(body.required),
+            content: { 'application/json': { schema: body } }
+        }
+    }
+
+    if (metadata.security === 'required') {
+        operation.security = [{ bearerAuth: [] }, { sessionCookie: [] }]
+    } else if (metadata.security === 'optional') {
+        operation.security = [{}, { bearerAuth: [] }, { sessionCookie: [] }]
+    } else {
+        operation.security = []
+    }
+    // Locked inboxes also open with the access key of their passphrase
+    if (metadata.inboxKey && operation.security.length > 0) {
+        operation.security.push({ inboxKey: [] })
+    }
+
+    operation.responses = {
+        [metadata.status || 200]: describeSuccess(metadata)
+    }
+    const errors = { ...metadata.errors, 429: [...((metadata.errors || {})[429] || []), 'RATE_LIMIT_EXCEEDED'] }
+    for (const [status, codes] of Object.entries(errors)) {
+        operation.responses[status] = {
+            description: codes.join(', '),
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+        }
+    }
+
+    return operation
+}
+
+/**
+ * Schema of a parameter from its apiDoc() options, without the parameter's own description and required flag
+ * @param {Object} param - Schema, or {schema, description, required}
+ */
+function parameterSchema(param) {
+    if (param.schema) {
+        return param.schema
+    }
+    const schema = { ...param }
+    delete schema.description
+    delete schema.required
+    return schema
+}
+
+/**
+ * Description and schema of a parameter from its apiDoc() options
+ */
+function describeParameter(param) {
+    if (!param) {
+        return { schema: string }
+    }
+    const described = { schema: parameterSchema(param) }
+    if (param.description) {
+        described.description = param.description
+    }
+    return described
+}
+
+/**
+ * Convert an Express path to an OpenAPI path: /inbox/:address -> /inbox/{address}
+ */
+function toOpenApiPath(basePath, routePath) {
+    const path = (basePath + routePath).replace(/:(\w+)/g, '{$1}')
+    return path.length > 1 ? path.replace(/\/$/, '') : path
+}
+
+/**
+ * Build the OpenAPI document of the API
+ * Routes registered twice are described once, the first definition wins
+ * @param {Array<[string, Router]>} routers - Mount paths and routers, '' for routes of the main router
+ * @param {Object} info - {title, version, description}
+ * @returns {Object} - OpenAPI document
+ */
+function buildDocument(routers, info) {
+    const paths = {}
+
+    for (const [basePath, router] of routers) {
+        const tag = basePath ? basePath.slice(1) : 'api'
+        for (const layer of router.stack) {
+            const route = layer.route
+            // Disabled features answer every path with one catch-all route, leave them out
+            if (!route || typeof route.path !== 'string' || route.path.includes('*')) {
+                continue
+            }
+
+            const path = toOpenApiPath(basePath, route.path)
+            for (const method of METHODS.filter(m => route.methods[m])) {
+                paths[path] = paths[path] || {}
+                if (!paths[path][method]) {
+                    paths[path][method] = buildOperation(route, tag)
+                }
+            }
+        }
+    }
+
+    return {
+        openapi: OPENAPI_VERSION,
+        info,
+        servers: [{ url: '/api/v1' }],
+        paths,
+        components: {
+            schemas: SCHEMAS,
+            securitySchemes: SECURITY_SCHEMES
+        }
+    }
+}
+
+/**
+ * Example value of a schema, to prefill request bodies on the docs page
+ */
+function exampleFor(schema) {
+    if (!schema) {
+        return null
+    }
+    if (schema.$ref) {
+        return exampleFor(SCHEMAS[schema.$ref.split('/').pop()])
+    }
+    if (schema.enum) {
+        return schema.enum[0]
+    }
+    switch (schema.type) {
+        case 'string':
+            if (schema.format === 'email') return 'user@example.com'
+            if (schema.format === 'date-time') return new Date(0).toISOString()
+            return ''
+        case 'integer':
+        case 'number':
+            return schema.minimum !== undefined ? schema.minimum : 1
+        case 'boolean':
+            return false
+        case 'array':
+            return [exampleFor(schema.items)].filter(item => item !== null)
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {})
+                .map(([key, propertySchema]) => [key, exampleFor(propertySchema)]))
+        default:
+            return null
+    }
+}
+
+/**
+ * Operations of the document grouped by tag, for the docs page
+ * @param {Object} document - OpenAPI document
+ * @returns {Array<Object>} - Groups {name, operations}
+ */
+function describeForDocs(document) {
+    const groups = new Map()
+
+    for (const [path, operations] of Object.entries(document.paths)) {
+        for (const [method, operation] of Object.entries(operations)) {
+            const security = operation.security || []
+            const tag = operation.tags[0]
+            const body = operation.requestBody ? operation.requestBody.content['application/json'].schema : null
+
+            if (!groups.has(tag)) {
+                groups.set(tag, { name: tag, operations: [] })
+            }
+            groups.get(tag).operations.push({
+                id: `${method}-${path}`.replace(/[^a-zA-Z0-9]+/g, '-'),
+                method: method.toUpperCase(),
+                path,
+                summary: operation.summary,
+                description: operation.description || '',
+                auth: security.length === 0 ? 'none' : (security.some(item => Object.keys(item).length === 0) ? 'optional' : 'required'),
+                parameters: (operation.parameters || []).map(param => ({
+                    name: param.name,
+                    in: param.in,
+                    required: param.required,
+                    type: param.schema.enum ? param.schema.enum.join(' | ') : (param.schema.format || param.schema.type || 'string'),
+                    description: param.description || ''
+                })),
+                body: body ? JSON.stringify(exampleFor(body), null, 2) : null,
+                responses: Object.entries(operation.responses).map(([status, response]) => ({
+                    status,
+                    description: response.description
+                }))
+            })
+        }
+    }
+
+    return [...groups.values()]
+}
+
+module.exports = { buildDocument, describeForDocs, validate, coerce, parameterSchema, SCHEMAS }
@@ -3,23 +3,34 @@ const cors = require('cors')
 const responseFormatter = require('./middleware/response-formatter')
 const createRateLimiter = require('./middleware/rate-limiter')
 const { errorHandler } = require('./middleware/error-handler')
+const apiDoc = require('./middleware/api-doc')
+const { buildDocument, describeForDocs } = require('./openapi')
+const templateContext = require('../template-context')
+
+const API_VERSION = '1.0.0'
+
+// The routes only change with a restart, so the document is built once
+let openApiDocument = null
 
 /**
  * Main API Router (v1)
  * Mounts all API endpoints under /api/v1
+ * GET /openapi.json - OpenAPI 3 document of the API
+ * GET /docs - Interactive API documentation
  */
 
 function createApiRouter(dependencies) {
     const router = express.Router()
-    const { apiTokenRepository } = dependencies
+    const { apiTokenRepository, imapService, config } = dependencies
 
     // CORS - allow all origins for public API
-    router.use(cors({
+    // Admin endpoints accept the session cookie too, other origins only reach them with a Bearer token
+    router.use(cors((req, callback) => callback(null, {
         origin: true, // Allow all origins
-        credentials: true, // Allow cookies/session
+        credentials: !req.path.startsWith('/admin'), // Allow cookies/session
         methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-        allowedHeaders: ['Content-Type', 'Authorization']
-    }))
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Inbox-Key']
+    })))
 
     // Sanitize all input
     router.use(require('./middleware/sanitize'))
@@ -30,23 +41,85 @@ function createApiRouter(dependencies) {
     // Rate limiting - 100 requests per minute per token/IP
     router.use(createRateLimiter(100, 60000))
 
-    // Health check endpoint
-    router.get('/health', (req, res) => {
+    // Health check endpoint, 'degraded' while the mail source is offline and only stored mails are served
+    router.get('/health', apiDoc({
+        summary: 'Service health',
+        description: '`degraded` while the mail source is offline and only stored mails are served',
+        response: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['ok', 'degraded'] },
+                version: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' },
+                mailSource: {
+                    type: 'object',
+                    properties: {
+                        type: { type: 'string' },
+                        online: { type: 'boolean' },
+                        offlineSince: { type: 'string', format: 'date-time', nullable: true }
+                    }
+                }
+            }
+        }
+    }), (req, res) => {
+        const online = !imapService || imapService.isOnline()
+        const offlineSince = imapService ? imapService.getOfflineSince() : null
         res.apiSuccess({
-            status: 'ok',
-            version: '1.0.0',
-            timestamp: new Date().toISOString()
+            status: online ? 'ok' : 'degraded',
+            version: API_VERSION,
+            timestamp: new Date().toISOString(),
+            mailSource: {
+                type: config.uxDebugMode ? 'mock' : config.mailSource,
+                online,
+                offlineSince: offlineSince ? offlineSince.toISOString() : null
+            }
         })
     })
 
     // Mount sub-routers
-    router.use('/auth', require('./routes/auth')(dependencies))
-    router.use('/account', require('./routes/account')(dependencies))
-    router.use('/inbox', require('./routes/inbox')(dependencies))
-    router.use('/mail', require('./routes/mail')(dependencies))
-    router.use('/locks', require('./routes/locks')(dependencies))
-    router.use('/stats', require('./routes/stats')(dependencies))
-    router.use('/config', require('./routes/config')(dependencies))
+    const routers = [
+        ['/auth', require('./routes/auth')(dependencies)],
+        ['/account', require('./routes/account')(dependencies)],
+        ['/admin', require('./routes/admin')(dependencies)],
+        ['/inbox', require('./routes/inbox')(dependencies)],
+        ['/mail', require('./routes/mail')(dependencies)],
+        ['/locks', require('./routes/locks')(dependencies)],
+        ['/stats', require('./routes/stats')(dependencies)],
+        ['/config', require('./routes/config')(dependencies)]
+    ]
+    routers.forEach(([path, subRouter]) => router.use(path, subRouter))
+
+    const brandName = (config.http.features.branding || ['48hr.email'])[0]
+    const getDocument = () => {
+        if (!openApiDocument) {
+            openApiDocument = buildDocument([['', router], ...routers], {
+                title: `${brandName} API`,
+                version: API_VERSION,
+                description: 'Disposable inboxes, mails, forwarding, inbox locks and accounts'
+            })
+        }
+        return openApiDocument
+    }
+
+    // OpenAPI document, for SDK generators and API clients
+    router.get('/openapi.json', apiDoc({
+        summary: 'OpenAPI document of this API',
+        produces: 'application/json'
+    }), (req, res) => {
+        res.json(getDocument())
+    })
+
+    // Interactive documentation, rendered from the OpenAPI document
+    router.get('/docs', apiDoc({
+        summary: 'Interactive API documentation',
+        produces: 'text/html'
+    }), (req, res) => {
+        res.render('api-docs', templateContext.build(req, {
+            title: `API Documentation | ${brandName}`,
+            apiInfo: getDocument().info,
+            apiGroups: describeForDocs(getDocument())
+        }))
+    })
 
     // 404 handler for API routes
     router.use((req, res) => {
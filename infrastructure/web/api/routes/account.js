@@ -1,8 +1,11 @@
 const express = require('express')
-const router = express.Router()
 const { body, validationResult } = require('express-validator')
 const createAuthenticator = require('../middleware/authenticator')
 const { ApiError } = require('../middleware/error-handler')
+const ApiTokenRepository = require('../../../../domain/api-token-repository')
+const apiDoc = require('../middleware/api-doc')
+
+const MAX_TOKEN_EXPIRY_DAYS = 365
 
 /**
  * Account Management API Routes
@@ -11,17 +14,54 @@ const { ApiError } = require('../middleware/error-handler')
  * DELETE /verify-email/:id - Remove forwarding email
  * POST /change-password - Change password
  * DELETE /account - Delete account
- * GET /token - Get API token info
- * POST /token - Generate/regenerate API token
- * DELETE /token - Revoke API token
+ * GET /token - List API tokens
+ * POST /token - Create a named, scoped API token (the admin scope only for admins)
+ * DELETE /token/:id - Revoke an API token
+ * GET /sessions - List signed-in sessions
+ * DELETE /sessions/:id - Sign out a session
+ * DELETE /sessions - Sign out all other sessions
+ *
+ * Token requests need the 'account' scope
+ * Users with 2FA send a current `code` to change the password, delete the account or create tokens
  */
 
+// Session info for responses
+function formatSession(session) {
+    return {
+        id: session.id,
+        device: session.device,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeen: session.lastSeen,
+        current: session.current
+    }
+}
+
+// Token info for responses, without the token itself
+function formatToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        prefix: token.prefix,
+        scopes: token.scopes,
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        lastUsed: token.lastUsed,
+        expired: token.expired
+    }
+}
+
 function createAccountRouter(dependencies) {
     // Ensure router is declared before any usage
+    const router = express.Router()
     const {
         authService,
         userRepository,
         apiTokenRepository,
+        twoFactorService,
+        loginThrottle,
+        sessionStore,
+        adminService,
         inboxLock,
         config
     } = dependencies
@@ -36,12 +76,45 @@ function createAccountRouter(dependencies) {
         return router
     }
 
-    const { requireAuth } = createAuthenticator(apiTokenRepository)
+    const { requireAuth, requireScope } = createAuthenticator(apiTokenRepository)
+
+    // Sends the 403 and returns false if the user has 2FA and the code is missing or wrong
+    function checkTwoFactor(req, res) {
+        const result = twoFactorService ? twoFactorService.verifyIfEnabled(req.user.id, req.body.code) : { valid: true }
+        if (!result.valid) {
+            res.apiError(result.error, result.code, 403)
+            return false
+        }
+        return true
+    }
 
     /**
      * GET /account - Get account information
      */
-    router.get('/', requireAuth, async(req, res, next) => {
+    router.get('/', apiDoc({
+        summary: 'Account information',
+        response: {
+            type: 'object',
+            properties: {
+                userId: { type: 'integer' },
+                username: { type: 'string' },
+                createdAt: { type: 'integer', nullable: true },
+                lastLogin: { type: 'integer', nullable: true },
+                verifiedEmails: { type: 'array', items: { type: 'object' } },
+                lockedInboxes: { type: 'array', items: { $ref: '#/components/schemas/LockedInbox' } },
+                apiTokens: { type: 'array', items: { $ref: '#/components/schemas/ApiToken' } },
+                twoFactorEnabled: { type: 'boolean' },
+                failedLogins: {
+                    type: 'array',
+                    description: 'Failed logins of the last 30 days, newest first',
+                    items: {
+                        type: 'object',
+                        properties: { ip: { type: 'string', nullable: true }, attemptedAt: { type: 'integer' } }
+                    }
+                }
+            }
+        }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
         try {
             const userId = req.user.id
 
@@ -57,18 +130,8 @@ function createAccountRouter(dependencies) {
                 lockedInboxes = inboxLock.getUserLockedInboxes(userId)
             }
 
-            // Get API token info (without exposing the token itself)
-            let tokenInfo = null
-            if (apiTokenRepository) {
-                const token = apiTokenRepository.getByUserId(userId)
-                if (token) {
-                    tokenInfo = {
-                        hasToken: true,
-                        createdAt: token.created_at,
-                        lastUsed: token.last_used
-                    }
-                }
-            }
+            // Get API tokens (without exposing the tokens themselves)
+            const apiTokens = apiTokenRepository ? apiTokenRepository.getByUserId(userId).map(formatToken) : []
 
             res.apiSuccess({
                 userId: userId,
@@ -77,7 +140,10 @@ function createAccountRouter(dependencies) {
                 lastLogin: stats.last_login,
                 verifiedEmails: verifiedEmails,
                 lockedInboxes: lockedInboxes,
-                apiToken: tokenInfo
+                apiTokens: apiTokens,
+                twoFactorEnabled: twoFactorService ? twoFactorService.isEnabled(userId) : false,
+                failedLogins: loginThrottle ?
+                    loginThrottle.getRecentFailures(userId).map(({ ip, attemptedAt }) => ({ ip, attemptedAt })) : []
             })
         } catch (error) {
             next(error)
@@ -88,7 +154,17 @@ function createAccountRouter(dependencies) {
      * POST /verify-email - Add forwarding email (triggers verification)
      */
     router.post('/verify-email',
+        apiDoc({
+            summary: 'Add a forwarding address',
+            status: 201,
+            response: {
+                type: 'object',
+                properties: { message: { type: 'string' }, email: { type: 'string' } }
+            },
+            errors: { 400: ['MAX_EMAILS_REACHED', 'DUPLICATE_EMAIL'] }
+        }),
         requireAuth,
+        requireScope('account'),
         body('email').isEmail().normalizeEmail(),
         async(req, res, next) => {
             try {
@@ -130,7 +206,12 @@ function createAccountRouter(dependencies) {
     /**
      * DELETE /verify-email/:id - Remove forwarding email
      */
-    router.delete('/verify-email/:id', requireAuth, async(req, res, next) => {
+    router.delete('/verify-email/:id', apiDoc({
+        summary: 'Remove a forwarding address',
+        params: { id: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
         try {
             const emailId = parseInt(req.params.id)
             const userId = req.user.id
@@ -155,9 +236,16 @@ function createAccountRouter(dependencies) {
      * POST /change-password - Change password
      */
     router.post('/change-password',
+        apiDoc({
+            summary: 'Change the password',
+            response: { $ref: '#/components/schemas/Message' },
+            errors: { 400: ['WEAK_PASSWORD'], 401: ['INVALID_PASSWORD'], 403: ['TWO_FACTOR_REQUIRED', 'INVALID_TWO_FACTOR_CODE'] }
+        }),
         requireAuth,
+        requireScope('account'),
         body('currentPassword').notEmpty(),
         body('newPassword').isLength({ min: 8 }),
+        body('code').optional().isString(),
         async(req, res, next) => {
             try {
                 const errors = validationResult(req)
@@ -174,14 +262,21 @@ function createAccountRouter(dependencies) {
                     return res.apiError('Current password is incorrect', 'INVALID_PASSWORD', 401)
                 }
 
+                if (!checkTwoFactor(req, res)) {
+                    return
+                }
+
                 // Validate new password
                 const validation = authService.validatePassword(newPassword)
                 if (!validation.isValid) {
                     return res.apiError(validation.error, 'WEAK_PASSWORD', 400)
                 }
 
-                // Change password
+                // Change password and sign out the other sessions
                 userRepository.changePassword(userId, newPassword)
+                if (sessionStore) {
+                    sessionStore.revokeAll(userId, req.authMethod === 'session' ? req.sessionID : null)
+                }
 
                 res.apiSuccess({ message: 'Password changed successfully' })
             } catch (error) {
@@ -194,8 +289,16 @@ function createAccountRouter(dependencies) {
      * DELETE /account - Delete account
      */
     router.delete('/',
+        apiDoc({
+            summary: 'Delete the account',
+            description: 'Also deletes its API tokens, forwarding addresses and inbox locks.',
+            response: { $ref: '#/components/schemas/Message' },
+            errors: { 401: ['INVALID_PASSWORD'], 403: ['TWO_FACTOR_REQUIRED', 'INVALID_TWO_FACTOR_CODE'] }
+        }),
         requireAuth,
+        requireScope('account'),
         body('password').notEmpty(),
+        body('code').optional().isString(),
         async(req, res, next) => {
             try {
                 const errors = validationResult(req)
@@ -212,8 +315,15 @@ function createAccountRouter(dependencies) {
                     return res.apiError('Incorrect password', 'INVALID_PASSWORD', 401)
                 }
 
-                // Delete user (cascades to tokens, emails, locks)
+                if (!checkTwoFactor(req, res)) {
+                    return
+                }
+
+                // Delete user (cascades to tokens, emails, locks) and its sessions
                 userRepository.deleteUser(userId)
+                if (sessionStore) {
+                    sessionStore.revokeAll(userId)
+                }
 
                 // Destroy session
                 req.session.destroy((err) => {
@@ -230,63 +340,210 @@ function createAccountRouter(dependencies) {
     )
 
     /**
-     * GET /token - Get API token info (not the token itself)
+     * GET /token - List API tokens (not the tokens themselves)
      */
-    router.get('/token', requireAuth, async(req, res, next) => {
+    router.get('/token', apiDoc({
+        summary: 'List API tokens',
+        description: 'Lists the token details, not the tokens themselves.',
+        response: { $ref: '#/components/schemas/ApiToken' },
+        list: true
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
         try {
-            const userId = req.user.id
+            const tokens = apiTokenRepository.getByUserId(req.user.id).map(formatToken)
+            res.apiList(tokens)
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * POST /token - Create an API token
+     * Body: name, scopes (array, defaults to all but admin), expiresInDays (optional)
+     */
+    router.post('/token',
+        apiDoc({
+            summary: 'Create an API token',
+            description: 'The token is only returned in this response. Tokens can only grant scopes they have themselves, only admins can grant `admin`.',
+            status: 201,
+            response: {
+                type: 'object',
+                properties: {
+                    id: { type: 'integer' },
+                    token: { type: 'string' },
+                    name: { type: 'string' },
+                    scopes: { type: 'array', items: { type: 'string', enum: ApiTokenRepository.SCOPES } },
+                    expiresAt: { type: 'integer', nullable: true },
+                    message: { type: 'string' }
+                }
+            },
+            errors: { 400: ['MAX_TOKENS_REACHED'], 403: ['FORBIDDEN', 'TWO_FACTOR_REQUIRED', 'INVALID_TWO_FACTOR_CODE'] }
+        }),
+        requireAuth,
+        requireScope('account'),
+        body('name').optional().isString().trim().isLength({ min: 1, max: 50 }),
+        body('scopes').optional().isArray({ min: 1 }),
+        body('scopes.*').optional().isIn(ApiTokenRepository.SCOPES),
+        body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: MAX_TOKEN_EXPIRY_DAYS }),
+        body('code').optional().isString(),
+        async(req, res, next) => {
+            try {
+                const errors = validationResult(req)
+                if (!errors.isEmpty()) {
+                    return res.apiError(
+                        `Invalid token parameters (name: 1-50 chars, scopes: ${ApiTokenRepository.SCOPES.join(', ')}, expiresInDays: 1-${MAX_TOKEN_EXPIRY_DAYS})`,
+                        'VALIDATION_ERROR',
+                        400
+                    )
+                }
+
+                const userId = req.user.id
+                const name = req.body.name || 'API token'
+                const scopes = [...new Set(req.body.scopes || ApiTokenRepository.DEFAULT_SCOPES)]
+                const expiresAt = req.body.expiresInDays ?
+                    Date.now() + parseInt(req.body.expiresInDays) * 24 * 60 * 60 * 1000 : null
+
+                // A token can't hand out more than it was given itself
+                const missingScopes = scopes.filter(scope => !req.scopes.includes(scope))
+                if (missingScopes.length > 0) {
+                    return res.apiError(`API token lacks the '${missingScopes[0]}' scope`, 'INSUFFICIENT_SCOPE', 403)
+                }
+                if (scopes.includes('admin') && !(adminService && adminService.isAdmin(userId))) {
+                    return res.apiError('Only admins can grant the \'admin\' scope', 'FORBIDDEN', 403)
+                }
 
-            const token = apiTokenRepository.getByUserId(userId)
+                if (!checkTwoFactor(req, res)) {
+                    return
+                }
 
-            if (!token) {
-                return res.apiSuccess({
-                    hasToken: false
-                })
+                if (apiTokenRepository.getCountForUser(userId) >= ApiTokenRepository.MAX_TOKENS_PER_USER) {
+                    return res.apiError(
+                        `Maximum ${ApiTokenRepository.MAX_TOKENS_PER_USER} API tokens allowed`,
+                        'MAX_TOKENS_REACHED',
+                        400
+                    )
+                }
+
+                const { id, token } = apiTokenRepository.create(userId, { name, scopes, expiresAt })
+
+                res.apiSuccess({
+                    id,
+                    token,
+                    name,
+                    scopes,
+                    expiresAt,
+                    message: 'API token generated successfully. Save this token - it will not be shown again.'
+                }, 201)
+            } catch (error) {
+                next(error)
             }
+        }
+    )
 
-            res.apiSuccess({
-                hasToken: true,
-                createdAt: token.created_at,
-                lastUsed: token.last_used
-            })
+    /**
+     * DELETE /token/:id - Revoke an API token
+     */
+    router.delete('/token/:id', apiDoc({
+        summary: 'Revoke an API token',
+        params: { id: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
+        try {
+            const tokenId = parseInt(req.params.id)
+
+            if (isNaN(tokenId)) {
+                return res.apiError('Invalid token ID', 'VALIDATION_ERROR', 400)
+            }
+
+            const revoked = apiTokenRepository.revoke(req.user.id, tokenId)
+
+            if (!revoked) {
+                return res.apiError('Token not found', 'NOT_FOUND', 404)
+            }
+
+            res.apiSuccess({ message: 'API token revoked successfully' })
         } catch (error) {
             next(error)
         }
     })
 
     /**
-     * POST /token - Generate or regenerate API token
+     * GET /sessions - List signed-in sessions
      */
-    router.post('/token', requireAuth, async(req, res, next) => {
+    router.get('/sessions', apiDoc({
+        summary: 'List signed-in sessions',
+        description: 'Browser sessions of the account, most recently used first.',
+        response: { $ref: '#/components/schemas/Session' },
+        list: true,
+        errors: { 503: ['SESSIONS_UNAVAILABLE'] }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
         try {
-            const userId = req.user.id
-
-            // Generate new token (replaces existing if any)
-            const newToken = apiTokenRepository.create(userId)
+            if (!sessionStore) {
+                return res.apiError('Sessions are not stored', 'SESSIONS_UNAVAILABLE', 503)
+            }
 
-            res.apiSuccess({
-                token: newToken,
-                message: 'API token generated successfully. Save this token - it will not be shown again.'
-            }, 201)
+            res.apiList(sessionStore.listByUser(req.user.id, req.sessionID).map(formatSession))
         } catch (error) {
             next(error)
         }
     })
 
     /**
-     * DELETE /token - Revoke API token
+     * DELETE /sessions/:id - Sign out a session
      */
-    router.delete('/token', requireAuth, async(req, res, next) => {
+    router.delete('/sessions/:id', apiDoc({
+        summary: 'Sign out a session',
+        description: 'The session of the request can\'t be signed out here, use `POST /auth/logout`.',
+        params: { id: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 400: ['CURRENT_SESSION'], 404: ['NOT_FOUND'], 503: ['SESSIONS_UNAVAILABLE'] }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
         try {
-            const userId = req.user.id
+            const sessionId = parseInt(req.params.id)
+
+            if (isNaN(sessionId)) {
+                return res.apiError('Invalid session ID', 'VALIDATION_ERROR', 400)
+            }
 
-            const revoked = apiTokenRepository.revoke(userId)
+            if (!sessionStore) {
+                return res.apiError('Sessions are not stored', 'SESSIONS_UNAVAILABLE', 503)
+            }
 
-            if (!revoked) {
-                return res.apiError('No token to revoke', 'NOT_FOUND', 404)
+            const current = sessionStore.listByUser(req.user.id, req.sessionID).find(session => session.current)
+            if (current && current.id === sessionId) {
+                return res.apiError('Use logout to end the current session', 'CURRENT_SESSION', 400)
             }
 
-            res.apiSuccess({ message: 'API token revoked successfully' })
+            if (!sessionStore.revoke(req.user.id, sessionId)) {
+                return res.apiError('Session not found', 'NOT_FOUND', 404)
+            }
+
+            res.apiSuccess({ message: 'Session signed out successfully' })
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * DELETE /sessions - Sign out all sessions except the current one
+     */
+    router.delete('/sessions', apiDoc({
+        summary: 'Sign out all other sessions',
+        description: 'With an API token every browser session is signed out.',
+        response: {
+            type: 'object',
+            properties: { message: { type: 'string' }, revoked: { type: 'integer' } }
+        },
+        errors: { 503: ['SESSIONS_UNAVAILABLE'] }
+    }), requireAuth, requireScope('account'), async(req, res, next) => {
+        try {
+            if (!sessionStore) {
+                return res.apiError('Sessions are not stored', 'SESSIONS_UNAVAILABLE', 503)
+            }
+
+            const revoked = sessionStore.revokeAll(req.user.id, req.authMethod === 'session' ? req.sessionID : null)
+
+            res.apiSuccess({ message: `Signed out ${revoked} session${revoked === 1 ? '' : 's'}`, revoked })
         } catch (error) {
             next(error)
         }
@@ -0,0 +1,444 @@
+const express = require('express')
+const { body, validationResult } = require('express-validator')
+const createAuthenticator = require('../middleware/authenticator')
+const apiDoc = require('../middleware/api-doc')
+
+const pagePagination = {
+    type: 'object',
+    properties: { page: { type: 'integer' }, pages: { type: 'integer' } }
+}
+const pageQuery = { page: { type: 'integer', minimum: 1, description: 'Starting at 1' } }
+
+/**
+ * Admin API Routes, for users with the admin role
+ * GET /overview - Counts, pending verifications and forwarding activity
+ * GET /users - List and search users
+ * GET /users/:id - Forwarding addresses, locks, tokens and sessions of a user
+ * PUT /users/:id/role - Grant or take away the admin role
+ * DELETE /users/:id - Delete an account
+ * DELETE /users/:id/tokens/:tokenId - Revoke an API token of a user
+ * GET /locks - List locked inboxes of all users
+ * DELETE /locks/:address - Release a locked inbox
+ * GET /config - Editable settings
+ * PUT /config - Change settings, only the keys sent
+ * DELETE /config/:key - Go back to the .env value of a setting
+ * GET /audit - Audit log of admin actions
+ *
+ * Token requests need the 'admin' scope, every change is written to the audit log
+ */
+function createAdminRouter(dependencies) {
+    const router = express.Router()
+    const { adminService, apiTokenRepository, config } = dependencies
+
+    if (!adminService || !config.user.authEnabled) {
+        router.all('*', (req, res) => {
+            res.apiError('Authentication is disabled', 'AUTH_DISABLED', 503)
+        })
+        return router
+    }
+
+    const { requireAuth, requireScope } = createAuthenticator(apiTokenRepository)
+
+    // The role is checked on every request, taking it away applies at once
+    function requireAdmin(req, res, next) {
+        if (!adminService.isAdmin(req.user.id)) {
+            return res.apiError('Admins only', 'FORBIDDEN', 403)
+        }
+        next()
+    }
+    requireAdmin.openapi = { errors: { 403: ['FORBIDDEN'] } }
+
+    const adminOnly = [requireAuth, requireScope('admin'), requireAdmin]
+
+    function pageNumber(value) {
+        const page = parseInt(value)
+        return Number.isInteger(page) && page > 0 ? page : 1
+    }
+
+    // Sends the message, or the error of a failed admin action
+    function sendResult(res, result, message) {
+        if (!result.success) {
+            return res.apiError(result.error, result.code, result.code === 'NOT_FOUND' ? 404 : 400)
+        }
+        res.apiSuccess({ message })
+    }
+
+    /**
+     * GET /overview - Counts, pending verifications and forwarding activity
+     */
+    router.get('/overview', apiDoc({
+        summary: 'Instance overview',
+        description: 'Counts of users, locks, tokens and forwarding addresses, verification mails not clicked yet and recently verified forwarding addresses.',
+        response: {
+            type: 'object',
+            properties: {
+                counts: {
+                    type: 'object',
+                    properties: {
+                        users: { type: 'integer' },
+                        admins: { type: 'integer' },
+                        lockedInboxes: { type: 'integer' },
+                        apiTokens: { type: 'integer' },
+                        forwardEmails: { type: 'integer' }
+                    }
+                },
+                forwardsInPurgeWindow: { type: 'integer' },
+                pendingVerifications: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            destinationEmail: { type: 'string' },
+                            userId: { type: 'integer', nullable: true },
+                            sourceAddress: { type: 'string', nullable: true },
+                            createdAt: { type: 'integer' },
+                            expiresAt: { type: 'integer' }
+                        }
+                    }
+                },
+                recentForwardEmails: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            email: { type: 'string' },
+                            userId: { type: 'integer' },
+                            username: { type: 'string', nullable: true },
+                            verifiedAt: { type: 'integer' }
+                        }
+                    }
+                }
+            }
+        }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const overview = adminService.getOverview()
+            res.apiSuccess({
+                ...overview,
+                recentForwardEmails: overview.recentForwardEmails.map(({ email, userId, username, verifiedAt }) => ({ email, userId, username, verifiedAt }))
+            })
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * GET /users - List and search users
+     * Query: q (part of the username), page
+     */
+    router.get('/users', apiDoc({
+        summary: 'List users',
+        description: 'Newest first, 50 per page.',
+        query: {
+            q: { type: 'string', description: 'Part of the username' },
+            ...pageQuery
+        },
+        response: { $ref: '#/components/schemas/AdminUser' },
+        list: true,
+        pagination: pagePagination
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+            const result = adminService.searchUsers(query, pageNumber(req.query.page))
+            res.apiList(result.users.map(formatUser), result.total, 200, null, { page: result.page, pages: result.pages })
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * GET /users/:id - Forwarding addresses, locks, tokens and sessions of a user
+     */
+    router.get('/users/:id', apiDoc({
+        summary: 'User details',
+        params: { id: { type: 'integer' } },
+        response: {
+            type: 'object',
+            properties: {
+                user: { $ref: '#/components/schemas/AdminUser' },
+                forwardEmails: {
+                    type: 'array',
+                    items: { type: 'object', properties: { id: { type: 'integer' }, email: { type: 'string' }, verifiedAt: { type: 'integer' } } }
+                },
+                lockedInboxes: { type: 'array', items: { $ref: '#/components/schemas/LockedInbox' } },
+                apiTokens: { type: 'array', items: { $ref: '#/components/schemas/ApiToken' } },
+                sessions: { type: 'array', items: { $ref: '#/components/schemas/Session' } }
+            }
+        },
+        errors: { 404: ['NOT_FOUND'] }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const userId = parseInt(req.params.id)
+            if (isNaN(userId)) {
+                return res.apiError('Invalid user ID', 'VALIDATION_ERROR', 400)
+            }
+
+            const details = adminService.getUserDetails(userId)
+            if (!details) {
+                return res.apiError('User not found', 'NOT_FOUND', 404)
+            }
+
+            res.apiSuccess({
+                user: formatUser(details.user),
+                forwardEmails: details.forwardEmails.map(({ id, email, verified_at: verifiedAt }) => ({ id, email, verifiedAt })),
+                lockedInboxes: details.lockedInboxes,
+                apiTokens: details.apiTokens.map(formatToken),
+                sessions: details.sessions.map(({ id, device, ip, createdAt, lastSeen }) => ({ id, device, ip, createdAt, lastSeen, current: false }))
+            })
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * PUT /users/:id/role - Grant or take away the admin role
+     * Body: admin (boolean)
+     */
+    router.put('/users/:id/role',
+        apiDoc({
+            summary: 'Set the admin role of a user',
+            description: 'Admins can\'t change their own role.',
+            params: { id: { type: 'integer' } },
+            response: { $ref: '#/components/schemas/Message' },
+            errors: { 400: ['SELF_ACTION'], 404: ['NOT_FOUND'] }
+        }),
+        ...adminOnly,
+        body('admin').isBoolean({ strict: true }),
+        (req, res, next) => {
+            try {
+                const errors = validationResult(req)
+                const userId = parseInt(req.params.id)
+                if (!errors.isEmpty() || isNaN(userId)) {
+                    return res.apiError('User ID and admin (boolean) are required', 'VALIDATION_ERROR', 400)
+                }
+
+                const result = adminService.setAdmin(req.user, userId, req.body.admin, req.ip)
+                sendResult(res, result, req.body.admin ? 'Admin role granted' : 'Admin role removed')
+            } catch (error) {
+                next(error)
+            }
+        }
+    )
+
+    /**
+     * DELETE /users/:id - Delete an account
+     */
+    router.delete('/users/:id', apiDoc({
+        summary: 'Delete a user',
+        description: 'Also deletes its locks, API tokens and forwarding addresses, and signs it out everywhere. Admins delete their own account with `DELETE /account`.',
+        params: { id: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 400: ['SELF_ACTION'], 404: ['NOT_FOUND'] }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const userId = parseInt(req.params.id)
+            if (isNaN(userId)) {
+                return res.apiError('Invalid user ID', 'VALIDATION_ERROR', 400)
+            }
+
+            sendResult(res, adminService.deleteUser(req.user, userId, req.ip), 'User deleted successfully')
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * DELETE /users/:id/tokens/:tokenId - Revoke an API token of a user
+     */
+    router.delete('/users/:id/tokens/:tokenId', apiDoc({
+        summary: 'Revoke an API token of a user',
+        params: { id: { type: 'integer' }, tokenId: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const userId = parseInt(req.params.id)
+            const tokenId = parseInt(req.params.tokenId)
+            if (isNaN(userId) || isNaN(tokenId)) {
+                return res.apiError('Invalid user or token ID', 'VALIDATION_ERROR', 400)
+            }
+
+            sendResult(res, adminService.revokeToken(req.user, userId, tokenId, req.ip), 'API token revoked successfully')
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * GET /locks - List locked inboxes of all users
+     * Query: q (part of the address or username)
+     */
+    router.get('/locks', apiDoc({
+        summary: 'List locked inboxes',
+        description: 'Locks of all users and passphrase locks without an account, most recently locked first.',
+        query: { q: { type: 'string', description: 'Part of the inbox address or username' } },
+        response: {
+            type: 'object',
+            properties: {
+                address: { type: 'string' },
+                userId: { type: 'integer', nullable: true, description: 'null for passphrase locks' },
+                username: { type: 'string', nullable: true },
+                anonymous: { type: 'boolean', description: 'Locked with a passphrase, without an account' },
+                lockedAt: { type: 'integer' },
+                lastAccess: { type: 'integer', nullable: true }
+            }
+        },
+        list: true
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+            const locks = adminService.getLocks(query)
+            res.apiList(locks.map(({ address, userId, username, anonymous, lockedAt, lastAccess }) => ({ address, userId, username, anonymous, lockedAt, lastAccess })))
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * DELETE /locks/:address - Release a locked inbox, whoever holds it
+     */
+    router.delete('/locks/:address', apiDoc({
+        summary: 'Release a locked inbox',
+        description: 'Makes the inbox public again, its owner is not told.',
+        params: { address: { type: 'string', format: 'email' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            sendResult(res, adminService.releaseLock(req.user, req.params.address, req.ip), 'Lock released successfully')
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    const settingsResult = {
+        type: 'object',
+        properties: {
+            updated: { type: 'array', items: { type: 'string' }, description: 'Settings whose saved value changed' },
+            changed: { type: 'array', items: { type: 'string' }, description: 'Settings applied to the running instance' },
+            restartRequired: { type: 'array', items: { type: 'string' }, description: 'Saved settings that apply after a restart' }
+        }
+    }
+
+    // Sends the changed settings, or the error of a failed update
+    function sendSettingsResult(res, result) {
+        if (!result.success) {
+            return res.apiError(result.error, result.code, result.code === 'CONFIG_UNAVAILABLE' ? 503 : 400)
+        }
+        const { updated, changed, restartRequired } = result
+        res.apiSuccess({ updated, changed, restartRequired })
+    }
+
+    /**
+     * GET /config - Editable settings with their running, saved and .env values
+     */
+    router.get('/config', apiDoc({
+        summary: 'List settings',
+        description: 'Settings that can be changed without editing .env. Passwords and secrets are not listed.',
+        response: { $ref: '#/components/schemas/Setting' },
+        list: true
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            res.apiList(adminService.getSettings())
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * PUT /config - Change settings
+     * Body: settings (object of setting keys and values)
+     */
+    router.put('/config',
+        apiDoc({
+            summary: 'Change settings',
+            description: 'Saved to the config file. Settings with `restart` apply after the next restart, all others at once.',
+            response: settingsResult,
+            errors: { 400: ['UNKNOWN_SETTING'], 503: ['CONFIG_UNAVAILABLE'] }
+        }),
+        ...adminOnly,
+        body('settings').isObject(),
+        (req, res, next) => {
+            try {
+                if (!validationResult(req).isEmpty()) {
+                    return res.apiError('settings (object of setting keys and values) is required', 'VALIDATION_ERROR', 400)
+                }
+
+                sendSettingsResult(res, adminService.updateSettings(req.user, req.body.settings, req.ip))
+            } catch (error) {
+                next(error)
+            }
+        }
+    )
+
+    /**
+     * DELETE /config/:key - Go back to the .env value of a setting
+     */
+    router.delete('/config/:key', apiDoc({
+        summary: 'Reset a setting',
+        description: 'Removes the setting from the config file, so the .env value applies again.',
+        params: { key: { type: 'string', description: 'Setting key, e.g. email.domains' } },
+        response: settingsResult,
+        errors: { 400: ['UNKNOWN_SETTING'], 503: ['CONFIG_UNAVAILABLE'] }
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            sendSettingsResult(res, adminService.resetSetting(req.user, req.params.key, req.ip))
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * GET /audit - Audit log of admin actions, newest first
+     */
+    router.get('/audit', apiDoc({
+        summary: 'Audit log',
+        description: 'Admin actions of the web interface and this API, newest first, 50 per page.',
+        query: pageQuery,
+        response: { $ref: '#/components/schemas/AuditEntry' },
+        list: true,
+        pagination: pagePagination
+    }), ...adminOnly, (req, res, next) => {
+        try {
+            const result = adminService.getAuditLog(pageNumber(req.query.page))
+            res.apiList(
+                result.entries.map(({ createdAgo: _createdAgo, ...entry }) => entry),
+                result.total, 200, null, { page: result.page, pages: result.pages }
+            )
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    return router
+}
+
+// User info for responses
+function formatUser(user) {
+    return {
+        id: user.id,
+        username: user.username,
+        createdAt: user.createdAt,
+        lastLogin: user.lastLogin,
+        isAdmin: user.isAdmin,
+        lockedInboxes: user.lockedInboxes,
+        forwardEmails: user.forwardEmails,
+        apiTokens: user.apiTokens
+    }
+}
+
+// Token info for responses, without the token itself
+function formatToken(token) {
+    return {
+        id: token.id,
+        name: token.name,
+        prefix: token.prefix,
+        scopes: token.scopes,
+        createdAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        lastUsed: token.lastUsed,
+        expired: token.expired
+    }
+}
+
+module.exports = createAdminRouter
@@ -1,7 +1,26 @@
 const express = require('express')
-const router = express.Router()
 const { body, validationResult } = require('express-validator')
 const { ApiError } = require('../middleware/error-handler')
+const apiDoc = require('../middleware/api-doc')
+const createRateLimiter = require('../middleware/rate-limiter')
+
+// Password reset requests per IP and hour
+const passwordResetRateLimiter = createRateLimiter(5, 60 * 60 * 1000, 'password-reset')
+
+const userInfo = {
+    type: 'object',
+    properties: {
+        userId: { type: 'integer' },
+        username: { type: 'string' },
+        message: { type: 'string' }
+    }
+}
+
+// Too many failed logins for the username or IP
+function sendLocked(res, result) {
+    res.setHeader('Retry-After', result.retryAfter)
+    return res.apiError(result.error, 'LOGIN_LOCKED', 429)
+}
 
 /**
  * Authentication API Routes
@@ -9,9 +28,12 @@ const { ApiError } = require('../middleware/error-handler')
  * POST /login - Login user
  * POST /logout - Logout user
  * GET /session - Get current session info
+ * POST /forgot-password - Send a reset link to a verified forwarding address
+ * POST /reset-password - Set a new password with a reset token
  */
 function createAuthRouter(dependencies) {
-    const { authService, config } = dependencies
+    const router = express.Router()
+    const { authService, passwordResetService, sessionStore, config } = dependencies
 
     // Check if auth is enabled
     if (!authService || !config.user.authEnabled) {
@@ -25,6 +47,12 @@ function createAuthRouter(dependencies) {
      * POST /register - Register new user
      */
     router.post('/register',
+        apiDoc({
+            summary: 'Register a user and sign in',
+            status: 201,
+            response: userInfo,
+            errors: { 400: ['REGISTRATION_FAILED'] }
+        }),
         body('username').trim().isLength({ min: 3, max: 20 }).matches(/^[a-zA-Z0-9_]+$/),
         body('password').isLength({ min: 8 }),
         async(req, res, next) => {
@@ -64,8 +92,15 @@ function createAuthRouter(dependencies) {
      * POST /login - Login user
      */
     router.post('/login',
+        apiDoc({
+            summary: 'Sign in with a session cookie',
+            description: 'Accounts with two-factor authentication also need `code`, the current code of the authenticator app or a recovery code.',
+            response: userInfo,
+            errors: { 401: ['INVALID_CREDENTIALS', 'TWO_FACTOR_REQUIRED', 'INVALID_TWO_FACTOR_CODE'], 429: ['LOGIN_LOCKED'] }
+        }),
         body('username').trim().notEmpty(),
         body('password').notEmpty(),
+        body('code').optional().isString(),
         async(req, res, next) => {
             try {
                 const errors = validationResult(req)
@@ -76,12 +111,28 @@ function createAuthRouter(dependencies) {
                 const { username, password } = req.body
 
                 // Authenticate user
-                const result = await authService.login(username, password)
+                const result = await authService.login(username, password, req.ip)
 
+                if (result.locked) {
+                    return sendLocked(res, result)
+                }
                 if (!result.success) {
                     return res.apiError('Invalid username or password', 'INVALID_CREDENTIALS', 401)
                 }
 
+                if (result.twoFactorRequired) {
+                    if (!req.body.code) {
+                        return res.apiError('Two-factor authentication code required', 'TWO_FACTOR_REQUIRED', 401)
+                    }
+                    const twoFactorResult = authService.completeTwoFactorLogin(result.user, req.body.code, req.ip)
+                    if (twoFactorResult.locked) {
+                        return sendLocked(res, twoFactorResult)
+                    }
+                    if (!twoFactorResult.success) {
+                        return res.apiError('Invalid authentication code', 'INVALID_TWO_FACTOR_CODE', 401)
+                    }
+                }
+
                 // Regenerate session to prevent fixation
                 req.session.regenerate((err) => {
                     if (err) {
@@ -105,10 +156,94 @@ function createAuthRouter(dependencies) {
         }
     )
 
+    /**
+     * POST /forgot-password - Send a reset link to a verified forwarding address
+     * Answers the same whether or not username and address match
+     */
+    router.post('/forgot-password',
+        apiDoc({
+            summary: 'Request a password reset link',
+            description: 'Mails a link, valid for 15 minutes, if `email` is a verified forwarding address of the account. The response is the same either way.',
+            status: 202,
+            response: { $ref: '#/components/schemas/Message' },
+            errors: { 503: ['RESET_UNAVAILABLE'] }
+        }),
+        passwordResetRateLimiter,
+        body('username').trim().notEmpty(),
+        body('email').isEmail().normalizeEmail(),
+        async(req, res, next) => {
+            try {
+                const errors = validationResult(req)
+                if (!errors.isEmpty()) {
+                    return res.apiError('Username and a valid email address are required', 'VALIDATION_ERROR', 400)
+                }
+
+                if (!passwordResetService || !passwordResetService.isAvailable()) {
+                    return res.apiError('Password reset is not available', 'RESET_UNAVAILABLE', 503)
+                }
+
+                const result = passwordResetService.requestReset(req.body.username, req.body.email)
+                if (!result.success) {
+                    return res.apiError(result.error, 'RESET_UNAVAILABLE', 503)
+                }
+
+                res.apiSuccess({
+                    message: 'If that address is a verified forwarding email of the account, a reset link is on its way'
+                }, 202)
+            } catch (error) {
+                next(error)
+            }
+        }
+    )
+
+    /**
+     * POST /reset-password - Set a new password with the token of a reset link
+     */
+    router.post('/reset-password',
+        apiDoc({
+            summary: 'Reset the password',
+            description: 'Takes the `token` of a reset link, which works once.',
+            response: { $ref: '#/components/schemas/Message' },
+            errors: { 400: ['INVALID_TOKEN', 'WEAK_PASSWORD'], 503: ['RESET_UNAVAILABLE'] }
+        }),
+        passwordResetRateLimiter,
+        body('token').isString().notEmpty(),
+        body('newPassword').isString().notEmpty(),
+        async(req, res, next) => {
+            try {
+                const errors = validationResult(req)
+                if (!errors.isEmpty()) {
+                    return res.apiError('Token and new password are required', 'VALIDATION_ERROR', 400)
+                }
+
+                if (!passwordResetService || !passwordResetService.isAvailable()) {
+                    return res.apiError('Password reset is not available', 'RESET_UNAVAILABLE', 503)
+                }
+
+                const result = await passwordResetService.resetPassword(req.body.token, req.body.newPassword)
+                if (!result.success) {
+                    return res.apiError(result.error, result.code, 400)
+                }
+
+                if (sessionStore) {
+                    sessionStore.revokeAll(result.userId)
+                }
+
+                res.apiSuccess({ message: 'Password reset successfully' })
+            } catch (error) {
+                next(error)
+            }
+        }
+    )
+
     /**
      * POST /logout - Logout user
      */
-    router.post('/logout', (req, res, next) => {
+    router.post('/logout', apiDoc({
+        summary: 'Sign out',
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 401: ['NOT_AUTHENTICATED'] }
+    }), (req, res, next) => {
         try {
             if (!req.session || !req.session.isAuthenticated) {
                 return res.apiError('Not logged in', 'NOT_AUTHENTICATED', 401)
@@ -129,7 +264,19 @@ function createAuthRouter(dependencies) {
     /**
      * GET /session - Get current session info
      */
-    router.get('/session', (req, res) => {
+    router.get('/session', apiDoc({
+        summary: 'Current session',
+        response: {
+            type: 'object',
+            required: ['authenticated'],
+            properties: {
+                authenticated: { type: 'boolean' },
+                userId: { type: 'integer' },
+                username: { type: 'string' },
+                createdAt: { type: 'integer', description: 'Milliseconds since epoch' }
+            }
+        }
+    }), (req, res) => {
         if (req.session && req.session.isAuthenticated && req.session.userId) {
             res.apiSuccess({
                 authenticated: true,
@@ -1,5 +1,5 @@
 const express = require('express')
-const router = express.Router()
+const apiDoc = require('../middleware/api-doc')
 
 /**
  * Configuration API Routes (Public)
@@ -22,7 +22,14 @@ function createConfigRouter(dependencies) {
     /**
      * GET /domains - Get allowed email domains
      */
-    router.get('/domains', (req, res) => {
+    router.get('/domains', apiDoc({
+        summary: 'Domains of the inbox addresses',
+        response: {
+            type: 'object',
+            properties: { domains: { type: 'array', items: { type: 'string' } } }
+        },
+        errors: { 503: ['API_DISABLED'] }
+    }), (req, res) => {
         res.apiSuccess({
             domains: config.email.domains
         })
@@ -31,7 +38,27 @@ function createConfigRouter(dependencies) {
     /**
      * GET /limits - Get rate limits and constraints
      */
-    router.get('/limits', (req, res) => {
+    router.get('/limits', apiDoc({
+        summary: 'Rate limits and constraints',
+        response: {
+            type: 'object',
+            properties: {
+                api: { type: 'object' },
+                email: { type: 'object' },
+                user: {
+                    type: 'object',
+                    properties: {
+                        maxVerifiedEmails: { type: 'integer' },
+                        maxLockedInboxes: { type: 'integer' },
+                        lockReleaseHours: { type: 'integer' },
+                        maxAnonymousLocks: { type: 'integer' },
+                        anonymousLockReleaseHours: { type: 'integer' }
+                    }
+                }
+            }
+        },
+        errors: { 503: ['API_DISABLED'] }
+    }), (req, res) => {
         res.apiSuccess({
             api: {
                 rateLimit: {
@@ -46,8 +73,10 @@ function createConfigRouter(dependencies) {
             },
             user: {
                 maxVerifiedEmails: config.user.maxVerifiedEmails || 5,
-                maxLockedInboxes: config.user.maxLockedInboxes || 5,
-                lockReleaseHours: config.user.lockReleaseHours || 168
+                maxLockedInboxes: config.user.maxLockedInboxes,
+                lockReleaseHours: config.user.lockReleaseHours || 168,
+                maxAnonymousLocks: config.user.maxAnonymousLocks,
+                anonymousLockReleaseHours: config.user.anonymousLockReleaseHours
             }
         })
     })
@@ -55,11 +84,24 @@ function createConfigRouter(dependencies) {
     /**
      * GET /features - Get enabled features
      */
-    router.get('/features', (req, res) => {
+    router.get('/features', apiDoc({
+        summary: 'Enabled features',
+        response: {
+            type: 'object',
+            properties: {
+                authentication: { type: 'boolean' },
+                forwarding: { type: 'boolean' },
+                statistics: { type: 'boolean' },
+                anonymousLocks: { type: 'boolean', description: 'Inboxes can be locked with a passphrase, without an account' }
+            }
+        },
+        errors: { 503: ['API_DISABLED'] }
+    }), (req, res) => {
         res.apiSuccess({
             authentication: config.user.authEnabled,
             forwarding: config.smtp.enabled,
-            statistics: config.http.features.statistics
+            statistics: config.http.features.statistics,
+            anonymousLocks: Boolean(config.user.authEnabled && config.user.anonymousLocks)
         })
     })
 
@@ -1,30 +1,157 @@
 const express = require('express')
-const router = express.Router()
 const createAuthenticator = require('../middleware/authenticator')
+const createLockAccess = require('../middleware/lock-access')
+const apiDoc = require('../middleware/api-doc')
+const addressParam = require('../middleware/address-param')
+const MailQuery = require('../../../../domain/mail-query')
+const SubAddress = require('../../../../domain/sub-address')
+const CodeExtractionService = require('../../../../application/code-extraction-service')
+
+const WAIT_DEFAULT_TIMEOUT = 30
+const WAIT_MAX_TIMEOUT = 120
+
+const codeExtractionService = new CodeExtractionService()
+
+const mailSummary = { $ref: '#/components/schemas/MailSummary' }
+const filterQuery = {
+    from: { type: 'string', description: 'Sender contains (case-insensitive)' },
+    subject: { type: 'string', description: 'Subject contains (case-insensitive)' },
+    since: { type: 'string', format: 'date-time', description: 'Received on or after' },
+    tag: { type: 'string', description: 'Only mails sent to name+tag@ (with EMAIL_SUBADDRESSING). Asking for name+tag@ itself does the same' }
+}
 
 /**
  * Inbox & Mail Retrieval API Routes
- * GET /:address - List emails in inbox
+ * GET /:address - List emails in inbox (search, filter, sort, paginate)
+ * GET /:address/wait - Wait for the next matching email
  * GET /:address/:uid - Get full email by UID
  * GET /:address/:uid/raw - Get raw email source
  * GET /:address/:uid/attachment/:checksum - Download attachment
  */
 function createInboxRouter(dependencies) {
-    const { mailProcessingService, apiTokenRepository } = dependencies
+    const router = express.Router()
+    const { mailProcessingService, apiTokenRepository, clientNotification, inboxLock } = dependencies
 
-    const { optionalAuth } = createAuthenticator(apiTokenRepository)
+    const { optionalAuth, requireScope } = createAuthenticator(apiTokenRepository)
+    const { requireLockAccess } = createLockAccess(inboxLock)
+
+    router.param('address', addressParam)
 
     /**
      * GET /:address - List mail summaries for an inbox
+     * Query: q, from, subject, tag, since, until, sort, order, limit, offset|cursor (see MailQuery)
      */
-    router.get('/:address', optionalAuth, async(req, res, next) => {
+    router.get('/:address', apiDoc({
+        summary: 'List mails in an inbox',
+        description: 'Search, filter, sort and page the mail summaries. Page with either `offset` or the `nextCursor` of the previous page.',
+        query: {
+            q: { type: 'string', description: 'Words to find in the subject, sender, body text or attachment names' },
+            ...filterQuery,
+            until: { type: 'string', format: 'date-time', description: 'Received on or before' },
+            sort: { type: 'string', enum: MailQuery.SORT_FIELDS },
+            order: { type: 'string', enum: ['asc', 'desc'], description: 'Newest first for dates, alphabetical otherwise' },
+            limit: { type: 'integer', minimum: 1, maximum: MailQuery.MAX_LIMIT },
+            offset: { type: 'integer', minimum: 0 },
+            cursor: { type: 'string' }
+        },
+        response: mailSummary,
+        list: true,
+        pagination: {
+            type: 'object',
+            properties: {
+                matched: { type: 'integer' },
+                offset: { type: 'integer', nullable: true },
+                limit: { type: 'integer', nullable: true },
+                nextCursor: { type: 'string', nullable: true },
+                tags: { type: 'array', items: { type: 'string' }, description: 'Tags used by any mail of the inbox' }
+            }
+        }
+    }), optionalAuth, requireScope('read'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const { inbox, tag } = SubAddress.parse(req.params.address)
 
-            // Get mail summaries
-            const mails = mailProcessingService.getMailSummaries(address)
+            const { query, error } = MailQuery.parse({ tag, ...req.query })
+            if (error) {
+                return res.apiError(error, 'VALIDATION_ERROR', 400)
+            }
+
+            const result = await mailProcessingService.queryMailSummaries(inbox, query)
+
+            res.apiList(result.mails, result.total, 200, null, {
+                matched: result.matched,
+                offset: result.offset,
+                limit: result.limit,
+                nextCursor: result.nextCursor,
+                tags: result.tags
+            })
+        } catch (error) {
+            next(error)
+        }
+    })
+
+    /**
+     * GET /:address/wait - Hold the request until a matching email arrives, for automated tests
+     * Query: timeout (seconds), from, subject, tag, since (also match mails already there from this date on)
+     */
+    router.get('/:address/wait', apiDoc({
+        summary: 'Wait for the next matching mail',
+        description: 'Holds the request until a matching mail arrives. Without `since` only mails arriving from now on match.',
+        query: {
+            timeout: { type: 'integer', minimum: 1, maximum: WAIT_MAX_TIMEOUT, description: `Seconds, ${WAIT_DEFAULT_TIMEOUT} by default` },
+            ...filterQuery
+        },
+        response: mailSummary,
+        errors: { 408: ['WAIT_TIMEOUT'] }
+    }), optionalAuth, requireScope('read'), requireLockAccess(), async(req, res, next) => {
+        try {
+            const { inbox: address, tag } = SubAddress.parse(req.params.address)
+
+            const timeout = req.query.timeout === undefined ? WAIT_DEFAULT_TIMEOUT : Number(req.query.timeout)
+            if (!Number.isInteger(timeout) || timeout < 1 || timeout > WAIT_MAX_TIMEOUT) {
+                return res.apiError(`'timeout' must be between 1 and ${WAIT_MAX_TIMEOUT} seconds`, 'VALIDATION_ERROR', 400)
+            }
+            const { query, error } = MailQuery.parse({
+                from: req.query.from,
+                subject: req.query.subject,
+                tag: req.query.tag || tag,
+                since: req.query.since
+            })
+            if (error) {
+                return res.apiError(error, 'VALIDATION_ERROR', 400)
+            }
+
+            // Without 'since' only mails that arrive from now on count
+            const existingUids = new Set(query.since ? [] :
+                mailProcessingService.getMailSummaries(address).map(mail => mail.uid))
+            const findMatch = () => query.filter(mailProcessingService.getMailSummaries(address), address)
+                .filter(mail => !existingUids.has(mail.uid))
+                .sort((a, b) => Date.parse(a.date) - Date.parse(b.date))[0]
+            const withTags = mail => ({ ...mail, tags: SubAddress.tagsOf(mail, address) })
+
+            const match = findMatch()
+            if (match) {
+                return res.apiSuccess(withTags(match))
+            }
+
+            let timer = null
+            const onNotification = () => {
+                const mail = findMatch()
+                if (mail) {
+                    cleanup()
+                    res.apiSuccess(withTags(mail))
+                }
+            }
+            const cleanup = () => {
+                clearTimeout(timer)
+                clientNotification.removeListener(address, onNotification)
+            }
 
-            res.apiList(mails)
+            clientNotification.on(address, onNotification)
+            timer = setTimeout(() => {
+                cleanup()
+                res.apiError(`No matching email arrived within ${timeout} seconds`, 'WAIT_TIMEOUT', 408)
+            }, timeout * 1000)
+            res.on('close', cleanup)
         } catch (error) {
             next(error)
         }
@@ -33,9 +160,14 @@ function createInboxRouter(dependencies) {
     /**
      * GET /:address/:uid - Get full email by UID
      */
-    router.get('/:address/:uid', optionalAuth, async(req, res, next) => {
+    router.get('/:address/:uid', apiDoc({
+        summary: 'Get a mail',
+        params: { uid: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Mail' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), optionalAuth, requireScope('read'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const address = req.params.address
             const uid = parseInt(req.params.uid)
 
             if (isNaN(uid)) {
@@ -63,7 +195,8 @@ function createInboxRouter(dependencies) {
                     contentType: att.contentType,
                     size: att.content ? att.content.length : 0,
                     checksum: att.checksum
-                })) : []
+                })) : [],
+                verification: codeExtractionService.extract(mail)
             }
 
             res.apiSuccess(response)
@@ -75,9 +208,14 @@ function createInboxRouter(dependencies) {
     /**
      * GET /:address/:uid/raw - Get raw email source
      */
-    router.get('/:address/:uid/raw', optionalAuth, async(req, res, next) => {
+    router.get('/:address/:uid/raw', apiDoc({
+        summary: 'Get the raw source of a mail',
+        params: { uid: { type: 'integer' } },
+        produces: 'text/plain',
+        errors: { 404: ['NOT_FOUND'] }
+    }), optionalAuth, requireScope('read'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const address = req.params.address
             const uid = parseInt(req.params.uid)
 
             if (isNaN(uid)) {
@@ -102,9 +240,14 @@ function createInboxRouter(dependencies) {
     /**
      * GET /:address/:uid/attachment/:checksum - Download attachment
      */
-    router.get('/:address/:uid/attachment/:checksum', optionalAuth, async(req, res, next) => {
+    router.get('/:address/:uid/attachment/:checksum', apiDoc({
+        summary: 'Download an attachment',
+        params: { uid: { type: 'integer' } },
+        produces: 'application/octet-stream',
+        errors: { 404: ['NOT_FOUND'] }
+    }), optionalAuth, requireScope('read'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const address = req.params.address
             const uid = parseInt(req.params.uid)
             const checksum = req.params.checksum
 
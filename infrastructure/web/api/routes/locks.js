@@ -1,17 +1,38 @@
 const express = require('express')
-const router = express.Router()
 const { body, validationResult } = require('express-validator')
 const createAuthenticator = require('../middleware/authenticator')
+const apiDoc = require('../middleware/api-doc')
+const addressParam = require('../middleware/address-param')
+const createRateLimiter = require('../middleware/rate-limiter')
+const EmailAddress = require('../../../../domain/email-address')
+const SubAddress = require('../../../../domain/sub-address')
+const InboxLock = require('../../../../domain/inbox-lock')
+
+// Passphrase guesses and passphrase locks per IP, or per token, in 15 minutes
+const passphraseRateLimiter = createRateLimiter(10, 15 * 60 * 1000, 'passphrase')
+
+// Access key of a passphrase lock, sent as X-Inbox-Key
+const accessKeyResponse = {
+    type: 'object',
+    properties: {
+        address: { type: 'string' },
+        key: { type: 'string', description: 'Send as X-Inbox-Key header, valid until the lock is released' },
+        expiresAt: { type: 'integer', nullable: true, description: 'Release without further access, milliseconds since epoch. null for account locks' }
+    }
+}
 
 /**
  * Inbox Lock Management API Routes
  * GET / - List user's locked inboxes
  * POST / - Lock an inbox
+ * POST /anonymous - Lock an inbox with a passphrase, without an account
  * DELETE /:address - Unlock/release inbox
+ * POST /:address/key - Exchange the passphrase of a lock for an access key
  * GET /:address/status - Check if inbox is locked
  */
 function createLocksRouter(dependencies) {
-    const { inboxLock, userRepository, apiTokenRepository, config } = dependencies
+    const router = express.Router()
+    const { inboxLock, apiTokenRepository, config } = dependencies
 
     // Inbox locking is always enabled if authentication is enabled
     if (!inboxLock || !config.user.authEnabled) {
@@ -21,12 +42,18 @@ function createLocksRouter(dependencies) {
         return router
     }
 
-    const { requireAuth, optionalAuth } = createAuthenticator(userRepository)
+    const { requireAuth, optionalAuth, requireScope } = createAuthenticator(apiTokenRepository)
+
+    router.param('address', addressParam)
 
     /**
      * GET / - List user's locked inboxes
      */
-    router.get('/', requireAuth, async(req, res, next) => {
+    router.get('/', apiDoc({
+        summary: 'List your locked inboxes',
+        response: { $ref: '#/components/schemas/LockedInbox' },
+        list: true
+    }), requireAuth, requireScope('locks'), async(req, res, next) => {
         try {
             const userId = req.user.id;
             const locks = inboxLock.getUserLockedInboxes(userId);
@@ -41,8 +68,18 @@ function createLocksRouter(dependencies) {
      * POST / - Lock an inbox
      */
     router.post('/',
+        apiDoc({
+            summary: 'Lock an inbox',
+            status: 201,
+            response: {
+                type: 'object',
+                properties: { message: { type: 'string' }, address: { type: 'string' } }
+            },
+            errors: { 400: ['MAX_LOCKS_REACHED', 'ALREADY_LOCKED'], 403: ['LOCKED_BY_OTHER'] }
+        }),
         requireAuth,
-        body('address').isEmail().normalizeEmail(),
+        requireScope('locks'),
+        body('address').custom(EmailAddress.isValid).customSanitizer(EmailAddress.normalize),
         body('password').optional().isString(),
         async(req, res, next) => {
             try {
@@ -51,9 +88,15 @@ function createLocksRouter(dependencies) {
                     return res.apiError('Invalid email address', 'VALIDATION_ERROR', 400, { userId: req.user.id })
                 }
 
-                const { address } = req.body
+                const { address, password } = req.body
                 const userId = req.user.id
 
+                // A password lets others in without the account, it has to be one worth the name
+                const invalidPassword = password ? InboxLock.validatePassphrase(password) : null
+                if (invalidPassword) {
+                    return res.apiError(invalidPassword, 'VALIDATION_ERROR', 400, { userId })
+                }
+
                 // Check if user can lock more inboxes
                 if (!inboxLock.canLockMore(userId)) {
                     return res.apiError(
@@ -65,7 +108,7 @@ function createLocksRouter(dependencies) {
 
                 // Check if inbox is already locked
                 if (inboxLock.isLocked(address)) {
-                    const isOwner = inboxLock.isOwner(address, userId)
+                    const isOwner = inboxLock.isLockedByUser(address, userId)
                     if (isOwner) {
                         return res.apiError('You already own this lock', 'ALREADY_LOCKED', 400, { userId })
                     }
@@ -74,7 +117,7 @@ function createLocksRouter(dependencies) {
                 }
 
                 // Lock inbox
-                inboxLock.lock(userId, address, '')
+                await inboxLock.lock(userId, address, password || '')
 
                 res.apiSuccess({
                     message: 'Inbox locked successfully',
@@ -86,21 +129,91 @@ function createLocksRouter(dependencies) {
         }
     )
 
+    /**
+     * POST /anonymous - Lock an inbox with a passphrase, without an account
+     */
+    router.post('/anonymous',
+        apiDoc({
+            summary: 'Lock an inbox with a passphrase',
+            description: 'No account needed. The passphrase, or the access key it is exchanged for, opens the inbox. ' +
+                'The lock is released after `LOCK_ANONYMOUS_RELEASE_HOURS` without access.',
+            status: 201,
+            response: accessKeyResponse,
+            errors: { 400: ['MAX_LOCKS_REACHED'], 403: ['FEATURE_DISABLED', 'LOCKED_BY_OTHER'] }
+        }),
+        passphraseRateLimiter,
+        body('address').custom(EmailAddress.isValid).customSanitizer(EmailAddress.normalize),
+        body('passphrase').isString(),
+        async(req, res, next) => {
+            try {
+                if (!config.user.anonymousLocks) {
+                    return res.apiError('Passphrase locks are disabled', 'FEATURE_DISABLED', 403)
+                }
+
+                const errors = validationResult(req)
+                if (!errors.isEmpty()) {
+                    return res.apiError('A valid email address and a passphrase are required', 'VALIDATION_ERROR', 400)
+                }
+
+                const { address, passphrase } = req.body
+                const invalidPassphrase = InboxLock.validatePassphrase(passphrase)
+                if (invalidPassphrase) {
+                    return res.apiError(invalidPassphrase, 'VALIDATION_ERROR', 400)
+                }
+                if (config.email.examples.account && SubAddress.inbox(address) === SubAddress.inbox(config.email.examples.account)) {
+                    return res.apiError('Locking is disabled for the example inbox', 'VALIDATION_ERROR', 400)
+                }
+                if (inboxLock.isLocked(address)) {
+                    return res.apiError('Inbox is already locked', 'LOCKED_BY_OTHER', 403)
+                }
+                if (!inboxLock.canLockAnonymous()) {
+                    return res.apiError(
+                        `Maximum ${config.user.maxAnonymousLocks} passphrase locks reached, try again later`,
+                        'MAX_LOCKS_REACHED',
+                        400
+                    )
+                }
+
+                const lock = await inboxLock.lockAnonymous(address, passphrase)
+                res.apiSuccess({
+                    address: lock.address,
+                    key: inboxLock.createAccessKey(lock.address),
+                    expiresAt: lock.expiresAt
+                }, 201, { address: lock.address })
+            } catch (error) {
+                if (error.message.includes('already locked')) {
+                    return res.apiError('Inbox is already locked', 'LOCKED_BY_OTHER', 403)
+                }
+                next(error)
+            }
+        }
+    )
+
     /**
      * DELETE /:address - Unlock/release inbox
+     * Passphrase locks are released with their access key
      */
-    router.delete('/:address', requireAuth, async(req, res, next) => {
+    router.delete('/:address', apiDoc({
+        summary: 'Release an inbox lock',
+        description: 'Account locks are released by their owner, passphrase locks with their access key in the X-Inbox-Key header.',
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), optionalAuth, requireScope('locks'), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
-            const userId = req.user.id
+            const address = req.params.address
+            const userId = req.user ? req.user.id : null
+            const lock = inboxLock.getLock(address)
 
             // Check if user owns this lock
-            if (!inboxLock.isOwner(address, userId)) {
+            const mayRelease = lock && (lock.anonymous ?
+                inboxLock.hasAccessKey(address, req.get('X-Inbox-Key')) :
+                Boolean(userId) && lock.userId === userId)
+            if (!mayRelease) {
                 return res.apiError('Lock not found or unauthorized', 'NOT_FOUND', 404, { userId, address })
             }
 
             // Release lock
-            inboxLock.release(userId, address)
+            inboxLock.release(lock.userId, address)
 
             res.apiSuccess({ message: 'Inbox unlocked successfully' }, 200, { userId, address })
         } catch (error) {
@@ -108,21 +221,81 @@ function createLocksRouter(dependencies) {
         }
     })
 
+    /**
+     * POST /:address/key - Exchange the passphrase of a lock for an access key
+     */
+    router.post('/:address/key',
+        apiDoc({
+            summary: 'Get the access key of a passphrase lock',
+            description: 'Send the key as X-Inbox-Key header to read the locked inbox, or as `inboxKey` in the Socket.IO auth for notifications.',
+            response: accessKeyResponse,
+            errors: { 403: ['INVALID_PASSPHRASE'], 404: ['NOT_FOUND'] }
+        }),
+        passphraseRateLimiter,
+        body('passphrase').isString(),
+        async(req, res, next) => {
+            try {
+                const errors = validationResult(req)
+                if (!errors.isEmpty()) {
+                    return res.apiError('A passphrase is required', 'VALIDATION_ERROR', 400)
+                }
+
+                const address = req.params.address
+                const lock = inboxLock.getLock(address)
+                if (!lock || !lock.hasPassphrase) {
+                    return res.apiError('Inbox has no passphrase lock', 'NOT_FOUND', 404, { address })
+                }
+
+                const unlocked = await inboxLock.verifyPassphrase(address, req.body.passphrase)
+                if (!unlocked) {
+                    return res.apiError('Wrong passphrase', 'INVALID_PASSPHRASE', 403, { address })
+                }
+
+                res.apiSuccess({
+                    address: unlocked.address,
+                    key: inboxLock.createAccessKey(address),
+                    expiresAt: unlocked.expiresAt
+                }, 200, { address })
+            } catch (error) {
+                next(error)
+            }
+        }
+    )
+
     /**
      * GET /:address/status - Check if inbox is locked
      */
-    router.get('/:address/status', optionalAuth, async(req, res, next) => {
+    router.get('/:address/status', apiDoc({
+        summary: 'Lock status of an inbox',
+        response: {
+            type: 'object',
+            properties: {
+                address: { type: 'string' },
+                locked: { type: 'boolean' },
+                anonymous: { type: 'boolean', description: 'Locked with a passphrase, without an account' },
+                passphrase: { type: 'boolean', description: 'The lock opens with a passphrase, see POST /locks/{address}/key' },
+                expiresAt: { type: 'integer', nullable: true, description: 'Release of a passphrase lock without further access' },
+                ownedByYou: { type: 'boolean', description: 'Only for signed in callers' }
+            }
+        }
+    }), optionalAuth, requireScope('locks'), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase();
-            const isLocked = inboxLock.isLocked(address);
+            const address = req.params.address;
+            const lock = inboxLock.getLock(address);
+            const isLocked = Boolean(lock);
             const templateContext = { address, isLocked };
             const response = {
                 address: address,
                 locked: isLocked
             };
+            if (lock) {
+                response.anonymous = lock.anonymous;
+                response.passphrase = lock.hasPassphrase;
+                response.expiresAt = lock.expiresAt;
+            }
             // If user is authenticated, check if they own the lock
             if (req.user && isLocked) {
-                response.ownedByYou = inboxLock.isOwner(address, req.user.id);
+                response.ownedByYou = inboxLock.isLockedByUser(address, req.user.id);
                 templateContext.ownedByYou = response.ownedByYou;
             }
             res.apiSuccess(response, 200, templateContext);
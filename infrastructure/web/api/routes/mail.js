@@ -1,7 +1,10 @@
 const express = require('express')
-const router = express.Router()
 const { body, validationResult } = require('express-validator')
 const createAuthenticator = require('../middleware/authenticator')
+const createLockAccess = require('../middleware/lock-access')
+const apiDoc = require('../middleware/api-doc')
+const addressParam = require('../middleware/address-param')
+const EmailAddress = require('../../../../domain/email-address')
 const { ApiError } = require('../middleware/error-handler')
 
 /**
@@ -12,24 +15,32 @@ const { ApiError } = require('../middleware/error-handler')
  * POST /forward-all - Forward all emails in inbox
  */
 function createMailRouter(dependencies) {
-    // Ensure router is declared before any usage
+    const router = express.Router()
     const {
         mailProcessingService,
         apiTokenRepository,
         userRepository,
+        inboxLock,
         config
     } = dependencies
 
-    const { requireAuth, optionalAuth } = createAuthenticator(apiTokenRepository)
+    const { requireAuth, optionalAuth, requireScope } = createAuthenticator(apiTokenRepository)
+    const { requireLockAccess } = createLockAccess(inboxLock)
 
     // All router usage is below this line
+    router.param('address', addressParam)
 
     /**
      * DELETE /inbox/:address/:uid - Delete single email
      */
-    router.delete('/inbox/:address/:uid', optionalAuth, async(req, res, next) => {
+    router.delete('/inbox/:address/:uid', apiDoc({
+        summary: 'Delete a mail',
+        params: { uid: { type: 'integer' } },
+        response: { $ref: '#/components/schemas/Message' },
+        errors: { 404: ['NOT_FOUND'] }
+    }), optionalAuth, requireScope('delete'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const address = req.params.address
             const uid = parseInt(req.params.uid)
 
             if (isNaN(uid)) {
@@ -56,9 +67,19 @@ function createMailRouter(dependencies) {
     /**
      * DELETE /inbox/:address - Delete all emails in inbox
      */
-    router.delete('/inbox/:address', optionalAuth, async(req, res, next) => {
+    router.delete('/inbox/:address', apiDoc({
+        summary: 'Delete all mails in an inbox',
+        query: {
+            confirm: { type: 'boolean', description: 'Must be true' }
+        },
+        response: {
+            type: 'object',
+            properties: { message: { type: 'string' }, deleted: { type: 'integer' } }
+        },
+        errors: { 400: ['CONFIRMATION_REQUIRED'] }
+    }), optionalAuth, requireScope('delete'), requireLockAccess(), async(req, res, next) => {
         try {
-            const address = req.params.address.toLowerCase()
+            const address = req.params.address
             const { confirm } = req.query
 
             if (confirm !== 'true') {
@@ -97,10 +118,20 @@ function createMailRouter(dependencies) {
      * POST /forward - Forward single email
      */
     router.post('/forward',
+        apiDoc({
+            summary: 'Forward a mail to a verified address',
+            response: {
+                type: 'object',
+                properties: { message: { type: 'string' }, destination: { type: 'string' } }
+            },
+            errors: { 400: ['EMAIL_NOT_VERIFIED', 'FORWARD_FAILED'], 503: ['FEATURE_DISABLED'] }
+        }),
         requireAuth,
-        body('sourceAddress').isEmail().normalizeEmail(),
+        requireScope('forward'),
+        body('sourceAddress').custom(EmailAddress.isValid).customSanitizer(EmailAddress.normalize),
         body('uid').isInt({ min: 1 }),
         body('destinationEmail').isEmail().normalizeEmail(),
+        requireLockAccess(req => req.body.sourceAddress),
         async(req, res, next) => {
             try {
                 const errors = validationResult(req)
@@ -128,8 +159,8 @@ function createMailRouter(dependencies) {
                 }
 
                 // Forward email
-                const result = await mailProcessingService.forwardMail(
-                    sourceAddress.toLowerCase(),
+                const result = await mailProcessingService.forwardEmail(
+                    sourceAddress,
                     parseInt(uid),
                     destinationEmail.toLowerCase()
                 )
@@ -152,9 +183,30 @@ function createMailRouter(dependencies) {
      * POST /forward-all - Forward all emails in inbox (max 25)
      */
     router.post('/forward-all',
+        apiDoc({
+            summary: 'Forward up to 25 mails of an inbox to a verified address',
+            response: {
+                type: 'object',
+                properties: {
+                    message: { type: 'string' },
+                    forwarded: { type: 'integer' },
+                    total: { type: 'integer' },
+                    errors: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: { uid: { type: 'integer' }, error: { type: 'string' } }
+                        }
+                    }
+                }
+            },
+            errors: { 400: ['EMAIL_NOT_VERIFIED'], 503: ['FEATURE_DISABLED'] }
+        }),
         requireAuth,
-        body('sourceAddress').isEmail().normalizeEmail(),
+        requireScope('forward'),
+        body('sourceAddress').custom(EmailAddress.isValid).customSanitizer(EmailAddress.normalize),
         body('destinationEmail').isEmail().normalizeEmail(),
+        requireLockAccess(req => req.body.sourceAddress),
         async(req, res, next) => {
             try {
                 const validationErrors = validationResult(req)
@@ -182,7 +234,7 @@ function createMailRouter(dependencies) {
                 }
 
                 // Get all mails (max 25)
-                const mails = mailProcessingService.getMailSummaries(sourceAddress.toLowerCase())
+                const mails = mailProcessingService.getMailSummaries(sourceAddress)
                 const mailsToForward = mails.slice(0, 25)
 
                 if (mailsToForward.length === 0) {
@@ -198,8 +250,8 @@ function createMailRouter(dependencies) {
 
                 for (const mail of mailsToForward) {
                     try {
-                        const result = await mailProcessingService.forwardMail(
-                            sourceAddress.toLowerCase(),
+                        const result = await mailProcessingService.forwardEmail(
+                            sourceAddress,
                             mail.uid,
                             destinationEmail.toLowerCase()
                         )
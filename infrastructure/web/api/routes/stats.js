@@ -1,5 +1,22 @@
 const express = require('express')
-const router = express.Router()
+const apiDoc = require('../middleware/api-doc')
+
+const purgeWindowStats = {
+    type: 'object',
+    properties: {
+        currentCount: { type: 'integer' },
+        allTimeTotal: { type: 'integer' },
+        purgeWindow: {
+            type: 'object',
+            properties: {
+                receives: { type: 'integer' },
+                deletes: { type: 'integer' },
+                forwards: { type: 'integer' },
+                timeline: { type: 'array', items: { type: 'object' } }
+            }
+        }
+    }
+}
 
 /**
  * Statistics API Routes
@@ -9,6 +26,7 @@ const router = express.Router()
 
 function createStatsRouter(dependencies) {
     // Ensure router is declared before any usage
+    const router = express.Router()
     const { statisticsStore, mailProcessingService, imapService, config } = dependencies
 
     if (!config.http.features.statistics) {
@@ -21,7 +39,10 @@ function createStatsRouter(dependencies) {
     /**
      * GET / - Get lightweight statistics (no historical analysis)
      */
-    router.get('/', async(req, res, next) => {
+    router.get('/', apiDoc({
+        summary: 'Mail statistics of the purge window',
+        response: purgeWindowStats
+    }), async(req, res, next) => {
         try {
             const stats = statisticsStore.getLightweightStats()
 
@@ -34,7 +55,18 @@ function createStatsRouter(dependencies) {
     /**
      * GET /enhanced - Get full statistics with historical data
      */
-    router.get('/enhanced', async(req, res, next) => {
+    router.get('/enhanced', apiDoc({
+        summary: 'Mail statistics with historical data and predictions',
+        response: {
+            type: 'object',
+            properties: {
+                ...purgeWindowStats.properties,
+                historical: { type: 'array', items: { type: 'object' } },
+                prediction: { type: 'array', items: { type: 'object' } },
+                enhanced: { type: 'object', nullable: true }
+            }
+        }
+    }), async(req, res, next) => {
         try {
             // Analyze all existing emails for historical data
             if (mailProcessingService) {
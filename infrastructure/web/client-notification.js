@@ -1,5 +1,7 @@
 const EventEmitter = require('events')
 const debug = require('debug')('48hr-email:notification')
+const { hasLockAccess } = require('./middleware/lock')
+const SubAddress = require('../../domain/sub-address')
 require('events').defaultMaxListeners = 50;
 
 /**
@@ -12,6 +14,20 @@ class ClientNotification extends EventEmitter {
         this.io = null;
         this.imapService = null;
         this.timerSyncInterval = null;
+        this.inboxLock = null;
+        this.apiTokenRepository = null;
+    }
+
+    /**
+     * Check sign-ins against inbox locks. Sockets authenticate with their session cookie,
+     * or with an API token that has the 'read' scope: io({ auth: { token } }).
+     * Passphrase locks also take their access key: io({ auth: { inboxKey } })
+     * @param {InboxLock|null} inboxLock
+     * @param {ApiTokenRepository|null} apiTokenRepository
+     */
+    useAccessControl(inboxLock, apiTokenRepository) {
+        this.inboxLock = inboxLock;
+        this.apiTokenRepository = apiTokenRepository;
     }
 
     use(io) {
@@ -20,7 +36,18 @@ class ClientNotification extends EventEmitter {
             debug(`[SOCKET] New connection: id=${socket.id}`);
             socket.on('sign in', address => {
                 debug(`[SOCKET] sign in received for address: ${address}, socket id: ${socket.id}`);
-                this._signIn(socket, address.toLowerCase())
+                if (typeof address !== 'string') return;
+                // Notifications are emitted for the canonical inbox address
+                address = SubAddress.inbox(address);
+
+                const userId = this._getUserId(socket);
+                const key = socket.handshake.auth && socket.handshake.auth.inboxKey;
+                if (!hasLockAccess(this.inboxLock, address, { userId, session: socket.request.session, key })) {
+                    debug(`[SOCKET] sign in denied for locked inbox ${address}, socket id: ${socket.id}`);
+                    socket.emit('sign in error', { code: 'INBOX_LOCKED', status: 403, message: 'This inbox is locked by another user' });
+                    return;
+                }
+                this._signIn(socket, address)
             });
             socket.on('disconnect', reason => {
                 debug(`[SOCKET] Disconnected: id=${socket.id}, reason=${reason}`);
@@ -47,6 +74,23 @@ class ClientNotification extends EventEmitter {
         debug('Started timer sync broadcasting');
     }
 
+    _getUserId(socket) {
+        const session = socket.request.session;
+        if (session && session.isAuthenticated && session.userId) {
+            return session.userId;
+        }
+
+        const token = socket.handshake.auth && socket.handshake.auth.token;
+        if (token && this.apiTokenRepository) {
+            const tokenData = this.apiTokenRepository.getByToken(token);
+            const expired = tokenData && tokenData.expires_at && tokenData.expires_at <= Date.now();
+            if (tokenData && !expired && tokenData.scopes.includes('read')) {
+                return tokenData.user_id;
+            }
+        }
+        return null;
+    }
+
     _signIn(socket, address) {
         debug(`socketio signed in: ${address}`)
 
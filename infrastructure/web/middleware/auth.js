@@ -36,6 +36,23 @@ function requireAuth(req, res, next) {
     return res.redirect('/auth')
 }
 
+/**
+ * Require an admin - use after requireAuth
+ * The role is read from the database on every request, so taking it away applies at once
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Express next function
+ */
+function requireAdmin(req, res, next) {
+    const adminService = req.app.get('adminService')
+    if (adminService && req.user && adminService.isAdmin(req.user.id)) {
+        return next()
+    }
+
+    debug(`Admin page denied to user ${req.user ? req.user.username : 'unknown'}`)
+    return next({ message: 'Admins only', status: 403 })
+}
+
 /**
  * Optional authentication - populate req.user if authenticated, but don't redirect
  * @param {Object} req - Express request
@@ -116,6 +133,7 @@ function redirectIfAuthenticated(req, res, next) {
 
 module.exports = {
     requireAuth,
+    requireAdmin,
     optionalAuth,
     checkUserOwnsInbox,
     redirectIfAuthenticated
@@ -0,0 +1,59 @@
+const config = require('../../../application/config-service')
+
+// Views with a JavaScript-free version in views/lite
+const LITE_VIEWS = ['home', 'inbox', 'mail', 'raw', 'error', 'loading', 'locked']
+
+// Pages that work without JavaScript, accounts, admin, stats and the API stay on the normal listener
+const LITE_PATHS = [
+    /^\/$/,
+    /^\/inbox\//,
+    /^\/error\//,
+    /^\/lock\/(anonymous|passphrase|remove)$/,
+    /^\/stylesheets\/lite\.css$/,
+    /^\/images\/(favicon\.ico|logo\.png)$/
+]
+
+// No scripts and nothing from other hosts. The mail body inherits this in its srcdoc iframe,
+// so remote images and trackers in mails are not loaded either
+const LITE_CSP = [
+    "default-src 'none'",
+    "style-src 'self' 'unsafe-inline'",
+    "img-src 'self' data:",
+    "form-action 'self'",
+    "base-uri 'none'",
+    "frame-ancestors 'self'"
+].join('; ')
+
+/**
+ * Whether a request gets the lite pages: it came in on the lite listener,
+ * or this instance serves nothing else (HTTP_LITE_ONLY)
+ * @param {Object} req - Express request object
+ * @returns {boolean}
+ */
+function isLiteRequest(req) {
+    return Boolean(req.liteMode || config.http.lite.only)
+}
+
+/**
+ * Serve lite requests with the views of views/lite, a Content-Security-Policy without scripts
+ * and a 404 for pages that need JavaScript. Sets res.locals.lite for the middleware after it
+ */
+function liteMode(req, res, next) {
+    if (!isLiteRequest(req)) {
+        return next()
+    }
+
+    res.locals.lite = true
+    res.set('Content-Security-Policy', LITE_CSP)
+
+    const render = res.render.bind(res)
+    res.render = (view, options, callback) =>
+        render(LITE_VIEWS.includes(view) ? `lite/${view}` : view, options, callback)
+
+    if (!LITE_PATHS.some(pattern => pattern.test(req.path))) {
+        return next({ message: 'This page is not available in lite mode', status: 404 })
+    }
+    next()
+}
+
+module.exports = { liteMode }
@@ -1,40 +1,85 @@
 const templateContext = require('../template-context')
+const SubAddress = require('../../../domain/sub-address')
+
+/**
+ * Whether a caller may access an inbox: it is not locked, locked by the user,
+ * was just unlocked in this session, or the caller knows the passphrase of the lock
+ * @param {InboxLock|null} inboxLock
+ * @param {string} address
+ * @param {Object} caller - {userId, session, key}, userId from a session or API token,
+ *        key is the access key of a passphrase lock (see InboxLock.createAccessKey)
+ * @returns {boolean}
+ */
+function hasLockAccess(inboxLock, address, { userId = null, session = null, key = null } = {}) {
+    if (!inboxLock || !address || !inboxLock.isLocked(address)) {
+        return true
+    }
+
+    // For authenticated users, check database ownership
+    // Also allow session-based access for immediate unlock after locking
+    if (userId && inboxLock.isLockedByUser(address, userId)) {
+        return true
+    }
+    if (session && session.lockedInbox && SubAddress.inbox(session.lockedInbox) === SubAddress.inbox(address) &&
+        inboxLock.getLockOwner(address) !== null) {
+        return true
+    }
+
+    // Passphrase entered in this session, or its access key
+    return inboxLock.isUnlocked(address, session && session.unlockedInboxes) ||
+        Boolean(key && inboxLock.hasAccessKey(address, key))
+}
+
+/**
+ * Remember a passphrase unlock in the session, until the lock is released
+ * @param {Object} session
+ * @param {Object} lock - From InboxLock.getLock() or verifyPassphrase()
+ */
+function rememberUnlock(session, lock) {
+    session.unlockedInboxes = { ...session.unlockedInboxes, [lock.address]: lock.id }
+}
 
 function checkLockAccess(req, res, next) {
     const inboxLock = req.app.get('inboxLock')
     const address = req.params.address
-    const userId = req.session && req.session.userId
     const isAuthenticated = req.session && req.session.isAuthenticated
+    const userId = isAuthenticated ? req.session.userId : null
 
     if (!address || !inboxLock) {
         return next()
     }
 
     const isLocked = inboxLock.isLocked(address)
-
-    // For authenticated users, check database ownership
-    // Also allow session-based access for immediate unlock after locking
-    const hasAccess = isAuthenticated && userId ?
-        (inboxLock.isLockedByUser(address, userId) || req.session.lockedInbox === address.toLowerCase()) :
-        (req.session && req.session.lockedInbox === address.toLowerCase())
+    const hasAccess = hasLockAccess(inboxLock, address, { userId, session: req.session })
 
     // Block access to locked inbox without proper authentication
     if (isLocked && !hasAccess) {
-        const unlockError = req.session ? req.session.unlockError : undefined
-        if (req.session) delete req.session.unlockError
+        const lock = inboxLock.getLock(address)
 
+        // Locks with a passphrase ask for it, templateContext passes the unlock error on
+        if (lock && lock.hasPassphrase) {
+            return res.render('locked', templateContext.build(req, {
+                title: 'Inbox Locked',
+                anonymousLock: lock.anonymous
+            }))
+        }
+
+        if (req.session) delete req.session.unlockError
         return res.render('error', templateContext.build(req, {
             title: 'Access Denied',
             message: 'This inbox is locked by another user. Only the owner can access it.'
         }))
     }
 
-    // Update last access if they have access and are authenticated
-    if (isLocked && hasAccess && isAuthenticated && userId) {
-        inboxLock.updateAccess(userId, address)
+    // Update last access if they have access, passphrase locks by anyone who has it
+    if (isLocked && hasAccess) {
+        const lock = inboxLock.getLock(address)
+        if (lock && (lock.anonymous || lock.userId === userId)) {
+            inboxLock.updateAccess(lock.userId, address)
+        }
     }
 
     next()
 }
 
-module.exports = { checkLockAccess }
+module.exports = { checkLockAccess, hasLockAccess, rememberUnlock }
@@ -0,0 +1,61 @@
+/**
+ * API documentation page
+ * Sends the "Try it" requests of each operation and shows the response
+ */
+
+document.addEventListener('DOMContentLoaded', function() {
+    const tokenInput = document.getElementById('apiDocsToken');
+    if (!tokenInput) return; // Not on the docs page
+
+    document.querySelectorAll('.api-try').forEach(function(form) {
+        form.addEventListener('submit', function(event) {
+            event.preventDefault();
+            sendRequest(form, tokenInput.value.trim());
+        });
+    });
+});
+
+function buildUrl(form) {
+    let path = form.dataset.path;
+    const query = new URLSearchParams();
+
+    form.querySelectorAll('input[data-in]').forEach(function(input) {
+        const value = input.value.trim();
+        if (input.dataset.in === 'path') {
+            path = path.replace('{' + input.name + '}', encodeURIComponent(value));
+        } else if (value !== '') {
+            query.append(input.name, value);
+        }
+    });
+
+    const queryString = query.toString();
+    return '/api/v1' + path + (queryString ? '?' + queryString : '');
+}
+
+async function sendRequest(form, token) {
+    const result = form.querySelector('.api-result');
+    const bodyInput = form.querySelector('.api-body');
+    const headers = {};
+    if (token) headers.Authorization = 'Bearer ' + token;
+
+    const options = { method: form.dataset.method, headers: headers, credentials: 'same-origin' };
+    if (bodyInput && bodyInput.value.trim() !== '') {
+        headers['Content-Type'] = 'application/json';
+        options.body = bodyInput.value;
+    }
+
+    result.hidden = false;
+    result.textContent = 'Sending...';
+
+    try {
+        const response = await fetch(buildUrl(form), options);
+        const contentType = response.headers.get('Content-Type') || '';
+        let body = await response.text();
+        if (contentType.includes('application/json')) {
+            body = JSON.stringify(JSON.parse(body), null, 2);
+        }
+        result.textContent = response.status + ' ' + response.statusText + '\n\n' + body;
+    } catch (error) {
+        result.textContent = 'Request failed: ' + error.message;
+    }
+}
@@ -132,7 +132,7 @@ document.addEventListener('DOMContentLoaded', () => {
             closeLock.onclick = function() { closeModal(lockModal); };
         }
 
-        // Lock form no longer needs password validation - authentication-based locking
+        // Passphrase locks are validated by the server, account locks need no password
 
         if (lockModal) {
             const lockErrorValue = (lockModal.dataset.lockError || '').trim();
@@ -152,6 +152,14 @@ document.addEventListener('DOMContentLoaded', () => {
                         err.textContent = 'A server error occurred. Please try again.';
                     } else if (lockErrorValue === 'remove_failed') {
                         err.textContent = 'Failed to remove lock. Please try again.';
+                    } else if (lockErrorValue === 'invalid_passphrase') {
+                        err.textContent = 'The passphrase must be 8 to 72 characters long.';
+                    } else if (lockErrorValue === 'passphrase_mismatch') {
+                        err.textContent = 'The passphrases do not match.';
+                    } else if (lockErrorValue === 'max_anonymous_locks') {
+                        err.textContent = 'Too many inboxes are locked with a passphrase right now. Please try again later.';
+                    } else if (lockErrorValue === 'rate_limited') {
+                        err.textContent = 'Too many attempts. Please try again after 15 minutes.';
                     } else {
                         err.textContent = 'An error occurred. Please try again.';
                     }
@@ -209,6 +217,30 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    function initCodeCopy() {
+        document.querySelectorAll('.mail-codes-copy').forEach(button => {
+            button.addEventListener('click', () => {
+                const text = button.dataset.copy || '';
+                const showFeedback = () => {
+                    button.textContent = 'Copied!';
+                    setTimeout(() => { button.textContent = 'Copy'; }, 1200);
+                };
+                navigator.clipboard.writeText(text).then(showFeedback).catch(() => {
+                    // Fallback for older browsers
+                    try {
+                        const input = document.createElement('textarea');
+                        input.value = text;
+                        document.body.appendChild(input);
+                        input.select();
+                        document.execCommand('copy');
+                        document.body.removeChild(input);
+                        showFeedback();
+                    } catch (_) {}
+                });
+            });
+        });
+    }
+
     function initQrModal() {
         const qrBtn = document.getElementById('qrCodeBtn');
         const qrModal = document.getElementById('qrModal');
@@ -566,12 +598,28 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    function initTwoFactorQr() {
+        // QR code of the authenticator secret during 2FA setup on the account page
+        const container = document.getElementById('twoFactorQr');
+        if (!container || typeof QRCode === 'undefined') return;
+
+        new QRCode(container, {
+            text: container.dataset.otpauth,
+            width: 200,
+            height: 200,
+            colorDark: '#000000',
+            colorLight: '#ffffff',
+            correctLevel: QRCode.CorrectLevel.M
+        });
+    }
+
     // Expose utilities and run them
-    window.utils = { formatEmailDates, formatMailDate, initLockModals, initCopyAddress, initExpiryTimers, initQrModal, initHamburgerMenu, initThemeToggle, initRefreshCountdown, initCryptoKeysToggle, initForwardModal, initForwardAllModal, initAccountModals, initRawTabs };
+    window.utils = { formatEmailDates, formatMailDate, initLockModals, initCopyAddress, initCodeCopy, initExpiryTimers, initQrModal, initHamburgerMenu, initThemeToggle, initRefreshCountdown, initCryptoKeysToggle, initForwardModal, initForwardAllModal, initAccountModals, initRawTabs, initTwoFactorQr };
     formatEmailDates();
     formatMailDate();
     initLockModals();
     initCopyAddress();
+    initCodeCopy();
     initQrModal();
     initHamburgerMenu();
     initThemeToggle();
@@ -579,4 +627,5 @@ document.addEventListener('DOMContentLoaded', () => {
     initCryptoKeysToggle();
     initAccountModals();
     initRawTabs();
+    initTwoFactorQr();
 });
@@ -4,6 +4,21 @@ const router = express.Router()
 const { requireAuth } = require('../middleware/auth')
 const { body, validationResult } = require('express-validator')
 const templateContext = require('../template-context')
+const ApiTokenRepository = require('../../../domain/api-token-repository')
+const WebhookService = require('../../../application/webhook-service')
+
+const MAX_WEBHOOKS = 10
+const TOKEN_EXPIRY_DAYS = [7, 30, 90, 365]
+
+// Sensitive actions need the current 2FA code from users who enabled it, returns the error if it's missing or wrong
+function checkTwoFactor(req) {
+    const twoFactorService = req.app.get('twoFactorService')
+    if (!twoFactorService) {
+        return null
+    }
+    const result = twoFactorService.verifyIfEnabled(req.session.userId, req.body.code)
+    return result.valid ? null : result.error
+}
 
 // GET /account - Account dashboard
 router.get('/account', requireAuth, async(req, res) => {
@@ -39,19 +54,67 @@ router.get('/account', requireAuth, async(req, res) => {
             lockedInboxes = inboxLock.getUserLockedInboxes(req.session.userId)
         }
 
+        // Get webhooks of the user's locked inboxes with their recent deliveries
+        const webhookRepository = req.app.get('webhookRepository')
+        const webhooks = webhookRepository ? webhookRepository.getByUserId(req.session.userId) : []
+
+        // Get the user's API tokens, a new token is shown once right after creating it
+        const apiTokenRepository = req.app.get('apiTokenRepository')
+        const apiTokens = apiTokenRepository ? apiTokenRepository.getByUserId(req.session.userId) : []
+
+        // Get 2FA status, a pending setup shows its QR code until it is confirmed
+        const twoFactorService = req.app.get('twoFactorService')
+        const twoFactor = twoFactorService ? twoFactorService.getStatus(req.session.userId) : null
+        const setupSecret = req.session.twoFactorSetupSecret
+        const twoFactorSetup = twoFactorService && setupSecret && !twoFactor.enabled ? {
+            secret: setupSecret,
+            otpauthUrl: twoFactorService.getOtpauthUrl(req.session.username, setupSecret)
+        } : null
+
+        // Failed logins of the last 30 days, so the user notices someone guessing their password
+        const loginThrottle = req.app.get('loginThrottle')
+        const failedLogins = loginThrottle ? loginThrottle.getRecentFailures(req.session.userId) : null
+
+        // Signed-in sessions of the user, the current one can't be revoked here (that's logout)
+        const sessionStore = req.app.get('sessionStore')
+        const sessions = sessionStore ? sessionStore.listByUser(req.session.userId, req.sessionID) : null
+
+        // Admins can give their tokens the admin scope and get a link to the dashboard
+        const adminService = req.app.get('adminService')
+        const isAdmin = Boolean(adminService && adminService.isAdmin(req.session.userId))
+
         // Get user stats
         const stats = userRepository.getUserStats(req.session.userId, config.user)
 
         const successMessage = req.session.accountSuccess
         const errorMessage = req.session.accountError
+        const newApiToken = req.session.newApiToken
+        const newRecoveryCodes = req.session.newRecoveryCodes
         delete req.session.accountSuccess
         delete req.session.accountError
+        delete req.session.newApiToken
+        delete req.session.newRecoveryCodes
 
         res.render('account', templateContext.build(req, {
             title: 'Account Dashboard',
             username: req.session.username,
             forwardEmails,
             lockedInboxes,
+            webhooks,
+            webhooksEnabled: Boolean(webhookRepository),
+            maxWebhooks: MAX_WEBHOOKS,
+            apiTokens,
+            apiTokensEnabled: Boolean(apiTokenRepository),
+            newApiToken,
+            tokenScopes: isAdmin ? ApiTokenRepository.SCOPES : ApiTokenRepository.DEFAULT_SCOPES,
+            isAdmin,
+            tokenExpiryDays: TOKEN_EXPIRY_DAYS,
+            maxApiTokens: ApiTokenRepository.MAX_TOKENS_PER_USER,
+            twoFactor,
+            twoFactorSetup,
+            newRecoveryCodes,
+            failedLogins,
+            sessions,
             stats,
             successMessage,
             errorMessage
@@ -232,6 +295,342 @@ router.post('/account/locked-inbox/release',
     }
 )
 
+// POST /account/webhook/add - Register a webhook for a locked inbox
+router.post('/account/webhook/add',
+    requireAuth, [
+        body('address').notEmpty().withMessage('Inbox address is required'),
+        body('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Webhook URL must be an http(s) URL')
+        .bail()
+        .custom(async url => {
+            const error = await WebhookService.checkUrl(url)
+            if (error) {
+                throw new Error(error)
+            }
+        })
+    ],
+    async(req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account')
+        }
+
+        try {
+            const inboxLock = req.app.get('inboxLock')
+            const webhookRepository = req.app.get('webhookRepository')
+            const { address, url } = req.body
+
+            if (!inboxLock || !webhookRepository) {
+                req.session.accountError = 'Webhooks are not available'
+                return res.redirect('/account')
+            }
+
+            if (!inboxLock.isLockedByUser(address, req.session.userId)) {
+                req.session.accountError = 'Webhooks can only be added to inboxes you have locked'
+                return res.redirect('/account')
+            }
+
+            if (webhookRepository.getCountForUser(req.session.userId) >= MAX_WEBHOOKS) {
+                req.session.accountError = `Maximum ${MAX_WEBHOOKS} webhooks allowed`
+                return res.redirect('/account')
+            }
+
+            webhookRepository.create(req.session.userId, address, url)
+
+            req.session.accountSuccess = `Webhook added for ${address}. Use its secret to verify the X-Webhook-Signature header.`
+            res.redirect('/account')
+        } catch (error) {
+            console.error('Add webhook error:', error)
+            req.session.accountError = error.message.includes('already registered') ? error.message : 'Failed to add webhook. Please try again.'
+            res.redirect('/account')
+        }
+    }
+)
+
+// POST /account/webhook/remove - Remove a webhook
+router.post('/account/webhook/remove',
+    requireAuth, [
+        body('id').isInt().withMessage('Invalid webhook')
+    ],
+    async(req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account')
+        }
+
+        try {
+            const webhookRepository = req.app.get('webhookRepository')
+            if (!webhookRepository || !webhookRepository.remove(req.session.userId, parseInt(req.body.id))) {
+                req.session.accountError = 'Webhook not found'
+                return res.redirect('/account')
+            }
+
+            req.session.accountSuccess = 'Webhook removed'
+            res.redirect('/account')
+        } catch (error) {
+            console.error('Remove webhook error:', error)
+            req.session.accountError = 'Failed to remove webhook. Please try again.'
+            res.redirect('/account')
+        }
+    }
+)
+
+// POST /account/api-token/create - Create a named, scoped API token
+router.post('/account/api-token/create',
+    requireAuth, [
+        body('name').trim().isLength({ min: 1, max: 50 }).withMessage('Token name must be 1-50 characters'),
+        body('expiresInDays').optional({ checkFalsy: true }).isIn(TOKEN_EXPIRY_DAYS.map(String)).withMessage('Invalid expiry')
+    ],
+    async(req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account')
+        }
+
+        try {
+            const apiTokenRepository = req.app.get('apiTokenRepository')
+            if (!apiTokenRepository) {
+                req.session.accountError = 'API tokens are not available'
+                return res.redirect('/account')
+            }
+
+            const twoFactorError = checkTwoFactor(req)
+            if (twoFactorError) {
+                req.session.accountError = twoFactorError
+                return res.redirect('/account')
+            }
+
+            const adminService = req.app.get('adminService')
+            const allowedScopes = adminService && adminService.isAdmin(req.session.userId) ?
+                ApiTokenRepository.SCOPES : ApiTokenRepository.DEFAULT_SCOPES
+            const scopes = [].concat(req.body.scopes || []).filter(scope => allowedScopes.includes(scope))
+            if (scopes.length === 0) {
+                req.session.accountError = 'Select at least one scope'
+                return res.redirect('/account')
+            }
+
+            if (apiTokenRepository.getCountForUser(req.session.userId) >= ApiTokenRepository.MAX_TOKENS_PER_USER) {
+                req.session.accountError = `Maximum ${ApiTokenRepository.MAX_TOKENS_PER_USER} API tokens allowed`
+                return res.redirect('/account')
+            }
+
+            const expiresAt = req.body.expiresInDays ?
+                Date.now() + parseInt(req.body.expiresInDays) * 24 * 60 * 60 * 1000 : null
+            const { token } = apiTokenRepository.create(req.session.userId, { name: req.body.name, scopes, expiresAt })
+
+            req.session.newApiToken = token
+            req.session.accountSuccess = `API token "${req.body.name}" created. Copy it now, it will not be shown again.`
+            res.redirect('/account')
+        } catch (error) {
+            console.error('Create API token error:', error)
+            req.session.accountError = 'Failed to create API token. Please try again.'
+            res.redirect('/account')
+        }
+    }
+)
+
+// POST /account/api-token/revoke - Revoke an API token
+router.post('/account/api-token/revoke',
+    requireAuth, [
+        body('id').isInt().withMessage('Invalid API token')
+    ],
+    async(req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account')
+        }
+
+        try {
+            const apiTokenRepository = req.app.get('apiTokenRepository')
+            if (!apiTokenRepository || !apiTokenRepository.revoke(req.session.userId, parseInt(req.body.id))) {
+                req.session.accountError = 'API token not found'
+                return res.redirect('/account')
+            }
+
+            req.session.accountSuccess = 'API token revoked'
+            res.redirect('/account')
+        } catch (error) {
+            console.error('Revoke API token error:', error)
+            req.session.accountError = 'Failed to revoke API token. Please try again.'
+            res.redirect('/account')
+        }
+    }
+)
+
+// POST /account/2fa/setup - Start 2FA setup with a new secret, enabled once a code confirms it
+router.post('/account/2fa/setup', requireAuth, (req, res) => {
+    const twoFactorService = req.app.get('twoFactorService')
+    if (!twoFactorService) {
+        req.session.accountError = 'Two-factor authentication is not available'
+        return res.redirect('/account')
+    }
+    if (twoFactorService.isEnabled(req.session.userId)) {
+        req.session.accountError = 'Two-factor authentication is already enabled'
+        return res.redirect('/account')
+    }
+
+    req.session.twoFactorSetupSecret = twoFactorService.generateSecret()
+    res.redirect('/account#two-factor')
+})
+
+// POST /account/2fa/setup/cancel - Drop a pending 2FA setup
+router.post('/account/2fa/setup/cancel', requireAuth, (req, res) => {
+    delete req.session.twoFactorSetupSecret
+    res.redirect('/account#two-factor')
+})
+
+// POST /account/2fa/enable - Confirm the setup with a code of the app
+router.post('/account/2fa/enable',
+    requireAuth,
+    body('code').trim().notEmpty().withMessage('Authentication code is required'),
+    (req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account#two-factor')
+        }
+
+        try {
+            const twoFactorService = req.app.get('twoFactorService')
+            const secret = req.session.twoFactorSetupSecret
+            if (!twoFactorService || !secret) {
+                req.session.accountError = 'Start the two-factor setup first'
+                return res.redirect('/account#two-factor')
+            }
+
+            const result = twoFactorService.enable(req.session.userId, secret, req.body.code)
+            if (!result.success) {
+                req.session.accountError = result.error
+                return res.redirect('/account#two-factor')
+            }
+
+            delete req.session.twoFactorSetupSecret
+            req.session.newRecoveryCodes = result.recoveryCodes
+            req.session.accountSuccess = 'Two-factor authentication enabled. Save your recovery codes now, they will not be shown again.'
+            res.redirect('/account#two-factor')
+        } catch (error) {
+            console.error('Enable 2FA error:', error)
+            req.session.accountError = 'Failed to enable two-factor authentication. Please try again.'
+            res.redirect('/account#two-factor')
+        }
+    }
+)
+
+// POST /account/2fa/recovery-codes - Replace the recovery codes
+router.post('/account/2fa/recovery-codes',
+    requireAuth,
+    body('code').trim().notEmpty().withMessage('Authentication code is required'),
+    (req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account#two-factor')
+        }
+
+        try {
+            const twoFactorService = req.app.get('twoFactorService')
+            const result = twoFactorService ?
+                twoFactorService.regenerateRecoveryCodes(req.session.userId, req.body.code) :
+                { success: false, error: 'Two-factor authentication is not available' }
+            if (!result.success) {
+                req.session.accountError = result.error
+                return res.redirect('/account#two-factor')
+            }
+
+            req.session.newRecoveryCodes = result.recoveryCodes
+            req.session.accountSuccess = 'New recovery codes created, the old ones no longer work.'
+            res.redirect('/account#two-factor')
+        } catch (error) {
+            console.error('Regenerate recovery codes error:', error)
+            req.session.accountError = 'Failed to create recovery codes. Please try again.'
+            res.redirect('/account#two-factor')
+        }
+    }
+)
+
+// POST /account/2fa/disable - Turn off 2FA
+router.post('/account/2fa/disable',
+    requireAuth,
+    body('code').trim().notEmpty().withMessage('Authentication code is required'),
+    (req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account#two-factor')
+        }
+
+        try {
+            const twoFactorService = req.app.get('twoFactorService')
+            const result = twoFactorService ?
+                twoFactorService.disable(req.session.userId, req.body.code) :
+                { success: false, error: 'Two-factor authentication is not available' }
+            if (!result.success) {
+                req.session.accountError = result.error
+                return res.redirect('/account#two-factor')
+            }
+
+            req.session.accountSuccess = 'Two-factor authentication disabled'
+            res.redirect('/account#two-factor')
+        } catch (error) {
+            console.error('Disable 2FA error:', error)
+            req.session.accountError = 'Failed to disable two-factor authentication. Please try again.'
+            res.redirect('/account#two-factor')
+        }
+    }
+)
+
+// POST /account/sessions/revoke - Sign out another session
+router.post('/account/sessions/revoke',
+    requireAuth,
+    body('id').isInt({ min: 1 }).withMessage('Invalid session'),
+    (req, res) => {
+        const errors = validationResult(req)
+        if (!errors.isEmpty()) {
+            req.session.accountError = errors.array()[0].msg
+            return res.redirect('/account#sessions')
+        }
+
+        try {
+            const sessionStore = req.app.get('sessionStore')
+            const current = sessionStore && sessionStore.listByUser(req.session.userId, req.sessionID).find(s => s.current)
+            if (current && current.id === parseInt(req.body.id)) {
+                req.session.accountError = 'Use logout to end the current session'
+                return res.redirect('/account#sessions')
+            }
+
+            if (!sessionStore || !sessionStore.revoke(req.session.userId, parseInt(req.body.id))) {
+                req.session.accountError = 'Session not found'
+                return res.redirect('/account#sessions')
+            }
+
+            req.session.accountSuccess = 'Session signed out'
+            res.redirect('/account#sessions')
+        } catch (error) {
+            console.error('Revoke session error:', error)
+            req.session.accountError = 'Failed to sign out the session. Please try again.'
+            res.redirect('/account#sessions')
+        }
+    }
+)
+
+// POST /account/sessions/revoke-others - Sign out every other session
+router.post('/account/sessions/revoke-others', requireAuth, (req, res) => {
+    try {
+        const sessionStore = req.app.get('sessionStore')
+        const count = sessionStore ? sessionStore.revokeAll(req.session.userId, req.sessionID) : 0
+        req.session.accountSuccess = `Signed out ${count} other session${count === 1 ? '' : 's'}`
+        res.redirect('/account#sessions')
+    } catch (error) {
+        console.error('Revoke sessions error:', error)
+        req.session.accountError = 'Failed to sign out the other sessions. Please try again.'
+        res.redirect('/account#sessions')
+    }
+})
+
 // POST /account/change-password - Change user password
 router.post('/account/change-password',
     requireAuth,
@@ -280,8 +679,18 @@ router.post('/account/change-password',
                 return res.redirect('/account')
             }
 
-            // Update password
+            const twoFactorError = checkTwoFactor(req)
+            if (twoFactorError) {
+                req.session.accountError = twoFactorError
+                return res.redirect('/account')
+            }
+
+            // Update password, whoever else is signed in with the old one is signed out
             await userRepository.updatePassword(req.session.userId, newPassword)
+            const sessionStore = req.app.get('sessionStore')
+            if (sessionStore) {
+                sessionStore.revokeAll(req.session.userId, req.sessionID)
+            }
 
             req.session.accountSuccess = 'Password updated successfully'
             res.redirect('/account')
@@ -323,6 +732,12 @@ router.post('/account/delete',
                 return res.redirect('/account')
             }
 
+            const twoFactorError = checkTwoFactor(req)
+            if (twoFactorError) {
+                req.session.accountError = twoFactorError
+                return res.redirect('/account')
+            }
+
             // Get user's locked inboxes to release them
             const inboxLock = req.app.get('inboxLock')
             if (inboxLock) {
@@ -332,8 +747,12 @@ router.post('/account/delete',
                 }
             }
 
-            // Delete user account
+            // Delete user account and sign out its other sessions
             await userRepository.deleteUser(req.session.userId)
+            const sessionStore = req.app.get('sessionStore')
+            if (sessionStore) {
+                sessionStore.revokeAll(req.session.userId)
+            }
 
             // Destroy session
             req.session.destroy((err) => {
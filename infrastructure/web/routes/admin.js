@@ -0,0 +1,238 @@
+// Admin dashboard: users, inbox locks, API tokens, settings and the audit log
+const express = require('express')
+const router = express.Router()
+const { requireAuth, requireAdmin } = require('../middleware/auth')
+const { body, param, validationResult } = require('express-validator')
+const templateContext = require('../template-context')
+
+// Flash messages of the admin pages, cleared once shown
+function takeMessages(req) {
+    const messages = { successMessage: req.session.adminSuccess, errorMessage: req.session.adminError }
+    delete req.session.adminSuccess
+    delete req.session.adminError
+    return messages
+}
+
+function pageNumber(value) {
+    const page = parseInt(value)
+    return Number.isInteger(page) && page > 0 ? page : 1
+}
+
+// Redirects back with the first validation error, returns true if there was one
+function rejectInvalid(req, res, redirectTo) {
+    const errors = validationResult(req)
+    if (errors.isEmpty()) {
+        return false
+    }
+    req.session.adminError = errors.array()[0].msg
+    res.redirect(redirectTo)
+    return true
+}
+
+router.use('/admin', requireAuth, requireAdmin)
+
+// GET /admin - Overview, user search, inbox locks and the audit log
+router.get('/admin', (req, res, next) => {
+    try {
+        const adminService = req.app.get('adminService')
+        const query = typeof req.query.q === 'string' ? req.query.q.trim() : ''
+        const lockQuery = typeof req.query.lock === 'string' ? req.query.lock.trim() : ''
+
+        res.render('admin', templateContext.build(req, {
+            title: 'Admin Dashboard',
+            ...takeMessages(req),
+            overview: adminService.getOverview(),
+            query,
+            userResults: adminService.searchUsers(query, pageNumber(req.query.page)),
+            lockQuery,
+            locks: adminService.getLocks(lockQuery),
+            auditLog: adminService.getAuditLog(pageNumber(req.query.auditPage))
+        }))
+    } catch (error) {
+        next(error)
+    }
+})
+
+// GET /admin/users/:id - Forwarding addresses, locks, tokens and sessions of a user
+router.get('/admin/users/:id', param('id').isInt({ min: 1 }), (req, res, next) => {
+    try {
+        const details = validationResult(req).isEmpty() ?
+            req.app.get('adminService').getUserDetails(parseInt(req.params.id)) : null
+        if (!details) {
+            return next({ message: 'User not found', status: 404 })
+        }
+
+        res.render('admin-user', templateContext.build(req, {
+            title: `${details.user.username} | Admin Dashboard`,
+            ...takeMessages(req),
+            ...details,
+            isSelf: details.user.id === req.user.id
+        }))
+    } catch (error) {
+        next(error)
+    }
+})
+
+// POST /admin/users/:id/role - Grant or take away the admin role
+router.post('/admin/users/:id/role',
+    param('id').isInt({ min: 1 }).withMessage('Invalid user'),
+    body('admin').isIn(['0', '1']).withMessage('Invalid role'),
+    (req, res, next) => {
+        const userUrl = `/admin/users/${parseInt(req.params.id) || ''}`
+        if (rejectInvalid(req, res, '/admin')) {
+            return
+        }
+
+        try {
+            const isAdmin = req.body.admin === '1'
+            const result = req.app.get('adminService').setAdmin(req.user, parseInt(req.params.id), isAdmin, req.ip)
+            if (!result.success) {
+                req.session.adminError = result.error
+            } else {
+                req.session.adminSuccess = isAdmin ? 'Admin role granted' : 'Admin role removed'
+            }
+            res.redirect(userUrl)
+        } catch (error) {
+            next(error)
+        }
+    }
+)
+
+// POST /admin/users/:id/delete - Delete an account
+router.post('/admin/users/:id/delete',
+    param('id').isInt({ min: 1 }).withMessage('Invalid user'),
+    (req, res, next) => {
+        if (rejectInvalid(req, res, '/admin')) {
+            return
+        }
+
+        try {
+            const userId = parseInt(req.params.id)
+            const result = req.app.get('adminService').deleteUser(req.user, userId, req.ip)
+            if (!result.success) {
+                req.session.adminError = result.error
+                return res.redirect(result.code === 'NOT_FOUND' ? '/admin' : `/admin/users/${userId}`)
+            }
+
+            req.session.adminSuccess = 'Account deleted'
+            res.redirect('/admin')
+        } catch (error) {
+            next(error)
+        }
+    }
+)
+
+// POST /admin/users/:id/tokens/:tokenId/revoke - Revoke an API token of a user
+router.post('/admin/users/:id/tokens/:tokenId/revoke',
+    param('id').isInt({ min: 1 }).withMessage('Invalid user'),
+    param('tokenId').isInt({ min: 1 }).withMessage('Invalid token'),
+    (req, res, next) => {
+        if (rejectInvalid(req, res, '/admin')) {
+            return
+        }
+
+        try {
+            const userId = parseInt(req.params.id)
+            const result = req.app.get('adminService').revokeToken(req.user, userId, parseInt(req.params.tokenId), req.ip)
+            if (!result.success) {
+                req.session.adminError = result.error
+            } else {
+                req.session.adminSuccess = 'API token revoked'
+            }
+            res.redirect(`/admin/users/${userId}#tokens`)
+        } catch (error) {
+            next(error)
+        }
+    }
+)
+
+// GET /admin/config - Settings of the running instance
+router.get('/admin/config', (req, res, next) => {
+    try {
+        res.render('admin-config', templateContext.build(req, {
+            title: 'Settings | Admin Dashboard',
+            ...takeMessages(req),
+            settings: req.app.get('adminService').getSettings(),
+            configFile: req.app.get('config').configFile
+        }))
+    } catch (error) {
+        next(error)
+    }
+})
+
+// POST /admin/config - Save the settings of one of the forms, inputs are named by setting key
+router.post('/admin/config', (req, res, next) => {
+    try {
+        const adminService = req.app.get('adminService')
+        const changes = {}
+        for (const setting of adminService.getSettings()) {
+            if (typeof req.body[setting.key] === 'string') {
+                changes[setting.key] = req.body[setting.key]
+            }
+        }
+
+        const result = adminService.updateSettings(req.user, changes, req.ip)
+        if (!result.success) {
+            req.session.adminError = result.error
+        } else if (!result.updated.length) {
+            req.session.adminSuccess = 'Nothing changed'
+        } else if (result.restartRequired.some(key => result.updated.includes(key))) {
+            req.session.adminSuccess = 'Settings saved, some of them apply after a restart'
+        } else {
+            req.session.adminSuccess = 'Settings saved and applied'
+        }
+        res.redirect('/admin/config')
+    } catch (error) {
+        next(error)
+    }
+})
+
+// POST /admin/config/reset - Go back to the .env value of a setting
+router.post('/admin/config/reset',
+    body('key').isString().notEmpty().withMessage('Setting is required'),
+    (req, res, next) => {
+        if (rejectInvalid(req, res, '/admin/config')) {
+            return
+        }
+
+        try {
+            const result = req.app.get('adminService').resetSetting(req.user, req.body.key, req.ip)
+            if (!result.success) {
+                req.session.adminError = result.error
+            } else {
+                req.session.adminSuccess = result.restartRequired.includes(req.body.key) ?
+                    `${req.body.key} reset, restart to apply` : `${req.body.key} reset to the .env value`
+            }
+            res.redirect('/admin/config')
+        } catch (error) {
+            next(error)
+        }
+    }
+)
+
+// POST /admin/locks/release - Free a locked inbox, whoever holds it
+router.post('/admin/locks/release',
+    body('address').isString().trim().notEmpty().withMessage('Inbox address is required'),
+    body('redirectTo').optional().isString(),
+    (req, res, next) => {
+        // Only paths of the admin pages, never an outside URL
+        const redirectTo = /^\/admin(\/|$|#|\?)/.test(req.body.redirectTo || '') ? req.body.redirectTo : '/admin#locks'
+        if (rejectInvalid(req, res, redirectTo)) {
+            return
+        }
+
+        try {
+            const result = req.app.get('adminService').releaseLock(req.user, req.body.address, req.ip)
+            if (!result.success) {
+                req.session.adminError = result.error
+            } else {
+                req.session.adminSuccess = `Lock on ${req.body.address} released`
+            }
+            res.redirect(redirectTo)
+        } catch (error) {
+            next(error)
+        }
+    }
+)
+
+module.exports = router
@@ -6,9 +6,14 @@ const { redirectIfAuthenticated } = require('../middleware/auth')
 const config = require('../../../application/config-service')
 const templateContext = require('../template-context')
 
-// Simple in-memory rate limiters for registration and login
+// Time to enter the 2FA code after the password was accepted
+const TWO_FACTOR_PENDING_MS = 5 * 60 * 1000
+const TWO_FACTOR_MAX_ATTEMPTS = 5
+
+// Simple in-memory rate limiters for registration, login and password resets
 const registrationRateLimitStore = new Map()
 const loginRateLimitStore = new Map()
+const passwordResetRateLimitStore = new Map()
 
 // Registration rate limiter: 5 attempts per IP per hour
 const registrationRateLimiter = (req, res, next) => {
@@ -76,6 +81,88 @@ const loginRateLimiter = (req, res, next) => {
         next()
 }
 
+// Password reset rate limiter: 5 requests per IP per hour
+const passwordResetRateLimiter = (req, res, next) => {
+    const ip = req.ip || req.connection.remoteAddress
+    const now = Date.now()
+    const windowMs = 60 * 60 * 1000 // 1 hour
+    const maxRequests = 5
+
+    // Clean up old entries
+    for (const [key, data] of passwordResetRateLimitStore.entries()) {
+        if (now - data.resetTime > windowMs) {
+            passwordResetRateLimitStore.delete(key)
+        }
+    }
+
+    // Get or create entry for this IP
+    let ipData = passwordResetRateLimitStore.get(ip)
+    if (!ipData || now - ipData.resetTime > windowMs) {
+        ipData = { count: 0, resetTime: now }
+        passwordResetRateLimitStore.set(ip, ipData)
+    }
+
+    // Check if limit exceeded
+    if (ipData.count >= maxRequests) {
+        debug(`Password reset rate limit exceeded for IP ${ip}`)
+        req.session.errorMessage = 'Too many password reset attempts. Please try again after 1 hour.'
+        return res.redirect('/forgot-password')
+    }
+
+    // Increment counter
+    ipData.count++
+    next()
+}
+
+// Password resets need auth and a way to send the link
+function getPasswordResetService(req) {
+    const passwordResetService = req.app.get('passwordResetService')
+    return passwordResetService && passwordResetService.isAvailable() ? passwordResetService : null
+}
+
+/**
+ * Start a fresh session for a user whose login is complete
+ * @param {Object} user - {id, username, created_at}
+ * @param {string} redirectUrl - Where to go after login
+ */
+function signIn(req, res, user, redirectUrl) {
+    // Regenerate session to prevent fixation attacks
+    req.session.regenerate((err) => {
+        if (err) {
+            debug(`Session regeneration error: ${err.message}`)
+            req.session.errorMessage = 'Login failed. Please try again.'
+            return res.redirect('/auth')
+        }
+
+        // Set session data
+        req.session.userId = user.id
+        req.session.username = user.username
+        req.session.isAuthenticated = true
+        req.session.createdAt = user.created_at
+
+        req.session.save((err) => {
+            if (err) {
+                debug(`Session save error: ${err.message}`)
+                req.session.errorMessage = 'Login failed. Please try again.'
+                return res.redirect('/auth')
+            }
+
+            debug(`Session created for user: ${user.username}, redirecting to: ${redirectUrl}`)
+            res.redirect(redirectUrl)
+        })
+    })
+}
+
+// Login waiting for its 2FA code, dropped once expired
+function getPendingTwoFactor(req) {
+    const pending = req.session.twoFactorPending
+    if (pending && pending.expiresAt < Date.now()) {
+        delete req.session.twoFactorPending
+        return null
+    }
+    return pending || null
+}
+
 // Middleware to capture redirect URL
 router.use((req, res, next) => {
     if (req.method === 'GET' && req.path === '/auth') {
@@ -98,10 +185,126 @@ router.get('/auth', redirectIfAuthenticated, (req, res) => {
 
     res.render('auth', templateContext.build(req, {
         title: `Login or Register | ${(config.http.features.branding || ['48hr.email'])[0]}`,
-        successMessage
+        successMessage,
+        twoFactorPending: Boolean(getPendingTwoFactor(req)),
+        passwordResetEnabled: Boolean(getPasswordResetService(req))
+    }))
+})
+
+// GET /forgot-password - Ask for a reset link
+router.get('/forgot-password', redirectIfAuthenticated, (req, res) => {
+    if (!getPasswordResetService(req)) {
+        req.session.errorMessage = 'Password reset is not available'
+        return res.redirect('/auth')
+    }
+
+    res.render('password-reset', templateContext.build(req, {
+        title: `Reset Password | ${(config.http.features.branding || ['48hr.email'])[0]}`
+    }))
+})
+
+// POST /forgot-password - Send a reset link to a verified forwarding address
+router.post('/forgot-password',
+    redirectIfAuthenticated,
+    passwordResetRateLimiter,
+    body('username').trim().notEmpty().withMessage('Username is required'),
+    body('email').isEmail().normalizeEmail().withMessage('Invalid email address'),
+    (req, res) => {
+        try {
+            const errors = validationResult(req)
+            if (!errors.isEmpty()) {
+                req.session.errorMessage = errors.array()[0].msg
+                return res.redirect('/forgot-password')
+            }
+
+            const passwordResetService = getPasswordResetService(req)
+            const result = passwordResetService ?
+                passwordResetService.requestReset(req.body.username, req.body.email) :
+                { success: false, error: 'Password reset is not available' }
+            if (!result.success) {
+                req.session.errorMessage = result.error
+                return res.redirect('/auth')
+            }
+
+            req.session.successMessage = 'If that address is a verified forwarding email of the account, a reset link is on its way. It expires in 15 minutes.'
+            res.redirect('/auth')
+        } catch (error) {
+            debug(`Password reset request error: ${error.message}`)
+            console.error('Error during password reset request', error)
+            req.session.errorMessage = 'An unexpected error occurred. Please try again.'
+            res.redirect('/forgot-password')
+        }
+    }
+)
+
+// GET /reset-password - Choose a new password from a reset link
+router.get('/reset-password', redirectIfAuthenticated, (req, res) => {
+    const passwordResetService = getPasswordResetService(req)
+    const { token } = req.query
+
+    if (!passwordResetService || !passwordResetService.isValidToken(token)) {
+        req.session.errorMessage = 'Reset link expired or invalid'
+        return res.redirect(passwordResetService ? '/forgot-password' : '/auth')
+    }
+
+    res.render('password-reset', templateContext.build(req, {
+        title: `Reset Password | ${(config.http.features.branding || ['48hr.email'])[0]}`,
+        token
     }))
 })
 
+// POST /reset-password - Set the new password, uses up the link
+router.post('/reset-password',
+    redirectIfAuthenticated,
+    passwordResetRateLimiter,
+    body('token').notEmpty().withMessage('Reset link expired or invalid'),
+    body('password').notEmpty().withMessage('Password is required'),
+    body('confirmPassword').notEmpty().withMessage('Password confirmation is required'),
+    async(req, res) => {
+        const { token, password, confirmPassword } = req.body
+        const formUrl = `/reset-password?token=${encodeURIComponent(token || '')}`
+
+        try {
+            const errors = validationResult(req)
+            if (!errors.isEmpty()) {
+                req.session.errorMessage = errors.array()[0].msg
+                return res.redirect(formUrl)
+            }
+
+            if (password !== confirmPassword) {
+                req.session.errorMessage = 'Passwords do not match'
+                return res.redirect(formUrl)
+            }
+
+            const passwordResetService = getPasswordResetService(req)
+            if (!passwordResetService) {
+                req.session.errorMessage = 'Password reset is not available'
+                return res.redirect('/auth')
+            }
+
+            const result = await passwordResetService.resetPassword(token, password)
+            if (!result.success) {
+                req.session.errorMessage = result.error
+                return res.redirect(result.code === 'INVALID_TOKEN' ? '/forgot-password' : formUrl)
+            }
+
+            // Whoever got in with the old password is signed out
+            const sessionStore = req.app.get('sessionStore')
+            if (sessionStore) {
+                sessionStore.revokeAll(result.userId)
+            }
+
+            req.session.successMessage = 'Password changed. You can log in with it now.'
+            res.redirect('/auth')
+        } catch (error) {
+            debug(`Password reset error: ${error.message}`)
+            console.error('Error during password reset', error)
+            req.session.errorMessage = 'An unexpected error occurred. Please try again.'
+            res.redirect(formUrl)
+        }
+    }
+)
+
 // POST /register - Process registration
 router.post('/register',
     redirectIfAuthenticated,
@@ -167,39 +370,21 @@ router.post('/login',
 
             const { username, password } = req.body
             const authService = req.app.get('authService')
-            const result = await authService.login(username, password)
-
-            if (result.success) {
+            const result = await authService.login(username, password, req.ip)
+
+            if (result.success && result.twoFactorRequired) {
+                // The session only becomes authenticated after the code, see POST /login/2fa
+                debug(`Password accepted, asking for 2FA code: ${username}`)
+                req.session.twoFactorPending = {
+                    user: result.user,
+                    redirectUrl: req.session.redirectAfterLogin || '/',
+                    expiresAt: Date.now() + TWO_FACTOR_PENDING_MS,
+                    attempts: 0
+                }
+                return res.redirect('/auth')
+            } else if (result.success) {
                 debug(`User logged in successfully: ${username}`)
-
-                // Store redirect URL before regenerating session
-                const redirectUrl = req.session.redirectAfterLogin || '/'
-
-                // Regenerate session to prevent fixation attacks
-                req.session.regenerate((err) => {
-                    if (err) {
-                        debug(`Session regeneration error: ${err.message}`)
-                        req.session.errorMessage = 'Login failed. Please try again.'
-                        return res.redirect('/auth')
-                    }
-
-                    // Set session data
-                    req.session.userId = result.user.id
-                    req.session.username = result.user.username
-                    req.session.isAuthenticated = true
-                    req.session.createdAt = result.user.created_at
-
-                    req.session.save((err) => {
-                        if (err) {
-                            debug(`Session save error: ${err.message}`)
-                            req.session.errorMessage = 'Login failed. Please try again.'
-                            return res.redirect('/auth')
-                        }
-
-                        debug(`Session created for user: ${username}, redirecting to: ${redirectUrl}`)
-                        res.redirect(redirectUrl)
-                    })
-                })
+                signIn(req, res, result.user, req.session.redirectAfterLogin || '/')
             } else {
                 debug(`Login failed: ${result.error}`)
                 req.session.errorMessage = result.error
@@ -214,6 +399,49 @@ router.post('/login',
     }
 )
 
+// POST /login/2fa - Second step of a login with 2FA
+router.post('/login/2fa',
+    redirectIfAuthenticated,
+    loginRateLimiter,
+    body('code').trim().notEmpty().withMessage('Authentication code is required'),
+    (req, res) => {
+        try {
+            const pending = getPendingTwoFactor(req)
+            if (!pending) {
+                req.session.errorMessage = 'Your login expired. Please enter your password again.'
+                return res.redirect('/auth')
+            }
+
+            const errors = validationResult(req)
+            if (!errors.isEmpty()) {
+                req.session.errorMessage = errors.array()[0].msg
+                return res.redirect('/auth')
+            }
+
+            const authService = req.app.get('authService')
+            const result = authService.completeTwoFactorLogin(pending.user, req.body.code, req.ip)
+            if (!result.success) {
+                pending.attempts++
+                if (pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+                    delete req.session.twoFactorPending
+                    req.session.errorMessage = 'Too many invalid codes. Please log in again.'
+                } else {
+                    req.session.errorMessage = result.error
+                }
+                return res.redirect('/auth')
+            }
+
+            debug(`User logged in successfully with 2FA: ${pending.user.username}`)
+            signIn(req, res, pending.user, pending.redirectUrl)
+        } catch (error) {
+            debug(`2FA login error: ${error.message}`)
+            console.error('Error during 2FA login', error)
+            req.session.errorMessage = 'An unexpected error occurred. Please try again.'
+            res.redirect('/auth')
+        }
+    }
+)
+
 // GET /logout - Logout user
 router.get('/logout', (req, res) => {
         // Store redirect URL before destroying session
@@ -4,6 +4,7 @@ const { check, validationResult } = require('express-validator')
 const debug = require('debug')('48hr-email:routes')
 const randomWord = require('random-word')
 const config = require('../../../application/config-service')
+const EmailAddress = require('../../../domain/email-address')
 const templateContext = require('../template-context')
 
 router.get('/', async(req, res, next) => {
@@ -31,7 +32,7 @@ router.get('/inbox/random', (req, res, _next) => {
     const randomDomain = config.email.domains[Math.floor(Math.random() * config.email.domains.length)]
     const inbox = `${randomWord()}@${randomDomain}`
     debug(`Generated random inbox: ${inbox}`)
-    res.redirect(`/inbox/${inbox}`)
+    res.redirect(`/inbox/${EmailAddress.toPathSegment(inbox)}`)
 })
 
 // Legacy logout route removed - handled by auth.js
@@ -39,7 +40,10 @@ router.get('/inbox/random', (req, res, _next) => {
 router.post(
     '/', [
         check('username').isLength({ min: 1 }),
-        check('domain').isIn(config.email.domains)
+        // Checked per request, the domains can change at runtime
+        check('domain').custom(domain => config.email.domains.includes(domain)),
+        // Quoted and Unicode names are fine, as long as name@domain is a valid address
+        check('username').custom((username, { req }) => EmailAddress.isValid(`${username}@${req.body.domain}`))
     ],
     async(req, res, next) => {
         try {
@@ -60,9 +64,9 @@ router.post(
                 })
             }
 
-            const inbox = `${req.body.username}@${req.body.domain}`
+            const inbox = EmailAddress.normalize(`${req.body.username}@${req.body.domain}`)
             debug(`Home validation successful, redirecting to inbox: ${inbox}`)
-            res.redirect(`/inbox/${inbox}`)
+            res.redirect(`/inbox/${EmailAddress.toPathSegment(inbox)}`)
         } catch (error) {
             debug('Error processing request:', error.message)
             console.error('Error while processing request', error)
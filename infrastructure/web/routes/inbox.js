@@ -6,37 +6,68 @@ const debug = require('debug')('48hr-email:routes')
 const config = require('../../../application/config-service')
 const Helper = require('../../../application/helper-service')
 const CryptoService = require('../../../application/crypto-service')
+const CodeExtractionService = require('../../../application/code-extraction-service')
+const MailQuery = require('../../../domain/mail-query')
+const SubAddress = require('../../../domain/sub-address')
+const EmailAddress = require('../../../domain/email-address')
 const templateContext = require('../template-context')
 const helper = new(Helper)
 const cryptoService = new CryptoService()
+const codeExtractionService = new CodeExtractionService()
 const { checkLockAccess } = require('../middleware/lock')
 const { requireAuth, optionalAuth } = require('../middleware/auth')
 
 const purgeTime = helper.purgeTimeElemetBuilder()
+const INBOX_PAGE_SIZE = 50
 
+// Path of an inbox page, the address escaped for use in a URL
+const inboxPath = address => `/inbox/${EmailAddress.toPathSegment(address)}`
 
+// Link to another page of the inbox, keeping search, filters and sort order
+function inboxPageLink(req, offset) {
+    const params = new URLSearchParams()
+    for (const name of ['q', 'from', 'tag', 'since', 'until', 'sort', 'order', 'limit']) {
+        if (typeof req.query[name] === 'string' && req.query[name]) {
+            params.set(name, req.query[name])
+        }
+    }
+    if (offset > 0) {
+        params.set('offset', offset)
+    }
+    const queryString = params.toString()
+    return inboxPath(req.params.address) + (queryString ? `?${queryString}` : '')
+}
+
+
+// Canonical form of the address (see EmailAddress), with sub-addressing name+tag@domain is reduced to name@domain
 const sanitizeAddress = param('address').customSanitizer(
     (value, { req }) => {
-        return req.params.address
-            .replace(/[^A-Za-z0-9_.+@-]/g, '') // Remove special characters
-            .toLowerCase()
+        return SubAddress.inbox(req.params.address)
     }
 )
 
+// Opening name+tag@domain shows the inbox name@domain with only the mails of that tag
+const redirectSubAddress = (req, res, next) => {
+    const { inbox, tag } = SubAddress.parse(req.params.address)
+    if (!tag) {
+        return next()
+    }
+    res.redirect(`${inboxPath(inbox)}?tag=${encodeURIComponent(tag)}`)
+}
+
 // Middleware to validate domain is in allowed list
 const validateDomain = (req, res, next) => {
     const address = req.params.address
-    const domain = address.split('@')[1]
+    const parts = EmailAddress.parse(address)
 
-    if (!domain) {
+    if (!parts) {
         req.session.errorMessage = 'Invalid email address format.'
-        return res.redirect(`/error/${address}/400`)
+        return res.redirect(`/error/${EmailAddress.toPathSegment(address)}/400`)
     }
 
-    const allowedDomains = config.email.domains.map(d => d.toLowerCase())
-    if (!allowedDomains.includes(domain.toLowerCase())) {
-        req.session.errorMessage = `Domain '${domain}' is not supported by this service.`
-        return res.redirect(`/error/${address}/403`)
+    if (!EmailAddress.hasDomain(address, config.email.domains)) {
+        req.session.errorMessage = `Domain '${parts.domain}' is not supported by this service.`
+        return res.redirect(`/error/${EmailAddress.toPathSegment(address)}/403`)
     }
 
     next()
@@ -68,7 +99,7 @@ const forwardLimiter = (req, res, next) => {
     if (ipData.count >= maxRequests) {
         debug(`Rate limit exceeded for IP ${ip}`)
         req.session.errorMessage = 'Too many forward requests. Please try again after 15 minutes.'
-        return res.redirect(`/inbox/${req.params.address}`)
+        return res.redirect(inboxPath(req.params.address))
     }
 
     // Increment counter
@@ -86,20 +117,14 @@ const validateForwardRequest = [
     .normalizeEmail()
     .custom((value) => {
         // Prevent forwarding to temporary email addresses
-        const domain = value.split('@')[1]
-        if (!domain) {
-            throw new Error('Invalid email address')
-        }
-
-        const tempDomains = config.email.domains.map(d => d.toLowerCase())
-        if (tempDomains.includes(domain.toLowerCase())) {
+        if (EmailAddress.hasDomain(value, config.email.domains)) {
             throw new Error('Cannot forward to temporary email addresses')
         }
         return true
     })
 ]
 
-router.get('^/:address([^@/]+@[^@/]+)', sanitizeAddress, validateDomain, optionalAuth, checkLockAccess, async(req, res, next) => {
+router.get('^/:address([^/]+@[^@/]+)', redirectSubAddress, sanitizeAddress, validateDomain, optionalAuth, checkLockAccess, async(req, res, next) => {
     try {
         const mailProcessingService = req.app.get('mailProcessingService')
         if (!mailProcessingService) {
@@ -107,9 +132,25 @@ router.get('^/:address([^@/]+@[^@/]+)', sanitizeAddress, validateDomain, optiona
         }
         debug(`Inbox request for ${req.params.address}`)
 
+        // Invalid parameters are ignored rather than answered with an error page
+        let { query } = MailQuery.parse(req.query, { limit: INBOX_PAGE_SIZE })
+        if (!query) {
+            query = new MailQuery({ limit: INBOX_PAGE_SIZE })
+        }
+        const result = await mailProcessingService.queryMailSummaries(req.params.address, query)
+        const nextOffset = result.offset + result.mails.length
+
         res.render('inbox', templateContext.build(req, {
             title: `${(config.http.features.branding || ['48hr.email'])[0]} | ` + req.params.address,
-            mailSummaries: mailProcessingService.getMailSummaries(req.params.address)
+            mailSummaries: result.mails,
+            mailQuery: query,
+            searchQuery: query.q,
+            totalMails: result.total,
+            pageOffset: result.offset,
+            matchedMails: result.matched,
+            inboxTags: result.tags,
+            previousPage: result.offset > 0 ? inboxPageLink(req, Math.max(0, result.offset - query.limit)) : null,
+            nextPage: nextOffset < result.matched ? inboxPageLink(req, nextOffset) : null
         }))
     } catch (error) {
         debug(`Error loading inbox for ${req.params.address}:`, error.message)
@@ -145,17 +186,21 @@ router.get(
                 const cryptoAttachments = cryptoService.detectCryptoAttachments(mail.attachments)
                 debug(`Found ${cryptoAttachments.length} cryptographic attachments`)
 
+                // Pick out one-time codes and verification links to show above the body
+                const verification = codeExtractionService.extract(mail)
+
                 debug(`Rendering email view for UID ${req.params.uid}`)
                 res.render('mail', templateContext.build(req, {
                     title: mail.subject + " | " + req.params.address,
                     mail,
                     cryptoAttachments: cryptoAttachments,
+                    verification,
                     uid: req.params.uid
                 }))
             } else {
                 debug(`Email ${req.params.uid} not found for ${req.params.address}`)
                 req.session.errorMessage = 'This mail could not be found. It either does not exist or has been deleted from our servers!'
-                res.redirect(`/error/${req.params.address}/404`)
+                res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/404`)
             }
         } catch (error) {
             debug(`Error fetching email ${req.params.uid} for ${req.params.address}:`, error.message)
@@ -187,7 +232,7 @@ router.get(
             }
 
             debug(`Deleted all ${deletedCount} emails for ${req.params.address}`)
-            res.redirect(`/inbox/${req.params.address}`)
+            res.redirect(inboxPath(req.params.address))
         } catch (error) {
             debug(`Error deleting all emails for ${req.params.address}:`, error.message)
             console.error('Error while deleting email', error)
@@ -207,7 +252,7 @@ router.get(
         try {
             const mailProcessingService = req.app.get('mailProcessingService')
             mailProcessingService.deleteSpecificEmail(req.params.address, req.params.uid)
-            res.redirect(`/inbox/${req.params.address}`)
+            res.redirect(inboxPath(req.params.address))
         } catch (error) {
             debug(`Error deleting email ${req.params.uid} for ${req.params.address}:`, error.message)
             console.error('Error while deleting email', error)
@@ -231,7 +276,7 @@ router.get(
             if (isNaN(uid) || uid <= 0) {
                 debug(`Invalid UID provided: ${req.params.uid}`)
                 req.session.errorMessage = 'Invalid/Malformed UID provided.'
-                return res.redirect(`/error/${req.params.address}/400`)
+                return res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/400`)
             }
 
             const mail = await mailProcessingService.getOneFullMail(
@@ -242,7 +287,7 @@ router.get(
             if (!mail || !mail.attachments) {
                 debug(`Email ${uid} or attachments not found for ${req.params.address}`)
                 req.session.errorMessage = 'This email could not be found. It either does not exist or has been deleted from our servers!'
-                return res.redirect(`/error/${req.params.address}/404`)
+                return res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/404`)
             }
 
             var index = mail.attachments.findIndex(attachment => attachment.checksum === req.params.checksum);
@@ -264,7 +309,7 @@ router.get(
             } else {
                 debug(`Attachment ${req.params.checksum} not found in email ${uid}`)
                 req.session.errorMessage = 'This attachment could not be found. It either does not exist or has been deleted from our servers!'
-                return res.redirect(`/error/${req.params.address}/404`)
+                return res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/404`)
             }
         } catch (error) {
             debug(`Error fetching attachment: ${error.message}`)
@@ -291,7 +336,7 @@ router.get(
             if (isNaN(uid) || uid <= 0) {
                 debug(`Invalid UID provided for raw view: ${req.params.uid}`)
                 req.session.errorMessage = 'Invalid/Malformed UID provided.'
-                return res.redirect(`/error/${req.params.address}/400`)
+                return res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/400`)
             }
 
             mail = await mailProcessingService.getOneFullMail(
@@ -331,7 +376,7 @@ router.get(
             } else {
                 debug(`Raw email ${uid} not found for ${req.params.address}`)
                 req.session.errorMessage = 'This mail could not be found. It either does not exist or has been deleted from our servers!'
-                res.redirect(`/error/${req.params.address}/404`)
+                res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/404`)
             }
         } catch (error) {
             debug(`Error fetching raw email ${req.params.uid}: ${error.message}`)
@@ -346,7 +391,7 @@ const smtpEnabled = (req, res, next) => {
     if (!config.email.features.smtp) {
         debug('SMTP forwarding is disabled')
         req.session.errorMessage = 'Email forwarding is currently disabled.'
-        return res.redirect(`/inbox/${req.params.address}` + (req.params.uid ? `/${req.params.uid}` : ''))
+        return res.redirect(inboxPath(req.params.address) + (req.params.uid ? `/${req.params.uid}` : ''))
     }
     next()
 }
@@ -367,7 +412,7 @@ router.post(
                 const firstError = errors.array()[0].msg
                 debug(`Forward validation failed for ${req.params.address}: ${firstError}`)
                 req.session.errorMessage = firstError
-                return res.redirect(`/inbox/${req.params.address}/${req.params.uid}`)
+                return res.redirect(`${inboxPath(req.params.address)}/${req.params.uid}`)
             }
 
             const mailProcessingService = req.app.get('mailProcessingService')
@@ -382,7 +427,7 @@ router.post(
             if (!isVerified) {
                 debug(`Email ${destinationEmail} not in user's verified emails`)
                 req.session.errorMessage = 'Please select a verified email address from your account'
-                return res.redirect(`/inbox/${req.params.address}/${req.params.uid}`)
+                return res.redirect(`${inboxPath(req.params.address)}/${req.params.uid}`)
             }
 
             // Email is verified, proceed with forwarding
@@ -396,17 +441,17 @@ router.post(
 
             if (result.success) {
                 debug(`Email ${uid} forwarded successfully to ${destinationEmail}`)
-                return res.redirect(`/inbox/${req.params.address}/${uid}?forwarded=true`)
+                return res.redirect(`${inboxPath(req.params.address)}/${uid}?forwarded=true`)
             } else {
                 debug(`Failed to forward email ${uid}: ${result.error}`)
                 req.session.errorMessage = result.error
-                return res.redirect(`/inbox/${req.params.address}/${uid}`)
+                return res.redirect(`${inboxPath(req.params.address)}/${uid}`)
             }
         } catch (error) {
             debug(`Error forwarding email ${req.params.uid}: ${error.message}`)
             console.error('Error while forwarding email', error)
             req.session.errorMessage = 'An unexpected error occurred while forwarding the email.'
-            res.redirect(`/inbox/${req.params.address}/${req.params.uid}`)
+            res.redirect(`${inboxPath(req.params.address)}/${req.params.uid}`)
         }
     }
 )
@@ -427,7 +472,7 @@ router.post(
                 const firstError = validationErrors.array()[0].msg
                 debug(`Forward all validation failed for ${req.params.address}: ${firstError}`)
                 req.session.errorMessage = firstError
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             }
 
             const mailProcessingService = req.app.get('mailProcessingService')
@@ -441,7 +486,7 @@ router.post(
             if (!isVerified) {
                 debug(`Email ${destinationEmail} not in user's verified emails`)
                 req.session.errorMessage = 'Please select a verified email address from your account'
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             }
 
             // Email is verified, proceed with bulk forwarding
@@ -454,13 +499,13 @@ router.post(
             if (mailSummaries.length > MAX_FORWARD_ALL) {
                 debug(`Forward all blocked: ${mailSummaries.length} emails exceeds limit of ${MAX_FORWARD_ALL}`)
                 req.session.errorMessage = `Cannot forward more than ${MAX_FORWARD_ALL} emails at once. You have ${mailSummaries.length} emails.`
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             }
 
             if (mailSummaries.length === 0) {
                 debug(`No emails to forward for ${req.params.address}`)
                 req.session.errorMessage = 'No emails to forward.'
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             }
 
             let successCount = 0
@@ -487,19 +532,19 @@ router.post(
             debug(`Forward all complete: ${successCount} succeeded, ${failCount} failed`)
 
             if (successCount > 0 && failCount === 0) {
-                return res.redirect(`/inbox/${req.params.address}?forwardedAll=${successCount}`)
+                return res.redirect(`${inboxPath(req.params.address)}?forwardedAll=${successCount}`)
             } else if (successCount > 0 && failCount > 0) {
                 req.session.errorMessage = `Forwarded ${successCount} email(s), but ${failCount} failed.`
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             } else {
                 req.session.errorMessage = `Failed to forward emails: ${failMessages[0] || 'Unknown error'}`
-                return res.redirect(`/inbox/${req.params.address}`)
+                return res.redirect(inboxPath(req.params.address))
             }
         } catch (error) {
             debug(`Error forwarding all emails: ${error.message}`)
             console.error('Error while forwarding all emails', error)
             req.session.errorMessage = 'An unexpected error occurred while forwarding emails.'
-            res.redirect(`/inbox/${req.params.address}`)
+            res.redirect(inboxPath(req.params.address))
         }
     }
 )
@@ -511,7 +556,7 @@ router.get(
     validateDomain,
     async(req, res) => {
         req.session.errorMessage = 'Invalid/Malformed UID provided.'
-        res.redirect(`/error/${req.params.address}/400`)
+        res.redirect(`/error/${EmailAddress.toPathSegment(req.params.address)}/400`)
     }
 )
 
@@ -2,16 +2,65 @@ const express = require('express')
 const router = express.Router()
 const debug = require('debug')('48hr-email:lock')
 const { requireAuth } = require('../middleware/auth')
+const { rememberUnlock } = require('../middleware/lock')
+const SubAddress = require('../../../domain/sub-address')
+const EmailAddress = require('../../../domain/email-address')
+const InboxLock = require('../../../domain/inbox-lock')
+
+// Locks are kept by canonical inbox address, see SubAddress
+const inboxOf = address => typeof address === 'string' ? SubAddress.inbox(address) : ''
+const inboxPath = address => `/inbox/${EmailAddress.toPathSegment(address)}`
+// Only paths of this site, not //host or /\host
+const isLocalPath = path => typeof path === 'string' && /^\/(?![/\\])/.test(path)
+
+// Simple in-memory rate limiter for passphrases (10 attempts per 15 minutes per IP)
+const passphraseRateLimitStore = new Map()
+const passphraseLimiter = (req, res, next) => {
+    const ip = req.ip || req.connection.remoteAddress
+    const now = Date.now()
+    const windowMs = 15 * 60 * 1000 // 15 minutes
+    const maxRequests = 10
+
+    // Clean up old entries
+    for (const [key, data] of passphraseRateLimitStore.entries()) {
+        if (now - data.resetTime > windowMs) {
+            passphraseRateLimitStore.delete(key)
+        }
+    }
+
+    // Get or create entry for this IP
+    let ipData = passphraseRateLimitStore.get(ip)
+    if (!ipData || now - ipData.resetTime > windowMs) {
+        ipData = { count: 0, resetTime: now }
+        passphraseRateLimitStore.set(ip, ipData)
+    }
+
+    // Check if limit exceeded
+    if (ipData.count >= maxRequests) {
+        debug(`Passphrase rate limit exceeded for IP ${ip}`)
+        const address = inboxOf(req.body.address)
+        if (req.path === '/passphrase') {
+            req.session.unlockError = 'rate_limited'
+            return res.redirect(isLocalPath(req.body.redirectTo) ? req.body.redirectTo : inboxPath(address))
+        }
+        req.session.lockError = 'rate_limited'
+        return res.redirect(inboxPath(address))
+    }
+
+    // Increment counter
+    ipData.count++
+        next()
+}
 
 router.post('/lock', requireAuth, async(req, res) => {
-    const { address } = req.body
+    const address = inboxOf(req.body.address)
     const userId = req.session.userId
     debug(`Lock attempt for inbox: ${address} by user ${userId}`)
 
-    if (!address) {
-        debug(`Lock error for ${address}: missing address`)
+    if (!EmailAddress.isValid(address)) {
+        debug(`Lock error for ${address}: missing or invalid address`)
         if (req.session) req.session.lockError = 'invalid'
-        return res.redirect(`/inbox/${address}`)
+        return res.redirect(inboxPath(address))
     }
 
     try {
@@ -22,21 +71,21 @@ router.post('/lock', requireAuth, async(req, res) => {
         if (!inboxLock) {
             debug('Lock error: inboxLock service not available')
             if (req.session) req.session.lockError = 'service_unavailable'
-            return res.redirect(`/inbox/${address}`)
+            return res.redirect(inboxPath(address))
         }
 
         // Prevent locking the example inbox
-        if (config && config.email && config.email.examples && config.email.examples.account && address.toLowerCase() === config.email.examples.account.toLowerCase()) {
+        if (config && config.email && config.email.examples && config.email.examples.account && address === SubAddress.inbox(config.email.examples.account)) {
             debug(`Lock error for ${address}: locking disabled for example inbox`)
             if (req.session) req.session.lockError = 'locking_disabled_for_example'
-            return res.redirect(`/inbox/${address}`)
+            return res.redirect(inboxPath(address))
         }
 
         // Check if user can lock more inboxes (5 max)
         if (!inboxLock.canLockMore(userId)) {
             debug(`Lock error for ${address}: user ${userId} has reached 5-inbox limit`)
             if (req.session) req.session.lockError = 'max_locked_inboxes'
-            return res.redirect(`/inbox/${address}`)
+            return res.redirect(inboxPath(address))
         }
 
         await inboxLock.lock(userId, address)
@@ -50,7 +99,7 @@ router.post('/lock', requireAuth, async(req, res) => {
 
         // Store in session for immediate access
         req.session.lockedInbox = address
-        res.redirect(`/inbox/${address}`)
+        res.redirect(inboxPath(address))
     } catch (error) {
         debug(`Lock error for ${address}: ${error.message}`)
         console.error('Lock error:', error)
@@ -63,14 +112,124 @@ router.post('/lock', requireAuth, async(req, res) => {
                 req.session.lockError = 'server_error'
             }
         }
-        res.redirect(`/inbox/${address}`)
+        res.redirect(inboxPath(address))
+    }
+})
+
+// Passphrase locks, for visitors without an account
+router.post('/anonymous', passphraseLimiter, async(req, res) => {
+    const address = inboxOf(req.body.address)
+    const { passphrase, passphraseConfirm } = req.body
+    debug(`Passphrase lock attempt for inbox: ${address}`)
+
+    if (!EmailAddress.isValid(address)) {
+        debug(`Passphrase lock error for ${address}: missing or invalid address`)
+        req.session.lockError = 'invalid'
+        return res.redirect(inboxPath(address))
+    }
+
+    try {
+        const inboxLock = req.app.get('inboxLock')
+        const mailProcessingService = req.app.get('mailProcessingService')
+        const config = req.app.get('config')
+
+        if (!inboxLock || !config.user.anonymousLocks) {
+            debug('Passphrase lock error: passphrase locks are disabled')
+            req.session.lockError = 'service_unavailable'
+            return res.redirect(inboxPath(address))
+        }
+
+        // Prevent locking the example inbox
+        if (config.email.examples && config.email.examples.account && address === SubAddress.inbox(config.email.examples.account)) {
+            debug(`Passphrase lock error for ${address}: locking disabled for example inbox`)
+            req.session.lockError = 'locking_disabled_for_example'
+            return res.redirect(inboxPath(address))
+        }
+
+        if (InboxLock.validatePassphrase(passphrase)) {
+            req.session.lockError = 'invalid_passphrase'
+            return res.redirect(inboxPath(address))
+        }
+        if (passphrase !== passphraseConfirm) {
+            req.session.lockError = 'passphrase_mismatch'
+            return res.redirect(inboxPath(address))
+        }
+
+        if (!inboxLock.canLockAnonymous()) {
+            debug(`Passphrase lock error for ${address}: limit of ${config.user.maxAnonymousLocks} reached`)
+            req.session.lockError = 'max_anonymous_locks'
+            return res.redirect(inboxPath(address))
+        }
+
+        const lock = await inboxLock.lockAnonymous(address, passphrase)
+        debug(`Inbox locked with a passphrase: ${address}`)
+
+        // Clear cache for this inbox
+        if (mailProcessingService.cachedFetchFullMail && mailProcessingService.cachedFetchFullMail.clear) {
+            debug(`Clearing lock cache for: ${address}`)
+            mailProcessingService.cachedFetchFullMail.clear()
+        }
+
+        // Whoever set the passphrase is in already
+        rememberUnlock(req.session, lock)
+        res.redirect(inboxPath(address))
+    } catch (error) {
+        debug(`Passphrase lock error for ${address}: ${error.message}`)
+        console.error('Passphrase lock error:', error)
+        if (error.message.includes('already locked')) {
+            req.session.lockError = 'already_locked'
+        } else if (error.message.includes('maximum')) {
+            req.session.lockError = 'max_anonymous_locks'
+        } else {
+            req.session.lockError = 'server_error'
+        }
+        res.redirect(inboxPath(address))
+    }
+})
+
+// Open a locked inbox with its passphrase, for this session
+router.post('/passphrase', passphraseLimiter, async(req, res) => {
+    const address = inboxOf(req.body.address)
+    const { passphrase, redirectTo } = req.body
+    const destination = isLocalPath(redirectTo) ? redirectTo : inboxPath(address)
+    debug(`Passphrase unlock attempt for inbox: ${address}`)
+
+    if (!address || !passphrase) {
+        req.session.unlockError = 'missing_fields'
+        return res.redirect(destination)
+    }
+
+    try {
+        const inboxLock = req.app.get('inboxLock')
+        if (!inboxLock) {
+            debug('Passphrase unlock error: inboxLock service not available')
+            req.session.unlockError = 'service_unavailable'
+            return res.redirect(destination)
+        }
+
+        const lock = await inboxLock.verifyPassphrase(address, passphrase)
+        if (!lock) {
+            debug(`Passphrase unlock error for ${address}: wrong passphrase`)
+            req.session.unlockError = 'wrong_passphrase'
+            return res.redirect(destination)
+        }
+
+        debug(`Inbox ${address} unlocked with its passphrase`)
+        rememberUnlock(req.session, lock)
+        res.redirect(destination)
+    } catch (error) {
+        debug(`Passphrase unlock error for ${address}: ${error.message}`)
+        console.error('Passphrase unlock error:', error)
+        req.session.unlockError = 'server_error'
+        res.redirect(destination)
     }
 })
 
 router.post('/unlock', requireAuth, async(req, res) => {
-    const { address, redirectTo } = req.body
+    const address = inboxOf(req.body.address)
+    const { redirectTo } = req.body
     const userId = req.session.userId
-    const destination = redirectTo && redirectTo.startsWith('/') ? redirectTo : `/inbox/${address}`
+    const destination = isLocalPath(redirectTo) ? redirectTo : inboxPath(address)
     debug(`Unlock attempt for inbox: ${address} by user ${userId}`)
 
     if (!address) {
@@ -109,9 +268,10 @@ router.post('/unlock', requireAuth, async(req, res) => {
 
 // Legacy logout route removed - handled by auth.js
 
-router.post('/remove', requireAuth, async(req, res) => {
-    const { address } = req.body
-    const userId = req.session.userId
+// Account locks are removed by their owner, passphrase locks by anyone who unlocked them
+router.post('/remove', async(req, res) => {
+    const address = inboxOf(req.body.address)
+    const userId = req.session.isAuthenticated ? req.session.userId : null
     debug(`Remove lock attempt for inbox: ${address} by user ${userId}`)
 
     if (!address) {
@@ -125,17 +285,21 @@ router.post('/remove', requireAuth, async(req, res) => {
 
         if (!inboxLock) {
             debug('Remove lock error: inboxLock service not available')
-            return res.redirect(`/inbox/${address}`)
+            return res.redirect(inboxPath(address))
         }
 
         // Verify user owns this lock
-        if (!inboxLock.isLockedByUser(address, userId)) {
+        const lock = inboxLock.getLock(address)
+        const mayRemove = lock && (lock.anonymous ?
+            inboxLock.isUnlocked(address, req.session.unlockedInboxes) :
+            Boolean(userId) && lock.userId === userId)
+        if (!mayRemove) {
             debug(`Remove lock error: inbox ${address} not owned by user ${userId}`)
             if (req.session) req.session.lockError = 'not_your_lock'
-            return res.redirect(`/inbox/${address}`)
+            return res.redirect(inboxPath(address))
         }
 
-        await inboxLock.release(userId, address)
+        await inboxLock.release(lock.userId, address)
         debug(`Lock removed for inbox: ${address} by user ${userId}`)
 
         // Clear cache when removing lock
@@ -145,16 +309,19 @@ router.post('/remove', requireAuth, async(req, res) => {
         }
 
         // Clear from session
-        if (req.session.lockedInbox === address.toLowerCase()) {
+        if (req.session.lockedInbox && SubAddress.inbox(req.session.lockedInbox) === address) {
             delete req.session.lockedInbox
         }
+        if (req.session.unlockedInboxes) {
+            delete req.session.unlockedInboxes[address]
+        }
 
-        res.redirect(`/inbox/${address}`)
+        res.redirect(inboxPath(address))
     } catch (error) {
         debug(`Remove lock error for ${address}: ${error.message}`)
         console.error('Remove lock error:', error)
         if (req.session) req.session.lockError = 'remove_failed'
-        res.redirect(`/inbox/${address}`)
+        res.redirect(inboxPath(address))
     }
 })
 
@@ -0,0 +1,241 @@
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const session = require('express-session')
+const debug = require('debug')('48hr-email:session-store')
+
+const DEFAULT_MAX_AGE_MS = 24 * 60 * 60 * 1000
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000
+
+const BROWSERS = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Firefox', /Firefox\//],
+    ['Chrome', /Chrome\//],
+    ['Safari', /Safari\//],
+    ['curl', /^curl\//]
+]
+const SYSTEMS = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+]
+
+/**
+ * Short description of a User-Agent, e.g. "Firefox on Linux"
+ * @param {string|null} userAgent
+ * @returns {string}
+ */
+function describeDevice(userAgent) {
+    if (!userAgent) {
+        return 'Unknown device'
+    }
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))
+    const system = SYSTEMS.find(([, pattern]) => pattern.test(userAgent))
+    if (!browser && !system) {
+        return userAgent.slice(0, 60)
+    }
+    return [browser && browser[0], system && `on ${system[0]}`].filter(Boolean).join(' ')
+}
+
+/**
+ * SQLite session store for express-session, in the application database
+ * Sessions survive restarts and can be shared between processes. Session IDs are
+ * only stored as SHA-256 hashes, so the table can't be used to take over sessions
+ * The database is opened on first use, after app.js migrated it
+ */
+class SqliteSessionStore extends session.Store {
+    constructor(dbPath) {
+        super()
+        this.dbPath = dbPath
+        this.db = null
+
+        // Remove expired sessions every 15 minutes
+        this.cleanupInterval = setInterval(() => {
+            this.cleanup()
+        }, CLEANUP_INTERVAL_MS)
+    }
+
+    get(sid, callback) {
+        this._run(callback, () => {
+            const row = this._open().prepare(`
+                SELECT data FROM sessions WHERE sid_hash = ? AND expires_at > ?
+            `).get(this._hash(sid), Date.now())
+            return row ? JSON.parse(row.data) : null
+        })
+    }
+
+    set(sid, sess, callback) {
+        this._run(callback, () => {
+            const now = Date.now()
+            const seen = sess.lastSeen || {}
+            this._open().prepare(`
+                INSERT INTO sessions (sid_hash, user_id, data, ip, user_agent, created_at, last_seen, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT(sid_hash) DO UPDATE SET
+                    user_id = excluded.user_id,
+                    data = excluded.data,
+                    ip = excluded.ip,
+                    user_agent = excluded.user_agent,
+                    last_seen = excluded.last_seen,
+                    expires_at = excluded.expires_at
+            `).run(
+                this._hash(sid),
+                sess.isAuthenticated && sess.userId ? sess.userId : null,
+                JSON.stringify(sess),
+                seen.ip || null,
+                seen.userAgent || null,
+                now,
+                seen.at || now,
+                this._expiresAt(sess, now)
+            )
+        })
+    }
+
+    touch(sid, sess, callback) {
+        this._run(callback, () => {
+            this._open().prepare('UPDATE sessions SET expires_at = ? WHERE sid_hash = ?')
+                .run(this._expiresAt(sess, Date.now()), this._hash(sid))
+        })
+    }
+
+    destroy(sid, callback) {
+        this._run(callback, () => {
+            this._open().prepare('DELETE FROM sessions WHERE sid_hash = ?').run(this._hash(sid))
+        })
+    }
+
+    /**
+     * Signed-in sessions of a user, most recently used first
+     * @param {number} userId
+     * @param {string} [currentSid] - Session of the request, marked as current
+     * @returns {Array<Object>} - {id, device, ip, createdAt, lastSeen, lastSeenAgo, current}
+     */
+    listByUser(userId, currentSid = null) {
+        const currentHash = currentSid ? this._hash(currentSid) : null
+        return this._open().prepare(`
+            SELECT id, sid_hash, ip, user_agent, created_at, last_seen
+            FROM sessions
+            WHERE user_id = ? AND expires_at > ?
+            ORDER BY last_seen DESC
+        `).all(userId, Date.now()).map(row => ({
+            id: row.id,
+            device: describeDevice(row.user_agent),
+            ip: row.ip,
+            createdAt: row.created_at,
+            lastSeen: row.last_seen,
+            lastSeenAgo: this._formatTimeAgo(row.last_seen),
+            current: row.sid_hash === currentHash
+        }))
+    }
+
+    /**
+     * Sign out one session of a user
+     * @param {number} userId
+     * @param {number} id - Session ID from listByUser()
+     * @returns {boolean} - False if the user has no such session
+     */
+    revoke(userId, id) {
+        const result = this._open().prepare('DELETE FROM sessions WHERE id = ? AND user_id = ?').run(id, userId)
+        if (result.changes > 0) {
+            debug(`Session ${id} of user ${userId} revoked`)
+        }
+        return result.changes > 0
+    }
+
+    /**
+     * Sign out every session of a user, except the current one if given
+     * @param {number} userId
+     * @param {string} [exceptSid]
+     * @returns {number} - Revoked sessions
+     */
+    revokeAll(userId, exceptSid = null) {
+        const result = this._open().prepare(`
+            DELETE FROM sessions WHERE user_id = ? AND sid_hash != ?
+        `).run(userId, exceptSid ? this._hash(exceptSid) : '')
+        debug(`Revoked ${result.changes} sessions of user ${userId}`)
+        return result.changes
+    }
+
+    cleanup() {
+        if (!this.db) {
+            return
+        }
+        try {
+            const result = this.db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(Date.now())
+            if (result.changes > 0) {
+                debug(`Cleanup: removed ${result.changes} expired sessions`)
+            }
+        } catch (error) {
+            debug(`Cleanup failed: ${error.message}`)
+        }
+    }
+
+    _open() {
+        if (this.db) {
+            return this.db
+        }
+
+        const Database = require('better-sqlite3')
+        const dbDir = path.dirname(this.dbPath)
+        if (!fs.existsSync(dbDir)) {
+            fs.mkdirSync(dbDir, { recursive: true })
+        }
+
+        const db = new Database(this.dbPath)
+        db.pragma('journal_mode = WAL')
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS sessions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sid_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the session ID
+                user_id INTEGER, -- NULL while nobody is signed in
+                data TEXT NOT NULL, -- JSON of the session
+                ip TEXT,
+                user_agent TEXT,
+                created_at INTEGER NOT NULL,
+                last_seen INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL
+            );
+            CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+        `)
+        debug(`Session store connected: ${this.dbPath}`)
+        this.db = db
+        return db
+    }
+
+    // Calls back like the express-session store API expects
+    _run(callback, fn) {
+        let result
+        try {
+            result = fn()
+        } catch (error) {
+            debug(`Session store error: ${error.message}`)
+            if (callback) callback(error)
+            return
+        }
+        if (callback) callback(null, result)
+    }
+
+    _expiresAt(sess, now) {
+        const expires = sess.cookie && sess.cookie.expires
+        return expires ? new Date(expires).getTime() : now + DEFAULT_MAX_AGE_MS
+    }
+
+    _hash(sid) {
+        return crypto.createHash('sha256').update(sid).digest('hex')
+    }
+
+    _formatTimeAgo(timestamp) {
+        const seconds = Math.floor((Date.now() - timestamp) / 1000)
+
+        if (seconds < 60) return 'just now'
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes ago`
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours ago`
+        return `${Math.floor(seconds / 86400)} days ago`
+    }
+}
+
+module.exports = SqliteSessionStore
@@ -29,6 +29,8 @@ class TemplateContext {
         const hasAccess = address && isAuthenticated && userId && inboxLock ?
             (inboxLock.isLockedByUser(address, userId) || req.session.lockedInbox === address) :
             (address && req.session && req.session.lockedInbox === address)
+        // Passphrase entered in this session, see middleware/lock.js
+        const hasUnlocked = Boolean(address && inboxLock && req.session && inboxLock.isUnlocked(address, req.session.unlockedInboxes))
 
         // Get user's verified forward emails if logged in
         let userForwardEmails = []
@@ -47,11 +49,15 @@ class TemplateContext {
             purgeTimeRaw: config.email.purgeTime,
             expiryTime: config.email.purgeTime.time,
             expiryUnit: config.email.purgeTime.unit,
-            refreshInterval: config.imap.refreshIntervalSeconds,
+            // Only a polling source has something to count down to (not SMTP, Maildir or IMAP with IDLE)
+            refreshInterval: this._isPolling(req) ? config.imap.refreshIntervalSeconds : null,
             locktimer: config.user.lockReleaseHours,
+            anonymousLockTimer: config.user.anonymousLockReleaseHours,
+            mailSourceOffline: this._isMailSourceOffline(req),
 
             // Feature flags
             authEnabled: config.user.authEnabled,
+            anonymousLocksEnabled: config.user.authEnabled && config.user.anonymousLocks,
             statisticsEnabled: config.http.features.statistics,
             smtpEnabled: config.email.features.smtp,
             showInfoSection: config.http.features.infoSection,
@@ -63,7 +69,7 @@ class TemplateContext {
 
             // Lock status
             isLocked: isLocked,
-            hasAccess: hasAccess,
+            hasAccess: Boolean(hasAccess || hasUnlocked),
 
             // Session messages/errors (auto-clear after reading)
             error: this._getAndClearSession(req, 'lockError'),
@@ -86,6 +92,24 @@ class TemplateContext {
         }
     }
 
+    /**
+     * Whether the mail source checks for new mail on an interval
+     * @private
+     */
+    _isPolling(req) {
+        const imapService = req.app && req.app.get('imapService')
+        return Boolean(imapService && imapService.getSecondsUntilNextRefresh() !== null)
+    }
+
+    /**
+     * Whether the mail source lost its connection, stored mails are still shown
+     * @private
+     */
+    _isMailSourceOffline(req) {
+        const imapService = req.app && req.app.get('imapService')
+        return Boolean(imapService && imapService.getOfflineSince())
+    }
+
     /**
      * Helper to get and clear session value
      * @private
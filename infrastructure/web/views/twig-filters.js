@@ -1,5 +1,6 @@
 const sanitizeHtml = require('sanitize-html')
 const config = require('../../../application/config-service')
+const EmailAddress = require('../../../domain/email-address')
 
 /**
  * Transformes <a> tags to always use "noreferrer noopener" and open in a new window.
@@ -83,3 +84,12 @@ exports.readablePurgeTime = function(purgeTime) {
 
     return result
 }
+
+/**
+ * Inbox address for use in a link, e.g. href="/inbox/{{ address|addressPath }}"
+ * @param {String} address
+ * @returns {String} Address with characters like '#', '?' and '/' escaped
+ */
+exports.addressPath = function(address) {
+    return EmailAddress.toPathSegment(address)
+}
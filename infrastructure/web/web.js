@@ -1,4 +1,5 @@
 const botDetect = require('./middleware/bot-detect')
+const { liteMode } = require('./middleware/lite-mode')
 const path = require('path')
 const http = require('http')
 const debug = require('debug')('48hr-email:server')
@@ -19,9 +20,11 @@ const errorRouter = require('./routes/error')
 const lockRouter = require('./routes/lock')
 const authRouter = require('./routes/auth')
 const accountRouter = require('./routes/account')
+const adminRouter = require('./routes/admin')
 const statsRouter = require('./routes/stats')
 const templateContext = require('./template-context')
-const { sanitizeHtmlTwigFilter, readablePurgeTime } = require('./views/twig-filters')
+const SqliteSessionStore = require('./session-store')
+const { sanitizeHtmlTwigFilter, readablePurgeTime, addressPath } = require('./views/twig-filters')
 
 // Utility function for consistent error handling in routes
 const handleRouteError = (error, req, res, next, context = 'route') => {
@@ -38,6 +41,12 @@ app.set('config', config)
 const server = http.createServer(app)
 const io = socketio(server)
 
+// Second listener for the lite pages (e.g. behind an onion service), without Socket.IO
+const liteServer = config.http.lite.port ? http.createServer((req, res) => {
+    req.liteMode = true
+    app(req, res)
+}) : null
+
 app.set('socketio', io)
 
 // HTTP request logging - only enable with DEBUG environment variable
@@ -52,17 +61,44 @@ app.use(express.urlencoded({ extended: false }))
 app.use(cookieParser(config.http.sessionSecret))
 
 // Session support (always enabled for forward verification and inbox locking)
-app.use(session({
+// Sessions are kept in the application database, UX debug mode starts with a clean slate in memory
+const sessionStore = config.uxDebugMode ? null : new SqliteSessionStore(config.user.databasePath)
+app.set('sessionStore', sessionStore)
+const sessionMiddleware = session({
     secret: config.http.sessionSecret,
     resave: false,
     saveUninitialized: false,
-    cookie: { maxAge: 24 * 60 * 60 * 1000 } // 24 hours
-}))
+    // Lax: not sent with cross-site POST, PUT or DELETE requests, links from other sites still keep users signed in
+    cookie: { maxAge: 24 * 60 * 60 * 1000, sameSite: 'lax' }, // 24 hours
+    ...(sessionStore ? { store: sessionStore } : {})
+})
+app.use(sessionMiddleware)
 
+// Remember where signed-in sessions are used, for the list of active sessions on /account
+// Saved at most once a minute per session, unless the IP changes
+app.use((req, res, next) => {
+    if (req.session && req.session.isAuthenticated) {
+        const seen = req.session.lastSeen
+        const now = Date.now()
+        if (!seen || seen.ip !== req.ip || now - seen.at > 60 * 1000) {
+            req.session.lastSeen = {
+                at: now,
+                ip: req.ip,
+                userAgent: (req.get('User-Agent') || '').slice(0, 300)
+            }
+        }
+    }
+    next()
+})
+
+// Share sessions with Socket.IO, so sign-ins to locked inboxes can be checked
+io.engine.use(sessionMiddleware)
 
+// JavaScript-free pages for the lite listener, before the bot check that needs JavaScript to pass
+app.use(liteMode)
 
 // Bot detection middleware (after cookies/session, before routes)
-app.use(botDetect)
+app.use((req, res, next) => res.locals.lite ? next() : botDetect(req, res, next))
 
 // If bot detected and not suppressed, render only the popup page and halt further processing
 app.use((req, res, next) => {
@@ -113,6 +149,7 @@ app.use(
 )
 Twig.extendFilter('sanitizeHtml', sanitizeHtmlTwigFilter)
 Twig.extendFilter('readablePurgeTime', readablePurgeTime)
+Twig.extendFilter('addressPath', addressPath)
 
 // Middleware to expose user session to all templates
 app.use((req, res, next) => {
@@ -161,9 +198,10 @@ app.use(async(req, res, next) => {
     next()
 })
 
-// Middleware to show loading page until IMAP is ready
+// Middleware to show loading page until IMAP is ready, or offline with only the stored mails
 app.use((req, res, next) => {
-    const isImapReady = req.app.get('isImapReady')
+    const imapService = req.app.get('imapService')
+    const isImapReady = req.app.get('isImapReady') || Boolean(imapService && imapService.getOfflineSince())
     if (!isImapReady && !req.path.startsWith('/images') && !req.path.startsWith('/javascripts') && !req.path.startsWith('/stylesheets') && !req.path.startsWith('/dependencies')) {
         return res.render('loading', templateContext.build(req, {
             title: 'Loading...'
@@ -191,8 +229,14 @@ app.use('/api/v1', (req, res, next) => {
         apiTokenRepository,
         mailProcessingService: req.app.get('mailProcessingService'),
         authService: req.app.get('authService'),
+        twoFactorService: req.app.get('twoFactorService'),
+        passwordResetService: req.app.get('passwordResetService'),
+        loginThrottle: req.app.get('loginThrottle'),
+        adminService: req.app.get('adminService'),
+        sessionStore: req.app.get('sessionStore'),
         userRepository: req.app.get('userRepository'),
         imapService: req.app.get('imapService'),
+        clientNotification: req.app.get('clientNotification'),
         inboxLock: req.app.get('inboxLock'),
         statisticsStore: req.app.get('statisticsStore'),
         smtpService: req.app.get('smtpService'),
@@ -208,6 +252,7 @@ app.use('/', homeRouter)
 if (config.user.authEnabled) {
     app.use('/', authRouter)
     app.use('/', accountRouter)
+    app.use('/', adminRouter)
 }
 app.use('/inbox', inboxRouter)
 app.use('/error', errorRouter)
@@ -262,4 +307,11 @@ server.on('listening', () => {
     server.emit('ready')
 })
 
-module.exports = { app, io, server }
\ No newline at end of file
+if (liteServer) {
+    liteServer.listen(config.http.lite.port, config.http.lite.host)
+    liteServer.on('listening', () => {
+        debug(`Lite mode listening on ${config.http.lite.host}:${config.http.lite.port}`)
+    })
+}
+
+module.exports = { app, io, server, liteServer }
\ No newline at end of file
@@ -9,6 +9,7 @@ CREATE TABLE IF NOT EXISTS users (
     password_hash TEXT NOT NULL,
     created_at INTEGER NOT NULL,
     last_login INTEGER,
+    is_admin INTEGER NOT NULL DEFAULT 0, -- Added to older databases by UserRepository
     CHECK (length(username) >= 3 AND length(username) <= 20),
     UNIQUE(instance_id, username)
 );
@@ -31,13 +32,13 @@ CREATE TABLE IF NOT EXISTS user_forward_emails (
 CREATE INDEX IF NOT EXISTS idx_forward_emails_user_id ON user_forward_emails(user_id);
 CREATE INDEX IF NOT EXISTS idx_forward_emails_email ON user_forward_emails(email);
 
--- User locked inboxes
+-- User locked inboxes, the number per user (USER_MAX_LOCKED_INBOXES) can change at runtime and is enforced by InboxLock
 CREATE TABLE IF NOT EXISTS user_locked_inboxes (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     instance_id TEXT NOT NULL,
-    user_id INTEGER NOT NULL,
+    user_id INTEGER, -- NULL for passphrase locks without an account, made nullable in older databases by UserRepository
     inbox_address TEXT NOT NULL COLLATE NOCASE,
-    password_hash TEXT NOT NULL,
+    password_hash TEXT NOT NULL, -- Bcrypt hash of the passphrase, empty for locks that only rely on the account
     locked_at INTEGER NOT NULL,
     last_accessed INTEGER NOT NULL,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
@@ -48,21 +49,112 @@ CREATE INDEX IF NOT EXISTS idx_locked_inboxes_user_id ON user_locked_inboxes(use
 CREATE INDEX IF NOT EXISTS idx_locked_inboxes_address ON user_locked_inboxes(inbox_address);
 CREATE INDEX IF NOT EXISTS idx_locked_inboxes_last_accessed ON user_locked_inboxes(last_accessed);
 
--- API tokens (one per user for programmatic access)
+-- API tokens for programmatic access, any number per user
 CREATE TABLE IF NOT EXISTS api_tokens (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     instance_id TEXT NOT NULL,
     user_id INTEGER NOT NULL,
-    token TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    token_hash TEXT NOT NULL UNIQUE, -- HMAC-SHA256 of the token, keyed with HTTP_SESSION_SECRET
+    token_prefix TEXT NOT NULL, -- First characters of the token, for lookup and display
+    scopes TEXT NOT NULL, -- Comma separated, see ApiTokenRepository.SCOPES
     created_at INTEGER NOT NULL,
+    expires_at INTEGER, -- NULL if the token never expires
     last_used INTEGER,
-    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-    UNIQUE(instance_id, user_id)
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
-CREATE INDEX IF NOT EXISTS idx_api_tokens_token ON api_tokens(token);
+-- idx_api_tokens_prefix is created by ApiTokenRepository, after migrating older tables
 CREATE INDEX IF NOT EXISTS idx_api_tokens_user_id ON api_tokens(user_id);
 
+-- TOTP two-factor authentication, a row per user who enabled it
+CREATE TABLE IF NOT EXISTS user_two_factor (
+    user_id INTEGER PRIMARY KEY,
+    secret TEXT NOT NULL, -- Base32 TOTP secret
+    last_used_step INTEGER NOT NULL DEFAULT 0, -- Time step of the last accepted code, codes can't be replayed
+    enabled_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- One-time recovery codes for users who lost their authenticator
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    code_hash TEXT NOT NULL, -- SHA-256 of the normalized code
+    used_at INTEGER, -- NULL while unused
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Failed logins, shown to the user on the account page
+CREATE TABLE IF NOT EXISTS login_failures (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL COLLATE NOCASE, -- As entered, also for unknown users
+    user_id INTEGER, -- NULL if no such user exists
+    ip TEXT,
+    attempted_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_failures_user_id ON login_failures(user_id);
+CREATE INDEX IF NOT EXISTS idx_login_failures_attempted_at ON login_failures(attempted_at);
+
+-- Backoff and lockouts after failed logins, by username and by IP
+CREATE TABLE IF NOT EXISTS login_throttles (
+    throttle_key TEXT PRIMARY KEY, -- 'user:<username>' or 'ip:<address>'
+    failures INTEGER NOT NULL, -- Failures in a row
+    locked_until INTEGER NOT NULL, -- No login attempts before this time
+    last_failure_at INTEGER NOT NULL
+);
+
+-- Webhooks of locked inboxes, called when mail arrives
+CREATE TABLE IF NOT EXISTS inbox_webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    inbox_address TEXT NOT NULL COLLATE NOCASE,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL, -- HMAC key for the X-Webhook-Signature header
+    created_at INTEGER NOT NULL,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    UNIQUE(user_id, inbox_address, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbox_webhooks_address ON inbox_webhooks(inbox_address);
+CREATE INDEX IF NOT EXISTS idx_inbox_webhooks_user_id ON inbox_webhooks(user_id);
+
+-- Delivery attempts of webhooks, shown on the account page
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    mail_uid INTEGER NOT NULL,
+    status TEXT NOT NULL, -- pending, delivered, failed
+    attempts INTEGER NOT NULL DEFAULT 0,
+    response_status INTEGER,
+    error TEXT,
+    created_at INTEGER NOT NULL,
+    updated_at INTEGER NOT NULL,
+    FOREIGN KEY (webhook_id) REFERENCES inbox_webhooks(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook_id ON webhook_deliveries(webhook_id);
+
+-- Every admin action, kept when the admin or the affected user is deleted
+CREATE TABLE IF NOT EXISTS admin_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    admin_id INTEGER,
+    admin_username TEXT NOT NULL,
+    action TEXT NOT NULL, -- e.g. 'user.delete', 'lock.release', 'token.revoke'
+    target TEXT NOT NULL, -- Username or inbox address the action was taken on
+    details TEXT, -- JSON
+    ip TEXT,
+    created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created_at ON admin_audit_log(created_at);
+
+-- The sessions table is created by SqliteSessionStore (infrastructure/web/session-store.js),
+-- sessions are kept in this database even without user accounts
+
 -- Statistics storage for persistence across restarts
 CREATE TABLE IF NOT EXISTS statistics (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -72,11 +164,3 @@ CREATE TABLE IF NOT EXISTS statistics (
     last_updated INTEGER NOT NULL,
     imap_hash TEXT NULL
 );
-
--- Trigger to enforce max 5 locked inboxes per user
-CREATE TRIGGER IF NOT EXISTS check_locked_inbox_limit
-BEFORE INSERT ON user_locked_inboxes
-BEGIN
-    SELECT RAISE(ABORT, 'User already has maximum number of locked inboxes')
-    WHERE (SELECT COUNT(*) FROM user_locked_inboxes WHERE user_id = NEW.user_id) >= 5;
-END;